@@ -0,0 +1,163 @@
+// Checkpoints of raw backups in progress, so an interrupted backup can be resumed.
+// The journal `<image>.journal` sits next to the partial image: a JSON header line
+// ({ source, blockSize, created }) followed by one `<block> <sha256>` line per block
+// of the image that is known to be on disk.
+
+import { createHash } from 'crypto';
+import { Writable } from 'stream';
+import { createReadStream, readFileSync, writeFileSync, rmSync } from 'fs';
+import { open } from 'fs/promises';
+import { blockReader } from './verify.js';
+import { writeSparse } from './shrink.js';
+
+// Size of the journal's blocks, the same as dd's block size so dd can skip= to one
+export const CHECKPOINT_BLOCK_SIZE = 4 * 1024 * 1024;
+
+// Blocks written between two checkpoints (the most a resume has to redo)
+const CHECKPOINT_INTERVAL = 16;
+
+// SHA-256 of a block of zeros (see zeroBlockSha256)
+let zeroBlockHash = null;
+
+// Checksum of an all-zero block, computed once (sparse backups have many of them)
+export function zeroBlockSha256() {
+  if (!zeroBlockHash) zeroBlockHash = createHash('sha256').update(Buffer.alloc(CHECKPOINT_BLOCK_SIZE)).digest('hex');
+  return zeroBlockHash;
+}
+
+// Path of the journal belonging to `image`
+export function journalPath(image) {
+  return `${image}.journal`;
+}
+
+// Read the journal of `image`: { header, blocks } with the checksums of the blocks in
+// order, null when there is none. A line torn by a crash ends the list.
+export function readJournal(image) {
+  let lines;
+  try {
+    lines = readFileSync(journalPath(image), 'utf8').split('\n');
+  } catch {
+    return null;
+  }
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    return null;
+  }
+  const blocks = [];
+  for (const line of lines.slice(1)) {
+    const lineMatch = line.match(/^(\d+) ([0-9a-f]{64})$/);
+    if (!lineMatch || parseInt(lineMatch[1]) !== blocks.length) break;
+    blocks.push(lineMatch[2]);
+  }
+  return { header, blocks };
+}
+
+// Write the journal of `image` with the checksums of its first blocks
+export function writeJournal(image, header, blocks = []) {
+  const lines = blocks.map((sha256, block) => `${block} ${sha256}\n`);
+  writeFileSync(journalPath(image), JSON.stringify(header) + '\n' + lines.join(''));
+}
+
+// Remove the journal of `image` (once the backup is complete or started over)
+export function removeJournal(image) {
+  rmSync(journalPath(image), { force: true });
+}
+
+// Count the blocks at the start of `image` that still match the journal's checksums.
+// `onProgress(bytes)` reports the bytes checked; stops early once `isCancelled()` is true.
+export async function verifiedBlocks(image, journal, { onProgress, isCancelled = () => false } = {}) {
+  const stream = createReadStream(image, { highWaterMark: CHECKPOINT_BLOCK_SIZE });
+  const read = blockReader(stream);
+  let count = 0;
+  try {
+    while (count < journal.blocks.length && !isCancelled()) {
+      const block = await read(CHECKPOINT_BLOCK_SIZE);
+      if (block.length < CHECKPOINT_BLOCK_SIZE) break;
+      if (createHash('sha256').update(block).digest('hex') !== journal.blocks[count]) break;
+      count++;
+      onProgress?.(count * CHECKPOINT_BLOCK_SIZE);
+    }
+  } catch {
+    // An unreadable image keeps the blocks verified so far
+  } finally {
+    stream.destroy();
+  }
+  return count;
+}
+
+// Writable stream putting a raw backup into `image`, starting at block `startBlock`,
+// and journalling every block. Image data is synced to disk before its checksums are
+// added to the journal, so the journal never lists data that could be lost. All-zero
+// pieces of the data are left as holes, so the image is a sparse file.
+// A new backup (startBlock 0) writes a fresh journal with `header`.
+export function createCheckpointWriter(image, { header, startBlock = 0 }) {
+  let file = null;
+  let journal = null;
+  let block = startBlock;
+  let end = startBlock * CHECKPOINT_BLOCK_SIZE;  // of the data written so far
+  let pending = [];
+  let pendingLength = 0;
+  let lines = [];
+
+  const opened = (async () => {
+    if (startBlock === 0) writeJournal(image, header);
+    file = await open(image, startBlock === 0 ? 'w' : 'r+');
+    await file.truncate(startBlock * CHECKPOINT_BLOCK_SIZE);
+    journal = await open(journalPath(image), 'a');
+  })();
+
+  const writeBlock = async (data) => {
+    const written = await writeSparse(file, data, block * CHECKPOINT_BLOCK_SIZE);
+    const zero = written === 0 && data.length === CHECKPOINT_BLOCK_SIZE;
+    lines.push(`${block} ${zero ? zeroBlockSha256() : createHash('sha256').update(data).digest('hex')}\n`);
+    end = block * CHECKPOINT_BLOCK_SIZE + data.length;
+    block++;
+  };
+
+  const checkpoint = async () => {
+    if (lines.length === 0) return;
+    // Holes at the end of the data written only count once the file reaches past them
+    await file.truncate(end);
+    await file.sync();
+    await journal.write(lines.join(''));
+    await journal.sync();
+    lines = [];
+  };
+
+  return new Writable({
+    write(chunk, encoding, callback) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      (async () => {
+        await opened;
+        if (pendingLength < CHECKPOINT_BLOCK_SIZE) return;
+        let data = Buffer.concat(pending, pendingLength);
+        while (data.length >= CHECKPOINT_BLOCK_SIZE) {
+          await writeBlock(data.subarray(0, CHECKPOINT_BLOCK_SIZE));
+          data = data.subarray(CHECKPOINT_BLOCK_SIZE);
+          if (lines.length >= CHECKPOINT_INTERVAL) await checkpoint();
+        }
+        pending = [data];
+        pendingLength = data.length;
+      })().then(() => callback(), callback);
+    },
+    final(callback) {
+      (async () => {
+        await opened;
+        if (pendingLength > 0) await writeBlock(Buffer.concat(pending, pendingLength));
+        await checkpoint();
+      })().then(() => callback(), callback);
+    },
+    destroy(err, callback) {
+      // Whatever reached the disk is checkpointed, the rest is redone on resume
+      (async () => {
+        await opened.catch(() => {});
+        await checkpoint().catch(() => {});
+        await file?.close();
+        await journal?.close();
+      })().then(() => callback(err), () => callback(err));
+    },
+  });
+}
@@ -0,0 +1,849 @@
+// Non-interactive CLI for cron jobs and shell scripts:
+//   pi-backup backup --source /dev/sdb --out ~/backups/pi.img --no-shrink --yes
+//   pi-backup backup --source /dev/sdb --base ~/backups/pi.img --out ~/backups/pi-2.delta --yes
+//   pi-backup restore --image x.img.gz --target /dev/sdc --yes
+//   pi-backup backup --source /dev/sdb --out ssh://nas/backups/pi.img.zst --yes
+//   pi-backup backup --source ssh://pi@kiosk.local/dev/mmcblk0 --quiesce freeze --out kiosk.img --yes
+//   pi-backup customize --image x.img --hostname kiosk --ssh
+//   pi-backup register --device /dev/sdb --name office-pi --dir ~/backups && pi-backup watch
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { createInterface } from 'readline';
+import { createJob, createMultiRestore, AFTER_JOB, SHRINKERS, VerifyError } from './engine.js';
+import { formatBytes, formatDuration } from './format.js';
+import { COMPRESSIONS, compressionFromPath } from './compression.js';
+import { PISHRINK_OPTIONS } from './pishrink.js';
+import { loadConfig, saveConfig } from './config.js';
+import { recordJob, RESULTS } from './history.js';
+import { listCards } from './disks.js';
+import { createCustomization, customizeImage, describeCustomization, CustomizeError } from './customize.js';
+import { inspectImage, describePartition, InspectError } from './inspect.js';
+import { isRemote, parseRemote, RemoteError, QUIESCE } from './remote.js';
+import {
+  createCard, createWatcher, cardImages, CardError, DEFAULT_NAME_TEMPLATE, DEFAULT_KEEP, DEFAULT_INTERVAL,
+} from './watch.js';
+
+const CLI_USAGE = `Usage:
+  pi-backup                     Start the interactive TUI
+  pi-backup backup --source <device> --out <image> [--compress <type>] [--no-shrink] [--sparse] [--shrinker <type>]
+                   [--pishrink <path> --pishrink-sha256 <hash>] [--pishrink-options <letters>] [--verify] [--resume] [--after <action>]
+                   [--quiesce <how>] [--base <image>] [--yes] [--json]
+  pi-backup restore --image <image> --target <device> [--target <device> ...] [--verify] [--after <action>]
+                   [first-boot settings] [--yes] [--json]
+  pi-backup customize --image <image> [first-boot settings]
+                                Write first-boot settings into a raw image
+  pi-backup inspect --image <image> [--json]
+                                Show the partitions, filesystems and OS release of an image
+  pi-backup register --device <device> --name <name> --dir <directory> [--template <name>] [--keep <n>]
+                   [--compress <type>] [--no-shrink] [--verify] [--after <action>]
+  pi-backup unregister --name <name>
+  pi-backup cards [--json]      List the registered cards and their images
+  pi-backup watch [--interval <seconds>] [--json]
+                                Back up registered cards whenever they are inserted
+
+Options:
+  -y, --yes       Don't ask for confirmation
+  --json          Print progress as JSON lines instead of plain text
+  --compress      Compress the backup: none, gzip, xz, zstd (default: from the --out extension)
+  --no-shrink     Don't shrink the image after the backup
+  --sparse        Read only the blocks the card's filesystems use: free blocks of ext and FAT
+                  filesystems and the space after the last partition are skipped and become zeros
+                  in the image. Faster for mostly empty cards, but --verify can't tell whether a
+                  skipped block held data
+  --shrinker      How to shrink: auto (default: pishrink on Linux, else the built-in shrinker),
+                  pishrink, native (the built-in shrinker, also works on macOS)
+  --pishrink      pishrink script to run instead of the bundled one (needs --pishrink-sha256)
+  --pishrink-sha256
+                  Pinned SHA-256 of that script - it is not run unless it matches
+  --pishrink-options
+                  pishrink options to pass, e.g. zas for -z -a -s: z gzip the shrunk image,
+                  a compress on all cores, s don't expand the filesystem on first boot
+                  (defaults for all three pishrink settings come from the config file)
+  --verify        Read the data back after writing and compare it
+  --resume        Continue an interrupted raw backup into --out from its last checkpoint
+                  (the card must be the same one); without it a partial backup is started over
+  --after         What to do with the card when done: none (default), remount, power-off
+  --quiesce       For a running Pi as --source: sync (default: flush writes, the card keeps changing
+                  while it is read), read-only (remount / read-only for the copy), freeze (fsfreeze /
+                  for the copy; programs writing to it wait)
+  --base          Make a delta backup: store only the 4 MiB blocks that changed since this backup of
+                  the card (a full image or a delta, in the directory of --out), in a .delta file given
+                  as --out (e.g. pi-2.delta, pi-2.delta.zst). Restoring it rebuilds the card from the
+                  full image and the deltas after it, which have to stay next to it
+  --target        Card to restore to; give it several times to write the image to all of
+                  the cards at once (the image is read once, a failing card doesn't stop the others)
+  -h, --help      Show this help
+
+Images on another computer:
+  --out, --image and inspect take ssh://[user@]host[:port]/path URLs (/~/path is in the home
+  directory). ssh must log in without a password prompt (a key); the host needs a POSIX shell
+  and sha256sum or shasum. Such backups are not shrunk or resumed.
+  --source takes the card of a running Pi the same way, e.g. ssh://pi@kiosk.local/dev/mmcblk0
+  (sudo must work there without a password). Its backups are shrunk here but not resumed.
+
+First-boot settings (written to the boot partition of Raspberry Pi OS after the restore):
+  --hostname      Hostname of the Pi
+  --ssh           Enable SSH
+  --ssh-key       Public key file allowed to log in over SSH (enables SSH without passwords)
+  --user          User to create, replacing the default one (its password is asked on the terminal)
+  --password-file File whose first line is that user's password, - for stdin (only its hash is written)
+  --wifi-ssid     Wi-Fi network to connect to (needs --wifi-country); its password is asked on the
+                  terminal (empty for an open network), without a terminal the network is open
+  --wifi-password-file
+                  File whose first line is the Wi-Fi's password, - for stdin
+  --wifi-country  Two-letter country code of the Wi-Fi, e.g. GB, US, DE
+  Passwords are never taken as arguments, which other users of this computer could see.
+
+Automatic backups:
+  --device        The inserted card to register (recognized later by its model, serial and size)
+  --name          Name of the card (letters, digits, ".", "_", "-")
+  --dir           Directory its images are saved to
+  --template      Image name: {name}, {model}, {serial}, {date}, {time} are filled in and the
+                  extension follows the compression (default: ${DEFAULT_NAME_TEMPLATE})
+  --keep          Number of images of the card to keep, older ones are deleted (default: ${DEFAULT_KEEP}, 0 keeps all)
+  --interval      Seconds between looks for inserted cards (default: ${DEFAULT_INTERVAL})
+
+Exit codes:
+  0  success
+  1  the backup/restore failed, or the image couldn't be customized or inspected
+  2  invalid arguments
+  3  not confirmed
+  4  verification failed
+  130  cancelled (Ctrl+C / SIGTERM)`;
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NOT_CONFIRMED: 3,
+  VERIFY_FAILED: 4,
+  CANCELLED: 130,
+};
+
+// Flags each command accepts: string flags take a value (required ones must be given), boolean
+// flags don't; repeated string flags may be given several times
+const CLI_FLAGS = {
+  backup: {
+    required: ['source', 'out'],
+    strings: ['source', 'out', 'compress', 'shrinker', 'pishrink', 'pishrink-sha256', 'pishrink-options', 'after', 'quiesce', 'base'],
+    booleans: ['shrink', 'verify', 'resume', 'sparse', 'yes', 'json'],
+  },
+  restore: {
+    required: ['image', 'target'],
+    strings: ['image', 'target', 'after', 'hostname', 'ssh-key', 'user', 'password-file', 'wifi-ssid', 'wifi-password-file', 'wifi-country'],
+    booleans: ['verify', 'yes', 'json', 'ssh'],
+    repeated: ['target'],  // collected into a list
+  },
+  customize: {
+    required: ['image'],
+    strings: ['image', 'hostname', 'ssh-key', 'user', 'password-file', 'wifi-ssid', 'wifi-password-file', 'wifi-country'],
+    booleans: ['ssh'],
+  },
+  inspect: { required: ['image'], strings: ['image'], booleans: ['json'] },
+  register: {
+    required: ['device', 'name', 'dir'],
+    strings: ['device', 'name', 'dir', 'template', 'keep', 'compress', 'after'],
+    booleans: ['shrink', 'verify'],
+  },
+  unregister: { required: ['name'], strings: ['name'], booleans: [] },
+  cards: { required: [], strings: [], booleans: ['json'] },
+  watch: { required: [], strings: ['interval'], booleans: ['json'] },
+};
+
+class UsageError extends Error {}
+
+// Flags of passwords, which are read from a file or the terminal instead (see firstBootSecrets)
+const SECRET_FLAGS = ['password', 'wifi-password'];
+
+// Parse `<command> --flag value --flag=value --no-flag -y` into { command, options }
+export function parseCliArgs(argv) {
+  const [command, ...rest] = argv;
+  if (command === '-h' || command === '--help') {
+    return { command: 'help', options: {} };
+  }
+  const flags = CLI_FLAGS[command];
+  if (!flags) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '-h' || arg === '--help') {
+      return { command: 'help', options: {} };
+    }
+    if (arg === '-y') {
+      options.yes = true;
+      continue;
+    }
+
+    const flagMatch = arg.match(/^--(no-)?([a-z0-9-]+)(?:=(.*))?$/s);
+    if (!flagMatch) {
+      throw new UsageError(`Unexpected argument: ${arg}`);
+    }
+    const [, negated, name, inlineValue] = flagMatch;
+
+    if (flags.booleans.includes(name) && inlineValue === undefined) {
+      options[name] = !negated;
+    } else if (flags.strings.includes(name) && !negated) {
+      const value = inlineValue ?? rest[++i];
+      if (!value) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      options[name] = flags.repeated?.includes(name) ? [...(options[name] || []), value] : value;
+    } else if (SECRET_FLAGS.includes(name) && flags.strings.includes(`${name}-file`)) {
+      throw new UsageError(`--${name} isn't taken on the command line (other users could see it) - use --${name}-file, or leave it out to be asked`);
+    } else {
+      throw new UsageError(`Unknown option for ${command}: ${arg}`);
+    }
+  }
+
+  for (const name of flags.required) {
+    if (!options[name]) {
+      throw new UsageError(`Missing required option --${name}`);
+    }
+  }
+  if (options.compress && !COMPRESSIONS[options.compress]) {
+    throw new UsageError(`--compress must be one of: ${Object.keys(COMPRESSIONS).join(', ')}`);
+  }
+  if (options.shrinker && !Object.values(SHRINKERS).includes(options.shrinker)) {
+    throw new UsageError(`--shrinker must be one of: ${Object.values(SHRINKERS).join(', ')}`);
+  }
+  if (options['pishrink-sha256'] && !options.pishrink) {
+    throw new UsageError('--pishrink-sha256 pins the script given with --pishrink');
+  }
+  if (options['pishrink-sha256'] && !/^[0-9a-f]{64}$/i.test(options['pishrink-sha256'])) {
+    throw new UsageError('--pishrink-sha256 must be a SHA-256 checksum (64 hex digits)');
+  }
+  const unknownOptions = [...(options['pishrink-options'] || '')].filter(letter => !PISHRINK_OPTIONS[letter]);
+  if (unknownOptions.length > 0) {
+    throw new UsageError(`--pishrink-options must only contain: ${Object.keys(PISHRINK_OPTIONS).join(', ')}`);
+  }
+  if (options.after && !Object.values(AFTER_JOB).includes(options.after)) {
+    throw new UsageError(`--after must be one of: ${Object.values(AFTER_JOB).join(', ')}`);
+  }
+  if (options.quiesce && !Object.values(QUIESCE).includes(options.quiesce)) {
+    throw new UsageError(`--quiesce must be one of: ${Object.values(QUIESCE).join(', ')}`);
+  }
+  if (options.quiesce && !isRemote(options.source)) {
+    throw new UsageError('--quiesce is for a running Pi as --source (ssh://user@host/dev/mmcblk0)');
+  }
+  if (options.base && isRemote(options.base)) {
+    throw new UsageError('--base must be a backup on this computer (delta backups can\'t be saved on another one)');
+  }
+  if (options['password-file'] === '-' && options['wifi-password-file'] === '-') {
+    throw new UsageError('Only one of --password-file and --wifi-password-file can read stdin (-)');
+  }
+  if (options.keep !== undefined && !/^\d+$/.test(options.keep)) {
+    throw new UsageError('--keep must be a number (0 keeps all images)');
+  }
+  if (options.interval !== undefined && !(Number(options.interval) > 0)) {
+    throw new UsageError('--interval must be a number of seconds');
+  }
+  return { command, options };
+}
+
+// pishrink settings for a backup: the config file's, overridden by the command line
+function pishrinkSettings(options) {
+  const { pishrink } = loadConfig();
+  const settings = options.pishrink
+    ? { ...pishrink, path: resolve(options.pishrink), sha256: options['pishrink-sha256'] || null }
+    : { ...pishrink };
+  if (options['pishrink-options'] !== undefined) {
+    settings.options = [...options['pishrink-options']];
+  }
+  return settings;
+}
+
+// Ask for a password on the terminal without showing it, resolving with what was typed
+// (null when Ctrl+C was pressed)
+function askSecret(prompt) {
+  const { stdin, stderr } = process;
+  return new Promise((resolve) => {
+    let secret = '';
+    const finish = (value) => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+      resolve(value);
+    };
+    const onData = (text) => {
+      for (const char of text) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          finish(secret);
+          return;
+        }
+        if (char === '\u0003') {
+          finish(null);
+          return;
+        }
+        if (char === '\u007f' || char === '\b') {
+          secret = secret.slice(0, -1);
+        } else if (char >= ' ') {
+          secret += char;
+        }
+      }
+    };
+    stderr.write(prompt);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+// First line of the file `path` holding a password (`-` reads stdin)
+function readSecretFile(path, what) {
+  try {
+    return readFileSync(path === '-' ? 0 : resolve(path), 'utf8').split(/\r?\n/)[0];
+  } catch (error) {
+    throw new CustomizeError(`Cannot read ${what}: ${error.message}`);
+  }
+}
+
+// Passwords of the first-boot settings, which aren't taken as arguments (other users could
+// see them in the process list): read from --password-file / --wifi-password-file, else
+// asked on the terminal. Resolves with { password, wifiPassword } (undefined when not
+// given), null when asking was cancelled; throws CustomizeError when they can't be had.
+async function firstBootSecrets(options) {
+  const secrets = {};
+  if (options['password-file']) {
+    secrets.password = readSecretFile(options['password-file'], 'the password');
+  } else if (options.user) {
+    if (!process.stdin.isTTY) {
+      throw new CustomizeError(`Give the password of ${options.user} with --password-file (- reads it from stdin), or run on a terminal to be asked`);
+    }
+    const password = await askSecret(`Password for ${options.user}: `);
+    if (password === null) return null;
+    const again = await askSecret('Type it again: ');
+    if (again === null) return null;
+    if (again !== password) throw new CustomizeError('The passwords don\'t match');
+    secrets.password = password;
+  }
+  if (options['wifi-password-file']) {
+    secrets.wifiPassword = readSecretFile(options['wifi-password-file'], 'the Wi-Fi password');
+  } else if (options['wifi-ssid'] && process.stdin.isTTY) {
+    const wifiPassword = await askSecret(`Password of ${options['wifi-ssid']} (empty for an open network): `);
+    if (wifiPassword === null) return null;
+    secrets.wifiPassword = wifiPassword;
+  }
+  return secrets;
+}
+
+// First-boot settings of a restore or customize command (null when none are given), with
+// the passwords from `secrets` (see firstBootSecrets); throws CustomizeError for settings
+// that can't be used
+function customizationOptions(options, secrets) {
+  const flags = ['hostname', 'ssh', 'ssh-key', 'user', 'password-file', 'wifi-ssid', 'wifi-password-file', 'wifi-country'];
+  if (!flags.some(flag => options[flag] !== undefined)) return null;
+  let sshKey;
+  if (options['ssh-key']) {
+    try {
+      sshKey = readFileSync(resolve(options['ssh-key']), 'utf8').trim();
+    } catch (error) {
+      throw new CustomizeError(`Cannot read the SSH key: ${error.message}`);
+    }
+  }
+  return createCustomization({
+    hostname: options.hostname,
+    ssh: options.ssh,
+    sshKey,
+    user: options.user,
+    password: secrets.password,
+    wifiSsid: options['wifi-ssid'],
+    wifiPassword: secrets.wifiPassword,
+    wifiCountry: options['wifi-country'],
+  });
+}
+
+// An image path given on the command line: local paths made absolute, ssh:// URLs
+// checked (throws a RemoteError for an invalid one) and kept as they are
+function imagePath(path) {
+  if (!isRemote(path)) return resolve(path);
+  parseRemote(path);
+  return path;
+}
+
+// Write the first-boot settings to the image in `options.image`
+async function customizeImageFile(options, customization) {
+  if (isRemote(options.image)) {
+    console.error(`${options.image} is on another computer - only images on this computer can be customized`);
+    return EXIT_CODES.USAGE;
+  }
+  const image = resolve(options.image);
+  if (!existsSync(image)) {
+    console.error(`Image not found: ${image}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (compressionFromPath(image) !== 'none') {
+    console.error(`${image} is compressed - only raw images can be customized (or restore it with the settings)`);
+    return EXIT_CODES.USAGE;
+  }
+  if (!customization) {
+    console.error('Nothing to customize - give at least one first-boot setting (see --help)');
+    return EXIT_CODES.USAGE;
+  }
+  try {
+    const files = await customizeImage(image, customization);
+    console.log(`Customized ${image}: ${describeCustomization(customization).join(', ')}`);
+    console.log(`Wrote ${files.join(', ')} to the boot partition`);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (!(error instanceof CustomizeError)) throw error;
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.FAILED;
+  }
+}
+
+// Print what is inside the image in `options.image` (see inspectImage)
+async function printImageInfo(options) {
+  let image;
+  try {
+    image = imagePath(options.image);
+  } catch (error) {
+    if (!(error instanceof RemoteError)) throw error;
+    console.error(error.message);
+    return EXIT_CODES.USAGE;
+  }
+  if (!isRemote(image) && !existsSync(image)) {
+    console.error(`Image not found: ${image}`);
+    return EXIT_CODES.USAGE;
+  }
+  let info;
+  try {
+    info = await inspectImage(image);
+  } catch (error) {
+    if (!(error instanceof InspectError)) throw error;
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.FAILED;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(info));
+    return EXIT_CODES.OK;
+  }
+  console.log(`${image}: ${info.size === null ? 'unknown size' : formatBytes(info.size)}${info.compression === 'none' ? '' : ` uncompressed (${info.compression})`}`);
+  if (info.chain) console.log(`Delta backup, rebuilt from ${info.chain.join(' + ')}`);
+  console.log(`OS: ${info.release?.name || 'unknown (no /etc/os-release found)'}`);
+  if (info.table) {
+    console.log(`Partitions (${info.table}, disk ID ${info.diskId}):`);
+    for (const partition of info.partitions) console.log(`  ${describePartition(partition)}`);
+  } else {
+    console.log(`No partition table${info.filesystem ? `, a lone ${info.filesystem.type} filesystem` : ''}`);
+  }
+  return EXIT_CODES.OK;
+}
+
+// Ask for confirmation on the terminal (never when stdin isn't one)
+function confirmOnTerminal(message) {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve(false);
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => {
+    rl.question(`${message} Type "yes" to continue: `, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase() === 'yes');
+    });
+  });
+}
+
+// Print a JSON line for `event` (with the card it is about when restoring to several cards)
+function printEvent(event, data = {}, target = null) {
+  console.log(JSON.stringify({ event, time: new Date().toISOString(), ...(target ? { target } : {}), ...data }));
+}
+
+// Print the log, phase and progress events of `job` as plain text (prefixed with the card
+// `target`, when given) or JSON lines
+function reportProgress(job, { json, target = null }) {
+  const print = (event, data) => printEvent(event, data, target);
+  const prefix = target ? `[${target}] ` : '';
+  let lastPercent = -1;
+  let lastPrinted = 0;
+
+  job.on('log', (message) => {
+    json ? print('log', { message }) : console.log(prefix + message);
+  });
+
+  job.on('phase', (phase) => {
+    json ? print('phase', { phase }) : console.log(`${prefix}==> ${phase.replace(/_/g, ' ')}`);
+  });
+
+  job.on('progress', (update) => {
+    if (json) {
+      print('progress', update);
+      return;
+    }
+    // Plain text: one line per whole percent (or every 10s when the total is unknown)
+    const percent = update.percent === null ? null : Math.floor(update.percent);
+    const now = Date.now();
+    if (percent === null ? now - lastPrinted < 10000 : percent === lastPercent) return;
+    lastPercent = percent;
+    lastPrinted = now;
+    const parts = [
+      percent === null ? formatBytes(update.bytes) : `${percent}% (${formatBytes(update.bytes)} of ${formatBytes(update.total)})`,
+      update.speed,
+      `elapsed ${formatDuration(update.elapsed)}`,
+    ];
+    if (update.skipped) parts.push(`${formatBytes(update.skipped)} skipped`);
+    if (update.eta !== null) parts.push(`ETA ${formatDuration(update.eta)}`);
+    console.log(prefix + parts.join(', '));
+  });
+}
+
+// Print the events of a `type` job as plain text or JSON lines (see reportProgress),
+// resolving with the exit code when it ends
+function reportJob(job, { type, json, target = null }, resolveExit) {
+  const print = (event, data) => printEvent(event, data, target);
+  const prefix = target ? `[${target}] ` : '';
+  reportProgress(job, { json, target });
+
+  job.on('error', (error) => {
+    json ? print('error', { message: error.message, offset: error.offset }) : console.error(`${prefix}Error: ${error.message}`);
+    resolveExit(error instanceof VerifyError ? EXIT_CODES.VERIFY_FAILED : EXIT_CODES.FAILED);
+  });
+
+  job.on('cancelled', ({ removed, resumable }) => {
+    if (json) {
+      print('cancelled', { removed, resumable, undefinedTarget: type === 'restore' });
+    } else {
+      console.error(`${prefix}Cancelled.`);
+      for (const path of removed) console.error(`Partial image deleted: ${path}`);
+      if (resumable) console.error(`Partial image kept: ${resumable} - run the backup again with --resume to continue`);
+      if (type === 'restore') {
+        console.error(`${prefix}The target card is now in an undefined state - restore an image to it again before using it.`);
+      }
+    }
+    resolveExit(EXIT_CODES.CANCELLED);
+  });
+
+  job.on('done', (result) => {
+    if (json) {
+      print('done', { image: result?.image });
+    } else {
+      if (result?.image) console.log(`Image saved to ${result.image}`);
+      console.log(`${prefix}Done.`);
+    }
+    resolveExit(EXIT_CODES.OK);
+  });
+}
+
+// Register the card in `options.device` for automatic backups
+function registerCard(options) {
+  const config = loadConfig();
+  const disk = listCards().find(card => card.device === options.device);
+  if (!disk) {
+    console.error(`${options.device} is not a connected removable disk`);
+    return EXIT_CODES.USAGE;
+  }
+  if (isRemote(options.dir)) {
+    console.error('Automatic backups need a --dir on this computer');
+    return EXIT_CODES.USAGE;
+  }
+  let card;
+  try {
+    card = createCard(disk, config.cards, {
+      name: options.name,
+      directory: resolve(options.dir),
+      template: options.template,
+      keep: options.keep === undefined ? undefined : parseInt(options.keep),
+      compression: options.compress || 'none',
+      shrink: options.shrink !== false,
+      verify: Boolean(options.verify),
+      after: options.after,
+    });
+  } catch (error) {
+    if (!(error instanceof CardError)) throw error;
+    console.error(error.message);
+    return EXIT_CODES.USAGE;
+  }
+  saveConfig({ ...config, cards: [...config.cards, card] });
+  console.log(`Registered ${disk.device} (${[card.model, card.serial].filter(Boolean).join(', ')}) as ${card.name}`);
+  console.log('Run `pi-backup watch` to back it up whenever it is inserted.');
+  return EXIT_CODES.OK;
+}
+
+// Remove the registration of the card `options.name`
+function unregisterCard(options) {
+  const config = loadConfig();
+  if (!config.cards.some(card => card.name === options.name)) {
+    console.error(`No card named ${options.name} is registered`);
+    return EXIT_CODES.USAGE;
+  }
+  saveConfig({ ...config, cards: config.cards.filter(card => card.name !== options.name) });
+  console.log(`Unregistered ${options.name} (its images are kept)`);
+  return EXIT_CODES.OK;
+}
+
+// List the registered cards with their images
+function printCards(options) {
+  const { cards } = loadConfig();
+  if (options.json) {
+    console.log(JSON.stringify(cards.map(card => ({ ...card, images: cardImages(card) }))));
+    return EXIT_CODES.OK;
+  }
+  if (cards.length === 0) {
+    console.log('No cards registered (see `pi-backup register`)');
+  }
+  for (const card of cards) {
+    const images = cardImages(card);
+    console.log(`${card.name}: ${[card.model, card.serial, card.size ? formatBytes(card.size) : null].filter(Boolean).join(', ')}`);
+    console.log(`  into ${card.directory}/${card.template}, ${card.compression}, keeping ${card.keep || 'all'} images`);
+    for (const { image, created } of images) console.log(`  ${created}  ${image}`);
+  }
+  return EXIT_CODES.OK;
+}
+
+// Back up the registered cards whenever they are inserted, until SIGINT/SIGTERM
+function watchCards(options) {
+  const config = loadConfig();
+  if (config.cards.length === 0) {
+    console.error('No cards registered (see `pi-backup register`)');
+    return EXIT_CODES.USAGE;
+  }
+  const json = options.json;
+  const print = (event, data = {}) => console.log(JSON.stringify({ event, time: new Date().toISOString(), ...data }));
+  const watcher = createWatcher(config.cards, {
+    pishrink: config.pishrink,
+    interval: options.interval ? Number(options.interval) : DEFAULT_INTERVAL,
+  });
+
+  watcher.on('inserted', ({ card, disk }) => {
+    json ? print('inserted', { card: card.name, device: disk.device }) : console.log(`${card.name} inserted as ${disk.device}`);
+  });
+  watcher.on('removed', ({ card }) => {
+    json ? print('removed', { card: card.name }) : console.log(`${card.name} removed`);
+  });
+  watcher.on('job', ({ card, job, description }) => {
+    if (!json) console.log(`Backing up ${card.name} to ${description.destination}`);
+    reportJob(job, { type: 'backup', json }, () => {});
+    recordJob(job, description);
+  });
+  watcher.on('finished', ({ card, result, error }) => {
+    if (json) {
+      print('finished', { card: card.name, result, message: error?.message });
+    } else if (result !== RESULTS.DONE) {
+      console.error(`Backup of ${card.name} ${result === RESULTS.CANCELLED ? 'cancelled' : `failed: ${error.message}`}`);
+    }
+  });
+  watcher.on('rotated', ({ card, removed }) => {
+    if (json) {
+      print('rotated', { card: card.name, removed });
+    } else {
+      for (const path of removed) console.log(`Deleted old image of ${card.name}: ${path}`);
+    }
+  });
+
+  if (!json) {
+    console.log(`Watching for ${config.cards.map(card => card.name).join(', ')} (Ctrl+C to stop)`);
+  }
+  return new Promise((resolveExit) => {
+    let stopping = false;
+    const stop = () => {
+      if (stopping) return;
+      stopping = true;
+      if (!json) console.error('Stopping...');
+      watcher.stop().then(() => resolveExit(EXIT_CODES.OK));
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    watcher.start();
+  });
+}
+
+// Restore the image of the restore `job` to all `targets` at once, resolving with the exit
+// code once every card is done: failed when any card failed, else verify failed when any
+// card failed verification
+function restoreToCards(job, targets, options) {
+  const json = options.json;
+  const restore = createMultiRestore({
+    source: job.source, destinations: targets, verify: job.verify, after: job.after, customize: job.customize,
+  });
+  reportProgress(restore, { json });
+  for (const { destination, job: card } of restore.jobs) {
+    reportJob(card, { type: 'restore', json, target: destination }, () => {});
+    recordJob(card, {
+      type: 'restore', source: job.source, destination, verify: job.verify, after: job.after, customize: job.customize,
+    });
+  }
+
+  const summarize = (results) => {
+    if (json) {
+      printEvent('summary', {
+        results: results.map(({ destination, result, error }) => ({ destination, result, message: error?.message })),
+      });
+      return;
+    }
+    console.log('Summary:');
+    for (const { destination, result, error } of results) {
+      console.log(`  ${destination}: ${result}${error ? ` - ${error.message}` : ''}`);
+    }
+  };
+
+  return new Promise((resolveExit) => {
+    restore.on('error', (error) => {
+      json ? printEvent('error', { message: error.message }) : console.error(`Error: ${error.message}`);
+      resolveExit(EXIT_CODES.FAILED);
+    });
+    restore.on('done', (results) => {
+      summarize(results);
+      const errors = results.map(({ error }) => error).filter(Boolean);
+      if (errors.some(error => !(error instanceof VerifyError))) {
+        resolveExit(EXIT_CODES.FAILED);
+      } else {
+        resolveExit(errors.length > 0 ? EXIT_CODES.VERIFY_FAILED : EXIT_CODES.OK);
+      }
+    });
+    restore.on('cancelled', (results) => {
+      summarize(results);
+      resolveExit(EXIT_CODES.CANCELLED);
+    });
+
+    let cancelling = false;
+    const cancel = () => {
+      if (cancelling) return;
+      cancelling = true;
+      if (!json) console.error('Cancelling...');
+      restore.cancel();
+    };
+    process.on('SIGINT', cancel);
+    process.on('SIGTERM', cancel);
+    restore.start();
+  });
+}
+
+// Run a backup or restore without the TUI, resolving to the process exit code
+export async function runCli(argv) {
+  let command, options;
+  try {
+    ({ command, options } = parseCliArgs(argv));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${CLI_USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (command === 'help') {
+    console.log(CLI_USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (command === 'register') return registerCard(options);
+  if (command === 'unregister') return unregisterCard(options);
+  if (command === 'cards') return printCards(options);
+  if (command === 'watch') return watchCards(options);
+  if (command === 'inspect') return printImageInfo(options);
+
+  let customization;
+  try {
+    const secrets = await firstBootSecrets(options);
+    if (!secrets) return EXIT_CODES.CANCELLED;
+    customization = customizationOptions(options, secrets);
+  } catch (error) {
+    if (!(error instanceof CustomizeError)) throw error;
+    console.error(error.message);
+    return EXIT_CODES.USAGE;
+  }
+  if (command === 'customize') return customizeImageFile(options, customization);
+
+  let image;
+  try {
+    image = imagePath(command === 'backup' ? options.out : options.image);
+    if (command === 'backup') parseRemote(options.source);
+  } catch (error) {
+    if (!(error instanceof RemoteError)) throw error;
+    console.error(error.message);
+    return EXIT_CODES.USAGE;
+  }
+  const job = command === 'backup'
+    ? {
+      type: 'backup',
+      source: options.source,
+      destination: image,
+      compression: options.compress || compressionFromPath(options.out),
+      shrink: options.shrink !== false,
+      shrinker: options.shrinker || SHRINKERS.AUTO,
+      pishrink: pishrinkSettings(options),
+      resume: Boolean(options.resume),
+      sparse: Boolean(options.sparse),
+      quiesce: options.quiesce || QUIESCE.SYNC,
+      base: options.base ? resolve(options.base) : null,
+    }
+    : { type: 'restore', source: image, destination: options.target[0], customize: customization };
+  job.after = options.after || AFTER_JOB.NONE;
+  job.verify = Boolean(options.verify);
+
+  if (job.resume && job.compression !== 'none') {
+    console.error('--resume only works for raw backups (compressed backups are started over)');
+    return EXIT_CODES.USAGE;
+  }
+  if (job.resume && isRemote(job.destination)) {
+    console.error('--resume only works for backups on this computer');
+    return EXIT_CODES.USAGE;
+  }
+  if (job.resume && job.base) {
+    console.error('--resume doesn\'t work for delta backups (they are started over)');
+    return EXIT_CODES.USAGE;
+  }
+  if (job.base && !existsSync(job.base)) {
+    console.error(`Base image not found: ${job.base}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (job.resume && isRemote(job.source)) {
+    console.error('--resume doesn\'t work for a running Pi as --source (its card keeps changing)');
+    return EXIT_CODES.USAGE;
+  }
+  // Remote images are checked by the job, which fails when they can't be reached
+  if (command === 'backup' && !isRemote(job.destination) && !existsSync(dirname(job.destination))) {
+    console.error(`Output directory does not exist: ${dirname(job.destination)}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (command === 'restore' && !isRemote(job.source) && !existsSync(job.source)) {
+    console.error(`Image not found: ${job.source}`);
+    return EXIT_CODES.USAGE;
+  }
+  const targets = options.target || [];
+  if (new Set(targets).size < targets.length) {
+    console.error('Each --target may only be given once');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (!options.yes) {
+    let message;
+    if (command === 'backup') {
+      message = `${job.resume ? 'Resume the backup of' : 'Back up'} ${job.source} to ${job.destination}` +
+        `${job.base ? ` (the changes since ${job.base})` : ''}?`;
+    } else if (targets.length > 1) {
+      message = `Restore ${job.source} to ${targets.join(', ')}? This will ERASE ALL DATA on all ${targets.length} cards!`;
+    } else {
+      message = `Restore ${job.source} to ${job.destination}? This will ERASE ALL DATA on ${job.destination}!`;
+    }
+    if (customization) {
+      message += `\nThen set ${describeCustomization(customization).join(', ')}.`;
+    }
+    if (!(await confirmOnTerminal(message))) {
+      console.error('Not confirmed (pass --yes to skip the prompt)');
+      return EXIT_CODES.NOT_CONFIRMED;
+    }
+  }
+
+  if (targets.length > 1) return restoreToCards(job, targets, options);
+
+  return new Promise((resolveExit) => {
+    const running = createJob(job);
+    reportJob(running, { type: job.type, json: options.json }, resolveExit);
+    recordJob(running, job);
+
+    // Ctrl+C / SIGTERM cancel the job (stopping dd and cleaning up) instead of orphaning it
+    let cancelling = false;
+    const cancel = () => {
+      if (cancelling) return;
+      cancelling = true;
+      if (!options.json) console.error('Cancelling...');
+      running.cancel();
+    };
+    process.on('SIGINT', cancel);
+    process.on('SIGTERM', cancel);
+    running.start();
+  });
+}
@@ -0,0 +1,210 @@
+// Image compression formats: streaming compressors for backups and
+// decompressors for restores
+
+import { spawnSync, execFileSync } from 'child_process';
+import { createReadStream, statSync, openSync, readSync, closeSync } from 'fs';
+import { resolve } from 'path';
+import { Duplex } from 'stream';
+import { createGzip, createGunzip, gunzipSync, constants as zlibConstants } from 'zlib';
+import { parseMbr } from './shrink.js';
+import { parseRemote, sshArgs, sshError, runSsh, remoteCommands, parseGzipTrailer, RemoteError } from './remote.js';
+
+// Compression formats for backups. gzip runs in Node (zlib), xz and zstd
+// need their binaries installed. `ratio` is a cautious guess of the compressed size
+// relative to the card's, for checking free space before a backup (cards that are
+// mostly empty compress far better).
+export const COMPRESSIONS = {
+  none: { label: 'None (raw .img, can be shrunk with pishrink)', extension: '.img', ratio: 1 },
+  gzip: { label: 'gzip (.img.gz)', extension: '.img.gz', ratio: 0.6 },
+  xz: { label: 'xz (.img.xz, smallest, slow)', extension: '.img.xz', binary: 'xz', ratio: 0.5 },
+  zstd: { label: 'zstd (.img.zst, fast)', extension: '.img.zst', binary: 'zstd', ratio: 0.6 },
+};
+
+// Most data a byte of deflate output can stand for (a run of one byte compresses about 1032:1)
+const GZIP_MAX_RATIO = 1032;
+// gzip's header and trailer take at least 18 bytes, deflate adds at most 5 bytes to every
+// 65535 it can't compress
+const GZIP_OVERHEAD = 18;
+const DEFLATE_STORED_BLOCK = 65535;
+
+// Image files the restore picker lists
+export const IMAGE_FILE_PATTERN = /\.(img|img\.gz|img\.xz|img\.zst|zip|iso|dmg)$/i;
+
+// Compression of an image file from its name ('zip' for zip archives)
+export function compressionFromPath(path) {
+  if (/\.gz$/i.test(path)) return 'gzip';
+  if (/\.xz$/i.test(path)) return 'xz';
+  if (/\.zst$/i.test(path)) return 'zstd';
+  if (/\.zip$/i.test(path)) return 'zip';
+  return 'none';
+}
+
+// Replace the image (or delta backup) extension of `fileName` with the image one for `compression`
+export function withExtension(fileName, compression) {
+  const base = fileName.replace(/\.(img|delta)(\.gz|\.xz|\.zst)?$/i, '');
+  return base + COMPRESSIONS[compression].extension;
+}
+
+// Whether a command line tool can be run
+function hasBinary(binary) {
+  return spawnSync(binary, ['--version'], { stdio: 'ignore' }).status === 0;
+}
+
+// Compressions usable on this machine
+export function availableCompressions() {
+  return Object.keys(COMPRESSIONS).filter(name => !COMPRESSIONS[name].binary || hasBinary(COMPRESSIONS[name].binary));
+}
+
+// Wrap a spawned filter process (stdin -> stdout) as a duplex stream
+function processStream(child) {
+  return Duplex.from({ writable: child.stdin, readable: child.stdout });
+}
+
+// Create a compressing stream for backups.
+// Returns { stream, process } where process is the spawned compressor (null for gzip).
+export function createCompressor(compression, spawn) {
+  if (compression === 'gzip') {
+    return { stream: createGzip(), process: null };
+  }
+  const child = spawn(COMPRESSIONS[compression].binary, ['-c', '-T0'], { stdio: ['pipe', 'pipe', 'ignore'] });
+  return { stream: processStream(child), process: child };
+}
+
+// Open an image for reading, decompressing it on the fly.
+// Returns { stream, process } where process is the spawned decompressor (null when
+// Node reads the file itself). Zip archives are expected to hold a single image.
+// Images on another computer (ssh:// URLs, see remote.js) are read through ssh, which
+// is the process for raw and gzip images; the host unpacks zip archives.
+export function openImage(image, spawn) {
+  const remote = parseRemote(image);
+  if (remote) {
+    const compression = compressionFromPath(remote.path);
+    const command = compression === 'zip' ? remoteCommands.unzip(remote.path) : remoteCommands.read(remote.path);
+    const ssh = spawn('ssh', sshArgs(remote, command), { stdio: ['ignore', 'pipe', 'ignore'] });
+    if (compression === 'none' || compression === 'zip') {
+      return { stream: ssh.stdout, process: ssh };
+    }
+    if (compression === 'gzip') {
+      return { stream: ssh.stdout.pipe(createGunzip()), process: ssh };
+    }
+    const child = spawn(COMPRESSIONS[compression].binary, ['-dc'], { stdio: ['pipe', 'pipe', 'ignore'] });
+    ssh.stdout.pipe(child.stdin);
+    child.stdin.on('error', () => {});  // the decompressor was stopped, ssh goes with it
+    return { stream: child.stdout, process: child };
+  }
+
+  // Absolute, so a file name starting with "-" can't be taken for an option
+  const path = resolve(image);
+  const compression = compressionFromPath(path);
+  if (compression === 'none') {
+    return { stream: createReadStream(path), process: null };
+  }
+  if (compression === 'gzip') {
+    const file = createReadStream(path);
+    const gunzip = createGunzip();
+    file.pipe(gunzip);
+    gunzip.on('close', () => file.destroy());
+    return { stream: gunzip, process: null };
+  }
+
+  const args = {
+    xz: ['xz', '-dc', '--', path],
+    zstd: ['zstd', '-dc', '--', path],
+    zip: ['unzip', '-p', path],
+  }[compression];
+  const child = spawn(args[0], args.slice(1), { stdio: ['ignore', 'pipe', 'ignore'] });
+  return { stream: child.stdout, process: child };
+}
+
+// Uncompressed size of a gzip file of `size` bytes from its trailer (its last 4 bytes),
+// null when the trailer can't tell it. The trailer stores the size modulo 2^32: of the
+// sizes it stands for, this is the smallest a file of `size` bytes can hold that is at
+// least `atLeast` (e.g. where the image's partitions end). Exact for files too small to
+// hold 4 GiB, and for images that end less than 4 GiB after their partitions.
+function gzipTrailerSize(trailer, size, atLeast = 0) {
+  const least = Math.max(atLeast, Math.floor((size - GZIP_OVERHEAD) * DEFLATE_STORED_BLOCK / (DEFLATE_STORED_BLOCK + 5)));
+  const stored = trailer.readUInt32LE(0);
+  const candidate = stored + Math.max(0, Math.ceil((least - stored) / 2 ** 32)) * 2 ** 32;
+  return candidate <= size * GZIP_MAX_RATIO ? candidate : null;
+}
+
+// Where the partitions of the gzip image open as `fd` end, from the MBR in its first
+// sector (0 without one). Only the start of the file is decompressed.
+function gzipPartitionsEnd(fd) {
+  const start = Buffer.alloc(64 * 1024);
+  const length = readSync(fd, start, 0, start.length, 0);
+  try {
+    const sector = gunzipSync(start.subarray(0, length), { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+    return Math.max(0, ...parseMbr(sector).map(part => part.start + part.size));
+  } catch {
+    return 0;
+  }
+}
+
+// Uncompressed size of a local gzip image of `size` bytes
+function gzipSize(image, size) {
+  const fd = openSync(image, 'r');
+  const trailer = Buffer.alloc(4);
+  let partitionsEnd;
+  try {
+    readSync(fd, trailer, 0, 4, size - 4);
+    partitionsEnd = gzipPartitionsEnd(fd);
+  } finally {
+    closeSync(fd);
+  }
+  return gzipTrailerSize(trailer, size, partitionsEnd);
+}
+
+// Get the number of bytes a local image will write (its uncompressed size), null if unknown
+// (see getRemoteImageSize for images on another computer)
+export function getImageSize(image) {
+  try {
+    const { size } = statSync(image);
+    switch (compressionFromPath(image)) {
+      case 'none':
+        return size;
+      case 'gzip':
+        return gzipSize(image, size);
+      case 'xz': {
+        // "totals <streams> <blocks> <compressed> <uncompressed> ..."
+        const output = execFileSync('xz', ['--robot', '--list', '--', image], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        const totals = output.split('\n').find(line => line.startsWith('totals'));
+        return totals ? parseInt(totals.split('\t')[4]) : null;
+      }
+      case 'zstd': {
+        // Only known when the compressor was told the size up front
+        const output = execFileSync('zstd', ['-lv', '--', image], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        const sizeMatch = output.match(/Decompressed Size:.*\((\d+) B\)/);
+        return sizeMatch ? parseInt(sizeMatch[1]) : null;
+      }
+      case 'zip': {
+        const output = execFileSync('unzip', ['-Zt', resolve(image)], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        const sizeMatch = output.match(/(\d+) bytes uncompressed/);
+        return sizeMatch ? parseInt(sizeMatch[1]) : null;
+      }
+    }
+  } catch {}
+  return null;
+}
+
+// Get the number of bytes an image on another computer (an ssh:// URL, see remote.js) will
+// write, asking its host with ssh spawned by `spawn`. Resolves with null when it isn't
+// known (xz, zstd and zip images, and gzip images too big for their trailer to tell),
+// rejects with a RemoteError when the image can't be read.
+export async function getRemoteImageSize(image, spawn) {
+  const remote = parseRemote(image);
+  const compression = compressionFromPath(remote.path);
+  const command = compression === 'gzip' ? remoteCommands.gzipTrailer(remote.path) : remoteCommands.size(remote.path);
+  let result;
+  try {
+    result = await runSsh(spawn, remote, command);
+  } catch (err) {
+    throw new RemoteError(`Cannot read ${image}: ${err.message}`);
+  }
+  if (result.code !== 0) {
+    throw new RemoteError(`Cannot read ${image}: ${sshError(result.stderr, result.code)}`);
+  }
+  if (compression === 'none') return parseInt(result.stdout) || null;
+  const gzip = compression === 'gzip' ? parseGzipTrailer(result.stdout) : null;
+  return gzip ? gzipTrailerSize(gzip.trailer, gzip.size) : null;
+}
@@ -0,0 +1,36 @@
+// User settings, kept in $XDG_CONFIG_HOME/pi-backup/config.json
+// (~/.config/pi-backup/config.json)
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { join, dirname } from 'path';
+
+export const CONFIG_PATH = join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'pi-backup', 'config.json');
+
+// Settings used when the file doesn't have them
+// `pishrink.path`: script to run instead of the bundled one, `pishrink.sha256` its pinned checksum
+// `pishrink.options`: pishrink option letters passed on every run (see PISHRINK_OPTIONS)
+// `cards`: cards backed up automatically by `pi-backup watch` (see watch.js)
+export const DEFAULT_CONFIG = {
+  pishrink: { path: null, sha256: null, options: [] },
+  cards: [],
+};
+
+// Read the settings, filling in defaults (a missing or unreadable file gives the defaults)
+export function loadConfig() {
+  let saved = {};
+  try {
+    saved = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+  } catch {}
+  return {
+    ...DEFAULT_CONFIG,
+    ...saved,
+    pishrink: { ...DEFAULT_CONFIG.pishrink, ...saved.pishrink },
+  };
+}
+
+// Write the settings, creating the directory if needed
+export function saveConfig(config) {
+  mkdirSync(dirname(CONFIG_PATH), { recursive: true });
+  writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n');
+}
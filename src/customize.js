@@ -0,0 +1,301 @@
+// First-boot settings for a restored Raspberry Pi OS card or image, written to its FAT boot
+// partition the way Raspberry Pi Imager does it: an empty `ssh` file enables SSH,
+// `userconf.txt` sets the user and password, and `firstrun.sh` (run once at first boot from
+// cmdline.txt) sets the hostname, Wi-Fi and SSH key.
+//
+//   const customization = createCustomization({ hostname: 'kiosk', user: 'pi', password: '...' });
+//   await customizeImage('pi.img', customization);  // a raw image, or a lone boot partition
+//
+// Customizations only hold hashes of the passwords; the job history records what they set
+// (describeCustomization), not them.
+
+import { createHash, pbkdf2Sync, randomBytes } from 'crypto';
+import { open } from 'fs/promises';
+import { openFat, parseFatBootSector, FatError } from './fat.js';
+import { parseMbr } from './shrink.js';
+
+// MBR partition types of FAT filesystems (FAT16 and FAT32, with CHS or LBA addressing)
+const FAT_PARTITION_TYPES = [0x04, 0x06, 0x0b, 0x0c, 0x0e];
+
+// Added to cmdline.txt to run firstrun.sh once at first boot (it removes them again)
+const FIRSTRUN_CMDLINE = 'systemd.run=/boot/firstrun.sh systemd.run_success_action=reboot systemd.unit=kernel-command-line.target';
+
+// Raspberry Pi OS helper that applies settings on releases with NetworkManager (Bookworm on)
+const IMAGER_CUSTOM = '/usr/lib/raspberrypi-sys-mods/imager_custom';
+
+// The settings can't be used, or the image can't be customized (with a message ready to show to the user)
+export class CustomizeError extends Error {}
+
+// Alphabet of the base64 variant crypt(3) uses
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Order in which SHA-512 crypt encodes the bytes of its digest, 3 at a time
+const SHA512_CRYPT_ORDER = [
+  [0, 21, 42], [22, 43, 1], [44, 2, 23], [3, 24, 45], [25, 46, 4], [47, 5, 26], [6, 27, 48],
+  [28, 49, 7], [50, 8, 29], [9, 30, 51], [31, 52, 10], [53, 11, 32], [12, 33, 54], [34, 55, 13],
+  [56, 14, 35], [15, 36, 57], [37, 58, 16], [59, 17, 38], [18, 39, 60], [40, 61, 19], [62, 20, 41],
+];
+
+// crypt(3) SHA-512 hash ("$6$salt$...") of `password`, as `openssl passwd -6` and
+// /etc/shadow use it. `salt` is at most 16 characters of CRYPT_ALPHABET.
+export function sha512Crypt(password, salt, rounds = 5000) {
+  const key = Buffer.from(password, 'utf8');
+  const saltBytes = Buffer.from(salt.substring(0, 16), 'utf8');
+  const sha512 = (...parts) => {
+    const hash = createHash('sha512');
+    for (const part of parts) hash.update(part);
+    return hash.digest();
+  };
+  // `digest` repeated and cut to `length` bytes
+  const stretch = (digest, length) => Buffer.concat(Array(Math.ceil(length / 64) || 1).fill(digest)).subarray(0, length);
+
+  const alternate = sha512(key, saltBytes, key);
+  const parts = [key, saltBytes, stretch(alternate, key.length)];
+  for (let length = key.length; length > 0; length >>= 1) parts.push(length & 1 ? alternate : key);
+  let digest = sha512(...parts);
+
+  const keySequence = stretch(sha512(...Array(key.length).fill(key)), key.length);
+  const saltSequence = stretch(sha512(...Array(16 + digest[0]).fill(saltBytes)), saltBytes.length);
+  for (let round = 0; round < rounds; round++) {
+    const roundParts = [round & 1 ? keySequence : digest];
+    if (round % 3) roundParts.push(saltSequence);
+    if (round % 7) roundParts.push(keySequence);
+    roundParts.push(round & 1 ? digest : keySequence);
+    digest = sha512(...roundParts);
+  }
+
+  const encode = (value, count) => {
+    let text = '';
+    for (let i = 0; i < count; i++, value >>= 6) text += CRYPT_ALPHABET[value & 0x3f];
+    return text;
+  };
+  const encoded = SHA512_CRYPT_ORDER.map(([a, b, c]) => encode((digest[a] << 16) | (digest[b] << 8) | digest[c], 4)).join('')
+    + encode(digest[63], 2);
+  return `$6$${rounds === 5000 ? '' : `rounds=${rounds}$`}${salt.substring(0, 16)}$${encoded}`;
+}
+
+// SHA-512 crypt hash of `password` with a random salt
+export function hashPassword(password) {
+  const salt = [...randomBytes(16)].map(byte => CRYPT_ALPHABET[byte & 0x3f]).join('');
+  return sha512Crypt(password, salt);
+}
+
+// WPA pre-shared key of a Wi-Fi network (64 hex digits), as wpa_passphrase computes it.
+// A passphrase that already is one is kept.
+export function wifiPsk(ssid, passphrase) {
+  if (/^[0-9a-f]{64}$/i.test(passphrase)) return passphrase.toLowerCase();
+  return pbkdf2Sync(passphrase, ssid, 4096, 32, 'sha1').toString('hex');
+}
+
+// Customization from the settings the user entered (all optional, empty ones are left out):
+// { hostname, ssh, sshKey, user, password, wifiSsid, wifiPassword, wifiCountry }.
+// `ssh` enables SSH with passwords, `sshKey` (a public key line) with that key only.
+// Returns { hostname, ssh, sshKey, user, passwordHash, wifiSsid, wifiPsk, wifiCountry }
+// (null for what isn't set), throwing CustomizeError for settings that can't be used.
+export function createCustomization({
+  hostname, ssh = false, sshKey, user, password, wifiSsid, wifiPassword, wifiCountry,
+}) {
+  const given = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const customization = {
+    hostname: given(hostname),
+    ssh: Boolean(ssh || given(sshKey)),
+    sshKey: given(sshKey),
+    user: given(user),
+    passwordHash: null,
+    wifiSsid: typeof wifiSsid === 'string' && wifiSsid ? wifiSsid : null,
+    wifiPsk: null,
+    wifiCountry: given(wifiCountry)?.toUpperCase() || null,
+  };
+
+  if (customization.hostname && !/^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(customization.hostname)) {
+    throw new CustomizeError('The hostname may only contain letters, digits and "-" (not at the start or end), up to 63 characters');
+  }
+  if (customization.sshKey && (!/^(ssh-|ecdsa-|sk-)\S+ \S+/.test(customization.sshKey) || /[\r\n]/.test(customization.sshKey))) {
+    throw new CustomizeError('The SSH key must be one public key line, e.g. the contents of ~/.ssh/id_ed25519.pub');
+  }
+  if (customization.user && (!/^[a-z_][a-z0-9_-]{0,31}$/.test(customization.user) || customization.user === 'root')) {
+    throw new CustomizeError('The user name must start with a lowercase letter and only contain lowercase letters, digits, "_" and "-" (and not be root)');
+  }
+  if (customization.user && !password) {
+    throw new CustomizeError(`Set a password for ${customization.user}`);
+  }
+  if (password && !customization.user) {
+    throw new CustomizeError('Set the user name the password is for');
+  }
+  if (password) customization.passwordHash = hashPassword(password);
+
+  if (customization.wifiSsid) {
+    if (Buffer.byteLength(customization.wifiSsid) > 32) {
+      throw new CustomizeError('The Wi-Fi network name may be at most 32 bytes long');
+    }
+    if (!customization.wifiCountry || !/^[A-Z]{2}$/.test(customization.wifiCountry)) {
+      throw new CustomizeError('Set the Wi-Fi country as a two-letter code, e.g. GB, US or DE');
+    }
+    if (wifiPassword && !/^[0-9a-f]{64}$/i.test(wifiPassword) && (wifiPassword.length < 8 || wifiPassword.length > 63)) {
+      throw new CustomizeError('The Wi-Fi password must be 8 to 63 characters long');
+    }
+    customization.wifiPsk = wifiPassword ? wifiPsk(customization.wifiSsid, wifiPassword) : null;
+  } else if (wifiPassword || customization.wifiCountry) {
+    throw new CustomizeError('Set the Wi-Fi network name');
+  }
+
+  if (!customization.hostname && !customization.ssh && !customization.user && !customization.wifiSsid) {
+    throw new CustomizeError('Nothing to customize');
+  }
+  return customization;
+}
+
+// What `customization` sets, one short line per setting (for logs and confirmations)
+export function describeCustomization(customization) {
+  return [
+    customization.hostname ? `hostname ${customization.hostname}` : null,
+    customization.sshKey ? 'SSH with key only' : customization.ssh ? 'SSH enabled' : null,
+    customization.user ? `user ${customization.user}` : null,
+    customization.wifiSsid ? `Wi-Fi ${customization.wifiSsid} (${customization.wifiCountry}${customization.wifiPsk ? '' : ', open'})` : null,
+  ].filter(Boolean);
+}
+
+// `text` as a single-quoted shell word
+const shellQuote = text => `'${text.replace(/'/g, `'\\''`)}'`;
+
+// Script run once as root at first boot for what the boot partition's own files can't set
+// (null when nothing needs it). It uses Raspberry Pi OS's helper when the release has it,
+// and edits the files itself on older releases.
+export function firstRunScript(customization) {
+  const { hostname, sshKey, wifiSsid, wifiPsk: psk, wifiCountry } = customization;
+  if (!hostname && !sshKey && !wifiSsid) return null;
+  const lines = ['#!/bin/bash', '', 'set +e', ''];
+
+  if (hostname) {
+    lines.push(
+      'CURRENT_HOSTNAME=$(tr -d " \\t\\n\\r" </etc/hostname)',
+      `if [ -f ${IMAGER_CUSTOM} ]; then`,
+      `   ${IMAGER_CUSTOM} set_hostname ${hostname}`,
+      'else',
+      `   echo ${hostname} >/etc/hostname`,
+      `   sed -i "s/127.0.1.1.*$CURRENT_HOSTNAME/127.0.1.1\\t${hostname}/g" /etc/hosts`,
+      'fi',
+    );
+  }
+  if (sshKey) {
+    lines.push(
+      'FIRSTUSER=$(getent passwd 1000 | cut -d: -f1)',
+      'FIRSTUSERHOME=$(getent passwd 1000 | cut -d: -f6)',
+      `if [ -f ${IMAGER_CUSTOM} ]; then`,
+      `   ${IMAGER_CUSTOM} enable_ssh -k ${shellQuote(sshKey)}`,
+      'else',
+      '   install -o "$FIRSTUSER" -m 700 -d "$FIRSTUSERHOME/.ssh"',
+      `   echo ${shellQuote(sshKey)} >"$FIRSTUSERHOME/.ssh/authorized_keys"`,
+      '   chown "$FIRSTUSER:$FIRSTUSER" "$FIRSTUSERHOME/.ssh/authorized_keys"',
+      '   chmod 600 "$FIRSTUSERHOME/.ssh/authorized_keys"',
+      '   echo "PasswordAuthentication no" >>/etc/ssh/sshd_config',
+      '   systemctl enable ssh',
+      'fi',
+    );
+  }
+  if (wifiSsid) {
+    // wpa_supplicant takes the network name in hex, so any character in it is fine
+    const network = psk ? [`\tpsk=${psk}`] : ['\tkey_mgmt=NONE'];
+    lines.push(
+      `if [ -f ${IMAGER_CUSTOM} ]; then`,
+      `   ${IMAGER_CUSTOM} set_wlan ${shellQuote(wifiSsid)} ${psk ? shellQuote(psk) : "''"} ${wifiCountry}`,
+      'else',
+      "cat >/etc/wpa_supplicant/wpa_supplicant.conf <<'WPAEOF'",
+      `country=${wifiCountry}`,
+      'ctrl_interface=DIR=/var/run/wpa_supplicant GROUP=netdev',
+      'ap_scan=1',
+      '',
+      'update_config=1',
+      'network={',
+      `\tssid=${Buffer.from(wifiSsid).toString('hex')}`,
+      ...network,
+      '}',
+      'WPAEOF',
+      '   chmod 600 /etc/wpa_supplicant/wpa_supplicant.conf',
+      '   rfkill unblock wifi',
+      '   for filename in /var/lib/systemd/rfkill/*:wlan ; do',
+      '       echo 0 > "$filename"',
+      '   done',
+      'fi',
+    );
+  }
+
+  // The boot partition is at /boot/firmware from Bookworm on
+  lines.push(
+    'for BOOT in /boot/firmware /boot; do',
+    '   if [ -f "$BOOT/cmdline.txt" ]; then',
+    '      rm -f "$BOOT/firstrun.sh"',
+    '      sed -i \'s| systemd.run.*||g\' "$BOOT/cmdline.txt"',
+    '   fi',
+    'done',
+    'exit 0',
+    '',
+  );
+  return lines.join('\n');
+}
+
+// cmdline.txt `cmdline` with firstrun.sh run at the next boot (replacing earlier systemd.run settings)
+export function firstRunCmdline(cmdline) {
+  const line = cmdline.split('\n')[0].replace(/ systemd\.run.*$/, '').trim();
+  return `${line} ${FIRSTRUN_CMDLINE}\n`;
+}
+
+// The boot partition of an image, `sector` being its first 512 bytes: { start, size } (bytes)
+// of the first FAT partition in its MBR, { start: 0, size: null } for a lone FAT filesystem,
+// null when there is none
+export function bootPartition(sector) {
+  try {
+    if (parseFatBootSector(sector)) return { start: 0, size: null };
+  } catch {}
+  let partitions;
+  try {
+    partitions = parseMbr(sector);
+  } catch {
+    return null;
+  }
+  const partition = partitions.find(part => FAT_PARTITION_TYPES.includes(part.type));
+  return partition ? { start: partition.start, size: partition.size } : null;
+}
+
+// Write `customization` (see createCustomization) to the boot partition of the raw image or
+// lone FAT filesystem `path`, resolving with the names of the files written. Errors call the
+// image `name`.
+export async function customizeImage(path, customization, { name = path } = {}) {
+  let handle;
+  try {
+    handle = await open(path, 'r+');
+  } catch (err) {
+    throw new CustomizeError(`Cannot open ${name}: ${err.message}`);
+  }
+  try {
+    const sector = Buffer.alloc(512);
+    await handle.read(sector, 0, 512, 0);
+    const boot = bootPartition(sector);
+    if (!boot) throw new CustomizeError(`No FAT boot partition found in ${name}`);
+
+    const fat = await openFat(handle, boot.start);
+    const script = firstRunScript(customization);
+    const cmdline = script ? await fat.readFile('cmdline.txt') : null;
+    if (script && !cmdline) {
+      throw new CustomizeError(`No cmdline.txt in the boot partition of ${name} - is it a Raspberry Pi OS image?`);
+    }
+
+    const files = [];
+    const write = async (name, contents) => {
+      await fat.writeFile(name, Buffer.from(contents));
+      files.push(name);
+    };
+    if (customization.ssh) await write('ssh', '');
+    if (customization.user) await write('userconf.txt', `${customization.user}:${customization.passwordHash}\n`);
+    if (script) {
+      await write('firstrun.sh', script);
+      await write('cmdline.txt', firstRunCmdline(cmdline.toString()));
+    }
+    return files;
+  } catch (err) {
+    if (err instanceof FatError) throw new CustomizeError(`Cannot customize ${name}: ${err.message}`);
+    throw err;
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,253 @@
+// Delta backups: a backup of a card holding only the 4 MiB blocks that changed since an
+// earlier backup of it, its base. The changed blocks are stored one after the other in a
+// `.delta` file (compressed like images: .delta.gz, .delta.xz, .delta.zst). Its manifest
+// lists them, along with the chain of files the card is rebuilt from: the full image the
+// chain starts with and the deltas after it, oldest first, each with its checksum. All
+// files of a chain are in one directory. Restoring a delta reads the files of its chain
+// side by side and puts the full image together on the fly.
+//
+// Which blocks changed is told by checksums: `<image>.blocks` next to a backup holds the
+// SHA-256 of each of its blocks. Delta backups write it as they read the card; a full
+// image gets it the first time it is used as a base.
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { Readable, Transform } from 'stream';
+import { CHECKPOINT_BLOCK_SIZE, zeroBlockSha256 } from './checkpoint.js';
+import { openImage, withExtension, IMAGE_FILE_PATTERN } from './compression.js';
+import { readManifest } from './manifest.js';
+import { blockReader } from './verify.js';
+
+// Delta backups, raw or compressed
+export const DELTA_FILE_PATTERN = /\.delta(\.gz|\.xz|\.zst)?$/i;
+
+// A delta backup that can't be used, with a message ready to show to the user
+export class DeltaError extends Error {}
+
+// A block of zeros to compare blocks with (see blockSha256)
+let zeroBlock = null;
+
+// Whether `path` is a delta backup, from its name
+export function isDelta(path) {
+  return DELTA_FILE_PATTERN.test(path);
+}
+
+// `fileName` with the delta extension for `compression` (pi.img -> pi.delta, pi.delta.zst)
+export function deltaFileName(fileName, compression) {
+  return withExtension(fileName, compression).replace(/\.img(?=(\.gz|\.xz|\.zst)?$)/i, '.delta');
+}
+
+// SHA-256 of a block, taking the precomputed one for all-zero blocks (sparse backups have many)
+function blockSha256(block) {
+  if (block.length === CHECKPOINT_BLOCK_SIZE) {
+    zeroBlock = zeroBlock || Buffer.alloc(CHECKPOINT_BLOCK_SIZE);
+    if (block.equals(zeroBlock)) return zeroBlockSha256();
+  }
+  return createHash('sha256').update(block).digest('hex');
+}
+
+// Path of the block checksums belonging to `image`
+export function blocksPath(image) {
+  return `${image}.blocks`;
+}
+
+// Read the block checksums of `image`: { header, hashes } with the header
+// { blockSize, size, sha256 } (`size` of the data they are of, `sha256` the checksum of
+// the file at the time), null when there are none or they are cut short
+export function readBlockList(image) {
+  let lines;
+  let header;
+  try {
+    lines = readFileSync(blocksPath(image), 'utf8').split('\n');
+    header = JSON.parse(lines[0]);
+  } catch {
+    return null;
+  }
+  const hashes = [];
+  for (const line of lines.slice(1)) {
+    const lineMatch = line.match(/^(\d+) ([0-9a-f]{64})$/);
+    if (!lineMatch || parseInt(lineMatch[1]) !== hashes.length) break;
+    hashes.push(lineMatch[2]);
+  }
+  return hashes.length === Math.ceil(header.size / header.blockSize) ? { header, hashes } : null;
+}
+
+// Write the block checksums of `image` (see readBlockList)
+export function writeBlockList(image, header, hashes) {
+  const lines = hashes.map((sha256, block) => `${block} ${sha256}\n`);
+  writeFileSync(blocksPath(image), JSON.stringify(header) + '\n' + lines.join(''));
+}
+
+// Checksums of the blocks of the data in `stream`: resolves with { size, hashes }.
+// `onProgress(bytes)` reports the bytes read.
+export async function hashBlocks(stream, { onProgress } = {}) {
+  const read = blockReader(stream);
+  const hashes = [];
+  let size = 0;
+  for (;;) {
+    const block = await read(CHECKPOINT_BLOCK_SIZE);
+    if (block.length === 0) break;
+    hashes.push(blockSha256(block));
+    size += block.length;
+    onProgress?.(size);
+    if (block.length < CHECKPOINT_BLOCK_SIZE) break;
+  }
+  return { size, hashes };
+}
+
+// Pass-through stream for delta backups: of the data of a card, only the blocks whose
+// checksum differs from `baseHashes` (those of the base, see readBlockList) go on. Returns
+// { stream, result } where result() gives { hashes, blocks, stored } once the stream has
+// ended: the checksums of all blocks of the card, the blocks passed on as [first, count]
+// ranges and their bytes.
+export function createDeltaFilter(baseHashes) {
+  const hashes = [];
+  const blocks = [];
+  let stored = 0;
+  let pending = [];
+  let pendingLength = 0;
+
+  // The block when it changed, else null
+  const changed = (block) => {
+    const index = hashes.length;
+    hashes.push(blockSha256(block));
+    if (hashes[index] === baseHashes[index]) return null;
+    const last = blocks[blocks.length - 1];
+    if (last && last[0] + last[1] === index) {
+      last[1]++;
+    } else {
+      blocks.push([index, 1]);
+    }
+    stored += block.length;
+    return block;
+  };
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      if (pendingLength >= CHECKPOINT_BLOCK_SIZE) {
+        let data = Buffer.concat(pending, pendingLength);
+        while (data.length >= CHECKPOINT_BLOCK_SIZE) {
+          const block = changed(data.subarray(0, CHECKPOINT_BLOCK_SIZE));
+          if (block) this.push(block);
+          data = data.subarray(CHECKPOINT_BLOCK_SIZE);
+        }
+        pending = [data];
+        pendingLength = data.length;
+      }
+      callback();
+    },
+    flush(callback) {
+      if (pendingLength > 0) {
+        const block = changed(Buffer.concat(pending, pendingLength));
+        if (block) this.push(block);
+      }
+      callback();
+    },
+  });
+  return { stream, result: () => ({ hashes, blocks, stored }) };
+}
+
+// The chain of the delta backup at `path` (see the top of this file), from its manifest:
+// { size, blockSize, files: [{ path, sha256, size, blocks }] } with the full image first
+// (`blocks` null) and the delta itself last, `size` being that of the card at the time
+// (of the image, for the full one). Throws a DeltaError when a file of the chain is missing
+// or was replaced since.
+export function readChain(path, manifest = readManifest(path)) {
+  const name = basename(path);
+  const delta = manifest?.delta;
+  if (!delta?.chain?.length) {
+    throw new DeltaError(`${name} has no manifest describing what it is rebuilt from - it can't be restored`);
+  }
+  if (delta.blockSize !== CHECKPOINT_BLOCK_SIZE) {
+    throw new DeltaError(`${name} has blocks of ${delta.blockSize} bytes, this version only reads ${CHECKPOINT_BLOCK_SIZE}`);
+  }
+  const files = delta.chain.map((entry, index) => {
+    const file = join(dirname(path), entry.file);
+    if (!existsSync(file)) {
+      throw new DeltaError(`${entry.file} is missing from ${dirname(path)} - ${name} is rebuilt from it`);
+    }
+    const member = readManifest(file);
+    if (member?.sha256?.final !== entry.sha256 || (index > 0 && !member.delta)) {
+      throw new DeltaError(`${entry.file} was replaced after ${name} was made - ${name} can't be rebuilt from it`);
+    }
+    return { path: file, sha256: entry.sha256, size: entry.size, blocks: index > 0 ? member.delta.blocks : null };
+  });
+  files.push({ path, sha256: manifest.sha256?.final ?? null, size: delta.size, blocks: delta.blocks });
+  return { size: delta.size, blockSize: delta.blockSize, files };
+}
+
+// Paths of the files the backup `image` is rebuilt from besides itself, oldest first
+// ([] for a full image or one whose chain isn't known)
+export function chainFiles(image, manifest = readManifest(image)) {
+  return (manifest?.delta?.chain || []).map(entry => join(dirname(image), entry.file));
+}
+
+// The full image a delta backup's `chain` (see readChain) stands for, rebuilt as it is
+// read: every block comes from the newest file of the chain holding it. The files are
+// opened with openImage (decompressed, with `spawn`). Returns { stream, process } like
+// openImage, the process being null; a file of the chain ending early ends the stream
+// with an error.
+export function openChain(chain, spawn) {
+  const { blockSize, size } = chain;
+  const opened = [];
+
+  async function* rebuild() {
+    try {
+      const members = chain.files.map((file) => {
+        const image = openImage(file.path, spawn);
+        opened.push(image);
+        image.process?.on('error', error => image.stream.destroy(error));
+        const stored = new Set((file.blocks || []).flatMap(([first, count]) => Array.from({ length: count }, (_, i) => first + i)));
+        return {
+          ...file,
+          read: blockReader(image.stream),
+          // The full image holds every block up to its size
+          has: block => (file.blocks ? stored.has(block) : block * blockSize < file.size),
+        };
+      });
+      for (let block = 0; block * blockSize < size; block++) {
+        let data = null;
+        for (const member of members) {
+          if (!member.has(block)) continue;
+          // Every file is read in order, also for the blocks a newer one replaces
+          const length = Math.min(blockSize, member.size - block * blockSize);
+          const piece = await member.read(length);
+          if (piece.length < length) throw new Error(`${basename(member.path)} ended early`);
+          data = piece;
+        }
+        if (data?.length !== Math.min(blockSize, size - block * blockSize)) {
+          throw new Error(`block ${block} is in none of the files of the chain`);
+        }
+        yield data;
+      }
+    } finally {
+      for (const image of opened) {
+        image.stream.destroy();
+        image.process?.kill();
+      }
+    }
+  }
+
+  return { stream: Readable.from(rebuild(), { objectMode: false }), process: null };
+}
+
+// Backups made by this tool in `directory` (full images and deltas with a manifest),
+// newest first: [{ image, manifest }]
+export function listBackups(directory) {
+  let files;
+  try {
+    files = readdirSync(directory);
+  } catch {
+    return [];
+  }
+  return files
+    .filter(file => IMAGE_FILE_PATTERN.test(file) || isDelta(file))
+    .flatMap((file) => {
+      const manifest = readManifest(join(directory, file));
+      return manifest?.sha256?.final ? [{ image: join(directory, file), manifest }] : [];
+    })
+    .sort((a, b) => (a.manifest.created < b.manifest.created ? 1 : -1));
+}
@@ -0,0 +1,265 @@
+// Disk device discovery
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, realpathSync, statSync } from 'fs';
+import { basename } from 'path';
+import { homedir } from 'os';
+import { formatBytes } from './format.js';
+import { parsePlist } from './plist.js';
+
+// Paths whose disks are never backed up or written: the running system and the user's files
+export const SYSTEM_PATHS = ['/', '/boot', '/boot/firmware', homedir()];
+
+// Disks bigger than this are unlikely to be SD cards
+export const LARGE_DISK_SIZE = 512 * 1000 ** 3;
+
+// Whether lsblk reports a device as removable (RM is a boolean or "1" depending on the version)
+const isRemovable = dev => dev.rm === true || dev.rm === '1';
+
+// Columns of the `lsblk -J -b` listing the disk picker is built from
+const LSBLK_COLUMNS = 'NAME,PATH,TYPE,SIZE,MODEL,SERIAL,TRAN,RM,FSTYPE,LABEL,MOUNTPOINT';
+
+// Connected disks that may be SD cards, with their partitions:
+// [{ device, name, model, serial, size, transport, removable, system, partitions }],
+// partitions being [{ device, name, size, fstype, label, mountpoint }]. Fields the
+// platform doesn't report are null; `system` marks the disk holding this computer's
+// system or the user's home directory (see SYSTEM_PATHS).
+export function listDisks() {
+  if (process.platform === 'darwin') {
+    // macOS: only external disks are listed, so none of them is the system disk
+    const list = execFileSync('diskutil', ['list', '-plist', 'external'], { encoding: 'utf8' });
+    const infos = {};
+    for (const disk of parsePlist(list).WholeDisks || []) {
+      try {
+        infos[disk] = parsePlist(execFileSync('diskutil', ['info', '-plist', disk], { encoding: 'utf8' }));
+      } catch {}
+    }
+    return parseDiskutilDisks(list, infos);
+  }
+
+  // Linux: whole removable disks, plus SD/MMC and SCSI disks (USB card readers often
+  // don't report removable media)
+  const output = execFileSync('lsblk', ['-J', '-b', '-o', LSBLK_COLUMNS], { encoding: 'utf8' });
+  const systemDisks = parseLsblkSystemDisks(output);
+  return parseLsblkDisks(output)
+    .filter(disk => disk.removable || /^(mmcblk|sd)/.test(disk.name))
+    .map(disk => ({ ...disk, system: systemDisks.includes(disk.device) }));
+}
+
+// Whole disks with their partitions in `lsblk -J -b -o` LSBLK_COLUMNS output (see listDisks)
+export function parseLsblkDisks(json) {
+  const text = value => (typeof value === 'string' && value.trim()) || null;
+  const number = value => (value === null || value === undefined || Number.isNaN(Number(value)) ? null : Number(value));
+  const partitions = (dev) => (dev.children || []).flatMap(child => [
+    {
+      device: child.path || `/dev/${child.name}`,
+      name: child.name,
+      size: number(child.size),
+      fstype: text(child.fstype),
+      label: text(child.label),
+      mountpoint: text(child.mountpoint),
+    },
+    ...partitions(child),
+  ]);
+  return (JSON.parse(json).blockdevices || [])
+    .filter(dev => dev.type === 'disk')
+    .map(dev => ({
+      device: dev.path || `/dev/${dev.name}`,
+      name: dev.name,
+      model: text(dev.model),
+      serial: text(dev.serial),
+      size: number(dev.size),
+      transport: text(dev.tran),
+      removable: dev.rm === undefined ? null : isRemovable(dev),
+      system: false,
+      partitions: partitions(dev),
+    }));
+}
+
+// Disks with their partitions from `diskutil list -plist external` output and the parsed
+// `diskutil info -plist` of each disk, keyed by disk name (see listDisks). The raw
+// device (/dev/rdiskN) is used for faster dd.
+export function parseDiskutilDisks(listPlist, infos = {}) {
+  return (parsePlist(listPlist).AllDisksAndPartitions || []).map((disk) => {
+    const info = infos[disk.DeviceIdentifier] || {};
+    return {
+      device: `/dev/r${disk.DeviceIdentifier}`,
+      name: disk.DeviceIdentifier,
+      model: info.MediaName?.trim() || info.IORegistryEntryName?.trim() || null,
+      serial: null,  // diskutil doesn't report serial numbers
+      size: info.TotalSize ?? info.Size ?? disk.Size ?? null,
+      transport: info.BusProtocol || null,
+      removable: info.RemovableMedia ?? info.Removable ?? null,
+      system: false,
+      partitions: (disk.Partitions || []).map(partition => ({
+        device: `/dev/${partition.DeviceIdentifier}`,
+        name: partition.DeviceIdentifier,
+        size: partition.Size ?? null,
+        fstype: partition.Content || null,
+        label: partition.VolumeName || null,
+        mountpoint: partition.MountPoint || null,
+      })),
+    };
+  });
+}
+
+// Picker items for the connected disks (see listDisks): the disk with its model, size,
+// transport and serial, then one line per partition. System disks can't be chosen,
+// unusual ones are listed with a warning.
+export function getDisks() {
+  let disks;
+  try {
+    disks = listDisks();
+  } catch (error) {
+    return [{ key: 'disks-error', label: 'Error detecting disks - enter manually', value: '' }];
+  }
+  return disks.map((disk, idx) => {
+    const warnings = diskWarnings(disk);
+    const details = [
+      disk.transport,
+      disk.serial ? `serial ${disk.serial}` : null,
+      disk.removable ? 'removable' : null,
+    ].filter(Boolean).join(', ');
+    let note = '';
+    if (disk.system) {
+      note = ' 🚫 system disk';
+    } else if (warnings.length > 0) {
+      note = ` ⚠️  ${warnings.join(', ')}`;
+    }
+    const lines = [
+      `${disk.name} - ${disk.model || 'Unknown'} (${disk.size ? formatBytes(disk.size) : 'Unknown size'})${details ? ` ${details}` : ''}${note}`,
+      ...disk.partitions.map(partition => [
+        `    ${partition.name}`,
+        partition.label,
+        partition.fstype,
+        partition.size ? formatBytes(partition.size) : null,
+        partition.mountpoint ? `mounted on ${partition.mountpoint}` : 'not mounted',
+      ].filter(Boolean).join('  ')),
+    ];
+    return {
+      key: `disk-${idx}-${disk.name}`,
+      label: lines.join('\n'),
+      value: disk.system ? '' : disk.device,
+      size: disk.size,
+      removable: disk.removable,
+      warnings,
+    };
+  });
+}
+
+// List removable disks with what identifies them: [{ device, model, serial, size }]
+// (null fields when unknown; macOS doesn't report serial numbers of card readers)
+export function listCards() {
+  try {
+    return listDisks()
+      .filter(disk => !disk.system)
+      .map(({ device, model, serial, size }) => ({ device, model, serial, size }));
+  } catch {
+    return [];
+  }
+}
+
+// Whole disks in `lsblk -J -o NAME,PATH,MOUNTPOINT` output (all disks) holding the
+// filesystem any of `paths` is on
+export function parseLsblkSystemDisks(json, paths = SYSTEM_PATHS) {
+  const mounts = [];  // [{ mountpoint, disk }]
+  const collect = (dev, disk) => {
+    if (dev.mountpoint) mounts.push({ mountpoint: dev.mountpoint, disk });
+    for (const child of dev.children || []) collect(child, disk);
+  };
+  for (const disk of JSON.parse(json).blockdevices || []) {
+    collect(disk, disk.path || `/dev/${disk.name}`);
+  }
+
+  const disks = paths.flatMap((path) => {
+    // The filesystem a path is on is the longest mount point containing it
+    const holding = mounts
+      .filter(({ mountpoint }) => path === mountpoint || path.startsWith(mountpoint === '/' ? '/' : `${mountpoint}/`))
+      .sort((a, b) => b.mountpoint.length - a.mountpoint.length)[0];
+    return holding ? [holding.disk] : [];
+  });
+  return [...new Set(disks)];
+}
+
+// Whole disk of `device` (a disk or one of its partitions) in `lsblk -J -o NAME,PATH` output
+// of all disks, null when lsblk doesn't list it
+export function parseLsblkWholeDisk(json, device) {
+  const contains = dev => (dev.path || `/dev/${dev.name}`) === device || (dev.children || []).some(contains);
+  const disk = (JSON.parse(json).blockdevices || []).find(contains);
+  return disk ? disk.path || `/dev/${disk.name}` : null;
+}
+
+// Whole disk names in `diskutil info <path>` output: the disk the volume is part of and,
+// for APFS volumes, the disk of the container's physical store
+export function parseDiskutilWholeDisks(info) {
+  const whole = info.match(/Part of Whole:\s+(disk\d+)/);
+  const store = info.match(/APFS Physical Store:\s+(disk\d+)/);
+  return [whole?.[1], store?.[1]].filter(Boolean);
+}
+
+// Reasons to double-check `disk` ({ device, removable, size }) before using it as an SD card.
+// Built-in card readers (mmcblk) report non-removable media.
+export function diskWarnings({ device, removable, size }) {
+  const warnings = [];
+  if (removable === false && !device.includes('mmcblk')) warnings.push('not a removable disk');
+  if (size > LARGE_DISK_SIZE) warnings.push(`larger than ${LARGE_DISK_SIZE / 1000 ** 3} GB`);
+  return warnings;
+}
+
+// Why `path`, typed in by hand, can't be a disk (null when it can)
+export function devicePathProblem(path) {
+  if (!path.startsWith('/dev/')) return 'Enter a device under /dev, e.g. /dev/sdb or /dev/rdisk2';
+  let stats;
+  try {
+    stats = statSync(path);
+  } catch {
+    return `${path} does not exist`;
+  }
+  if (!stats.isBlockDevice() && !stats.isCharacterDevice()) return `${path} is not a device`;
+  return null;
+}
+
+// Whether `device` is still connected: it exists and, on Linux, has media (a card reader
+// stays behind as an empty disk when its card is pulled out). Anything else that exists
+// (e.g. an image file) counts as connected.
+export function devicePresent(device, platform = process.platform) {
+  if (!existsSync(device)) return false;
+  if (platform !== 'linux') return true;
+  try {
+    const name = basename(realpathSync(device));
+    return parseInt(readFileSync(`/sys/class/block/${name}/size`, 'utf8')) > 0;
+  } catch {
+    return true;
+  }
+}
+
+// Whether two { model, serial, size } describe the same card
+export function sameDisk(a, b) {
+  return a.model === b.model && a.serial === b.serial && a.size === b.size;
+}
+
+// Flatten `lsblk -J -o NAME,PATH,FSTYPE,MOUNTPOINT <device>` output into
+// [{ path, fstype, mountpoint }] for the disk and all of its partitions
+export function parseLsblkPartitions(json) {
+  const flatten = (devices = []) => devices.flatMap((dev) => [
+    { path: dev.path || `/dev/${dev.name}`, fstype: dev.fstype || null, mountpoint: dev.mountpoint || null },
+    ...flatten(dev.children),
+  ]);
+  return flatten(JSON.parse(json).blockdevices);
+}
+
+// Mounted partitions of `device` from /proc/mounts text (fallback when lsblk -J isn't available)
+export function parseProcMounts(text, device) {
+  // Partitions are the device name plus a number (sdb1) or p + number (mmcblk0p1)
+  const escaped = device.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const partitionPattern = new RegExp(`^${escaped}(p?\\d+)?$`);
+  return text.split('\n')
+    .map(line => line.split(' '))
+    .filter(([path]) => path && partitionPattern.test(path))
+    .map(([path, mountpoint, fstype]) => ({
+      path,
+      fstype,
+      // Spaces and other special characters are octal escaped (e.g. \040)
+      mountpoint: mountpoint.replace(/\\([0-7]{3})/g, (_, code) => String.fromCharCode(parseInt(code, 8))),
+    }));
+}
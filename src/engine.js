@@ -0,0 +1,2064 @@
+// Backup/restore engine: the validation, dd and shrink pipeline as an
+// event-emitting job, independent of the TUI and the CLI.
+//
+//   const job = createJob({ type: 'backup', source: '/dev/sdb', destination: 'pi.img' });
+//   job.on('phase', (phase) => ...);      // one of PHASES
+//   job.on('log', (message) => ...);
+//   job.on('output', ({ command, text }) => ...);  // everything dd and pishrink print (dd's
+//                                                  // progress updates end in \r)
+//   job.on('progress', ({ bytes, total, percent, speed, elapsed, eta }) => ...);
+//   job.on('error', (error) => ...);      // JobError (VerifyError when verify fails), the job is over
+//   job.on('cancelled', (result) => ...); // after job.cancel(), the job is over; { removed } lists
+//                                         // the partial files of a backup that were deleted,
+//                                         // { resumable } the partial raw image kept for resuming
+//   job.on('done', (result) => ...);      // the job is over; backups give { image } (the file written)
+//   job.start();
+//
+// Every process goes through the `spawn` option (child_process.spawn by default)
+// so the engine can be driven by fake dd/sudo/diskutil processes.
+
+import { EventEmitter } from 'events';
+import { spawn as spawnProcess } from 'child_process';
+import {
+  existsSync, statSync, statfsSync, realpathSync, readFileSync, writeFileSync, createReadStream, createWriteStream, mkdtempSync, rmSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname, basename, resolve } from 'path';
+import { PassThrough, Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  parseLsblkPartitions, parseProcMounts, parseLsblkSystemDisks, parseLsblkWholeDisk, parseDiskutilWholeDisks, sameDisk,
+  devicePresent, SYSTEM_PATHS,
+} from './disks.js';
+import {
+  compareStreams, hashStream, createHashTap, createBlockHasher, firstDifferingBlock, blockReader, VERIFY_BLOCK_SIZE,
+} from './verify.js';
+import {
+  COMPRESSIONS, availableCompressions, compressionFromPath, createCompressor, openImage, getImageSize, getRemoteImageSize,
+  withExtension,
+} from './compression.js';
+import { createManifest, readManifest, writeManifest, manifestPath } from './manifest.js';
+import { pishrinkScript, readPishrink, pishrinkArgs } from './pishrink.js';
+import { shrinkImage, parseMbr } from './shrink.js';
+import { formatBytes } from './format.js';
+import { RESULTS } from './history.js';
+import { bootPartition, customizeImage, describeCustomization, CustomizeError } from './customize.js';
+import {
+  CHECKPOINT_BLOCK_SIZE, readJournal, writeJournal, removeJournal, verifiedBlocks, createCheckpointWriter,
+} from './checkpoint.js';
+import {
+  isRemote, parseRemote, sshArgs, sshError, runSsh, remoteCommands, remoteDeviceCommands, parseRemoteFreeSpace, parseRemoteDevice,
+  RemoteError, QUIESCE,
+} from './remote.js';
+import { unusedRanges, sparseRuns, copiedSize } from './sparse.js';
+import {
+  isDelta, deltaFileName, readChain, openChain, createDeltaFilter, hashBlocks, readBlockList, writeBlockList, DeltaError,
+} from './delta.js';
+
+// Job phases (the TUI uses the same values for its screens)
+export const PHASES = {
+  VALIDATING: 'validating',
+  BACKING_UP: 'backing_up',
+  SHRINKING: 'shrinking',
+  RESTORING: 'restoring',
+  VERIFYING: 'verifying',
+  HASHING: 'hashing',
+  CUSTOMIZING: 'customizing',
+};
+
+// What to do with the card once the job has finished
+export const AFTER_JOB = {
+  NONE: 'none',          // leave it unmounted
+  REMOUNT: 'remount',    // mount its partitions again
+  POWER_OFF: 'power-off',  // power it off / eject it so it can be pulled
+};
+
+// Error ending a job, with a message ready to show to the user
+export class JobError extends Error {}
+
+// Verification found data that differs, starting at the block at `offset`
+export class VerifyError extends JobError {
+  constructor(message, offset) {
+    super(message);
+    this.offset = offset;
+  }
+}
+
+// dd arguments for copying `input` to `output` (null for stdin / stdout),
+// starting `skip` 4 MiB blocks into the input and copying `count` of them (all when null)
+function ddArgs(input, output, platform, skip = 0, count = null) {
+  const args = [];
+  if (input) args.push('if=' + input);
+  if (output) args.push('of=' + output);
+  args.push(platform === 'darwin' ? 'bs=4m' : 'bs=4M', 'status=progress');
+  if (skip) args.push('skip=' + skip);
+  if (count !== null) args.push('count=' + count);
+  if (output && platform !== 'darwin') args.push('conv=fsync');
+  return args;
+}
+
+// Whether `text` printed by dd is about its progress rather than an error
+function isDdProgress(text) {
+  return /bytes.*copied/.test(text) || /records (in|out)/.test(text);
+}
+
+// Resolve with the exit code of a child process (rejects if it can't be started)
+function waitForExit(child) {
+  return new Promise((resolve, reject) => {
+    child.on('close', resolve);
+    child.on('error', reject);
+  });
+}
+
+// What is done on a running Pi before its card is read (see QUIESCE)
+const QUIESCE_LOGS = {
+  [QUIESCE.SYNC]: 'Flushing writes on the Pi - its card keeps changing while it is read',
+  [QUIESCE.READ_ONLY]: 'Remounting / read-only on the Pi for the copy',
+  [QUIESCE.FREEZE]: 'Freezing / on the Pi for the copy - programs writing to it wait until it is done',
+};
+
+// Cards are mapped for sparse copying (see sparse.js) by reading them in windows of this
+// size, the last few of them kept for the reads that follow
+const MAP_WINDOW_SIZE = 1024 * 1024;
+const MAP_WINDOWS = 16;
+
+// Blocks skipped by a sparse copy are given as zeros in pieces of this size
+const SKIP_CHUNK_SIZE = 1024 * 1024;
+
+// Least time between two progress events of a sparse copy (dd reports once a second)
+const SPARSE_PROGRESS_INTERVAL = 1000;
+
+// How backups are shrunk
+export const SHRINKERS = {
+  AUTO: 'auto',          // pishrink on Linux, falling back to the built-in shrinker
+  PISHRINK: 'pishrink',  // pishrink only
+  NATIVE: 'native',      // the built-in shrinker (works on macOS)
+};
+
+// Process ids of every descendant of `pid`, from `ps -A -o pid=,ppid=` output
+function descendantPids(psOutput, pid) {
+  const children = new Map();
+  for (const line of psOutput.split('\n')) {
+    const [child, parent] = line.trim().split(/\s+/).map(Number);
+    if (!child || !parent) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(child);
+  }
+  const found = [];
+  const queue = [pid];
+  while (queue.length > 0) {
+    for (const child of children.get(queue.shift()) || []) {
+      found.push(child);
+      queue.push(child);
+    }
+  }
+  return found;
+}
+
+// Wait `ms` milliseconds
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Progress event of `bytes` out of `total` since `started` (speed computed when not given),
+// `from` being the bytes already done before `started` (resumed backups)
+function progressUpdate(bytes, total, started, speed, from = 0) {
+  const elapsed = (Date.now() - started) / 1000;
+  const done = bytes - from;
+  return {
+    bytes,
+    total,
+    percent: total ? Math.min(100, (bytes / total) * 100) : null,
+    speed: speed ?? `${elapsed > 0 ? Math.round(done / elapsed / 1e6) : 0} MB/s`,
+    elapsed,
+    eta: total && done > 0 && bytes <= total ? ((total - bytes) / done) * elapsed : null,
+  };
+}
+
+// Write everything `input` gives to each of `outputs`, at the pace of the slowest one.
+// Outputs closed on the way (their card failed or was cancelled) are left out; reading
+// stops once none are left. The outputs are not ended. Resolves with { sha256, bytes, blocks }
+// of the data read (see createBlockHasher).
+async function fanOut(input, outputs) {
+  const open = new Set(outputs);
+  const hasher = createBlockHasher();
+  for (const output of outputs) {
+    output.on('close', () => open.delete(output));
+    output.on('error', () => {});  // reported by whoever reads the output
+  }
+  // Resolve once `output` takes more data, or is gone
+  const drained = (output) => new Promise((resolve) => {
+    if (output.closed || !output.writableNeedDrain) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+
+  for await (const chunk of input) {
+    hasher.update(chunk);
+    const full = [...open].filter(output => !output.write(chunk));
+    await Promise.all(full.map(drained));
+    if (open.size === 0) break;
+  }
+  return hasher.digest();
+}
+
+// The manifest of the image at `remote` (see readManifest), null when there is none
+async function readRemoteManifest(spawn, remote) {
+  try {
+    const { code, stdout } = await runSsh(spawn, remote, remoteCommands.read(manifestPath(remote.path)));
+    return code === 0 ? JSON.parse(stdout) : null;
+  } catch {
+    return null;
+  }
+}
+
+// SHA-256 of the image at `remote`, computed on its host (rejects when that fails)
+async function remoteSha256(spawn, remote) {
+  const { code, stdout, stderr } = await runSsh(spawn, remote, remoteCommands.sha256(remote.path));
+  const sha256 = stdout.trim().split(/\s+/)[0];
+  if (code !== 0 || !/^[0-9a-f]{64}$/.test(sha256)) {
+    throw new Error(sshError(stderr, code));
+  }
+  return sha256;
+}
+
+// An image or card of a job on another computer (an ssh:// URL, see remote.js) as
+// { user, host, port, path }, null for a local one
+function remoteLocation(path) {
+  try {
+    return parseRemote(path);
+  } catch (err) {
+    if (err instanceof RemoteError) throw new JobError(err.message);
+    throw err;
+  }
+}
+
+// Create a backup or restore job.
+// `description`: { type: 'backup' | 'restore', source, destination, compression = 'none',
+//                  shrink = true, shrinker = SHRINKERS.AUTO, pishrink = null, verify = false,
+//                  resume = false, after = AFTER_JOB.NONE, customize = null, quiesce = QUIESCE.SYNC,
+//                  sparse = false, base = null }
+//   backup:      source is a device, destination the image file
+//   restore:     source is an image file (compression detected from its name) or a delta
+//                backup (rebuilt from its chain, see delta.js), destination a device
+//   The image may be on another computer, as an ssh://[user@]host[:port]/path URL (see
+//   remote.js); those backups are neither shrunk nor resumed. A backup's source may be the
+//   card of a running Pi, as the URL of its device (ssh://pi@host/dev/mmcblk0): it is read
+//   on the Pi after flushing and quiescing it as `quiesce` says (see QUIESCE), and not resumed.
+//   compression: one of COMPRESSIONS for backups (only raw images are shrunk)
+//   shrinker:    one of SHRINKERS
+//   pishrink:    { path, sha256, options } - script to run instead of the bundled one and
+//                its pinned checksum, option letters from PISHRINK_OPTIONS
+//   verify:      read the data back after dd and compare it (backups: before shrinking)
+//   resume:      continue the interrupted raw backup into destination (from its checkpoint
+//                journal) instead of starting over
+//   sparse:      back up only the blocks of the card that its filesystems use (see
+//                sparse.js), the rest becoming zeros; a running Pi's card is read whole.
+//                Verifying can't tell whether a skipped block held data, so it is asked for.
+//   base:        backup (full image or delta) in the destination's directory to make a delta
+//                backup against: destination is then a .delta file holding only the blocks that
+//                changed since (see delta.js); those are neither shrunk nor resumed
+//   customize:   first-boot settings written to the restored card's boot partition
+//                (from createCustomization in customize.js)
+// `sharedImage` makes the job one card of a multi-target restore (see createMultiRestore),
+// whose image checksum and sudo access were checked already: it resolves with
+// { stream, digest }, the image data streamed to all cards and digest() giving its
+// { sha256, bytes, blocks } once the stream has ended, which verifying compares the card with.
+export function createJob(description, { spawn = spawnProcess, platform = process.platform, sharedImage = null } = {}) {
+  const {
+    type, source, destination, compression = 'none', shrink = true, shrinker = SHRINKERS.AUTO,
+    pishrink: pishrinkSettings = null, verify = false, resume = false, after = AFTER_JOB.NONE, customize = null,
+    quiesce = QUIESCE.SYNC, sparse = false, base = null,
+  } = description;
+  const job = new EventEmitter();
+  const running = new Set();  // child processes that haven't exited yet
+  const created = new Set();  // files this job created (removed when it's cancelled)
+  let resumable = null;       // partial raw image kept when the job is cancelled or fails
+  let remote = null;          // the image when it is on another computer (see remoteLocation)
+  let piSource = null;        // the card backed up when it is in a running Pi (see remoteLocation)
+  let imageSize = null;       // uncompressed size of the image being restored, null if unknown
+  let deltaChain = null;      // chain of the delta backup written or restored (see readChain)
+  let cancelled = false;
+
+  const log = (message) => {
+    if (message) job.emit('log', message);
+  };
+  const phase = (name) => job.emit('phase', name);
+  const emitOutput = (command, text) => job.emit('output', { command, text });
+
+  // Keep track of a child process until it exits, so cancelling can stop it
+  const track = (child) => {
+    running.add(child);
+    const forget = () => running.delete(child);
+    child.on('close', forget);
+    child.on('error', forget);
+    return child;
+  };
+
+  // Spawn a process and resolve with its exit code and output once it closes
+  const run = (command, args, { stdin = 'ignore', onStdout, onStderr } = {}) => new Promise((resolve, reject) => {
+    const child = track(spawn(command, args, { stdio: [stdin, 'pipe', 'pipe'] }));
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+      onStdout?.(data.toString());
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+      onStderr?.(data.toString());
+    });
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+    child.on('error', reject);
+  });
+
+  // child_process.spawn for processes started elsewhere (compressors, decompressors)
+  const trackedSpawn = (...args) => track(spawn(...args));
+
+  // Run the shell command `command` on the host of `location` (the remote image by default),
+  // resolving with its output; fails with a JobError starting with `failure` when it can't be
+  // run or fails
+  const runRemote = async (command, failure, { input = null, location = remote } = {}) => {
+    let result;
+    try {
+      result = await runSsh(trackedSpawn, location, command, input);
+    } catch (err) {
+      throw new JobError(`${failure}: ${err.message}`);
+    }
+    checkCancelled();
+    if (result.code !== 0) {
+      throw new JobError(`${failure}: ${sshError(result.stderr, result.code)}`);
+    }
+    return result.stdout;
+  };
+
+  // Spawn a process whose stdout the caller streams
+  const open = (command, args) => track(spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] }));
+
+  // Open the image `path` of the job for reading (see openImage); the delta backup written
+  // or restored is rebuilt from its chain
+  const openJobImage = (path) => (deltaChain ? openChain(deltaChain, trackedSpawn) : openImage(path, trackedSpawn));
+
+  const emitProgress = (...args) => job.emit('progress', progressUpdate(...args));
+
+  // Stop here if the job was cancelled while the last process ran
+  const checkCancelled = () => {
+    if (cancelled) throw new JobError('Cancelled');
+  };
+
+  // Get { device, model, serial, size } of a block device (null fields when unknown)
+  const getDeviceInfo = async (device) => {
+    const info = { device, model: null, serial: null, size: null };
+    try {
+      if (platform === 'darwin') {
+        // diskutil reports e.g. "Disk Size: 31.9 GB (31914983424 Bytes) (exactly ...)"
+        const diskMatch = device.match(/r?(disk\d+)/);
+        const { stdout } = await run('diskutil', ['info', diskMatch ? diskMatch[1] : device]);
+        const bytesMatch = stdout.match(/Disk Size:.*?\((\d+) Bytes\)/);
+        const nameMatch = stdout.match(/Media Name:\s+(.+)/);
+        info.size = bytesMatch ? parseInt(bytesMatch[1]) : null;
+        info.model = nameMatch ? nameMatch[1].trim() : null;
+      } else {
+        const { stdout } = await run('lsblk', ['-J', '-b', '-d', '-o', 'NAME,MODEL,SERIAL,SIZE', device]);
+        const [disk] = JSON.parse(stdout).blockdevices;
+        const size = Number(disk.size);
+        info.size = Number.isNaN(size) ? null : size;
+        info.model = disk.model?.trim() || null;
+        info.serial = disk.serial?.trim() || null;
+      }
+    } catch {}
+    return info;
+  };
+
+  // List the disk and partitions of `device` with their mount points (Linux)
+  const listPartitions = async (device) => {
+    try {
+      const { code, stdout } = await run('lsblk', ['-J', '-o', 'NAME,PATH,FSTYPE,MOUNTPOINT', device]);
+      if (code === 0) return parseLsblkPartitions(stdout);
+    } catch {}
+    return parseProcMounts(readFileSync('/proc/mounts', 'utf8'), device);
+  };
+
+  // Unmount every mounted partition of `device`, refusing to go on if any stays mounted (Linux)
+  const unmountPartitions = async (device) => {
+    // Desktop automounters may mount a partition again right away, so check twice
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const mounted = (await listPartitions(device)).filter(part => part.mountpoint);
+      if (mounted.length === 0) {
+        if (attempt === 1) log('No mounted partitions');
+        return;
+      }
+
+      for (const part of mounted) {
+        log(`Unmounting ${part.path} (${part.mountpoint})...`);
+        const unmount = await run('sudo', ['umount', part.path]).catch(err => ({ code: 1, stderr: err.message }));
+        checkCancelled();
+        if (unmount.code !== 0) {
+          log(`Unmount failed: ${unmount.stderr.trim().substring(0, 60)}`);
+        }
+      }
+      await delay(1000);
+      checkCancelled();
+    }
+
+    const stillMounted = (await listPartitions(device)).filter(part => part.mountpoint);
+    if (stillMounted.length > 0) {
+      const list = stillMounted.map(part => `${part.path} on ${part.mountpoint}`).join(', ');
+      throw new JobError(`Could not unmount ${list} - close any programs using the card and try again`);
+    }
+    log('All partitions unmounted');
+  };
+
+  // Re-mount or power off the card after a successful job, as asked for by `after`
+  // (A running Pi whose card was backed up over SSH just keeps running.)
+  const finishDevice = async (device) => {
+    if (after === AFTER_JOB.NONE || piSource) return;
+    const diskMatch = device.match(/r?(disk\d+)/);
+
+    let args;
+    if (platform === 'darwin' && diskMatch) {
+      args = after === AFTER_JOB.REMOUNT ? ['diskutil', 'mountDisk', diskMatch[1]] : ['diskutil', 'eject', diskMatch[1]];
+    } else if (after === AFTER_JOB.POWER_OFF) {
+      args = ['udisksctl', 'power-off', '-b', device];
+    }
+
+    try {
+      if (args) {
+        log(after === AFTER_JOB.REMOUNT ? `Mounting ${device}...` : `Powering off ${device}...`);
+        const { code, stderr } = await run(args[0], args.slice(1));
+        log(code === 0 ? 'Done' : `${args[0]} failed: ${stderr.trim().substring(0, 60)}`);
+        return;
+      }
+
+      // Linux remount: have the kernel re-read a freshly written partition table,
+      // then mount every partition with a filesystem through udisks (as the user)
+      await run('sudo', ['blockdev', '--rereadpt', device]).catch(() => {});
+      const partitions = (await listPartitions(device)).filter(part => part.fstype && part.path !== device);
+      for (const part of partitions) {
+        log(`Mounting ${part.path}...`);
+        const { code, stderr } = await run('udisksctl', ['mount', '-b', part.path]);
+        if (code !== 0) log(`Mount failed: ${stderr.trim().substring(0, 60)}`);
+      }
+    } catch (err) {
+      log(`Skipped ${after}: ${err.message}`);
+    }
+  };
+
+  // Refuse `device` when it is (on) a disk holding this computer's system or the user's
+  // home directory. When that can't be found out, a restore is refused too (it would
+  // overwrite the disk), a backup only logs it.
+  const checkNotSystemDisk = async (device) => {
+    // Output of a command that has to succeed
+    const output = async (command, args) => {
+      const { code, stdout, stderr } = await run(command, args);
+      if (code !== 0) throw new Error(stderr.trim().split('\n')[0] || `${command} exited with code ${code}`);
+      return stdout;
+    };
+
+    let whole = null;
+    const systemDisks = [];
+    try {
+      if (platform === 'darwin') {
+        const diskMatch = device.match(/r?(disk\d+)/);
+        whole = diskMatch ? diskMatch[1] : null;
+        // /boot and /boot/firmware are Linux paths, diskutil fails for paths that don't exist
+        for (const path of SYSTEM_PATHS.filter(path => existsSync(path))) {
+          for (const disk of parseDiskutilWholeDisks(await output('diskutil', ['info', path]))) {
+            // APFS volumes are on a synthesized disk, backed by a physical one
+            systemDisks.push(disk, ...parseDiskutilWholeDisks(await output('diskutil', ['info', disk])));
+          }
+        }
+      } else {
+        let path = device;
+        try {
+          path = realpathSync(device);  // e.g. /dev/disk/by-id/... links
+        } catch {}
+        const stdout = await output('lsblk', ['-J', '-o', 'NAME,PATH,MOUNTPOINT']);
+        whole = parseLsblkWholeDisk(stdout, path);
+        systemDisks.push(...parseLsblkSystemDisks(stdout));
+      }
+      if (systemDisks.length === 0) throw new Error('no disk found holding /');
+    } catch (err) {
+      checkCancelled();
+      if (type !== 'backup') {
+        throw new JobError(`Cannot check which disk holds this computer's system (${err.message}) - refusing to overwrite ${device}`);
+      }
+      log(`Cannot check which disk holds the system: ${err.message}`);
+      return;
+    }
+    checkCancelled();
+    if (whole && systemDisks.includes(whole)) {
+      throw new JobError(
+        `${device} is on ${whole}, the disk holding this computer's system or your home directory - ` +
+        `refusing to ${type === 'backup' ? 'back it up' : 'overwrite it'}`
+      );
+    }
+  };
+
+  // Check sudo credentials (asking for the password on the terminal if needed)
+  const validateSudo = async () => {
+    log('Validating sudo access...');
+
+    let sudoCheck;
+    try {
+      sudoCheck = await run('sudo', ['-v'], { stdin: 'inherit' });
+    } catch (err) {
+      throw new JobError(`sudo failed: ${err.message}`);
+    }
+    checkCancelled();
+    if (sudoCheck.code !== 0) {
+      throw new JobError('sudo authentication failed. Please run with sudo access.');
+    }
+  };
+
+  // Check sudo credentials, then unmount the disk behind `device` before dd touches it
+  const prepareDevice = async (device) => {
+    phase(PHASES.VALIDATING);
+    if (!sharedImage) await validateSudo();
+    await checkNotSystemDisk(device);
+
+    // Unmount the disk first (macOS uses diskutil, Linux uses umount)
+    // Extract disk name from raw device path (e.g., /dev/rdisk12 -> disk12)
+    const diskMatch = device.match(/r?(disk\d+)/);
+    if (diskMatch && platform === 'darwin') {
+      const diskName = diskMatch[1];
+      log(`Unmounting ${diskName}...`);
+
+      try {
+        const unmount = await run('diskutil', ['unmountDisk', diskName], {
+          onStdout: (output) => log(output.trim().substring(0, 60)),
+        });
+        if (unmount.code !== 0) {
+          // Disk might already be unmounted, continue anyway
+          log(`Unmount warning: ${unmount.stderr.trim() || 'disk may already be unmounted'}`);
+        } else {
+          log('Disk unmounted successfully');
+        }
+      } catch (err) {
+        log(`Unmount skipped: ${err.message}`);
+      }
+      checkCancelled();
+    } else if (platform === 'linux') {
+      await unmountPartitions(device);
+    }
+  };
+
+  // Run dd, reporting its progress against `total` bytes.
+  // `input` is a readable stream piped into dd's stdin and `output` a list of streams
+  // dd's stdout is piped through (the last one writing the image); without them dd
+  // reads and writes files itself. `offset` is the bytes done before dd starts (resumed backups).
+  // Resolves with dd's exit code, its last error message and any error of the streams.
+  const runDd = async (args, total, { input, output, offset = 0 } = {}) => {
+    const started = Date.now();
+    let speed = '0';
+    let lastError = '';
+
+    // dd outputs progress to stderr
+    const onStderr = (output) => {
+      // Capture error messages (lines that don't look like progress)
+      if (!isDdProgress(output)) {
+        lastError = output.trim();
+        log(lastError.substring(0, 60));
+      }
+
+      // Parse dd progress output
+      // Format: "1234567890 bytes (1.2 GB, 1.1 GiB) copied, 10.5 s, 123 MB/s"
+      const bytesMatch = output.match(/(\d+)\s+bytes/);
+      const speedMatch = output.match(/([\d.]+)\s*([MGK]?B\/s)/);
+
+      if (speedMatch) {
+        speed = speedMatch[1] + ' ' + speedMatch[2];
+      }
+
+      if (bytesMatch) {
+        emitProgress(offset + parseInt(bytesMatch[1]), total, started, speed, offset);
+      }
+    };
+
+    const child = track(spawn(args[0], args.slice(1), { stdio: [input ? 'pipe' : 'inherit', 'pipe', 'pipe'] }));
+    const exited = waitForExit(child);
+    child.stderr.on('data', (data) => {
+      emitOutput('dd', data.toString());
+      onStderr(data.toString());
+    });
+
+    let streamError = null;
+    const transfers = [];
+    if (input) transfers.push(pipeline(input, child.stdin));
+    if (output) {
+      transfers.push(pipeline(child.stdout, ...output));
+    } else {
+      child.stdout.on('data', (data) => {
+        emitOutput('dd', data.toString());
+        log(data.toString().trim().substring(0, 60));
+      });
+    }
+
+    const [code] = await Promise.all([
+      exited,
+      ...transfers.map(transfer => transfer.catch((err) => {
+        streamError = streamError || err;
+      })),
+    ]);
+    return { code, lastError, streamError };
+  };
+
+  // Stream of the card `source` laid out in `runs` (see sparseRuns): the blocks copied are
+  // read by one `sudo dd` per run, the blocks skipped given as zeros. `onData(bytes, copied)`
+  // is told about every piece. A dd that fails ends the stream with an error; its exit code
+  // and last error message are kept in `status`.
+  const openSparseCard = (runs, onData = () => {}) => {
+    const status = { code: 0, lastError: '' };
+    const zeros = Buffer.alloc(SKIP_CHUNK_SIZE);
+
+    async function* read() {
+      for (const run of runs) {
+        if (!run.copy) {
+          for (let done = 0; done < run.length; done += zeros.length) {
+            const piece = zeros.subarray(0, Math.min(zeros.length, run.length - done));
+            onData(piece.length, false);
+            yield piece;
+          }
+          continue;
+        }
+
+        const blocks = Math.ceil(run.length / CHECKPOINT_BLOCK_SIZE);
+        const dd = track(spawn('sudo', ['dd', ...ddArgs(source, null, platform, run.start / CHECKPOINT_BLOCK_SIZE, blocks)], {
+          stdio: ['ignore', 'pipe', 'pipe'],
+        }));
+        const exited = waitForExit(dd);
+        exited.catch(() => {});  // awaited once its output is read
+        dd.stderr.on('data', (data) => {
+          emitOutput('dd', data.toString());
+          if (!isDdProgress(data.toString())) {
+            status.lastError = data.toString().trim();
+            log(status.lastError.substring(0, 60));
+          }
+        });
+        let finished = false;
+        try {
+          for await (const chunk of dd.stdout) {
+            onData(chunk.length, true);
+            yield chunk;
+          }
+          finished = true;
+        } finally {
+          // The stream was destroyed before the run was read
+          if (!finished) dd.kill();
+        }
+        const code = await exited;
+        if (code !== 0) {
+          status.code = code;
+          throw new Error(status.lastError || `dd exited with code ${code}`);
+        }
+      }
+    }
+
+    return { stream: Readable.from(read(), { objectMode: false }), status };
+  };
+
+  // Copy the card as laid out in `runs` (see openSparseCard) through the `output` streams,
+  // resolving like runDd. Progress counts the blocks read and skipped (`skipped` of them
+  // skipped); the speed and the time left are of the reading alone. `offset` is the
+  // bytes done before (resumed backups).
+  const runSparseCopy = async (runs, total, { output, offset = 0 }) => {
+    const started = Date.now();
+    const toRead = copiedSize(runs);
+    let read = 0;
+    let skipped = 0;
+    let reported = 0;
+
+    const report = () => {
+      const elapsed = (Date.now() - started) / 1000;
+      job.emit('progress', {
+        ...progressUpdate(offset + read + skipped, total, started, `${elapsed > 0 ? Math.round(read / elapsed / 1e6) : 0} MB/s`, offset),
+        eta: read > 0 ? ((toRead - read) / read) * elapsed : null,
+        skipped,
+      });
+    };
+    const card = openSparseCard(runs, (bytes, copied) => {
+      if (copied) {
+        read += bytes;
+      } else {
+        skipped += bytes;
+      }
+      if (Date.now() - reported >= SPARSE_PROGRESS_INTERVAL) {
+        reported = Date.now();
+        report();
+      }
+    });
+
+    let streamError = null;
+    try {
+      await pipeline(card.stream, ...output);
+    } catch (err) {
+      streamError = err;
+    }
+    report();
+    return { code: card.status.code, lastError: card.status.lastError, streamError };
+  };
+
+  // Fail with a clear error when `device` was disconnected (pulled out mid-job), rather
+  // than with the exit code or read error that followed; `consequence` is added to it
+  const checkDevicePresent = (device, consequence) => {
+    if (!devicePresent(device, platform)) {
+      throw new JobError(`${device} was removed during the ${type}${consequence}`);
+    }
+  };
+
+  // Compare the `expected` and `actual` streams over `length` bytes; `device` is the
+  // `sudo dd` process reading one of them (from `devicePath`; null when the stream ends
+  // with an error by itself, see openSparseCard), `what` names the two sides for the error
+  const verifyStreams = async ({ expected, actual, device, devicePath, length, what }) => {
+    phase(PHASES.VERIFYING);
+    const started = Date.now();
+    const readFailed = new Promise((resolve, reject) => device?.on('error', reject));
+
+    let result;
+    try {
+      result = await Promise.race([
+        compareStreams(expected, actual, {
+          onProgress: (bytes) => emitProgress(bytes, length, started),
+        }),
+        readFailed,
+      ]);
+    } catch (err) {
+      checkCancelled();
+      checkDevicePresent(devicePath, ' - it could not be verified');
+      throw new JobError(`Cannot verify: ${err.message}`);
+    } finally {
+      expected.destroy();
+      actual.destroy();
+      device?.kill();
+    }
+    checkCancelled();
+
+    if (!result.matched) {
+      checkDevicePresent(devicePath, ' - it could not be verified');
+      const offset = result.mismatchOffset;
+      throw new VerifyError(
+        `Verification failed: ${what} differ at offset ${offset} ` +
+        `(block ${offset / VERIFY_BLOCK_SIZE} of ${VERIFY_BLOCK_SIZE / 1024 / 1024} MiB)`,
+        offset
+      );
+    }
+    log(`Verified ${result.bytes} bytes, SHA-256 ${result.sha256.substring(0, 16)}...`);
+    return result;
+  };
+
+  // Read the first `bytes` bytes of the card at `device` back and compare their SHA-256 with
+  // `sha256`, those of the image written to it (see fanOut). A mismatch is reported at the
+  // first block whose checksum differs from the image's in `blocks`.
+  const verifyCardAgainstHash = async (device, { sha256, bytes, blocks }) => {
+    phase(PHASES.VERIFYING);
+    const started = Date.now();
+    const reader = readDevice(device);
+    const readFailed = new Promise((resolve, reject) => reader.on('error', reject));
+
+    let read;
+    try {
+      read = await Promise.race([
+        hashStream(reader.stdout, {
+          length: bytes,
+          blocks: true,
+          onProgress: (hashed) => emitProgress(hashed, bytes, started),
+        }),
+        readFailed,
+      ]);
+    } catch (err) {
+      checkCancelled();
+      checkDevicePresent(device, ' - it could not be verified');
+      throw new JobError(`Cannot verify: ${err.message}`);
+    } finally {
+      reader.stdout.destroy();
+      reader.kill();
+    }
+    checkCancelled();
+
+    if (read.sha256 !== sha256) {
+      checkDevicePresent(device, ' - it could not be verified');
+      // The whole checksums differ, so some block's does
+      const offset = firstDifferingBlock(blocks, read.blocks);
+      throw new VerifyError(
+        `Verification failed: card and image differ at offset ${offset} ` +
+        `(block ${offset / VERIFY_BLOCK_SIZE} of ${VERIFY_BLOCK_SIZE / 1024 / 1024} MiB)`,
+        offset
+      );
+    }
+    log(`Verified ${bytes} bytes, SHA-256 ${read.sha256.substring(0, 16)}...`);
+  };
+
+  // SHA-256 of a file, reported as its own phase since it reads the whole image
+  const hashImage = async (path) => {
+    phase(PHASES.HASHING);
+    log(`Computing SHA-256 of ${path}...`);
+    const started = Date.now();
+    const total = statSync(path).size;
+    const stream = createReadStream(path, { highWaterMark: VERIFY_BLOCK_SIZE });
+    try {
+      return await hashStream(stream, {
+        onProgress: (bytes) => {
+          if (cancelled) stream.destroy(new Error('Cancelled'));
+          emitProgress(bytes, total, started);
+        },
+      });
+    } catch (err) {
+      checkCancelled();
+      throw new JobError(`Cannot read ${path}: ${err.message}`);
+    } finally {
+      stream.destroy();
+    }
+  };
+
+  // Record where a finished backup came from next to the `image` file (failures only log a warning).
+  // `shrunk` is { shrinker, pishrink } from runShrink, `delta` what a delta backup holds (see createManifest).
+  const saveManifest = async (image, sourceInfo, sha256, shrunk, delta = null) => {
+    try {
+      const manifest = createManifest({
+        image,
+        size: remote ? parseInt(await runRemote(remoteCommands.size(remote.path), 'Cannot get its size')) : statSync(image).size,
+        source: sourceInfo,
+        sha256,
+        shrinker: shrunk.shrinker,
+        pishrink: shrunk.pishrink,
+        compression: compressionFromPath(image),
+        delta,
+      });
+      if (remote) {
+        await runRemote(remoteCommands.write(manifestPath(remote.path)), 'Cannot send it', {
+          input: JSON.stringify(manifest, null, 2) + '\n',
+        });
+      } else {
+        writeManifest(image, manifest);
+      }
+      log(`Manifest written to ${manifestPath(image)}`);
+    } catch (err) {
+      checkCancelled();
+      log(`Could not write manifest: ${err.message}`);
+    }
+  };
+
+  // SHA-256 of the remote image, computed on its host
+  const hashRemoteImage = async () => {
+    phase(PHASES.HASHING);
+    log(`Computing SHA-256 of ${source} on ${remote.host}...`);
+    try {
+      return await remoteSha256(trackedSpawn, remote);
+    } catch (err) {
+      checkCancelled();
+      throw new JobError(`Cannot compute the checksum of ${source}: ${err.message}`);
+    }
+  };
+
+  // Check an image against the checksum in its manifest before writing it anywhere; every
+  // file of a delta backup's chain against the checksum recorded for it
+  const checkImageChecksum = async () => {
+    if (deltaChain) {
+      for (const file of deltaChain.files) {
+        const sha256 = await hashImage(file.path);
+        checkCancelled();
+        if (sha256 !== file.sha256) {
+          throw new JobError(
+            `${file.path} does not match the checksum recorded for the chain of ${basename(source)} ` +
+            `(expected ${file.sha256?.substring(0, 16)}..., got ${sha256.substring(0, 16)}...) - the file is corrupt or was modified`
+          );
+        }
+      }
+      log(`Checksums of the ${deltaChain.files.length} files of the chain match`);
+      return;
+    }
+    const manifest = remote ? await readRemoteManifest(trackedSpawn, remote) : readManifest(source);
+    checkCancelled();
+    if (!manifest?.sha256?.final) {
+      log('No manifest with a checksum for this image - skipping checksum check');
+      return;
+    }
+    const sha256 = remote ? await hashRemoteImage() : await hashImage(source);
+    checkCancelled();
+    if (sha256 !== manifest.sha256.final) {
+      throw new JobError(
+        `Image checksum does not match its manifest (expected ${manifest.sha256.final.substring(0, 16)}..., ` +
+        `got ${sha256.substring(0, 16)}...) - the file is corrupt or was modified`
+      );
+    }
+    log('Image checksum matches its manifest');
+  };
+
+  // Stream a device's contents (as root) through `sudo dd`
+  const readDevice = (device) => open('sudo', ['dd', 'if=' + device, platform === 'darwin' ? 'bs=4m' : 'bs=4M']);
+
+  // Whether pishrink is the shrinker asked for (automatic means pishrink on Linux)
+  const wantsPishrink = () => shrinker === SHRINKERS.PISHRINK || (shrinker === SHRINKERS.AUTO && platform === 'linux');
+  // Set when automatic shrinking found no pinned pishrink bundled and uses the built-in shrinker
+  let noBundledPishrink = false;
+
+  // Whether the backup is going to be shrunk with pishrink
+  const usesPishrink = () => shrink && !base && !remote && compression === 'none' && wantsPishrink() && !noBundledPishrink;
+
+  // Read the pishrink script and check it against its pinned SHA-256, returning it (see
+  // readPishrink). A script that is missing, not pinned or doesn't match fails the job.
+  const loadPishrink = () => {
+    const { path, sha256: pinned, bundled } = pishrinkScript(pishrinkSettings);
+    let script;
+    try {
+      script = readPishrink(path);
+    } catch {
+      throw new JobError(bundled
+        ? `The bundled pishrink is missing (${path}) - reinstall pi-backup-tool, use your own pinned script, ` +
+          'shrink with the built-in shrinker or back up without shrinking'
+        : `pishrink not found at ${path}`);
+    }
+    if (!pinned) {
+      throw new JobError(`No SHA-256 is pinned for ${path} - refusing to run it as root`);
+    }
+    if (script.sha256 !== pinned) {
+      throw new JobError(
+        `${path} does not match its pinned SHA-256 (expected ${pinned.substring(0, 16)}..., ` +
+        `got ${script.sha256.substring(0, 16)}...) - refusing to run it as root`
+      );
+    }
+    return script;
+  };
+
+  // Check the pishrink the backup is going to run before the card is read. Automatic
+  // shrinking goes on with the built-in shrinker while no release is bundled and pinned
+  // (see vendor/README.md); a script asked for explicitly or configured by the user that
+  // can't run fails the job.
+  const checkPishrink = () => {
+    if (!usesPishrink()) return;
+    const { path, sha256, bundled } = pishrinkScript(pishrinkSettings);
+    if (shrinker === SHRINKERS.AUTO && bundled && (!sha256 || !existsSync(path))) {
+      log('No pinned pishrink is bundled - the image will be shrunk with the built-in shrinker');
+      noBundledPishrink = true;
+      return;
+    }
+    loadPishrink();
+  };
+
+  // Run pishrink on the finished image after checking the script against its pinned
+  // SHA-256 again (it was checked before the card was read). Resolves with
+  // { version, sha256 } of the script when it shrank the image, null when it failed.
+  const runPishrink = async () => {
+    let script;
+    try {
+      script = loadPishrink();
+    } catch (err) {
+      throw new JobError(`${err.message}. The image was saved without shrinking.`);
+    }
+    log(script.version ? `pishrink ${script.version} matches its pinned SHA-256` : 'pishrink matches its pinned SHA-256');
+
+    // Run the checked bytes from a private copy, so the file can't be swapped in between
+    const tempDir = mkdtempSync(join(tmpdir(), 'pi-backup-'));
+    const copy = join(tempDir, 'pishrink.sh');
+    writeFileSync(copy, script.contents, { mode: 0o600 });
+    if (pishrinkSettings?.options?.includes('z')) created.add(`${destination}.gz`);
+
+    log('Running pishrink to compress image...');
+    const onOutput = (text) => {
+      emitOutput('pishrink', text);
+      log(text.trim().substring(0, 60));
+    };
+    try {
+      // `--` so an image name can never be taken for a pishrink option
+      const { code } = await run('sudo', ['bash', copy, ...pishrinkArgs(pishrinkSettings?.options), '--', destination], {
+        stdin: 'inherit',
+        onStdout: onOutput,
+        onStderr: onOutput,
+      });
+      checkCancelled();
+      if (code !== 0) {
+        // pishrink might fail on macOS since it needs Linux tools
+        log(`pishrink exited with code ${code}`);
+        return null;
+      }
+      log('Shrink complete!');
+    } catch (err) {
+      checkCancelled();
+      log(`pishrink not available: ${err.message}`);
+      return null;
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    // Record which pishrink shrank the image
+    return { version: script.version, sha256: script.sha256 };
+  };
+
+  // Shrink the image with the built-in shrinker (src/shrink.js), resolving with whether it did
+  const runNativeShrink = async () => {
+    log('Shrinking image with the built-in shrinker...');
+    const started = Date.now();
+    try {
+      const result = await shrinkImage(destination, {
+        onLog: log,
+        onProgress: (bytes, total) => emitProgress(bytes, total, started),
+        isCancelled: () => cancelled,
+      });
+      log(`Shrink complete! ${formatBytes(result.zeroed)} of free blocks zeroed, ` +
+        `${formatBytes(result.stored)} of data stored in a ${formatBytes(result.after)} sparse image`);
+      return true;
+    } catch (err) {
+      checkCancelled();
+      log(`Built-in shrinker failed: ${err.message}`);
+      return false;
+    }
+  };
+
+  // Shrink the finished image with the shrinker asked for, resolving with
+  // { shrinker, pishrink }: the SHRINKERS value that shrank it (null when none did) and
+  // the pishrink details for the manifest. Automatic uses pishrink on Linux and falls
+  // back to the built-in shrinker when pishrink fails or isn't bundled.
+  const runShrink = async () => {
+    phase(PHASES.SHRINKING);
+    if (wantsPishrink() && !noBundledPishrink) {
+      const pishrink = await runPishrink();
+      if (pishrink) return { shrinker: SHRINKERS.PISHRINK, pishrink };
+      if (shrinker === SHRINKERS.PISHRINK) {
+        log('Image saved without shrinking');
+        return { shrinker: null, pishrink: null };
+      }
+      log('Falling back to the built-in shrinker');
+    }
+    const shrunk = await runNativeShrink();
+    if (!shrunk) log('Image saved without shrinking');
+    return { shrinker: shrunk ? SHRINKERS.NATIVE : null, pishrink: null };
+  };
+
+  // Make sure the destination's filesystem has room for a backup of `sourceInfo`: the card's
+  // size (or the `copied` part of it, for sparse copies) for raw images, an estimate for
+  // compressed ones. The space taken by a file being replaced or resumed counts as free.
+  // A remote directory that can't be reached fails the backup before it starts.
+  const checkFreeSpace = async (sourceInfo, copied = sourceInfo.size) => {
+    const directory = dirname(destination);
+    let available;
+    if (remote) {
+      available = parseRemoteFreeSpace(await runRemote(remoteCommands.freeSpace(remote.path), `Cannot reach ${directory}`));
+      if (available === null || !sourceInfo.size) {
+        log(`${available === null ? `Free space in ${directory} unknown` : 'Size of the card unknown'}, skipping the free space check`);
+        return;
+      }
+    } else {
+      if (!sourceInfo.size) {
+        log('Size of the card unknown, skipping the free space check');
+        return;
+      }
+      try {
+        const { bavail, bsize } = statfsSync(directory);
+        // A sparse image takes less space than its size
+        const replaced = existsSync(destination) ? statSync(destination) : null;
+        available = bavail * bsize + (replaced ? Math.min(replaced.size, replaced.blocks * 512) : 0);
+      } catch (err) {
+        log(`Cannot check free space in ${directory}: ${err.message}`);
+        return;
+      }
+    }
+    const needed = Math.ceil(copied * COMPRESSIONS[compression].ratio);
+    if (needed > available) {
+      throw new JobError(
+        `Not enough free space in ${directory}: the backup needs ` +
+        `${compression === 'none' ? formatBytes(needed) : `about ${formatBytes(needed)} (estimated for ${compression})`}, ` +
+        `only ${formatBytes(available)} is free`
+      );
+    }
+    log(`Free space: ${formatBytes(available)} (needs ${compression === 'none' ? '' : 'about '}${formatBytes(needed)})`);
+  };
+
+  // Where the partitions in the image being restored end (null without an MBR)
+  const imagePartitionsEnd = async () => {
+    const image = openJobImage(source);
+    try {
+      const partitions = parseMbr(await blockReader(image.stream)(512));
+      return partitions.length > 0 ? Math.max(...partitions.map(part => part.start + part.size)) : null;
+    } catch {
+      return null;
+    } finally {
+      image.stream.destroy();
+      image.process?.kill();
+    }
+  };
+
+  // Make sure the target card can hold the image being restored: all of the image, and at
+  // least all of its partitions
+  const checkTargetSize = async () => {
+    const { size } = await getDeviceInfo(destination);
+    checkCancelled();
+    if (!size) {
+      log(`Size of ${destination} unknown, skipping the size check`);
+      return;
+    }
+    const partitionsEnd = await imagePartitionsEnd();
+    checkCancelled();
+    if (partitionsEnd && partitionsEnd > size) {
+      throw new JobError(
+        `The partitions in ${source} end at ${formatBytes(partitionsEnd)}, ` +
+        `beyond the end of ${destination} (${formatBytes(size)}) - use a bigger card`
+      );
+    }
+    if (imageSize && imageSize > size) {
+      throw new JobError(
+        `${source} is ${formatBytes(imageSize)}${compressionFromPath(source) === 'none' ? '' : ' uncompressed'}, larger than ${destination} (${formatBytes(size)})` +
+        (partitionsEnd ? ` - its partitions end at ${formatBytes(partitionsEnd)}, shrink the image to fit` : ' - use a bigger card')
+      );
+    }
+    if (!imageSize && !partitionsEnd) {
+      log('Size of the image unknown, skipping the size check');
+      return;
+    }
+    log(`${destination} (${formatBytes(size)}) is big enough for the image`);
+  };
+
+  // Check that the card of the running Pi can be read over SSH (its device exists and sudo
+  // works there without a password), resolving with its { device, model, serial, size }
+  const checkPiSource = async () => {
+    phase(PHASES.VALIDATING);
+    // Shrinking with pishrink runs sudo here
+    if (shrink && !remote) await validateSudo();
+    checkCancelled();
+    log(`Checking ${piSource.path} on ${piSource.host}...`);
+    const output = await runRemote(remoteDeviceCommands.info(piSource.path), `Cannot back up ${source}`, { location: piSource });
+    const info = { device: source, ...parseRemoteDevice(output) };
+    log(`${piSource.path}: ${info.size ? formatBytes(info.size) : 'size unknown'}${info.model ? `, ${info.model}` : ''}`);
+    return info;
+  };
+
+  // Random reads of the card `device` as root ({ read(position, length) }, as in inspect.js),
+  // each through a `sudo dd` of the MAP_WINDOW_SIZE windows it falls in
+  const openCardReader = (device) => {
+    const windows = new Map();  // the last windows read, by index
+    const readWindow = async (index) => {
+      if (windows.has(index)) return windows.get(index);
+      checkCancelled();
+      const dd = track(spawn('sudo', [
+        'dd', `if=${device}`, platform === 'darwin' ? 'bs=1m' : 'bs=1M', `skip=${index}`, 'count=1',
+      ], { stdio: ['ignore', 'pipe', 'pipe'] }));
+      const chunks = [];
+      let stderr = '';
+      dd.stdout.on('data', data => chunks.push(data));
+      dd.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      const code = await waitForExit(dd);
+      checkCancelled();
+      if (code !== 0) {
+        throw new Error(stderr.split('\n').find(line => line.trim() && !isDdProgress(line))?.trim() || `dd exited with code ${code}`);
+      }
+      const data = Buffer.concat(chunks);
+      windows.set(index, data);
+      if (windows.size > MAP_WINDOWS) windows.delete(windows.keys().next().value);
+      return data;
+    };
+
+    return {
+      read: async (position, length) => {
+        const parts = [];
+        for (let index = Math.floor(position / MAP_WINDOW_SIZE); index * MAP_WINDOW_SIZE < position + length; index++) {
+          const data = await readWindow(index);
+          const start = index * MAP_WINDOW_SIZE;
+          parts.push(data.subarray(Math.max(0, position - start), position + length - start));
+          if (data.length < MAP_WINDOW_SIZE) break;  // the end of the card
+        }
+        return Buffer.concat(parts);
+      },
+    };
+  };
+
+  // Byte ranges of the card `source` of `size` bytes that hold no data (see unusedRanges),
+  // null when they can't be found out and all of it is copied
+  const mapCard = async (size) => {
+    log(`Reading the partition table and allocation maps of ${source}...`);
+    let unused;
+    try {
+      unused = await unusedRanges(openCardReader(source), size, { onLog: log, isCancelled: () => cancelled });
+    } catch (err) {
+      checkCancelled();
+      log(`Cannot read the allocation maps (${err.message}), copying all of ${source}`);
+      return null;
+    }
+    checkCancelled();
+    const copied = copiedSize(sparseRuns(unused, size, { blockSize: CHECKPOINT_BLOCK_SIZE }));
+    log(`Copying ${formatBytes(copied)} of ${formatBytes(size)}, skipping ${formatBytes(size - copied)} that holds no data`);
+    return unused;
+  };
+
+  // Read the (decompressed) image back and compare its SHA-256 with `sha256`, the checksum
+  // of the `length` bytes written to it
+  const verifyAgainstHash = async (path, sha256, length) => {
+    phase(PHASES.VERIFYING);
+    log('Verifying image against the data read...');
+    const started = Date.now();
+    const image = openJobImage(path);
+    let read;
+    try {
+      read = await hashStream(image.stream, {
+        onProgress: (bytes) => {
+          if (cancelled) image.stream.destroy(new Error('Cancelled'));
+          emitProgress(bytes, length, started);
+        },
+      });
+    } catch (err) {
+      checkCancelled();
+      throw new JobError(`Cannot read ${path}: ${err.message}`);
+    } finally {
+      image.process?.kill();
+    }
+    if (read !== sha256) {
+      throw new VerifyError(`${path} does not match the data read from ${source} - it was damaged while being saved`, null);
+    }
+    log(`Verified image, SHA-256 ${read.substring(0, 16)}...`);
+  };
+
+  // Find where an interrupted raw backup into `destination` can go on from: the number of
+  // 4 MiB blocks at the start of the image that still match its journal (0 to start over).
+  // Refuses to resume from a different card than the one the journal was written for.
+  const resumeBlock = async (sourceInfo) => {
+    if (base) {
+      if (resume) log('Delta backups can\'t be resumed, starting from the beginning');
+      return 0;
+    }
+    if (remote || piSource) {
+      if (resume) log(`Backups ${remote ? 'to another computer' : 'of a running Pi'} can't be resumed, starting from the beginning`);
+      return 0;
+    }
+    const journal = compression === 'none' ? readJournal(destination) : null;
+    if (!resume) {
+      if (journal) log('Discarding the earlier partial backup, starting over');
+      return 0;
+    }
+    if (!journal || !existsSync(destination)) {
+      log('No partial backup to resume, starting from the beginning');
+      return 0;
+    }
+    const saved = journal.header.source || {};
+    if (!sourceInfo.size || !sameDisk(saved, sourceInfo)) {
+      const describe = (info) => [info.model, info.serial, info.size ? formatBytes(info.size) : null]
+        .filter(Boolean).join(', ') || 'unknown card';
+      throw new JobError(
+        `Cannot resume: the partial backup was read from ${describe(saved)}, ` +
+        `but ${source} is ${describe(sourceInfo)} - connect the same card or start over`
+      );
+    }
+
+    resumable = destination;
+    phase(PHASES.HASHING);
+    log(`Checking the ${journal.blocks.length} checkpointed blocks of ${destination}...`);
+    const started = Date.now();
+    const length = journal.blocks.length * CHECKPOINT_BLOCK_SIZE;
+    const blocks = await verifiedBlocks(destination, journal, {
+      onProgress: (bytes) => emitProgress(bytes, length, started),
+      isCancelled: () => cancelled,
+    });
+    checkCancelled();
+    // Later blocks are read from the card again
+    writeJournal(destination, journal.header, journal.blocks.slice(0, blocks));
+    log(`Resuming at ${formatBytes(blocks * CHECKPOINT_BLOCK_SIZE)} of ${formatBytes(sourceInfo.size)}`);
+    return blocks;
+  };
+
+  // The backup a delta backup is made against: { path, manifest, chain } (`chain` that of a
+  // base that is a delta itself, see readChain). Fails unless it is a finished backup in the
+  // destination's directory that the delta wouldn't replace a file of.
+  const loadBase = () => {
+    if (remote) throw new JobError('Delta backups can only be saved on this computer');
+    if (!isDelta(destination)) {
+      throw new JobError(`Delta backups are saved as .delta files - use ${deltaFileName(basename(destination), compression)}`);
+    }
+    const path = resolve(base);
+    if (!existsSync(path)) throw new JobError(`Base image not found: ${base}`);
+    if (dirname(path) !== dirname(resolve(destination))) {
+      throw new JobError(`${path} is not in ${dirname(resolve(destination))} - a delta backup has to be saved next to its base`);
+    }
+    const manifest = readManifest(path);
+    if (!manifest?.sha256?.final) {
+      throw new JobError(`${path} has no manifest with a checksum - only backups made by this tool can be the base of a delta backup`);
+    }
+    let chain = null;
+    try {
+      chain = isDelta(path) ? readChain(path, manifest) : null;
+    } catch (err) {
+      if (err instanceof DeltaError) throw new JobError(err.message);
+      throw err;
+    }
+    if ((chain ? chain.files.map(file => file.path) : [path]).includes(resolve(destination))) {
+      throw new JobError(`${basename(destination)} is needed to rebuild ${basename(path)} - save the delta backup under another name`);
+    }
+    return { path, manifest, chain };
+  };
+
+  // Checksums of the blocks of the delta backup's base (see loadBase): those saved next to it
+  // when they are of the file as it is now, else computed by reading it (rebuilt, when it is a
+  // delta) and saved for the next delta backup. Resolves with { size, hashes }.
+  const baseBlockHashes = async (baseImage) => {
+    const saved = readBlockList(baseImage.path);
+    if (saved?.header.sha256 === baseImage.manifest.sha256.final && saved.header.blockSize === CHECKPOINT_BLOCK_SIZE) {
+      log(`Using the block checksums of ${basename(baseImage.path)}`);
+      return { size: saved.header.size, hashes: saved.hashes };
+    }
+    phase(PHASES.HASHING);
+    log(`Computing the block checksums of ${baseImage.path}...`);
+    const started = Date.now();
+    const total = baseImage.chain ? baseImage.chain.size : getImageSize(baseImage.path);
+    const image = baseImage.chain ? openChain(baseImage.chain, trackedSpawn) : openImage(baseImage.path, trackedSpawn);
+    const decompressorExit = image.process ? waitForExit(image.process) : Promise.resolve(0);
+    decompressorExit.catch(() => {});  // awaited once the image is read
+    let hashed;
+    try {
+      hashed = await hashBlocks(image.stream, {
+        onProgress: (bytes) => {
+          if (cancelled) image.stream.destroy(new Error('Cancelled'));
+          emitProgress(bytes, total, started);
+        },
+      });
+      // A decompressor that fails midway just ends its output
+      const code = await decompressorExit;
+      if (code !== 0) throw new Error(`decompressing it failed (exit code ${code})`);
+    } catch (err) {
+      checkCancelled();
+      throw new JobError(`Cannot read ${baseImage.path}: ${err.message}`);
+    } finally {
+      image.stream.destroy();
+      image.process?.kill();
+    }
+    try {
+      writeBlockList(baseImage.path, { blockSize: CHECKPOINT_BLOCK_SIZE, size: hashed.size, sha256: baseImage.manifest.sha256.final }, hashed.hashes);
+    } catch (err) {
+      log(`Could not save the block checksums of ${baseImage.path}: ${err.message}`);
+    }
+    return hashed;
+  };
+
+  const runBackup = async () => {
+    if (!COMPRESSIONS[compression]) {
+      throw new JobError(`Unknown compression: ${compression}`);
+    }
+    if (!availableCompressions().includes(compression)) {
+      throw new JobError(`${compression} is not installed - install it or choose another compression`);
+    }
+    remote = remoteLocation(destination);
+    piSource = remoteLocation(source);
+    if (!base && isDelta(destination)) {
+      throw new JobError(`${basename(destination)} is named like a delta backup - choose a base image to make one, or save it as ${withExtension(basename(destination), compression)}`);
+    }
+    const baseImage = base ? loadBase() : null;
+    // A pishrink that can't run fails the backup before the card is read, not after
+    checkPishrink();
+    let sourceInfo;
+    if (piSource) {
+      sourceInfo = await checkPiSource();
+    } else {
+      await prepareDevice(source);
+
+      // Check source exists and start backup
+      log('Checking source device...');
+      const checkSource = await run('sudo', ['test', '-e', source]).catch((err) => {
+        throw new JobError(`Cannot access source: ${err.message}`);
+      });
+      checkCancelled();
+      if (checkSource.code !== 0) {
+        throw new JobError(`Source device not found: ${source}`);
+      }
+      sourceInfo = await getDeviceInfo(source);
+    }
+    const total = sourceInfo.size;
+    checkCancelled();
+    let baseBlocks = null;
+    if (baseImage) {
+      if (!total) throw new JobError(`Size of ${source} unknown - delta backups need it`);
+      if (baseImage.manifest.source && !sameDisk(baseImage.manifest.source, sourceInfo)) {
+        log(`${basename(baseImage.path)} was taken from another card - most blocks will have changed`);
+      }
+      baseBlocks = await baseBlockHashes(baseImage);
+      checkCancelled();
+    }
+    // Only the blocks holding data are read from a card on this computer
+    const unused = sparse && !piSource && total ? await mapCard(total) : null;
+    if (baseImage) {
+      log('Delta backups only store the blocks that changed - skipping the free space check');
+    } else {
+      await checkFreeSpace(sourceInfo, unused ? copiedSize(sparseRuns(unused, total, { blockSize: CHECKPOINT_BLOCK_SIZE })) : total);
+    }
+    const startBlock = await resumeBlock(sourceInfo);
+    const runs = unused ? sparseRuns(unused, total, { blockSize: CHECKPOINT_BLOCK_SIZE, startBlock }) : null;
+
+    phase(PHASES.BACKING_UP);
+    log(`Starting backup from ${source} to ${destination}`);
+
+    // Raw backups stream dd's output into the image, checkpointing it so an interrupted
+    // backup can be resumed (hashing the raw data on the way unless resuming).
+    // Compressed backups stream it through the compressor, hashing the raw data on the way.
+    // Backups to another computer stream it (compressed) into ssh, hashing what is sent as well.
+    // A running Pi's card is read by dd on the Pi, its output coming through ssh.
+    // Sparse copies read the card with a dd per run of blocks in use (see runSparseCopy).
+    // Delta backups pass on only the blocks that changed since their base (see createDeltaFilter).
+    let dd;
+    let rawHash = null;
+    let sentHash = null;
+    let deltaFilter = null;
+    try {
+      if (compression === 'none' && !remote && !piSource && !baseImage) {
+        resumable = destination;
+        const hashTap = startBlock === 0 ? createHashTap() : null;
+        const writer = createCheckpointWriter(destination, {
+          header: { source: sourceInfo, blockSize: CHECKPOINT_BLOCK_SIZE, created: new Date().toISOString() },
+          startBlock,
+        });
+        const output = hashTap ? [hashTap.stream, writer] : [writer];
+        const offset = startBlock * CHECKPOINT_BLOCK_SIZE;
+        dd = runs
+          ? await runSparseCopy(runs, total, { output, offset })
+          : await runDd(['sudo', 'dd', ...ddArgs(source, null, platform, startBlock)], total, { output, offset });
+        rawHash = hashTap?.digest() ?? null;
+      } else {
+        created.add(destination);
+        const compressor = compression === 'none' ? null : createCompressor(compression, trackedSpawn);
+        if (compressor) log(`Compressing with ${compression}...`);
+        const compressorExit = compressor?.process ? waitForExit(compressor.process) : Promise.resolve(0);
+        compressorExit.catch(() => {});  // awaited once dd is done
+        const hashTap = createHashTap();
+        const sentTap = remote && compressor ? createHashTap() : null;
+        deltaFilter = baseImage ? createDeltaFilter(baseBlocks.hashes) : null;
+        if (deltaFilter) log(`Storing the blocks that changed since ${basename(baseImage.path)}`);
+
+        let ssh = null;
+        let sshStderr = '';
+        let sshExit = Promise.resolve(0);
+        if (remote) {
+          log(`Sending the image to ${remote.host}...`);
+          ssh = trackedSpawn('ssh', sshArgs(remote, remoteCommands.write(remote.path)), { stdio: ['pipe', 'ignore', 'pipe'] });
+          ssh.stderr.on('data', (data) => {
+            sshStderr += data.toString();
+          });
+          sshExit = waitForExit(ssh);
+          sshExit.catch(() => {});  // awaited once dd is done
+        }
+        if (piSource) log(QUIESCE_LOGS[quiesce]);
+        const readCard = piSource
+          ? ['ssh', ...sshArgs(piSource, remoteDeviceCommands.read(piSource.path, quiesce))]
+          : ['sudo', 'dd', ...ddArgs(source, null, platform)];
+        const output = [
+          hashTap.stream,
+          ...(deltaFilter ? [deltaFilter.stream] : []),
+          ...(compressor ? [compressor.stream] : []),
+          ...(sentTap ? [sentTap.stream] : []),
+          remote ? ssh.stdin : createWriteStream(destination),
+        ];
+        dd = runs ? await runSparseCopy(runs, total, { output }) : await runDd(readCard, total, { output });
+        const compressorCode = await compressorExit;
+        if (dd.code === 0 && !dd.streamError && compressorCode !== 0) {
+          throw new JobError(`${compression} failed with exit code ${compressorCode}`);
+        }
+        const sshCode = await sshExit;
+        if (dd.code === 0 && sshCode !== 0) {
+          throw new JobError(`Sending the image to ${remote.host} failed: ${sshError(sshStderr, sshCode)}`);
+        }
+        rawHash = hashTap.digest();
+        sentHash = sentTap ? sentTap.digest() : null;
+      }
+    } catch (err) {
+      checkCancelled();
+      throw err instanceof JobError ? err : new JobError(`Failed to start dd: ${err.message}`);
+    }
+    checkCancelled();
+    // A raw image read up to here is kept with its journal, for running the backup again with resume
+    const kept = resumable ? ' - the partial image is kept, resume the backup to continue' : '';
+    if ((dd.code !== 0 || dd.streamError) && !piSource) {
+      checkDevicePresent(source, kept || ' - the image is incomplete');
+    }
+    if (dd.code !== 0) {
+      throw new JobError(`${piSource ? `Reading ${source} failed` : 'dd failed'}: ${dd.lastError || `exit code ${dd.code}`}${kept}`);
+    }
+    if (dd.streamError) {
+      throw new JobError(`Writing image failed: ${dd.streamError.message}${kept}`);
+    }
+    if (resumable) {
+      removeJournal(destination);
+      resumable = null;
+      created.add(destination);
+    }
+
+    // What the delta backup holds, and the files it is rebuilt from (those of its base's
+    // chain and the base)
+    let delta = null;
+    if (deltaFilter) {
+      const { hashes, blocks, stored } = deltaFilter.result();
+      const changedBlocks = blocks.reduce((sum, [, count]) => sum + count, 0);
+      log(`Stored ${formatBytes(stored)} that changed (${changedBlocks} of ${hashes.length} blocks)`);
+      const baseEntry = {
+        file: basename(baseImage.path),
+        sha256: baseImage.manifest.sha256.final,
+        size: baseImage.chain ? baseImage.chain.size : baseBlocks.size,
+      };
+      delta = {
+        base: baseEntry.file,
+        blockSize: CHECKPOINT_BLOCK_SIZE,
+        size: total,
+        blocks,
+        stored,
+        chain: [...(baseImage.chain ? baseImage.manifest.delta.chain : []), baseEntry],
+      };
+      deltaChain = readChain(destination, { delta });
+    }
+
+    // Checksum of the full raw image (verifying computes it on the way). A running Pi's
+    // card has changed since it was read, so its image is checked against what was read.
+    if (verify && piSource) {
+      await verifyAgainstHash(destination, rawHash, total);
+    } else if (verify) {
+      log('Verifying image against the card...');
+      // The blocks skipped are zeros in the image
+      const card = unused ? openSparseCard(sparseRuns(unused, total, { blockSize: CHECKPOINT_BLOCK_SIZE })) : null;
+      const device = card ? null : readDevice(source);
+      const image = openJobImage(destination);
+      try {
+        ({ sha256: rawHash } = await verifyStreams({
+          expected: card ? card.stream : device.stdout,
+          actual: image.stream,
+          device,
+          devicePath: source,
+          length: total,
+          what: 'image and card',
+        }));
+      } finally {
+        image.process?.kill();
+      }
+    } else if (!rawHash) {
+      rawHash = await hashImage(destination);
+    }
+    checkCancelled();
+
+    let shrunk = { shrinker: null, pishrink: null };
+    if (shrink && delta) {
+      log('Backup complete! Skipping shrinking - delta backups only hold the blocks that changed');
+    } else if (shrink && remote) {
+      log('Backup complete! Skipping shrinking - it needs an image on this computer');
+    } else if (shrink && compression !== 'none') {
+      log(`Backup complete! Skipping shrinking - it needs a raw image, not ${compression}`);
+    } else if (shrink) {
+      log('Backup complete! Shrinking...');
+      shrunk = await runShrink();
+    } else {
+      log('Backup complete! Skipping shrinking');
+    }
+    // pishrink -z replaces the image with a gzipped one
+    let image = destination;
+    if (shrunk.pishrink && !existsSync(destination) && existsSync(`${destination}.gz`)) {
+      image = `${destination}.gz`;
+      log(`pishrink compressed the image to ${image}`);
+    }
+
+    // The manifest's final checksum is of the file as stored, which restores check
+    let finalHash = rawHash;
+    if (remote) {
+      finalHash = sentHash || rawHash;
+    } else if (shrunk.shrinker || compression !== 'none' || delta) {
+      finalHash = await hashImage(image);
+    }
+    checkCancelled();
+
+    await saveManifest(image, sourceInfo, { raw: rawHash, final: finalHash }, shrunk, delta);
+    if (delta) {
+      // The next delta backup against this one compares the card with these
+      try {
+        writeBlockList(image, { blockSize: CHECKPOINT_BLOCK_SIZE, size: total, sha256: finalHash }, deltaFilter.result().hashes);
+      } catch (err) {
+        log(`Could not save the block checksums: ${err.message}`);
+      }
+    }
+    await finishDevice(source);
+    return { image };
+  };
+
+  // { start, size } of the boot partition in the image being restored (null without one)
+  const imageBootPartition = async () => {
+    const image = openJobImage(source);
+    try {
+      return bootPartition(await blockReader(image.stream)(512));
+    } catch {
+      return null;
+    } finally {
+      image.stream.destroy();
+      image.process?.kill();
+    }
+  };
+
+  // Write the first-boot settings in `customize` (see customize.js) to the partition `boot`
+  // of the restored card: the partition is copied into a temporary file, changed there and
+  // written back
+  const customizeCard = async (boot) => {
+    phase(PHASES.CUSTOMIZING);
+    log(`Customizing ${destination}: ${describeCustomization(customize).join(', ')}`);
+
+    // The largest block size both ends of the partition are aligned to
+    const blockSize = [4 * 1024 * 1024, 1024 * 1024, 512].find(size => boot.start % size === 0 && boot.size % size === 0);
+    const blocks = [`bs=${blockSize}`, `count=${boot.size / blockSize}`];
+    const tempDir = mkdtempSync(join(tmpdir(), 'pi-backup-boot-'));
+    const copy = join(tempDir, 'boot.img');
+    try {
+      // dd runs as root, so the file is created first to stay the user's
+      writeFileSync(copy, '');
+      const read = await run('sudo', ['dd', `if=${destination}`, `of=${copy}`, ...blocks, `skip=${boot.start / blockSize}`, 'conv=notrunc']);
+      checkCancelled();
+      if (read.code !== 0) {
+        throw new JobError(`Reading the boot partition of ${destination} failed: ${read.stderr.trim().split('\n')[0]}`);
+      }
+
+      let files;
+      try {
+        files = await customizeImage(copy, customize, { name: destination });
+      } catch (err) {
+        if (!(err instanceof CustomizeError)) throw err;
+        throw new JobError(`${err.message} - the card was restored but not customized`);
+      }
+
+      const written = await run('sudo', [
+        'dd', `if=${copy}`, `of=${destination}`, ...blocks, `seek=${boot.start / blockSize}`,
+        platform === 'darwin' ? 'conv=notrunc' : 'conv=notrunc,fsync',
+      ]);
+      checkCancelled();
+      if (written.code !== 0) {
+        checkDevicePresent(destination, ' - its boot partition may be damaged');
+        throw new JobError(`Writing the boot partition of ${destination} failed: ${written.stderr.trim().split('\n')[0]}`);
+      }
+      log(`Wrote ${files.join(', ')} to the boot partition`);
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  };
+
+  // Uncompressed size of the image being restored, null if unknown. A remote image that
+  // can't be read fails the restore before the card is touched.
+  const sourceImageSize = async () => {
+    if (!remote) return getImageSize(source);
+    try {
+      return await getRemoteImageSize(source, trackedSpawn);
+    } catch (err) {
+      checkCancelled();
+      throw new JobError(err.message);
+    }
+  };
+
+  const runRestore = async () => {
+    if (isRemote(destination)) {
+      throw new JobError(`${destination} is on another computer - cards can only be written on this one`);
+    }
+    remote = remoteLocation(source);
+    if (isDelta(source)) {
+      if (remote) throw new JobError(`${source} is a delta backup - those can only be restored from this computer`);
+      try {
+        deltaChain = readChain(source);
+      } catch (err) {
+        if (err instanceof DeltaError) throw new JobError(err.message);
+        throw err;
+      }
+      log(`${basename(source)} is rebuilt from ${deltaChain.files.map(file => basename(file.path)).join(' + ')}`);
+    }
+    imageSize = deltaChain ? deltaChain.size : await sourceImageSize();
+    checkCancelled();
+    if (!sharedImage) await checkImageChecksum();
+    // An image that can't be customized is refused before the card is touched
+    const boot = customize ? await imageBootPartition() : null;
+    checkCancelled();
+    if (customize && !boot?.size) {
+      throw new JobError(`No FAT boot partition in ${source} - it can't be given first-boot settings`);
+    }
+    await prepareDevice(destination);
+    await checkTargetSize();
+
+    phase(PHASES.RESTORING);
+    log(`Restoring ${source} to ${destination}`);
+
+    // Compressed images are decompressed on the fly and piped into dd
+    const imageCompression = compressionFromPath(source);
+    let dd;
+    let shared = null;
+    try {
+      if (sharedImage) {
+        log('Waiting for the other cards...');
+        shared = await sharedImage();
+        checkCancelled();
+        dd = await runDd(['sudo', 'dd', ...ddArgs(null, destination, platform)], imageSize, { input: shared.stream });
+      } else if (imageCompression === 'none' && !remote && !deltaChain) {
+        dd = await runDd(['sudo', 'dd', ...ddArgs(source, destination, platform)], imageSize);
+      } else {
+        if (remote) log(`Reading the image from ${remote.host}...`);
+        if (deltaChain) {
+          log(`Rebuilding the image from its chain of ${deltaChain.files.length} files and writing it...`);
+        } else if (imageCompression !== 'none') {
+          log(`Decompressing (${imageCompression}) and writing image...`);
+        }
+        const image = openJobImage(source);
+        const decompressorExit = image.process ? waitForExit(image.process) : Promise.resolve(0);
+        decompressorExit.catch(() => {});  // awaited once dd is done
+        dd = await runDd(['sudo', 'dd', ...ddArgs(null, destination, platform)], imageSize, {
+          input: image.stream,
+        });
+        // A decompressor (or ssh) that fails midway just ends its output, which dd would take as the end of the image
+        const decompressorCode = await decompressorExit;
+        if (dd.code === 0 && decompressorCode !== 0) {
+          throw new JobError(
+            `${imageCompression === 'none' ? 'Reading' : 'Decompressing'} ${source} failed (exit code ${decompressorCode}) - the card is incomplete`
+          );
+        }
+      }
+    } catch (err) {
+      checkCancelled();
+      throw err instanceof JobError ? err : new JobError(`Failed to start restore: ${err.message}`);
+    }
+    checkCancelled();
+    if (dd.code !== 0 || dd.streamError) {
+      checkDevicePresent(destination, ' - the card is incomplete');
+    }
+    if (dd.code !== 0) {
+      throw new JobError(`Restore failed: ${dd.lastError || `exit code ${dd.code}`}`);
+    }
+    if (dd.streamError) {
+      throw new JobError(`Reading image failed: ${dd.streamError.message} - the card is incomplete`);
+    }
+    log('Restore complete!');
+
+    if (verify) {
+      // Drop cached pages of the card so the read back comes from the card itself
+      if (platform === 'linux') {
+        await run('sudo', ['blockdev', '--flushbufs', destination]).catch(() => {});
+      }
+      log('Verifying card against the image...');
+      if (shared) {
+        // The image was read once for all cards, which are compared with its checksum
+        // Of as many bytes as were streamed, which is all there is to go by when the image's size is unknown
+        await verifyCardAgainstHash(destination, shared.digest());
+      } else {
+        const image = openJobImage(source);
+        const device = readDevice(destination);
+        try {
+          await verifyStreams({
+            expected: image.stream,
+            actual: device.stdout,
+            device,
+            devicePath: destination,
+            length: imageSize,
+            what: 'card and image',
+          });
+        } finally {
+          image.process?.kill();
+        }
+      }
+    }
+    if (customize) await customizeCard(boot);
+    await finishDevice(destination);
+  };
+
+  // Remove the files a cancelled job created, resolving with the paths removed.
+  // `sudo dd` creates images as root, so a directory the user can't write needs sudo.
+  const removeCreated = async () => {
+    const removed = [];
+    for (const path of created) {
+      if (remote && path === destination) {
+        const { code } = await runSsh(spawn, remote, remoteCommands.remove(remote.path)).catch(() => ({ code: 1 }));
+        if (code === 0) {
+          removed.push(path);
+        } else {
+          log(`Could not remove ${path}`);
+        }
+        continue;
+      }
+      if (!existsSync(path)) continue;
+      try {
+        rmSync(path, { force: true });
+      } catch {
+        await run('sudo', ['-n', 'rm', '-f', '--', path]).catch(() => {});
+      }
+      if (existsSync(path)) {
+        log(`Could not remove ${path}`);
+      } else {
+        removed.push(path);
+      }
+    }
+    return removed;
+  };
+
+  // Report a cancelled job once it stopped: { removed } lists the partial files deleted,
+  // { resumable } is the partial raw image kept for resuming (null when there is none)
+  const emitCancelled = async () => {
+    const removed = type === 'backup' ? await removeCreated() : [];
+    job.emit('cancelled', { removed, resumable });
+  };
+
+  // Start the job; events are emitted asynchronously so listeners can be added after
+  job.start = () => {
+    const steps = type === 'restore' ? runRestore : runBackup;
+    Promise.resolve()
+      .then(steps)
+      .then((result) => {
+        if (cancelled) {
+          return emitCancelled();
+        }
+        job.emit('done', result);
+      })
+      .catch((err) => {
+        if (cancelled) {
+          return emitCancelled();
+        }
+        job.emit('error', err instanceof JobError ? err : new JobError(err.message));
+      });
+    return job;
+  };
+
+  // Cancel the job, stopping every running process together with the processes they
+  // started (dd and pishrink's tools run as root under sudo, so they are signalled through sudo)
+  job.cancel = async () => {
+    if (cancelled) return;
+    cancelled = true;
+    const children = [...running];
+    let pids = [];
+    try {
+      const { stdout } = await run('ps', ['-A', '-o', 'pid=,ppid=']);
+      pids = children.flatMap(child => (child.pid ? descendantPids(stdout, child.pid) : []));
+    } catch {}
+
+    for (const child of children) {
+      child.kill('SIGTERM');
+    }
+    if (pids.length > 0) {
+      await run('sudo', ['-n', 'kill', '-TERM', ...pids.map(String)]).catch(() => {});
+    }
+  };
+
+  return job;
+}
+
+// Create a restore of one image to several cards at the same time. The image is read (and
+// decompressed) once, after its checksum and sudo access were checked, and streamed to a
+// restore job per card at the pace of the slowest card; verifying compares each card with
+// the checksum of the data streamed. A card that fails is left out, the others go on.
+// `description`: { source, destinations, verify = false, after = AFTER_JOB.NONE, customize = null }
+// (see createJob)
+//
+//   const restore = createMultiRestore({ source: 'pi.img.xz', destinations: ['/dev/sdb', '/dev/sdc'] });
+//   for (const { destination, job } of restore.jobs) job.on(...);  // each card's job (see createJob)
+//   restore.on('phase' | 'log' | 'progress', ...);  // checking the image's checksum and sudo, once for all cards
+//   restore.on('error', (error) => ...);      // the image or sudo can't be used, no card was touched
+//   restore.on('done', (results) => ...);     // every card's job is over:
+//                                             // [{ destination, result, error }], result one of RESULTS
+//   restore.on('cancelled', (results) => ...);
+//   restore.start();
+export function createMultiRestore(description, { spawn = spawnProcess, platform = process.platform } = {}) {
+  const { source, destinations, verify = false, after = AFTER_JOB.NONE, customize = null } = description;
+  const restore = new EventEmitter();
+  const waiting = new Map();  // job -> resolve, for the jobs ready to write
+  const results = new Map();  // job -> { destination, result, error }, for the jobs that are over
+  let image = null;           // { stream, process } of the image being streamed
+  let hashing = null;         // ssh computing the checksum of a remote image
+  let sudo = null;            // sudo -v checking the credentials for all cards
+  let chain = null;           // of a delta backup being restored (see readChain)
+  let feeding = false;
+  let cancelled = false;
+
+  // Once every card is ready to be written (or failed before), stream the image to them.
+  // Jobs waiting when the restore is cancelled get no image.
+  const feed = async () => {
+    if (cancelled) {
+      for (const resolve of waiting.values()) resolve(null);
+      waiting.clear();
+      return;
+    }
+    if (feeding || waiting.size === 0 || waiting.size + results.size < restore.jobs.length) return;
+    feeding = true;
+    let read = null;  // { sha256, bytes } of the image, once all of it was streamed
+    const outputs = [...waiting.values()].map((resolve) => {
+      const output = new PassThrough();
+      resolve({ stream: output, digest: () => read });
+      return output;
+    });
+    waiting.clear();
+
+    let failure = null;
+    try {
+      image = chain ? openChain(chain, spawn) : openImage(source, spawn);
+      const decompressorExit = image.process ? waitForExit(image.process) : Promise.resolve(0);
+      decompressorExit.catch(() => {});  // awaited once the image is read
+      read = await fanOut(image.stream, outputs);
+      // A decompressor that fails midway just ends its output, which dd would take as the end of the image
+      const code = await decompressorExit;
+      if (code !== 0) failure = new Error(`${compressionFromPath(source) === 'none' ? 'reading' : 'decompressing'} ${source} failed (exit code ${code})`);
+    } catch (err) {
+      failure = err;
+    } finally {
+      image?.stream.destroy();
+      image?.process?.kill();
+    }
+    for (const output of outputs) {
+      if (failure) {
+        output.destroy(failure);
+      } else {
+        output.end();
+      }
+    }
+  };
+
+  restore.jobs = destinations.map((destination) => {
+    const job = createJob({ type: 'restore', source, destination, verify, after, customize }, {
+      spawn,
+      platform,
+      sharedImage: () => new Promise((resolve) => {
+        waiting.set(job, resolve);
+        feed();
+      }),
+    });
+    const finish = (result, error = null) => {
+      results.set(job, { destination, result, error });
+      if (results.size === destinations.length) {
+        // After everyone else heard about the last job ending
+        const all = restore.jobs.map(({ job: each }) => results.get(each));
+        setImmediate(() => restore.emit(cancelled ? 'cancelled' : 'done', all));
+      } else {
+        feed();
+      }
+    };
+    job.on('done', () => finish(RESULTS.DONE));
+    job.on('error', error => finish(RESULTS.FAILED, error));
+    job.on('cancelled', () => finish(RESULTS.CANCELLED));
+    return { destination, job };
+  });
+
+  // Check the checksums of the files of a delta backup's chain against those recorded for them
+  const checkChainChecksums = async () => {
+    try {
+      chain = readChain(source);
+    } catch (err) {
+      if (err instanceof DeltaError) throw new JobError(err.message);
+      throw err;
+    }
+    restore.emit('phase', PHASES.HASHING);
+    for (const file of chain.files) {
+      restore.emit('log', `Computing SHA-256 of ${file.path}...`);
+      const sha256 = await hashLocal(file.path);
+      if (cancelled) return;
+      if (sha256 !== file.sha256) {
+        throw new JobError(
+          `${file.path} does not match the checksum recorded for the chain of ${basename(source)} ` +
+          `(expected ${file.sha256?.substring(0, 16)}..., got ${sha256.substring(0, 16)}...) - the file is corrupt or was modified`
+        );
+      }
+    }
+    restore.emit('log', `Checksums of the ${chain.files.length} files of the chain match`);
+  };
+
+  // Check the image's checksum against its manifest, once for all cards
+  const checkImageChecksum = async () => {
+    const remote = remoteLocation(source);
+    if (isDelta(source)) {
+      if (remote) throw new JobError(`${source} is a delta backup - those can only be restored from this computer`);
+      await checkChainChecksums();
+      return;
+    }
+    const manifest = remote ? await readRemoteManifest(spawn, remote) : readManifest(source);
+    if (cancelled) return;
+    if (!manifest?.sha256?.final) {
+      restore.emit('log', 'No manifest with a checksum for this image - skipping checksum check');
+      return;
+    }
+    restore.emit('phase', PHASES.HASHING);
+    if (remote) {
+      restore.emit('log', `Computing SHA-256 of ${source} on ${remote.host}...`);
+    } else {
+      restore.emit('log', `Computing SHA-256 of ${source}...`);
+    }
+    const sha256 = remote ? await hashRemote(remote) : await hashLocal();
+    if (cancelled) return;
+    if (sha256 !== manifest.sha256.final) {
+      throw new JobError(
+        `Image checksum does not match its manifest (expected ${manifest.sha256.final.substring(0, 16)}..., ` +
+        `got ${sha256.substring(0, 16)}...) - the file is corrupt or was modified`
+      );
+    }
+    restore.emit('log', 'Image checksum matches its manifest');
+  };
+
+  // Check sudo credentials once for all cards (asking for the password on the terminal if
+  // needed), rather than every card's job asking at the same time
+  const validateSudo = async () => {
+    restore.emit('phase', PHASES.VALIDATING);
+    restore.emit('log', 'Validating sudo access...');
+    let code;
+    try {
+      sudo = spawn('sudo', ['-v'], { stdio: ['inherit', 'ignore', 'ignore'] });
+      code = await waitForExit(sudo);
+    } catch (err) {
+      throw new JobError(`sudo failed: ${err.message}`);
+    }
+    if (!cancelled && code !== 0) {
+      throw new JobError('sudo authentication failed. Please run with sudo access.');
+    }
+  };
+
+  // SHA-256 of a remote image, computed on its host
+  const hashRemote = async (remote) => {
+    try {
+      return await remoteSha256((...args) => (hashing = spawn(...args)), remote);
+    } catch (err) {
+      if (cancelled) return null;
+      throw new JobError(`Cannot compute the checksum of ${source}: ${err.message}`);
+    }
+  };
+
+  // SHA-256 of a local image (the one restored unless `path` is given), with progress
+  const hashLocal = async (path = source) => {
+    const started = Date.now();
+    const total = statSync(path).size;
+    const stream = createReadStream(path, { highWaterMark: VERIFY_BLOCK_SIZE });
+    let sha256;
+    try {
+      sha256 = await hashStream(stream, {
+        onProgress: (bytes) => {
+          if (cancelled) stream.destroy(new Error('Cancelled'));
+          restore.emit('progress', progressUpdate(bytes, total, started));
+        },
+      });
+    } catch (err) {
+      if (cancelled) return null;
+      throw new JobError(`Cannot read ${path}: ${err.message}`);
+    } finally {
+      stream.destroy();
+    }
+    return sha256;
+  };
+
+  // Start the restore; events are emitted asynchronously so listeners can be added after
+  restore.start = () => {
+    Promise.resolve()
+      .then(checkImageChecksum)
+      .then(() => (cancelled ? null : validateSudo()))
+      .then(() => {
+        if (cancelled) {
+          restore.emit('cancelled', destinations.map(destination => ({ destination, result: RESULTS.CANCELLED, error: null })));
+          return;
+        }
+        restore.emit('phase', PHASES.RESTORING);
+        for (const { job } of restore.jobs) job.start();
+      })
+      .catch((err) => {
+        restore.emit('error', err instanceof JobError ? err : new JobError(err.message));
+      });
+    return restore;
+  };
+
+  // Cancel the restore on every card (see job.cancel), resolving once all of them stopped
+  restore.cancel = async () => {
+    if (cancelled) return;
+    cancelled = true;
+    const stopped = Promise.all(restore.jobs.filter(({ job }) => !results.has(job)).map(({ job }) => job.cancel()));
+    feed();
+    image?.process?.kill();
+    hashing?.kill();
+    sudo?.kill();
+    await stopped;
+  };
+
+  return restore;
+}
@@ -0,0 +1,267 @@
+// Minimal FAT16/FAT32 access to the files in the root directory of a filesystem, enough to
+// edit the boot partition of a Raspberry Pi card or image without mounting it (so it works
+// the same on Linux and macOS):
+//
+//   const fat = await openFat(handle, offset);        // fs/promises FileHandle opened r+,
+//                                                    // where the filesystem starts in it
+//   const text = await fat.readFile('cmdline.txt');  // Buffer, null when there is no such file
+//   await fat.writeFile('ssh', Buffer.alloc(0));     // created or replaced
+//
+// Only 8.3 names in one case (e.g. cmdline.txt, SSH) are supported; files with long names
+// are found by their short name.
+
+// The filesystem can't be read, or the file can't be written (the filesystem is left as it was)
+export class FatError extends Error {}
+
+const DIR_ENTRY_SIZE = 32;
+const ATTR_VOLUME_ID = 0x08;
+const ATTR_DIRECTORY = 0x10;
+const ATTR_ARCHIVE = 0x20;
+const ATTR_LONG_NAME = 0x0f;
+const DELETED_ENTRY = 0xe5;
+const CASE_LOWER_BASE = 0x08;  // Windows NT flags for an all-lowercase name / extension
+const CASE_LOWER_EXT = 0x10;
+const FSINFO_LEAD_SIGNATURE = 0x41615252;
+const FSINFO_STRUCT_SIGNATURE = 0x61417272;
+
+// Parse the boot sector of a FAT filesystem into its layout (offsets and sizes in bytes),
+// null if it isn't one. FAT12 (only used on floppy-sized filesystems) is refused.
+export function parseFatBootSector(sector) {
+  if (sector.length < 512 || sector.readUInt16LE(510) !== 0xaa55) return null;
+  const bytesPerSector = sector.readUInt16LE(11);
+  const sectorsPerCluster = sector[13];
+  const reservedSectors = sector.readUInt16LE(14);
+  const fats = sector[16];
+  const rootEntries = sector.readUInt16LE(17);
+  const totalSectors = sector.readUInt16LE(19) || sector.readUInt32LE(32);
+  const fatSectors = sector.readUInt16LE(22) || sector.readUInt32LE(36);
+  const powerOfTwo = n => n > 0 && (n & (n - 1)) === 0;
+  if (![512, 1024, 2048, 4096].includes(bytesPerSector) || !powerOfTwo(sectorsPerCluster)
+    || reservedSectors === 0 || fats === 0 || fatSectors === 0 || totalSectors === 0) {
+    return null;
+  }
+
+  const rootSectors = Math.ceil((rootEntries * DIR_ENTRY_SIZE) / bytesPerSector);
+  const dataSector = reservedSectors + fats * fatSectors + rootSectors;
+  if (dataSector >= totalSectors) return null;
+  const clusters = Math.floor((totalSectors - dataSector) / sectorsPerCluster);
+  if (clusters < 4085) throw new FatError('FAT12 filesystems are not supported');
+  const bits = clusters < 65525 ? 16 : 32;
+  // FAT32 keeps its root directory in clusters, and each FAT has to have room for every cluster
+  if ((bits === 32) !== (rootEntries === 0) || (fatSectors * bytesPerSector * 8) / bits < clusters + 2) return null;
+  return {
+    bits,
+    clusters,
+    clusterSize: bytesPerSector * sectorsPerCluster,
+    fats,
+    fatOffset: reservedSectors * bytesPerSector,
+    fatSize: fatSectors * bytesPerSector,
+    rootOffset: (reservedSectors + fats * fatSectors) * bytesPerSector,  // FAT16 root directory
+    rootEntries,
+    rootCluster: bits === 32 ? sector.readUInt32LE(44) : null,          // FAT32 root directory
+    fsInfoOffset: bits === 32 && sector.readUInt16LE(48) ? sector.readUInt16LE(48) * bytesPerSector : null,
+    dataOffset: dataSector * bytesPerSector,
+  };
+}
+
+// The 11-byte directory entry name and Windows NT case flags of the 8.3 file name `name`
+export function shortName(name) {
+  const match = name.match(/^([^.]{1,8})(?:\.([^.]{1,3}))?$/);
+  const oneCase = part => part === part.toLowerCase() || part === part.toUpperCase();
+  if (!match || !/^[A-Za-z0-9_.~!#$%&'(){}^@`-]+$/.test(name) || !oneCase(match[1]) || !oneCase(match[2] || '')) {
+    throw new FatError(`${name} is not an 8.3 file name in one case`);
+  }
+  const [, base, ext = ''] = match;
+  const isLower = part => /[a-z]/.test(part);
+  return {
+    raw: Buffer.from(base.toUpperCase().padEnd(8) + ext.toUpperCase().padEnd(3), 'latin1'),
+    flags: (isLower(base) ? CASE_LOWER_BASE : 0) | (isLower(ext) ? CASE_LOWER_EXT : 0),
+  };
+}
+
+// FAT date and time of `date` (local time, 2 second resolution)
+function fatTimestamp(date) {
+  return {
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  };
+}
+
+// Open the FAT filesystem starting `offset` bytes into `handle` (see the top of this file)
+export async function openFat(handle, offset = 0) {
+  const read = async (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset + position);
+    if (bytesRead < length) throw new FatError('The filesystem is cut off');
+    return buffer;
+  };
+  const write = (position, buffer) => handle.write(buffer, 0, buffer.length, offset + position);
+
+  const layout = parseFatBootSector(await read(0, 512));
+  if (!layout) throw new FatError('Not a FAT filesystem');
+  const { bits, clusters, clusterSize } = layout;
+  const table = await read(layout.fatOffset, layout.fatSize);
+  const endOfChain = bits === 16 ? 0xffff : 0x0fffffff;
+  const lastCluster = clusters + 1;  // clusters are numbered from 2
+  let nextFree = 2;
+
+  const getEntry = cluster => (bits === 16 ? table.readUInt16LE(cluster * 2) : table.readUInt32LE(cluster * 4) & 0x0fffffff);
+  const setEntry = (cluster, value) => {
+    if (bits === 16) {
+      table.writeUInt16LE(value, cluster * 2);
+    } else {
+      // The top 4 bits are reserved and kept as they are
+      table.writeUInt32LE(((table.readUInt32LE(cluster * 4) & 0xf0000000) | value) >>> 0, cluster * 4);
+    }
+  };
+  const clusterOffset = cluster => layout.dataOffset + (cluster - 2) * clusterSize;
+
+  // Clusters of the chain starting at `first`
+  const chain = (first) => {
+    const found = [];
+    for (let cluster = first; cluster >= 2 && cluster < (bits === 16 ? 0xfff8 : 0x0ffffff8); cluster = getEntry(cluster)) {
+      if (cluster > lastCluster || found.length >= clusters) throw new FatError('The FAT is damaged');
+      found.push(cluster);
+    }
+    return found;
+  };
+
+  // Take `count` free clusters and link them into a chain, returning them
+  const allocate = (count) => {
+    const found = [];
+    for (let cluster = nextFree; cluster <= lastCluster && found.length < count; cluster++) {
+      if (getEntry(cluster) === 0) found.push(cluster);
+    }
+    if (found.length < count) throw new FatError('Not enough free space on the filesystem');
+    found.forEach((cluster, index) => setEntry(cluster, found[index + 1] ?? endOfChain));
+    if (found.length > 0) nextFree = found[found.length - 1] + 1;
+    return found;
+  };
+
+  const release = (first) => {
+    for (const cluster of chain(first)) {
+      setEntry(cluster, 0);
+      nextFree = Math.min(nextFree, cluster);
+    }
+  };
+
+  // Positions of the root directory's entries: a fixed area on FAT16, a chain of clusters
+  // on FAT32 (growRoot adds a cluster to it when it is full)
+  const rootPositions = () => {
+    if (bits === 16) {
+      return Array.from({ length: layout.rootEntries }, (_, index) => layout.rootOffset + index * DIR_ENTRY_SIZE);
+    }
+    return chain(layout.rootCluster).flatMap(cluster => Array.from(
+      { length: clusterSize / DIR_ENTRY_SIZE },
+      (_, index) => clusterOffset(cluster) + index * DIR_ENTRY_SIZE
+    ));
+  };
+  const growRoot = async () => {
+    if (bits === 16) throw new FatError('The root directory is full');
+    const clustersOfRoot = chain(layout.rootCluster);
+    const [cluster] = allocate(1);
+    setEntry(clustersOfRoot[clustersOfRoot.length - 1], cluster);
+    await write(clusterOffset(cluster), Buffer.alloc(clusterSize));
+    return clusterOffset(cluster);
+  };
+
+  // The root directory entry of `name`: { position, entry } (null when missing), and the
+  // position of the first free entry
+  const findEntry = async (name) => {
+    const { raw } = shortName(name);
+    let free = null;
+    for (const position of rootPositions()) {
+      const entry = await read(position, DIR_ENTRY_SIZE);
+      if (entry[0] === 0) return { found: null, free: free ?? position };
+      if (entry[0] === DELETED_ENTRY) {
+        free = free ?? position;
+        continue;
+      }
+      if (entry[11] === ATTR_LONG_NAME || entry[11] & ATTR_VOLUME_ID) continue;
+      if (entry.subarray(0, 11).equals(raw)) return { found: { position, entry }, free };
+    }
+    return { found: null, free };
+  };
+
+  // Write the FAT to every copy of it, and the free cluster count to the FAT32 FSInfo sector
+  const writeTable = async () => {
+    for (let copy = 0; copy < layout.fats; copy++) {
+      await write(layout.fatOffset + copy * layout.fatSize, table);
+    }
+    if (layout.fsInfoOffset === null) return;
+    const info = await read(layout.fsInfoOffset, 512);
+    if (info.readUInt32LE(0) !== FSINFO_LEAD_SIGNATURE || info.readUInt32LE(484) !== FSINFO_STRUCT_SIGNATURE) return;
+    let freeClusters = 0;
+    for (let cluster = 2; cluster <= lastCluster; cluster++) {
+      if (getEntry(cluster) === 0) freeClusters++;
+    }
+    info.writeUInt32LE(freeClusters, 488);
+    info.writeUInt32LE(0xffffffff, 492);  // next free cluster: unknown
+    await write(layout.fsInfoOffset, info);
+  };
+
+  const firstCluster = entry => entry.readUInt16LE(26) + (bits === 32 ? entry.readUInt16LE(20) * 0x10000 : 0);
+
+  const fat = {};
+
+  fat.readFile = async (name) => {
+    const { found } = await findEntry(name);
+    if (!found) return null;
+    if (found.entry[11] & ATTR_DIRECTORY) throw new FatError(`${name} is a directory`);
+    const size = found.entry.readUInt32LE(28);
+    const parts = [];
+    for (const cluster of chain(firstCluster(found.entry))) parts.push(await read(clusterOffset(cluster), clusterSize));
+    const data = Buffer.concat(parts);
+    if (data.length < size) throw new FatError(`${name} is damaged`);
+    return data.subarray(0, size);
+  };
+
+  // Write `data` to newly taken clusters, then point the entry of the file (`found`, or a new
+  // one at the free position `free`) at them
+  const replaceFile = async (found, free, raw, flags, data) => {
+    if (found) release(firstCluster(found.entry));
+
+    const used = allocate(Math.ceil(data.length / clusterSize));
+    for (const [index, cluster] of used.entries()) {
+      await write(clusterOffset(cluster), data.subarray(index * clusterSize, (index + 1) * clusterSize));
+    }
+
+    const { date, time } = fatTimestamp(new Date());
+    const entry = found ? found.entry : Buffer.alloc(DIR_ENTRY_SIZE);
+    if (!found) {
+      raw.copy(entry, 0);
+      entry[11] = ATTR_ARCHIVE;
+      entry[12] = flags;
+      entry.writeUInt16LE(time, 14);  // created
+      entry.writeUInt16LE(date, 16);
+    }
+    const first = used[0] ?? 0;
+    entry.writeUInt16LE(date, 18);    // last accessed
+    entry.writeUInt16LE(bits === 32 ? first >>> 16 : 0, 20);
+    entry.writeUInt16LE(time, 22);    // last modified
+    entry.writeUInt16LE(date, 24);
+    entry.writeUInt16LE(first & 0xffff, 26);
+    entry.writeUInt32LE(data.length, 28);
+    const position = found ? found.position : free ?? await growRoot();
+    // The data and the FAT go first, so the entry never points at clusters that aren't taken
+    await writeTable();
+    await write(position, entry);
+  };
+
+  fat.writeFile = async (name, data) => {
+    const { raw, flags } = shortName(name);
+    const { found, free } = await findEntry(name);
+    if (found && found.entry[11] & ATTR_DIRECTORY) throw new FatError(`${name} is a directory`);
+    // Until the FAT is written, a failure only needs the copy in memory put back
+    const saved = { table: Buffer.from(table), nextFree };
+    try {
+      await replaceFile(found, free, raw, flags, data);
+    } catch (err) {
+      saved.table.copy(table);
+      nextFree = saved.nextFree;
+      throw err;
+    }
+  };
+
+  return fat;
+}
@@ -0,0 +1,124 @@
+// Job history: every backup and restore is recorded in
+// $XDG_STATE_HOME/pi-backup/jobs/<id>.json (~/.local/state/pi-backup/jobs/)
+// with its settings, timings, log, dd/pishrink output and result. Records are only
+// readable by the user, and never hold the first-boot settings' password hash or Wi-Fi key.
+
+import { randomBytes } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { describeCustomization } from './customize.js';
+
+export const HISTORY_DIR = join(process.env.XDG_STATE_HOME || join(homedir(), '.local', 'state'), 'pi-backup', 'jobs');
+
+// How a recorded job ended. A record still `running` belongs to a job whose
+// process was killed (or one running right now in another window).
+export const RESULTS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Append process output to `text` the way a terminal shows it: of a line rewritten
+// with \r (dd's progress updates) only the last version is kept
+export function appendOutput(text, chunk) {
+  const lineStart = text.lastIndexOf('\n') + 1;
+  const lines = (text.slice(lineStart) + chunk).split('\n').map((line, index, all) => {
+    const last = line.split('\r').filter(Boolean).pop() || '';
+    // The line being written keeps its \r, so the next update replaces it
+    return index === all.length - 1 && line.endsWith('\r') ? `${last}\r` : last;
+  });
+  return text.slice(0, lineStart) + lines.join('\n');
+}
+
+// `description` (see createJob) as it is recorded: first-boot settings are kept as what
+// they set (`setup`, see describeCustomization), since they hold the user's password hash
+// and the Wi-Fi's key
+function recordedDescription({ customize, ...description }) {
+  return customize ? { ...description, setup: describeCustomization(customize) } : description;
+}
+
+// Record `job`, created from `description` (see createJob), in the history as it runs.
+// The record is written when the job starts, at every phase and when it ends; failing
+// to write it never affects the job. Returns the path of the record.
+export function recordJob(job, description) {
+  const started = new Date();
+  // The cards of a multi-card restore start in the same millisecond
+  const id = `${started.toISOString().replace(/[:.]/g, '-')}-${description.type}-${randomBytes(4).toString('hex')}`;
+  const path = join(HISTORY_DIR, `${id}.json`);
+  const record = {
+    id,
+    description: recordedDescription(description),
+    started: started.toISOString(),
+    finished: null,
+    duration: null,
+    result: RESULTS.RUNNING,
+    image: null,          // the file a finished backup wrote
+    error: null,
+    verifyOffset: null,   // where verification found different data
+    removed: [],          // partial files deleted when the job was cancelled
+    resumable: null,      // partial raw image kept for resuming
+    phases: [],           // [{ phase, time }] in the order they started
+    log: [],              // [{ time, message }]
+    output: '',           // dd and pishrink output
+  };
+
+  const save = () => {
+    try {
+      mkdirSync(HISTORY_DIR, { recursive: true, mode: 0o700 });
+      writeFileSync(path, JSON.stringify(record, null, 2) + '\n', { mode: 0o600 });
+    } catch {}
+  };
+  const finish = (result, fields) => {
+    Object.assign(record, fields, {
+      result,
+      finished: new Date().toISOString(),
+      duration: (Date.now() - started.getTime()) / 1000,
+    });
+    record.output = record.output.replace(/\r$/, '');
+    save();
+  };
+
+  job.on('phase', (phase) => {
+    record.phases.push({ phase, time: new Date().toISOString() });
+    save();
+  });
+  job.on('log', (message) => {
+    record.log.push({ time: new Date().toISOString(), message });
+  });
+  job.on('output', ({ text }) => {
+    record.output = appendOutput(record.output, text);
+  });
+  job.on('error', (error) => finish(RESULTS.FAILED, { error: error.message, verifyOffset: error.offset ?? null }));
+  job.on('cancelled', ({ removed, resumable }) => finish(RESULTS.CANCELLED, { removed, resumable }));
+  job.on('done', (result) => finish(RESULTS.DONE, { image: result?.image ?? null }));
+
+  save();
+  return path;
+}
+
+// Read the recorded jobs, newest first (unreadable records are skipped)
+export function readHistory() {
+  let files;
+  try {
+    files = readdirSync(HISTORY_DIR).filter(file => file.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return files.sort().reverse().flatMap((file) => {
+    try {
+      return [{ ...JSON.parse(readFileSync(join(HISTORY_DIR, file), 'utf8')), path: join(HISTORY_DIR, file) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Time spent in each phase of `record`: [{ phase, seconds }]
+export function phaseDurations(record) {
+  return record.phases.map(({ phase, time }, index) => {
+    const next = record.phases[index + 1]?.time || record.finished;
+    return { phase, seconds: next ? (new Date(next) - new Date(time)) / 1000 : null };
+  });
+}
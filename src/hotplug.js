@@ -0,0 +1,74 @@
+// Notices disks being inserted, removed or (un)mounted, so disk lists can be refreshed
+// while the app runs:
+//
+//   const watcher = createDiskWatcher();
+//   watcher.on('change', () => setDisks(getDisks()));
+//   watcher.start();
+//   watcher.stop();
+//
+// Linux polls /sys/block (with each disk's size, which drops to 0 when the card is pulled
+// out of a reader) and /proc/mounts; macOS polls `diskutil list -plist external`.
+
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { readdirSync, readFileSync } from 'fs';
+import { promisify } from 'util';
+
+// Seconds between two looks at the disks
+export const HOTPLUG_INTERVAL = 1;
+
+// Text that changes whenever a disk is inserted, removed or (un)mounted
+export async function diskSignature(platform = process.platform) {
+  if (platform === 'darwin') {
+    const { stdout } = await promisify(execFile)('diskutil', ['list', '-plist', 'external'], { encoding: 'utf8' });
+    return stdout;
+  }
+  const disks = readdirSync('/sys/block').sort().map((name) => {
+    try {
+      return `${name} ${readFileSync(`/sys/block/${name}/size`, 'utf8').trim()}`;
+    } catch {
+      return name;
+    }
+  });
+  let mounts = '';
+  try {
+    mounts = readFileSync('/proc/mounts', 'utf8');
+  } catch {}
+  return `${disks.join('\n')}\n${mounts}`;
+}
+
+// Create a watcher emitting `change` each time the disks change (never for the disks found
+// when it starts). A failing look at the disks is skipped.
+export function createDiskWatcher({ interval = HOTPLUG_INTERVAL, platform = process.platform } = {}) {
+  const watcher = new EventEmitter();
+  let timer = null;
+  let stopped = false;
+  let last = null;
+
+  // The watcher alone never keeps the process running
+  const schedule = (seconds) => {
+    timer = setTimeout(poll, seconds * 1000);
+    timer.unref();
+  };
+
+  const poll = async () => {
+    try {
+      const signature = await diskSignature(platform);
+      if (!stopped && last !== null && signature !== last) watcher.emit('change');
+      last = signature;
+    } catch {}
+    if (!stopped) schedule(interval);
+  };
+
+  watcher.start = () => {
+    schedule(0);
+    return watcher;
+  };
+
+  watcher.stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+
+  return watcher;
+}
@@ -1,12 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useContext, createContext } from 'react';
 import { render, Box, Text, useApp, useInput } from 'ink';
 import SelectInput from 'ink-select-input';
 import TextInput from 'ink-text-input';
 import Spinner from 'ink-spinner';
-import { execSync, spawn } from 'child_process';
-import { existsSync, statSync, readdirSync } from 'fs';
+import { statSync, readdirSync, existsSync, readFileSync } from 'fs';
 import { homedir } from 'os';
-import { join, dirname, basename } from 'path';
+import { join, dirname, resolve, basename } from 'path';
+import { createJob, createMultiRestore, PHASES, AFTER_JOB, SHRINKERS, VerifyError } from './engine.js';
+import { getDisks, listCards, devicePathProblem } from './disks.js';
+import { createDiskWatcher } from './hotplug.js';
+import { formatBytes, formatDuration, formatDateTime } from './format.js';
+import { readManifest, describeManifest } from './manifest.js';
+import { COMPRESSIONS, IMAGE_FILE_PATTERN, availableCompressions, withExtension, compressionFromPath } from './compression.js';
+import { PISHRINK_OPTIONS, pishrinkScript, readPishrink, pishrinkArgs } from './pishrink.js';
+import { loadConfig, saveConfig } from './config.js';
+import { readJournal, CHECKPOINT_BLOCK_SIZE } from './checkpoint.js';
+import { RESULTS, recordJob, readHistory, phaseDurations } from './history.js';
+import { createCard, cardImages, CardError } from './watch.js';
+import { createCustomization, describeCustomization, CustomizeError } from './customize.js';
+import { inspectImage, describePartition } from './inspect.js';
+import { isRemote, parseRemote, joinRemote, remoteDirname, listRemoteDirectory, RemoteError, QUIESCE } from './remote.js';
+import { isDelta, deltaFileName, listBackups } from './delta.js';
+import { runCli } from './cli.js';
 
 // Application modes
 const MODES = {
@@ -14,127 +29,256 @@ const MODES = {
   RESTORE: 'restore',
 };
 
+// Labels for what to do with the card once the job is done
+const AFTER_JOB_LABELS = {
+  [AFTER_JOB.NONE]: 'Keep unmounted',
+  [AFTER_JOB.REMOUNT]: 'Re-mount partitions',
+  [AFTER_JOB.POWER_OFF]: 'Power off / eject',
+};
+
+// Labels for how backups are shrunk
+const SHRINKER_LABELS = {
+  [SHRINKERS.AUTO]: 'Automatic (pishrink on Linux, else built-in)',
+  [SHRINKERS.PISHRINK]: 'pishrink',
+  [SHRINKERS.NATIVE]: 'Built-in (zero free space, sparse image)',
+};
+
+// Labels for how a running Pi's card is kept consistent while it is read over SSH
+const QUIESCE_LABELS = {
+  [QUIESCE.SYNC]: 'Flush writes only (the card keeps changing while it is read)',
+  [QUIESCE.READ_ONLY]: 'Remount / read-only for the copy',
+  [QUIESCE.FREEZE]: 'Freeze / for the copy (programs writing to it wait)',
+};
+
 // Application states
 const STATES = {
   MAIN_MENU: 'main_menu',
   SELECT_SOURCE: 'select_source',
   SELECT_DEST: 'select_dest',
   CONFIRM: 'confirm',
-  VALIDATING: 'validating',
-  BACKING_UP: 'backing_up',
-  SHRINKING: 'shrinking',
-  RESTORING: 'restoring',
+  PISHRINK_SETTINGS: 'pishrink_settings',
+  HISTORY: 'history',
+  AUTO_BACKUPS: 'auto_backups',
+  FIRST_BOOT: 'first_boot',  // first-boot settings of a restore
+  ...PHASES,
+  MULTI_RESTORE: 'multi_restore',  // writing several cards at once
+  MULTI_COMPLETE: 'multi_complete',
   COMPLETE: 'complete',
   ERROR: 'error',
+  VERIFY_FAILED: 'verify_failed',
+  CANCELLED: 'cancelled',
 };
 
-// Get list of disk devices (macOS specific, with Linux fallback)
-function getDisks() {
-  try {
-    const platform = process.platform;
+// States in which a job is running (quitting asks to cancel it first)
+const JOB_STATES = [...Object.values(PHASES), STATES.MULTI_RESTORE];
 
-    if (platform === 'darwin') {
-      // macOS: use diskutil to get external/removable disks
-      const output = execSync('diskutil list -plist external', { encoding: 'utf8' });
-      const diskMatches = output.match(/<string>(disk\d+)<\/string>/g) || [];
-      const disks = [...new Set(diskMatches.map(m => m.match(/disk\d+/)[0]))];
+// Lets a text field tell App it is on screen: called when the field mounts, returning the
+// function to call when it goes
+const TypingContext = createContext(() => () => {});
 
-      return disks.map((disk, idx) => {
-        try {
-          const info = execSync(`diskutil info ${disk}`, { encoding: 'utf8' });
-          const nameMatch = info.match(/Media Name:\s+(.+)/);
-          const sizeMatch = info.match(/Disk Size:\s+([^\(]+)/);
-          const name = nameMatch ? nameMatch[1].trim() : 'Unknown';
-          const size = sizeMatch ? sizeMatch[1].trim() : 'Unknown size';
-          return {
-            key: `disk-${idx}-${disk}`,
-            label: `${disk} - ${name} (${size})`,
-            value: `/dev/r${disk}`,  // Use raw device for faster dd
-          };
-        } catch {
-          return { key: `disk-${idx}-${disk}`, label: disk, value: `/dev/r${disk}` };
-        }
-      });
-    } else {
-      // Linux: look for removable block devices
-      const output = execSync('lsblk -d -o NAME,SIZE,MODEL,RM -n', { encoding: 'utf8' });
-      return output.trim().split('\n')
-        .filter(line => line.trim())
-        .map((line, idx) => {
-          const parts = line.trim().split(/\s+/);
-          const name = parts[0];
-          const size = parts[1] || 'Unknown';
-          const model = parts.slice(2, -1).join(' ') || 'Unknown';
-          const removable = parts[parts.length - 1] === '1';
-          return {
-            key: `disk-${idx}-${name}`,
-            label: `${name} - ${model} (${size})${removable ? ' [Removable]' : ''}`,
-            value: `/dev/${name}`,
-            removable,
-          };
-        })
-        .filter(d => d.removable || d.value.includes('mmcblk') || d.value.includes('sd'));
+// A TextInput that App's q key leaves alone while it is on screen (q is typed into it instead
+// of quitting); Ctrl+C still quits
+function TextField(props) {
+  const startTyping = useContext(TypingContext);
+  useEffect(startTyping, [startTyping]);
+  return <TextInput {...props} />;
+}
+
+// The directory holding `path` and the entry `name` in it, for local paths and ssh:// URLs
+const parentPath = path => (isRemote(path) ? remoteDirname(path) : dirname(path));
+const childPath = (path, name) => (isRemote(path) ? joinRemote(path, name) : join(path, name));
+
+// The directory `path` for the pickers, local or on another computer (an ssh:// URL, listed
+// through ssh): { path, entries: [{ name, isDir, size }], error, loading }. Remote entries
+// come with their size (local ones with null) and a remote path is made absolute.
+function useDirectory(path) {
+  const [listing, setListing] = useState({ requested: null, path, entries: [], error: null });
+
+  useEffect(() => {
+    if (!isRemote(path)) {
+      try {
+        const entries = readdirSync(path, { withFileTypes: true })
+          .filter(e => e.isDirectory() || e.isFile())
+          .map(e => ({ name: e.name, isDir: e.isDirectory(), size: null }));
+        setListing({ requested: path, path, entries, error: null });
+      } catch (error) {
+        setListing({ requested: path, path, entries: [], error: error.message });
+      }
+      return undefined;
     }
-  } catch (error) {
-    return [{ label: 'Error detecting disks - enter manually', value: '' }];
+    let cancelled = false;
+    listRemoteDirectory(path)
+      .then(({ url, entries }) => {
+        if (!cancelled) setListing({ requested: path, path: url, entries, error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setListing({ requested: path, path, entries: [], error: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return listing.requested === path ? { ...listing, loading: false } : { path, entries: [], error: null, loading: true };
+}
+
+// Items switching between this computer and another one (see RemoteLocationInput)
+function locationItems(path) {
+  return isRemote(path)
+    ? [{ key: 'location-local', label: '💻 Back to this computer', value: 'local', isLocation: true }]
+    : [{ key: 'location-remote', label: '🌐 Another computer (ssh://)...', value: 'remote', isLocation: true }];
+}
+
+// Directory list of a picker: ../, the directories, `files` (items) and `extra` items, with
+// a spinner while a remote directory is listed
+function DirectoryItems({ listing, files = [], extra = [], empty = null, onSelect }) {
+  if (listing.loading) {
+    // Local directories are listed right away
+    if (!isRemote(listing.path)) return null;
+    return (
+      <Box>
+        <Text color="green"><Spinner type="dots" /></Text>
+        <Text> Listing {listing.path}...</Text>
+      </Box>
+    );
+  }
+  const { path } = listing;
+  const atRoot = (isRemote(path) ? parseRemote(path).path : path) === '/';
+  const navItems = atRoot ? [] : [{ key: 'parent-dir', label: '📁 ../', value: parentPath(path), isDir: true }];
+  let items;
+  if (listing.error) {
+    items = [
+      { key: 'error-parent', label: '📁 ../', value: parentPath(path), isDir: true },
+      { key: 'error-msg', label: `Error: ${listing.error}`, value: path, isDir: false },
+    ];
+  } else {
+    const dirs = listing.entries
+      .filter(e => e.isDir && !e.name.startsWith('.'))
+      .map((e, idx) => ({
+        key: `dir-${idx}-${e.name}`,
+        label: `📁 ${e.name}/`,
+        value: childPath(path, e.name),
+        isDir: true,
+      }));
+    items = [...navItems, ...dirs.sort((a, b) => a.label.localeCompare(b.label)), ...files];
+    if (empty && dirs.length === 0 && files.length === 0 && !atRoot) items.push(empty);
   }
+  return <SelectInput items={[...items, ...extra]} onSelect={onSelect} />;
+}
+
+// Entry of a location on another computer as an ssh:// URL, a directory unless `prompt`
+// and `initial` ask for something else; an empty one goes back
+function RemoteLocationInput({
+  prompt = 'Enter the directory as ssh://[user@]host[:port]/path (/~/path is in the home directory):',
+  initial = 'ssh://',
+  onSubmit,
+}) {
+  const [url, setUrl] = useState(initial);
+  const [problem, setProblem] = useState('');
+
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan">{prompt}</Text>
+      <Box>
+        <Text color="green">❯ </Text>
+        <TextField
+          value={url}
+          onChange={(value) => {
+            setUrl(value);
+            setProblem('');
+          }}
+          onSubmit={() => {
+            const location = url.trim();
+            if (location === '' || location === 'ssh://') {
+              onSubmit(null);
+              return;
+            }
+            try {
+              if (!parseRemote(location)) throw new RemoteError('Start with ssh://, e.g. ssh://pi@nas.local/~/backups');
+              onSubmit(location);
+            } catch (error) {
+              if (!(error instanceof RemoteError)) throw error;
+              setProblem(error.message);
+            }
+          }}
+        />
+      </Box>
+      {problem ? <Text color="red">{problem}</Text> : null}
+      <Text dimColor>ssh has to log in without asking for a password (use a key). Press Enter to confirm, or clear it to go back</Text>
+    </Box>
+  );
 }
 
 // File browser component for destination selection
 function FileBrowser({ currentPath, onSelect, onCancel }) {
   const [path, setPath] = useState(currentPath);
-  const [items, setItems] = useState([]);
+  const [remoteInput, setRemoteInput] = useState(false);
   const [inputMode, setInputMode] = useState(false);
+  const [compression, setCompression] = useState(null);  // chosen before the filename
+  const [compressions] = useState(availableCompressions);
   const [fileName, setFileName] = useState('pi-backup.img');
-
-  useEffect(() => {
-    try {
-      const entries = readdirSync(path, { withFileTypes: true });
-      const dirs = entries
-        .filter(e => e.isDirectory() && !e.name.startsWith('.'))
-        .map((e, idx) => ({
-          key: `dir-${idx}-${e.name}`,
-          label: `📁 ${e.name}/`,
-          value: join(path, e.name),
-          isDir: true,
-        }));
-
-      const parentDir = dirname(path);
-      const navItems = path !== '/' ? [{ key: 'parent-dir', label: '📁 ../', value: parentDir, isDir: true }] : [];
-
-      setItems([
-        ...navItems,
-        ...dirs.sort((a, b) => a.label.localeCompare(b.label)),
-        { key: 'select-dir', label: '✅ Select this directory', value: path, isSelect: true },
-      ]);
-    } catch (error) {
-      setItems([
-        { key: 'error-parent', label: '📁 ../', value: dirname(path), isDir: true },
-        { key: 'error-msg', label: `Error: ${error.message}`, value: path, isDir: false },
-      ]);
-    }
-  }, [path]);
+  const listing = useDirectory(path);
 
   const handleSelect = (item) => {
-    if (item.isSelect) {
+    if (item.isLocation) {
+      if (item.value === 'remote') {
+        setRemoteInput(true);
+      } else {
+        setPath(currentPath);
+      }
+    } else if (item.isSelect) {
       setInputMode(true);
     } else if (item.isDir) {
       setPath(item.value);
     }
   };
 
+  if (remoteInput) {
+    return (
+      <RemoteLocationInput
+        onSubmit={(url) => {
+          setRemoteInput(false);
+          if (url) setPath(url);
+        }}
+      />
+    );
+  }
+
+  if (inputMode && !compression) {
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan">Compress the image?</Text>
+        <Box marginTop={1}>
+          <SelectInput
+            items={compressions.map(name => ({
+              key: `compression-${name}`,
+              label: COMPRESSIONS[name].label,
+              value: name,
+            }))}
+            onSelect={(item) => {
+              // Pick the matching extension automatically
+              setFileName(withExtension(fileName, item.value));
+              setCompression(item.value);
+            }}
+          />
+        </Box>
+      </Box>
+    );
+  }
+
   if (inputMode) {
     return (
       <Box flexDirection="column">
-        <Text color="cyan">Enter filename (will be saved to {path}):</Text>
+        <Text color="cyan">Enter filename (will be saved to {listing.path}):</Text>
         <Box>
           <Text color="green">❯ </Text>
-          <TextInput
+          <TextField
             value={fileName}
             onChange={setFileName}
-            onSubmit={() => onSelect(join(path, fileName))}
+            onSubmit={() => onSelect(childPath(listing.path, fileName), compression)}
           />
         </Box>
+        {isRemote(listing.path) && <Text dimColor>Backups to another computer are sent as they are made and not shrunk</Text>}
         <Text dimColor>Press Enter to confirm, Ctrl+C to cancel</Text>
       </Box>
     );
@@ -143,496 +287,1070 @@ function FileBrowser({ currentPath, onSelect, onCancel }) {
   return (
     <Box flexDirection="column">
       <Text color="cyan">Select destination directory:</Text>
-      <Text dimColor>Current: {path}</Text>
+      <Text dimColor>Current: {listing.path}</Text>
       <Box marginTop={1}>
-        <SelectInput items={items} onSelect={handleSelect} />
+        <DirectoryItems
+          listing={listing}
+          extra={[
+            ...(listing.loading || listing.error
+              ? []
+              : [{ key: 'select-dir', label: '✅ Select this directory', value: listing.path, isSelect: true }]),
+            ...locationItems(listing.path),
+          ]}
+          onSelect={handleSelect}
+        />
       </Box>
     </Box>
   );
 }
 
-// Image file picker component for restore
-function ImagePicker({ currentPath, onSelect }) {
-  const [path, setPath] = useState(currentPath);
-  const [items, setItems] = useState([]);
-
-  useEffect(() => {
-    try {
-      const entries = readdirSync(path, { withFileTypes: true });
-
-      // Get directories
-      const dirs = entries
-        .filter(e => e.isDirectory() && !e.name.startsWith('.'))
-        .map((e, idx) => ({
-          key: `dir-${idx}-${e.name}`,
-          label: `📁 ${e.name}/`,
-          value: join(path, e.name),
-          isDir: true,
-        }));
-
-      // Get image files (.img, .img.gz, .iso)
-      const images = entries
-        .filter(e => e.isFile() && /\.(img|img\.gz|iso|dmg)$/i.test(e.name))
-        .map((e, idx) => {
-          let size = '';
-          try {
-            const stats = statSync(join(path, e.name));
-            const mb = (stats.size / 1024 / 1024).toFixed(1);
-            size = mb > 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb} MB`;
-          } catch {}
-          return {
-            key: `img-${idx}-${e.name}`,
-            label: `💾 ${e.name} ${size ? `(${size})` : ''}`,
-            value: join(path, e.name),
-            isFile: true,
-          };
-        });
-
-      const parentDir = dirname(path);
-      const navItems = path !== '/' ? [{ key: 'parent-dir', label: '📁 ../', value: parentDir, isDir: true }] : [];
-
-      setItems([
-        ...navItems,
-        ...dirs.sort((a, b) => a.label.localeCompare(b.label)),
-        ...images.sort((a, b) => a.label.localeCompare(b.label)),
-      ]);
-
-      if (dirs.length === 0 && images.length === 0 && path !== '/') {
-        setItems([
-          { key: 'parent-dir', label: '📁 ../', value: parentDir, isDir: true },
-          { key: 'no-images', label: '(No image files found)', value: '', isDir: false },
-        ]);
-      }
-    } catch (error) {
-      setItems([
-        { key: 'error-parent', label: '📁 ../', value: dirname(path), isDir: true },
-        { key: 'error-msg', label: `Error: ${error.message}`, value: path, isDir: false },
-      ]);
+// Detected disks with their partitions (see getDisks), kept up to date as cards are
+// inserted and removed; a card just inserted is highlighted. `r` looks for disks again.
+// With `onSelectMany`, space marks several cards and Enter gives the devices marked.
+function DiskPicker({ title, disks, onRescan, onSelect, onSelectMany }) {
+  const listKey = disks.map(disk => `${disk.key}${disk.inserted ? '-inserted' : ''}`).join();
+  const initialIndex = Math.max(0, disks.findIndex(disk => disk.inserted));
+  const [highlighted, setHighlighted] = useState(null);
+  const [marked, setMarked] = useState([]);
+  const markable = disk => Boolean(disk?.value) && disk.value !== 'manual';
+  // Cards removed meanwhile drop out
+  const markedDevices = marked.filter(device => disks.some(disk => disk.value === device));
+
+  // A new list starts again on the card just inserted
+  useEffect(() => setHighlighted(null), [listKey]);
+
+  useInput((input) => {
+    if (input === 'r') {
+      onRescan();
+    } else if (input === ' ' && onSelectMany) {
+      const disk = disks.find(item => item.value === highlighted) || disks[initialIndex];
+      if (!markable(disk)) return;
+      setMarked(markedDevices.includes(disk.value)
+        ? markedDevices.filter(device => device !== disk.value)
+        : [...markedDevices, disk.value]);
     }
-  }, [path]);
+  });
 
-  const handleSelect = (item) => {
-    if (item.isFile) {
-      onSelect(item.value);
-    } else if (item.isDir) {
-      setPath(item.value);
-    }
-  };
+  const items = onSelectMany
+    ? disks.map(disk => (markable(disk)
+      ? { ...disk, label: `${markedDevices.includes(disk.value) ? '☑' : '☐'} ${disk.label}` }
+      : disk))
+    : disks;
 
   return (
     <Box flexDirection="column">
-      <Text color="cyan">Select image file to restore:</Text>
-      <Text dimColor>Current: {path}</Text>
+      <Text color="cyan" bold>{title}</Text>
+      <Text dimColor>
+        Use arrow keys to navigate, {onSelectMany ? 'space to mark several cards, ' : ''}Enter to select, r to rescan
+      </Text>
       <Box marginTop={1}>
-        <SelectInput items={items} onSelect={handleSelect} />
+        <SelectInput
+          key={listKey}
+          items={items}
+          initialIndex={initialIndex}
+          onHighlight={item => setHighlighted(item.value)}
+          onSelect={(item) => {
+            if (onSelectMany && markedDevices.length > 0) {
+              onSelectMany(markedDevices);
+            } else {
+              onSelect(item);
+            }
+          }}
+        />
       </Box>
+      {markedDevices.length > 0 && (
+        <Text color="yellow">{markedDevices.length} card{markedDevices.length === 1 ? '' : 's'} marked - Enter writes the image to all of them</Text>
+      )}
     </Box>
   );
 }
 
-// Progress bar component
-function ProgressBar({ progress, width = 40 }) {
-  const filled = Math.round((progress / 100) * width);
-  const empty = width - filled;
+// Device path typed in by hand, checked to be a device before it is used
+function ManualDeviceInput({ onSubmit }) {
+  const [path, setPath] = useState('');
+  const [problem, setProblem] = useState('');
+
   return (
-    <Text>
-      <Text color="green">{'█'.repeat(filled)}</Text>
-      <Text color="gray">{'░'.repeat(empty)}</Text>
-      <Text> {progress.toFixed(1)}%</Text>
-    </Text>
+    <Box flexDirection="column">
+      <Text color="cyan">Enter device path (e.g., /dev/sdb or /dev/rdisk2):</Text>
+      <Box>
+        <Text color="green">❯ </Text>
+        <TextField
+          value={path}
+          onChange={(value) => {
+            setPath(value);
+            setProblem('');
+          }}
+          onSubmit={() => {
+            const device = path.trim();
+            const pathProblem = devicePathProblem(device);
+            if (pathProblem) {
+              setProblem(pathProblem);
+            } else {
+              onSubmit(device);
+            }
+          }}
+        />
+      </Box>
+      {problem ? <Text color="red">{problem}</Text> : null}
+      <Text dimColor>Press Enter to confirm, Ctrl+C to cancel</Text>
+    </Box>
   );
 }
 
-// Main App component
-function App() {
-  const { exit } = useApp();
-  const [mode, setMode] = useState(null);  // BACKUP or RESTORE
-  const [state, setState] = useState(STATES.MAIN_MENU);
-  const [disks, setDisks] = useState([]);
-  const [source, setSource] = useState('');
-  const [destination, setDestination] = useState('');
-  const [progress, setProgress] = useState(0);
-  const [bytesWritten, setBytesWritten] = useState('0');
-  const [speed, setSpeed] = useState('0');
-  const [error, setError] = useState('');
-  const [logs, setLogs] = useState([]);
-  const [shrinkProgress, setShrinkProgress] = useState('');
+// What is inside an image file (see inspectImage), read in the background: its partitions
+// with their filesystems and the OS release. The image can be chosen before that is done.
+function ImageDetails({ image, onUse, onBack }) {
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState(null);
+  const remote = isRemote(image);
+  const manifest = remote ? null : readManifest(image);
+  const compressed = compressionFromPath(image) !== 'none';
 
-  // Load disks on mount
   useEffect(() => {
-    const diskList = getDisks();
-    if (diskList.length === 0) {
-      diskList.push({ key: 'no-disks', label: 'No external disks found', value: '' });
-    }
-    diskList.push({ key: 'manual-entry', label: '📝 Enter device path manually...', value: 'manual' });
-    setDisks(diskList);
-  }, []);
-
-  // Handle keyboard input for quitting
-  useInput((input, key) => {
-    if (input === 'q' || (key.ctrl && input === 'c')) {
-      exit();
-    }
-  });
-
-  const addLog = (message) => {
-    setLogs(prev => [...prev.slice(-5), message]);
-  };
+    let cancelled = false;
+    setInfo(null);
+    setError(null);
+    // A result for an image that is no longer shown is dropped
+    inspectImage(image, { isCancelled: () => cancelled })
+      .then((result) => {
+        if (!cancelled) setInfo(result);
+      })
+      .catch((inspectError) => {
+        if (!cancelled) setError(inspectError.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [image]);
 
-  // Validate before backup (check sudo, unmount disk, check source exists)
-  const validateAndBackup = () => {
-    setState(STATES.VALIDATING);
-    addLog('Validating sudo access...');
+  let details;
+  if (error) {
+    details = <Text color="red">Cannot inspect the image: {error}</Text>;
+  } else if (!info) {
+    details = (
+      <Box flexDirection="column">
+        <Box>
+          <Text color="green"><Spinner type="dots" /></Text>
+          <Text> Reading the partition table and filesystems...</Text>
+        </Box>
+        {(compressed || remote || isDelta(image)) && (
+          <Text dimColor>
+            {remote ? 'Images on another computer are read through ssh' : isDelta(image) ? 'Delta backups are rebuilt from their chain to be read' : 'Compressed images are decompressed to be read'} - this can take a while
+          </Text>
+        )}
+      </Box>
+    );
+  } else {
+    details = (
+      <Box flexDirection="column">
+        <Text>Size:       <Text color="cyan">{info.size === null ? 'unknown' : formatBytes(info.size)}</Text>{compressed ? ' uncompressed' : ''}</Text>
+        {info.chain && <Text>Chain:      <Text color="cyan">{info.chain.join(' + ')}</Text></Text>}
+        <Text>OS:         <Text color="cyan">{info.release?.name || 'unknown (no /etc/os-release found)'}</Text></Text>
+        {info.table ? (
+          <>
+            <Text>Partitions: <Text color="cyan">{info.table}</Text> <Text dimColor>(disk ID {info.diskId})</Text></Text>
+            {info.partitions.map(partition => <Text key={partition.number}>  {describePartition(partition)}</Text>)}
+          </>
+        ) : (
+          <Text>Partitions: <Text color="cyan">none</Text> - {info.filesystem ? `a lone ${info.filesystem.type} filesystem` : 'no filesystem recognized'}</Text>
+        )}
+      </Box>
+    );
+  }
 
-    // First, validate sudo credentials
-    const sudoCheck = spawn('sudo', ['-v'], {
-      stdio: ['inherit', 'pipe', 'pipe'],
-    });
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan" bold>{basename(image)}</Text>
+      <Text dimColor>{image}</Text>
+      {manifest && <Text dimColor>Backup: {describeManifest(manifest)}</Text>}
+      <Box marginY={1}>{details}</Box>
+      <SelectInput
+        items={[
+          { key: 'image-use', label: '✅ Restore this image', value: 'use' },
+          { key: 'image-back', label: '🔙 Back to files', value: 'back' },
+        ]}
+        onSelect={item => (item.value === 'use' ? onUse() : onBack())}
+      />
+    </Box>
+  );
+}
 
-    sudoCheck.on('close', (code) => {
-      if (code !== 0) {
-        setError('sudo authentication failed. Please run with sudo access.');
-        setState(STATES.ERROR);
-        return;
+// Image file picker component for restore; choosing a file shows what is inside first.
+// Delta backups are listed as points in time after the full image their chain starts with.
+// Images can also be picked on another computer (see RemoteLocationInput).
+function ImagePicker({ currentPath, onSelect }) {
+  const [path, setPath] = useState(currentPath);
+  const [remoteInput, setRemoteInput] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const listing = useDirectory(path);
+
+  // Image files (.img, .img.gz/.xz/.zst, .zip, .iso, .dmg) and delta backups on this computer
+  const images = listing.loading ? [] : listing.entries
+    .filter(e => !e.isDir && (IMAGE_FILE_PATTERN.test(e.name) || (isDelta(e.name) && !isRemote(listing.path))))
+    .map((e, idx) => {
+      const image = childPath(listing.path, e.name);
+      let bytes = e.size;
+      let details = '';
+      let chainStart = e.name;  // full image a delta backup is rebuilt from
+      let created = '';
+      if (!isRemote(image)) {
+        try {
+          bytes = statSync(image).size;
+        } catch {}
+        // Backups made by this tool have a manifest describing where they came from
+        const manifest = readManifest(image);
+        details = manifest ? describeManifest(manifest) : '';
+        if (manifest?.delta?.chain?.length) {
+          chainStart = manifest.delta.chain[0].file;
+          created = manifest.created || '';
+        }
       }
+      const size = bytes !== null ? formatBytes(bytes) : '';
+      return {
+        key: `img-${idx}-${e.name}`,
+        label: `${chainStart === e.name ? '💾' : '  ↳ 🧩'} ${e.name} ${size ? `(${size})` : ''}${details ? ` - ${details}` : ''}`,
+        value: image,
+        isFile: true,
+        chainStart,
+        created,
+      };
+    })
+    .sort((a, b) => a.chainStart.localeCompare(b.chainStart) || a.created.localeCompare(b.created));
 
-      // Unmount the disk before backup (macOS uses diskutil, Linux uses umount)
-      // Extract disk name from raw device path (e.g., /dev/rdisk12 -> disk12)
-      const diskMatch = source.match(/r?(disk\d+)/);
-      if (diskMatch && process.platform === 'darwin') {
-        const diskName = diskMatch[1];
-        addLog(`Unmounting ${diskName}...`);
-
-        const unmount = spawn('diskutil', ['unmountDisk', diskName], {
-          stdio: ['inherit', 'pipe', 'pipe'],
-        });
-
-        let unmountError = '';
-        unmount.stderr.on('data', (data) => {
-          unmountError += data.toString();
-        });
-
-        unmount.stdout.on('data', (data) => {
-          addLog(data.toString().trim().substring(0, 60));
-        });
-
-        unmount.on('close', (code) => {
-          if (code !== 0) {
-            // Disk might already be unmounted, continue anyway
-            addLog(`Unmount warning: ${unmountError.trim() || 'disk may already be unmounted'}`);
-          } else {
-            addLog('Disk unmounted successfully');
-          }
-          checkSourceAndBackup();
-        });
-
-        unmount.on('error', (err) => {
-          addLog(`Unmount skipped: ${err.message}`);
-          checkSourceAndBackup();
-        });
+  const handleSelect = (item) => {
+    if (item.isLocation) {
+      if (item.value === 'remote') {
+        setRemoteInput(true);
       } else {
-        // Linux or couldn't parse disk name, try umount
-        checkSourceAndBackup();
-      }
-    });
-
-    sudoCheck.on('error', (err) => {
-      setError(`sudo failed: ${err.message}`);
-      setState(STATES.ERROR);
-    });
-  };
-
-  // Check source exists and start backup
-  const checkSourceAndBackup = () => {
-    addLog('Checking source device...');
-    const checkSource = spawn('sudo', ['test', '-e', source]);
-    checkSource.on('close', (code) => {
-      if (code !== 0) {
-        setError(`Source device not found: ${source}`);
-        setState(STATES.ERROR);
-        return;
+        setPath(currentPath);
       }
-      runBackup();
-    });
-    checkSource.on('error', (err) => {
-      setError(`Cannot access source: ${err.message}`);
-      setState(STATES.ERROR);
-    });
+    } else if (item.isFile) {
+      setSelected(item.value);
+    } else if (item.isDir) {
+      setPath(item.value);
+    }
   };
 
-  // Run dd backup
-  const runBackup = () => {
-    setState(STATES.BACKING_UP);
-    addLog(`Starting backup from ${source} to ${destination}`);
-
-    let lastError = '';
-
-    const ddArgs = process.platform === 'darwin'
-      ? ['if=' + source, 'of=' + destination, 'bs=4m', 'status=progress']
-      : ['if=' + source, 'of=' + destination, 'bs=4M', 'status=progress', 'conv=fsync'];
-
-    const dd = spawn('sudo', ['dd', ...ddArgs], {
-      stdio: ['inherit', 'pipe', 'pipe'],
-    });
-
-    // dd outputs progress to stderr
-    dd.stderr.on('data', (data) => {
-      const output = data.toString();
-
-      // Capture error messages (lines that don't look like progress)
-      if (!output.match(/bytes.*copied/) && !output.match(/records (in|out)/)) {
-        lastError = output.trim();
-      }
-
-      // Parse dd progress output
-      // Format: "1234567890 bytes (1.2 GB, 1.1 GiB) copied, 10.5 s, 123 MB/s"
-      const bytesMatch = output.match(/(\d+)\s+bytes/);
-      const speedMatch = output.match(/([\d.]+)\s*([MGK]?B\/s)/);
-
-      if (bytesMatch) {
-        const bytes = parseInt(bytesMatch[1]);
-        const mb = (bytes / 1024 / 1024).toFixed(1);
-        setBytesWritten(`${mb} MB`);
-      }
+  if (remoteInput) {
+    return (
+      <RemoteLocationInput
+        onSubmit={(url) => {
+          setRemoteInput(false);
+          if (url) setPath(url);
+        }}
+      />
+    );
+  }
 
-      if (speedMatch) {
-        setSpeed(speedMatch[1] + ' ' + speedMatch[2]);
-      }
+  if (selected) {
+    return <ImageDetails image={selected} onUse={() => onSelect(selected)} onBack={() => setSelected(null)} />;
+  }
 
-      addLog(output.trim().substring(0, 60));
-    });
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan">Select image file to restore:</Text>
+      <Text dimColor>Current: {listing.path}</Text>
+      <Box marginTop={1}>
+        <DirectoryItems
+          listing={listing}
+          files={images}
+          extra={locationItems(listing.path)}
+          empty={{ key: 'no-images', label: '(No image files found)', value: '', isDir: false }}
+          onSelect={handleSelect}
+        />
+      </Box>
+    </Box>
+  );
+}
 
-    dd.stdout.on('data', (data) => {
-      const output = data.toString().trim();
-      if (output) {
-        addLog(output.substring(0, 60));
-      }
-    });
+// pishrink settings: option toggles and the script to run with its pinned checksum.
+// `settings` is the `pishrink` part of the config, `onChange` gets the new one.
+function PishrinkSettings({ settings, onChange, onDone }) {
+  const [inputMode, setInputMode] = useState(false);
+  const [scriptPath, setScriptPath] = useState('');
+  const [candidate, setCandidate] = useState(null);  // { path, sha256, version } waiting to be pinned
+  const [message, setMessage] = useState('');
 
-    dd.on('close', (code) => {
-      if (code === 0) {
-        addLog('Backup complete! Starting pishrink...');
-        runPishrink();
-      } else {
-        const errorMsg = lastError || `exit code ${code}`;
-        setError(`dd failed: ${errorMsg}`);
-        setState(STATES.ERROR);
-      }
-    });
+  // Whether the script would run, checked the same way the engine does
+  const script = pishrinkScript(settings);
+  let status = { text: 'matches its pinned checksum', color: 'green' };
+  try {
+    const { sha256 } = readPishrink(script.path);
+    if (!script.sha256) {
+      status = { text: 'no pinned checksum, backups that run it will fail', color: 'red' };
+    } else if (sha256 !== script.sha256) {
+      status = { text: 'DOES NOT MATCH its pinned checksum, backups will fail', color: 'red' };
+    }
+  } catch {
+    status = { text: 'not found, backups that run it will fail', color: 'red' };
+  }
 
-    dd.on('error', (err) => {
-      setError(`Failed to start dd: ${err.message}`);
-      setState(STATES.ERROR);
-    });
-  };
+  if (candidate) {
+    return (
+      <Box flexDirection="column">
+        <Text color="yellow" bold>Pin this pishrink script?</Text>
+        <Box marginY={1} flexDirection="column">
+          <Text>Script:  <Text color="cyan">{candidate.path}</Text></Text>
+          <Text>Version: <Text color="cyan">{candidate.version || 'unknown'}</Text></Text>
+          <Text>SHA-256: <Text color="cyan">{candidate.sha256}</Text></Text>
+        </Box>
+        <Text dimColor>It runs as root - only pin it if this checksum is the one of the release you reviewed.</Text>
+        <Box marginTop={1}>
+          <SelectInput
+            items={[
+              { key: 'pin-yes', label: '📌 Pin it and use it', value: 'yes' },
+              { key: 'pin-no', label: '❌ Don\'t use it', value: 'no' },
+            ]}
+            onSelect={(item) => {
+              if (item.value === 'yes') {
+                onChange({ ...settings, path: candidate.path, sha256: candidate.sha256 });
+              }
+              setCandidate(null);
+            }}
+          />
+        </Box>
+      </Box>
+    );
+  }
 
-  // Run pishrink
-  const runPishrink = () => {
-    setState(STATES.SHRINKING);
+  if (inputMode) {
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan">Path of the pishrink script:</Text>
+        <Box>
+          <Text color="green">❯ </Text>
+          <TextField
+            value={scriptPath}
+            onChange={setScriptPath}
+            onSubmit={(value) => {
+              setInputMode(false);
+              const path = resolve(value.replace(/^~(?=\/|$)/, homedir()));
+              try {
+                setCandidate({ path, ...readPishrink(path) });
+                setMessage('');
+              } catch (err) {
+                setMessage(`Cannot read ${path}: ${err.message}`);
+              }
+            }}
+          />
+        </Box>
+        <Text dimColor>Press Enter to confirm</Text>
+      </Box>
+    );
+  }
 
-    // Check if pishrink is available, if not download it
-    const pishrinkPath = '/usr/local/bin/pishrink.sh';
+  const options = settings.options || [];
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan" bold>pishrink Settings</Text>
+      <Box marginY={1} flexDirection="column">
+        <Text>Script: <Text color="cyan">{settings.path ? script.path : `bundled (${script.path})`}</Text></Text>
+        <Text>Status: <Text color={status.color}>{status.text}</Text></Text>
+        {message ? <Text color="red">{message}</Text> : null}
+      </Box>
+      <SelectInput
+        items={[
+          ...Object.entries(PISHRINK_OPTIONS).map(([letter, label]) => ({
+            key: `option-${letter}`,
+            label: `${options.includes(letter) ? '[x]' : '[ ]'} -${letter}  ${label}`,
+            value: letter,
+          })),
+          { key: 'script-path', label: '📝 Use another pishrink script...', value: 'path' },
+          ...(settings.path ? [{ key: 'script-bundled', label: '📦 Use the bundled pishrink', value: 'bundled' }] : []),
+          { key: 'settings-back', label: '🔙 Back', value: 'back' },
+        ]}
+        onSelect={(item) => {
+          if (item.value === 'path') {
+            setInputMode(true);
+          } else if (item.value === 'bundled') {
+            onChange({ ...settings, path: null, sha256: null });
+          } else if (item.value === 'back') {
+            onDone();
+          } else {
+            const next = options.includes(item.value)
+              ? options.filter(letter => letter !== item.value)
+              : [...options, item.value];
+            onChange({ ...settings, options: next });
+          }
+        }}
+      />
+    </Box>
+  );
+}
 
-    const runShrink = () => {
-      addLog('Running pishrink to compress image...');
+// Cards registered for automatic backups (run by `pi-backup watch`): the list, registering
+// an inserted card and removing one. `onChange` gets the new list of cards.
+function AutoBackups({ cards, onChange, onBack }) {
+  const [step, setStep] = useState('list');  // list, pick, name, directory
+  const [disk, setDisk] = useState(null);
+  const [name, setName] = useState('');
+  const [directory, setDirectory] = useState(join(homedir(), 'pi-backups'));
+  const [selected, setSelected] = useState(null);  // registered card shown
+  const [message, setMessage] = useState('');
 
-      const pishrink = spawn('sudo', ['bash', pishrinkPath, '-v', destination], {
-        stdio: ['inherit', 'pipe', 'pipe'],
-      });
+  const describe = (card) => [card.model, card.serial, card.size ? formatBytes(card.size) : null].filter(Boolean).join(', ');
 
-      pishrink.stdout.on('data', (data) => {
-        const output = data.toString().trim();
-        setShrinkProgress(output.substring(0, 60));
-        addLog(output.substring(0, 60));
-      });
+  if (step === 'pick') {
+    const inserted = listCards();
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan" bold>Register which card?</Text>
+        <Text dimColor>It is recognized by its model, serial number and size</Text>
+        <Box marginTop={1}>
+          <SelectInput
+            items={[
+              ...inserted.map(card => ({ key: `card-${card.device}`, label: `${card.device} - ${describe(card) || 'unknown'}`, value: card.device })),
+              { key: 'pick-back', label: '🔙 Back', value: 'back' },
+            ]}
+            onSelect={(item) => {
+              if (item.value === 'back') {
+                setStep('list');
+              } else {
+                setDisk(inserted.find(card => card.device === item.value));
+                setStep('name');
+              }
+            }}
+          />
+        </Box>
+      </Box>
+    );
+  }
 
-      pishrink.stderr.on('data', (data) => {
-        const output = data.toString().trim();
-        setShrinkProgress(output.substring(0, 60));
-        addLog(output.substring(0, 60));
-      });
+  if (step === 'name' || step === 'directory') {
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan">{step === 'name' ? `Name for ${disk.device} (used in image names):` : 'Save its images to directory:'}</Text>
+        <Box>
+          <Text color="green">❯ </Text>
+          <TextField
+            value={step === 'name' ? name : directory}
+            onChange={step === 'name' ? setName : setDirectory}
+            onSubmit={() => {
+              if (step === 'name') {
+                setStep('directory');
+                return;
+              }
+              try {
+                const card = createCard(disk, cards, {
+                  name,
+                  directory: resolve(directory.replace(/^~(?=\/|$)/, homedir())),
+                });
+                onChange([...cards, card]);
+                setMessage(`Registered ${card.name}`);
+              } catch (err) {
+                if (!(err instanceof CardError)) throw err;
+                setMessage(err.message);
+              }
+              setName('');
+              setStep('list');
+            }}
+          />
+        </Box>
+        <Text dimColor>Press Enter to confirm</Text>
+      </Box>
+    );
+  }
 
-      pishrink.on('close', (code) => {
-        if (code === 0) {
-          addLog('Shrink complete!');
-          setState(STATES.COMPLETE);
-        } else {
-          // pishrink might fail on macOS since it needs Linux tools
-          addLog(`pishrink exited with code ${code} - image saved without shrinking`);
-          setState(STATES.COMPLETE);
-        }
-      });
+  if (selected) {
+    const images = cardImages(selected);
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan" bold>{selected.name}</Text>
+        <Box marginY={1} flexDirection="column">
+          <Text>Card:      <Text color="cyan">{describe(selected)}</Text></Text>
+          <Text>Images:    <Text color="cyan">{join(selected.directory, selected.template)}</Text> ({selected.compression})</Text>
+          <Text>Keeping:   <Text color="cyan">{selected.keep ? `last ${selected.keep}` : 'all'}</Text></Text>
+          {images.map(({ image, created }) => (
+            <Text key={image} dimColor>  {formatDateTime(created)}  {image}</Text>
+          ))}
+          {images.length === 0 && <Text dimColor>  No images yet</Text>}
+        </Box>
+        <SelectInput
+          items={[
+            { key: 'card-remove', label: '🗑️  Stop backing up this card (keeps its images)', value: 'remove' },
+            { key: 'card-back', label: '🔙 Back', value: 'back' },
+          ]}
+          onSelect={(item) => {
+            if (item.value === 'remove') {
+              onChange(cards.filter(card => card.name !== selected.name));
+              setMessage(`Unregistered ${selected.name}`);
+            }
+            setSelected(null);
+          }}
+        />
+      </Box>
+    );
+  }
 
-      pishrink.on('error', (err) => {
-        addLog(`pishrink not available: ${err.message} - image saved without shrinking`);
-        setState(STATES.COMPLETE);
-      });
-    };
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan" bold>Automatic Backups</Text>
+      <Box marginY={1} flexDirection="column">
+        <Text>Registered cards are backed up whenever they are inserted while <Text color="yellow">pi-backup watch</Text> runs</Text>
+        <Text dimColor>(e.g. as a systemd user service - see the README), keeping each card's last images.</Text>
+        {message ? <Text color="yellow">{message}</Text> : null}
+      </Box>
+      <SelectInput
+        items={[
+          ...cards.map(card => ({ key: `registered-${card.name}`, label: `💾 ${card.name} - ${describe(card)}`, value: card.name })),
+          { key: 'auto-register', label: '➕ Register an inserted card...', value: 'register' },
+          { key: 'auto-back', label: '🔙 Main Menu', value: 'back' },
+        ]}
+        onSelect={(item) => {
+          if (item.value === 'register') {
+            setMessage('');
+            setStep('pick');
+          } else if (item.value === 'back') {
+            onBack();
+          } else {
+            setSelected(cards.find(card => card.name === item.value));
+          }
+        }}
+      />
+    </Box>
+  );
+}
 
-    // Check if pishrink exists
-    if (!existsSync(pishrinkPath)) {
-      addLog('pishrink not found, downloading...');
-
-      // Download with integrity verification
-      // Note: SHA256 hash should be verified against known-good version
-      // For maximum security, consider bundling pishrink.sh in the repo instead
-      const download = spawn('sudo', ['bash', '-c',
-        `curl -fsSL https://raw.githubusercontent.com/Drewsif/PiShrink/master/pishrink.sh -o ${pishrinkPath}.tmp && ` +
-        `shasum -a 256 ${pishrinkPath}.tmp && ` +  // Display hash for manual verification
-        `chmod +x ${pishrinkPath}.tmp && ` +
-        `mv ${pishrinkPath}.tmp ${pishrinkPath}`
-      ]);
-
-      let downloadOutput = '';
-      download.stdout?.on('data', (data) => {
-        downloadOutput += data.toString();
-      });
+// Text fields of the first-boot settings (see createCustomization); secret ones are masked
+const FIRST_BOOT_FIELDS = [
+  { key: 'hostname', label: 'Hostname' },
+  { key: 'user', label: 'User' },
+  { key: 'password', label: 'Password', secret: true },
+  { key: 'sshKeyFile', label: 'SSH public key file' },
+  { key: 'wifiSsid', label: 'Wi-Fi network' },
+  { key: 'wifiPassword', label: 'Wi-Fi password', secret: true },
+  { key: 'wifiCountry', label: 'Wi-Fi country' },
+];
+
+// First-boot settings written to the card once the image is restored. `values` are the
+// settings as entered; `onDone(values, customization)` gets them with the customization made
+// from them (null when the card is not to be customized).
+function FirstBootSettings({ values, onDone, onBack }) {
+  const [fields, setFields] = useState(values);
+  const [editing, setEditing] = useState(null);  // field being typed in
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState('');
+  const [index, setIndex] = useState(0);  // menu item to come back to after typing
+
+  if (editing) {
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan">{editing.label}:</Text>
+        <Box>
+          <Text color="green">❯ </Text>
+          <TextField
+            value={text}
+            mask={editing.secret ? '*' : undefined}
+            onChange={setText}
+            onSubmit={(value) => {
+              setFields({ ...fields, [editing.key]: value });
+              setEditing(null);
+            }}
+          />
+        </Box>
+        <Text dimColor>Press Enter to confirm (nothing typed leaves it unset)</Text>
+      </Box>
+    );
+  }
 
-      download.on('close', (code) => {
-        if (code === 0) {
-          // Extract and log SHA256 for security awareness
-          const hashMatch = downloadOutput.match(/^([a-f0-9]{64})/);
-          if (hashMatch) {
-            addLog(`pishrink SHA256: ${hashMatch[1].substring(0, 16)}...`);
-          }
-          runShrink();
-        } else {
-          addLog('Could not download pishrink - image saved without shrinking');
-          setState(STATES.COMPLETE);
+  const apply = () => {
+    try {
+      let sshKey;
+      if (fields.sshKeyFile) {
+        const path = resolve(fields.sshKeyFile.replace(/^~(?=\/|$)/, homedir()));
+        try {
+          sshKey = readFileSync(path, 'utf8').trim();
+        } catch (err) {
+          throw new CustomizeError(`Cannot read ${path}: ${err.message}`);
         }
-      });
-    } else {
-      runShrink();
+      }
+      onDone(fields, createCustomization({ ...fields, sshKey }));
+    } catch (err) {
+      if (!(err instanceof CustomizeError)) throw err;
+      setMessage(err.message);
     }
   };
 
-  // Validate and run restore (image -> SD card)
-  const validateAndRestore = () => {
-    setState(STATES.VALIDATING);
-    addLog('Validating sudo access...');
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan" bold>First-boot Settings</Text>
+      <Box marginY={1} flexDirection="column">
+        <Text>Written to the boot partition of Raspberry Pi OS after the restore, applied when the Pi first starts</Text>
+        <Text dimColor>The password is only stored as a hash. The Wi-Fi needs a two-letter country code, e.g. GB.</Text>
+        {message ? <Text color="red">{message}</Text> : null}
+      </Box>
+      <SelectInput
+        initialIndex={index}
+        items={[
+          { key: 'first-boot-ssh', label: `${fields.ssh ? '[x]' : '[ ]'} Enable SSH`, value: 'ssh' },
+          ...FIRST_BOOT_FIELDS.map(field => ({
+            key: `first-boot-${field.key}`,
+            label: `${field.label}: ${fields[field.key] ? (field.secret ? '********' : fields[field.key]) : '-'}`,
+            value: field.key,
+          })),
+          { key: 'first-boot-apply', label: '✅ Use these settings', value: 'apply' },
+          { key: 'first-boot-clear', label: '🗑️  Don\'t customize the card', value: 'clear' },
+          { key: 'first-boot-back', label: '🔙 Back', value: 'back' },
+        ]}
+        onSelect={(item) => {
+          setMessage('');
+          if (item.value === 'ssh') {
+            setFields({ ...fields, ssh: !fields.ssh });
+          } else if (item.value === 'apply') {
+            apply();
+          } else if (item.value === 'clear') {
+            onDone(fields, null);
+          } else if (item.value === 'back') {
+            onBack();
+          } else {
+            const field = FIRST_BOOT_FIELDS.find(each => each.key === item.value);
+            setIndex(FIRST_BOOT_FIELDS.indexOf(field) + 1);
+            setText(fields[field.key] || '');
+            setEditing(field);
+          }
+        }}
+      />
+    </Box>
+  );
+}
 
-    const sudoCheck = spawn('sudo', ['-v'], {
-      stdio: ['inherit', 'pipe', 'pipe'],
-    });
+// Icons and colors for how a recorded job ended
+const RESULT_STYLES = {
+  [RESULTS.DONE]: { icon: '✅', color: 'green' },
+  [RESULTS.FAILED]: { icon: '❌', color: 'red' },
+  [RESULTS.CANCELLED]: { icon: '⚠️ ', color: 'yellow' },
+  [RESULTS.RUNNING]: { icon: '❔', color: 'gray' },
+};
 
-    sudoCheck.on('close', (code) => {
-      if (code !== 0) {
-        setError('sudo authentication failed. Please run with sudo access.');
-        setState(STATES.ERROR);
-        return;
-      }
+// Past jobs from the history, newest first, and the details of one of them.
+// `onRestore(image, record)` restores an image again, `onRerun(record)` repeats a backup.
+function JobHistory({ onRestore, onRerun, onBack }) {
+  const [records] = useState(readHistory);
+  const [selected, setSelected] = useState(null);
+
+  if (selected) {
+    const { description } = selected;
+    const isBackup = description.type === MODES.BACKUP;
+    const image = isBackup ? selected.image : description.source;
+    const style = RESULT_STYLES[selected.result] || RESULT_STYLES[RESULTS.RUNNING];
+    const output = selected.output.split('\n').filter(line => line.trim()).slice(-8);
+    return (
+      <Box flexDirection="column">
+        <Text color="cyan" bold>{isBackup ? 'Backup' : 'Restore'} of {formatDateTime(selected.started)}</Text>
+        <Box marginY={1} flexDirection="column">
+          <Text>Result:   <Text color={style.color}>{selected.result === RESULTS.RUNNING ? 'unfinished (interrupted)' : selected.result}</Text></Text>
+          <Text>{isBackup ? 'Source:   ' : 'Image:    '}<Text color="cyan">{description.source}</Text></Text>
+          <Text>{isBackup ? 'Image:    ' : 'Target:   '}<Text color="cyan">{selected.image || description.destination}</Text></Text>
+          {description.setup && <Text>Setup:    <Text color="cyan">{description.setup.join(', ')}</Text></Text>}
+          {selected.duration !== null && <Text>Duration: <Text color="cyan">{formatDuration(selected.duration)}</Text></Text>}
+          <Text>Phases:   <Text dimColor>
+            {phaseDurations(selected)
+              .map(({ phase, seconds }) => `${phase.replace(/_/g, ' ')}${seconds === null ? '' : ` ${formatDuration(seconds)}`}`)
+              .join(' · ') || 'none'}
+          </Text></Text>
+          {selected.error && <Text color="red">{selected.error}</Text>}
+          {selected.resumable && <Text>Partial image kept: <Text color="cyan">{selected.resumable}</Text></Text>}
+        </Box>
+        {output.length > 0 && (
+          <Box marginBottom={1} flexDirection="column">
+            <Text bold>Last output:</Text>
+            {output.map((line, index) => <Text key={index} dimColor>  {line.substring(0, 100)}</Text>)}
+          </Box>
+        )}
+        <Text dimColor>Full record: {selected.path}</Text>
+        <Box marginTop={1}>
+          <SelectInput
+            items={[
+              ...(image && (isRemote(image) || existsSync(image))
+                ? [{ key: 'history-restore', label: isBackup ? '📀 Restore this image' : '📀 Restore this image again', value: 'restore' }]
+                : []),
+              ...(isBackup ? [{ key: 'history-rerun', label: '🔁 Re-run this backup', value: 'rerun' }] : []),
+              { key: 'history-list', label: '🔙 Back to history', value: 'back' },
+            ]}
+            onSelect={(item) => {
+              if (item.value === 'restore') {
+                onRestore(image, selected);
+              } else if (item.value === 'rerun') {
+                onRerun(selected);
+              } else {
+                setSelected(null);
+              }
+            }}
+          />
+        </Box>
+      </Box>
+    );
+  }
 
-      // Unmount target disk before restore
-      const diskMatch = destination.match(/r?(disk\d+)/);
-      if (diskMatch && process.platform === 'darwin') {
-        const diskName = diskMatch[1];
-        addLog(`Unmounting ${diskName}...`);
+  return (
+    <Box flexDirection="column">
+      <Text color="cyan" bold>History</Text>
+      <Text dimColor>{records.length > 0 ? 'Select a job to see its details' : 'No backups or restores yet'}</Text>
+      <Box marginTop={1}>
+        <SelectInput
+          limit={15}
+          items={[
+            ...records.map(record => ({
+              key: record.id,
+              label: `${(RESULT_STYLES[record.result] || RESULT_STYLES[RESULTS.RUNNING]).icon} ` +
+                `${formatDateTime(record.started)}  ${record.description.type === MODES.BACKUP ? 'backup ' : 'restore'}  ` +
+                `${record.description.source} → ${record.image || record.description.destination}`,
+              value: record.id,
+            })),
+            { key: 'history-back', label: '🔙 Main Menu', value: 'back' },
+          ]}
+          onSelect={(item) => {
+            if (item.value === 'back') {
+              onBack();
+            } else {
+              setSelected(records.find(record => record.id === item.value));
+            }
+          }}
+        />
+      </Box>
+    </Box>
+  );
+}
+
+// Progress bar component
+function ProgressBar({ progress, width = 40 }) {
+  const filled = Math.round((progress / 100) * width);
+  const empty = width - filled;
+  return (
+    <Text>
+      <Text color="green">{'█'.repeat(filled)}</Text>
+      <Text color="gray">{'░'.repeat(empty)}</Text>
+      <Text> {progress.toFixed(1)}%</Text>
+    </Text>
+  );
+}
 
-        const unmount = spawn('diskutil', ['unmountDisk', diskName], {
-          stdio: ['inherit', 'pipe', 'pipe'],
-        });
+// Transfer progress (percentage, bytes, speed, elapsed time and ETA)
+function TransferProgress({ progress, totalBytes, bytesWritten, bytesSkipped, speed, elapsed, eta }) {
+  return (
+    <Box marginY={1} flexDirection="column">
+      {totalBytes ? <ProgressBar progress={progress} /> : null}
+      <Text>Written: <Text color="yellow">{bytesWritten}</Text>{totalBytes ? ` of ${formatBytes(totalBytes)}` : ''}</Text>
+      {bytesSkipped ? <Text>Skipped: <Text color="yellow">{formatBytes(bytesSkipped)}</Text> (no data, not read)</Text> : null}
+      <Text>Speed:   <Text color="yellow">{speed}</Text></Text>
+      <Text>Elapsed: <Text color="yellow">{formatDuration(elapsed)}</Text></Text>
+      {totalBytes ? (
+        <Text>ETA:     <Text color="yellow">{eta === null ? 'calculating...' : formatDuration(eta)}</Text></Text>
+      ) : null}
+    </Box>
+  );
+}
 
-        unmount.on('close', (code) => {
-          if (code !== 0) {
-            addLog('Unmount warning: disk may already be unmounted');
-          } else {
-            addLog('Disk unmounted successfully');
-          }
-          runRestore();
-        });
+// Main App component
+// One card of a multi-card restore: its phase and progress while it runs, then how it ended
+function CardProgress({ device, status, verify, customized }) {
+  if (status.result === RESULTS.DONE) {
+    return <Text color="green">✅ {device}  written{verify ? ' and verified' : ''}{customized ? ', customized' : ''}</Text>;
+  }
+  if (status.result === RESULTS.FAILED) {
+    return <Text color="red">❌ {device}  {status.verifyFailed ? 'verification failed: ' : ''}{status.error}</Text>;
+  }
+  if (status.result === RESULTS.CANCELLED) {
+    return <Text color="yellow">⚠️  {device}  cancelled - partly written</Text>;
+  }
+  const { progress } = status;
+  return (
+    <Box>
+      <Text>{device}  </Text>
+      <Text color="cyan">{status.phase.replace(/_/g, ' ')}  </Text>
+      {progress?.percent != null ? (
+        <>
+          <ProgressBar progress={progress.percent} width={24} />
+          <Text dimColor>  {progress.speed}{progress.eta !== null ? `  ETA ${formatDuration(progress.eta)}` : ''}</Text>
+        </>
+      ) : (
+        <Text dimColor>{status.log}</Text>
+      )}
+    </Box>
+  );
+}
 
-        unmount.on('error', () => {
-          runRestore();
-        });
-      } else {
-        runRestore();
+function App() {
+  const { exit } = useApp();
+  const [mode, setMode] = useState(null);  // BACKUP or RESTORE
+  const [typing, setTyping] = useState(0);  // text fields on screen (see TextField)
+  const [state, setState] = useState(STATES.MAIN_MENU);
+  const [disks, setDisks] = useState([]);
+  const [source, setSource] = useState('');
+  const [destination, setDestination] = useState('');
+  const [progress, setProgress] = useState(0);
+  const [bytesWritten, setBytesWritten] = useState('0');
+  const [bytesSkipped, setBytesSkipped] = useState(0);
+  const [speed, setSpeed] = useState('0');
+  const [error, setError] = useState('');
+  const [logs, setLogs] = useState([]);
+  const [shrinkProgress, setShrinkProgress] = useState('');
+  const [totalBytes, setTotalBytes] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [eta, setEta] = useState(null);
+  const [afterJob, setAfterJob] = useState(AFTER_JOB.NONE);
+  const [verify, setVerify] = useState(false);
+  const [compression, setCompression] = useState('none');
+  const [verifyOffset, setVerifyOffset] = useState(null);
+  const [config, setConfig] = useState(loadConfig);
+  const [shrinker, setShrinker] = useState(SHRINKERS.AUTO);
+  const [job, setJob] = useState(null);  // the running job
+  const [confirmCancel, setConfirmCancel] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [removedFiles, setRemovedFiles] = useState([]);
+  const [resume, setResume] = useState(true);  // resume a partial raw backup rather than start over
+  const [keepsPartial, setKeepsPartial] = useState(false);  // cancelling now keeps the partial image
+  const [resumableFile, setResumableFile] = useState(null);
+  const [historyPath, setHistoryPath] = useState(null);  // history record of the last job
+  const [typedTarget, setTypedTarget] = useState(null);  // target name typed to confirm a restore
+  const [targets, setTargets] = useState([]);  // cards a restore writes to (more than one: all at once)
+  const [cardStatus, setCardStatus] = useState({});  // per card of a multi-card restore, see startMultiRestore
+  const [typedProblem, setTypedProblem] = useState('');
+  const [firstBootValues, setFirstBootValues] = useState({ ssh: false });  // as entered, see FirstBootSettings
+  const [customization, setCustomization] = useState(null);  // first-boot settings of a restore
+  const [quiesce, setQuiesce] = useState(QUIESCE.SYNC);  // for backing up a running Pi over SSH
+  const [sparse, setSparse] = useState(false);  // back up only the blocks in use
+  const [base, setBase] = useState(null);  // backup a delta backup is made against
+  const [showPiInput, setShowPiInput] = useState(false);
+
+  // Look for disks (on mount, when disks are inserted or removed, and when the picker
+  // is asked to rescan). Disks that weren't listed, or had no card in them, are marked
+  // as just inserted.
+  const scanDisks = () => {
+    const found = getDisks();
+    setDisks((previous) => {
+      const diskList = found.map((disk) => {
+        const inserted = previous.length > 0 && disk.value && disk.size &&
+          !previous.some(old => old.value === disk.value && old.size);
+        return inserted ? { ...disk, label: `🆕 ${disk.label}`, inserted: true } : disk;
+      });
+      if (diskList.length === 0) {
+        diskList.push({ key: 'no-disks', label: 'No external disks found', value: '' });
       }
-    });
-
-    sudoCheck.on('error', (err) => {
-      setError(`sudo failed: ${err.message}`);
-      setState(STATES.ERROR);
+      diskList.push({ key: 'manual-entry', label: '📝 Enter device path manually...', value: 'manual' });
+      return diskList;
     });
   };
+  useEffect(() => {
+    scanDisks();
+    const watcher = createDiskWatcher();
+    watcher.on('change', scanDisks);
+    watcher.start();
+    return () => watcher.stop();
+  }, []);
 
-  // Run dd restore (write image to SD card)
-  const runRestore = () => {
-    setState(STATES.RESTORING);
-    addLog(`Restoring ${source} to ${destination}`);
-
-    let lastError = '';
-
-    // Check if source is gzipped
-    const isGzipped = source.endsWith('.gz');
-
-    let ddProcess;
-    if (isGzipped) {
-      // Use gunzip piped to dd for compressed images
-      addLog('Decompressing and writing image...');
-      ddProcess = spawn('sudo', ['bash', '-c',
-        `gunzip -c "${source}" | dd of="${destination}" bs=4m status=progress`
-      ], {
-        stdio: ['inherit', 'pipe', 'pipe'],
-      });
-    } else {
-      const ddArgs = process.platform === 'darwin'
-        ? ['if=' + source, 'of=' + destination, 'bs=4m', 'status=progress']
-        : ['if=' + source, 'of=' + destination, 'bs=4M', 'status=progress', 'conv=fsync'];
+  // Text fields count themselves while they are on screen
+  const startTyping = useCallback(() => {
+    setTyping(count => count + 1);
+    return () => setTyping(count => count - 1);
+  }, []);
 
-      ddProcess = spawn('sudo', ['dd', ...ddArgs], {
-        stdio: ['inherit', 'pipe', 'pipe'],
-      });
+  // Handle keyboard input for quitting; while a job runs, quitting asks to cancel it instead.
+  // q is a letter while a text field is on screen.
+  useInput((input, key) => {
+    const quit = (input === 'q' && typing === 0) || (key.ctrl && input === 'c');
+    if (job && JOB_STATES.includes(state)) {
+      if (cancelling) return;
+      if (!confirmCancel) {
+        if (quit) setConfirmCancel(true);
+      } else if (input === 'y') {
+        setConfirmCancel(false);
+        setCancelling(true);
+        job.cancel();
+      } else if (input === 'n' || key.escape) {
+        setConfirmCancel(false);
+      }
+      return;
     }
+    if (quit) {
+      exit();
+    }
+  });
 
-    ddProcess.stderr.on('data', (data) => {
-      const output = data.toString();
-
-      if (!output.match(/bytes.*copied/) && !output.match(/records (in|out)/)) {
-        lastError = output.trim();
-      }
+  const addLog = (message) => {
+    setLogs(prev => [...prev.slice(-5), message]);
+  };
 
-      const bytesMatch = output.match(/(\d+)\s+bytes/);
-      const speedMatch = output.match(/([\d.]+)\s*([MGK]?B\/s)/);
+  // Interrupted raw backup into the chosen destination ({ header, blocks } of its journal), if any
+  const partialBackup = () => {
+    if (mode !== MODES.BACKUP || compression !== 'none' || base || !existsSync(destination)) return null;
+    return readJournal(destination);
+  };
 
-      if (bytesMatch) {
-        const bytes = parseInt(bytesMatch[1]);
-        const mb = (bytes / 1024 / 1024).toFixed(1);
-        setBytesWritten(`${mb} MB`);
+  // Run a backup/restore job, following its events in the UI state
+  const startJob = (type) => {
+    const resuming = resume && Boolean(partialBackup());
+    const description = {
+      type, source, destination, compression, shrinker, pishrink: config.pishrink, verify, resume: resuming,
+      after: afterJob, customize: type === MODES.RESTORE ? customization : null,
+      ...(type === MODES.BACKUP ? (isRemote(source) ? { quiesce } : { sparse }) : {}),
+      ...(type === MODES.BACKUP && base ? { base } : {}),
+    };
+    const job = createJob(description);
+    let jobPhase = null;
+    let backedUp = false;
+
+    job.on('phase', (nextState) => {
+      jobPhase = nextState;
+      // A raw image is kept for resuming until it has been read completely
+      setKeepsPartial(type === MODES.BACKUP && compression === 'none' &&
+        (nextState === STATES.BACKING_UP || (resuming && !backedUp)));
+      if (nextState === STATES.BACKING_UP) backedUp = true;
+      const transfers = [STATES.BACKING_UP, STATES.RESTORING, STATES.SHRINKING, STATES.VERIFYING, STATES.HASHING];
+      if (transfers.includes(nextState)) {
+        // Reset progress tracking before dd starts
+        setTotalBytes(null);
+        setProgress(0);
+        setElapsed(0);
+        setEta(null);
+        setBytesWritten('0 MB');
+        setBytesSkipped(0);
+        setSpeed('0');
       }
-
-      if (speedMatch) {
-        setSpeed(speedMatch[1] + ' ' + speedMatch[2]);
+      setState(nextState);
+    });
+    job.on('log', (message) => {
+      if (jobPhase === STATES.SHRINKING) {
+        setShrinkProgress(message.substring(0, 60));
       }
-
-      addLog(output.trim().substring(0, 60));
+      addLog(message);
     });
-
-    ddProcess.stdout.on('data', (data) => {
-      const output = data.toString().trim();
-      if (output) addLog(output.substring(0, 60));
+    job.on('progress', (update) => {
+      setBytesWritten(formatBytes(update.bytes));
+      setBytesSkipped(update.skipped || 0);
+      setTotalBytes(update.total);
+      setSpeed(update.speed);
+      setElapsed(update.elapsed);
+      setEta(update.eta);
+      if (update.percent !== null) {
+        setProgress(update.percent);
+      }
     });
-
-    ddProcess.on('close', (code) => {
-      if (code === 0) {
-        addLog('Restore complete!');
-        setState(STATES.COMPLETE);
+    job.on('error', (err) => {
+      setError(err.message);
+      if (err instanceof VerifyError) {
+        setVerifyOffset(err.offset);
+        setState(STATES.VERIFY_FAILED);
       } else {
-        const errorMsg = lastError || `exit code ${code}`;
-        setError(`Restore failed: ${errorMsg}`);
         setState(STATES.ERROR);
       }
     });
+    job.on('done', (result) => {
+      // pishrink -z may have changed the image file
+      if (result?.image) setDestination(result.image);
+      setState(STATES.COMPLETE);
+    });
+    job.on('cancelled', ({ removed, resumable }) => {
+      setRemovedFiles(removed);
+      setResumableFile(resumable);
+      setCancelling(false);
+      setState(STATES.CANCELLED);
+    });
+
+    setConfirmCancel(false);
+    setJob(job);
+    setHistoryPath(recordJob(job, description));
+    job.start();
+  };
 
-    ddProcess.on('error', (err) => {
-      setError(`Failed to start restore: ${err.message}`);
+  // Restore the image to all `targets` at once (see createMultiRestore), following each
+  // card's job in `cardStatus`: { phase, progress, log, result, error, verifyFailed }
+  const startMultiRestore = () => {
+    const restore = createMultiRestore({ source, destinations: targets, verify, after: afterJob, customize: customization });
+    const update = (device, changes) => setCardStatus(prev => ({ ...prev, [device]: { ...prev[device], ...changes } }));
+    setCardStatus(Object.fromEntries(targets.map(device => [
+      device, { phase: PHASES.VALIDATING, progress: null, log: '', result: RESULTS.RUNNING, error: null, verifyFailed: false },
+    ])));
+
+    // The image's checksum and sudo are checked once for all cards, on the hashing and
+    // validating screens
+    restore.on('phase', (phase) => {
+      if (phase === PHASES.HASHING) {
+        setTotalBytes(null);
+        setProgress(0);
+        setBytesWritten('0 MB');
+      }
+      const shared = { [PHASES.HASHING]: STATES.HASHING, [PHASES.VALIDATING]: STATES.VALIDATING };
+      setState(shared[phase] || STATES.MULTI_RESTORE);
+    });
+    restore.on('log', addLog);
+    restore.on('progress', (update) => {
+      setBytesWritten(formatBytes(update.bytes));
+      setTotalBytes(update.total);
+      setSpeed(update.speed);
+      setElapsed(update.elapsed);
+      setEta(update.eta);
+      if (update.percent !== null) setProgress(update.percent);
+    });
+    restore.on('error', (err) => {
+      setError(err.message);
       setState(STATES.ERROR);
     });
+    const finish = () => {
+      setCancelling(false);
+      setState(STATES.MULTI_COMPLETE);
+    };
+    restore.on('done', finish);
+    restore.on('cancelled', finish);
+
+    for (const { destination: device, job: card } of restore.jobs) {
+      card.on('phase', phase => update(device, { phase, progress: null }));
+      card.on('log', message => update(device, { log: message.substring(0, 60) }));
+      card.on('progress', progress => update(device, { progress }));
+      card.on('error', err => update(device, { result: RESULTS.FAILED, error: err.message, verifyFailed: err instanceof VerifyError }));
+      card.on('done', () => update(device, { result: RESULTS.DONE }));
+      card.on('cancelled', () => update(device, { result: RESULTS.CANCELLED }));
+      recordJob(card, { type: 'restore', source, destination: device, verify, after: afterJob, customize: customization });
+    }
+
+    setConfirmCancel(false);
+    setHistoryPath(null);
+    setJob(restore);
+    restore.start();
+  };
+
+  // Keep changed settings in the config file
+  const updateConfig = (changes) => {
+    const next = { ...config, ...changes };
+    setConfig(next);
+    try {
+      saveConfig(next);
+    } catch (err) {
+      addLog(`Could not save settings: ${err.message}`);
+    }
   };
 
-  // Manual source input state
-  const [manualSource, setManualSource] = useState('');
+  // Manual device input state
   const [showManualInput, setShowManualInput] = useState(false);
 
+  // Retry / main menu / exit choices shown on error screens
+  const renderErrorMenu = () => (
+    <Box marginTop={1}>
+      <SelectInput
+        items={[
+          { key: 'error-retry', label: '🔄 Try Again', value: 'retry' },
+          { key: 'error-menu', label: '🏠 Main Menu', value: 'menu' },
+          { key: 'error-exit', label: '❌ Exit', value: 'exit' },
+        ]}
+        onSelect={(item) => {
+          if (item.value === 'retry') {
+            setError('');
+            setState(STATES.SELECT_SOURCE);
+          } else if (item.value === 'menu') {
+            setError('');
+            setSource('');
+            setDestination('');
+            setMode(null);
+            setState(STATES.MAIN_MENU);
+          } else {
+            exit();
+          }
+        }}
+      />
+    </Box>
+  );
+
   // Render based on current state
   const renderContent = () => {
     switch (state) {
@@ -645,6 +1363,8 @@ function App() {
                 items={[
                   { key: 'menu-backup', label: '💾 Backup SD card to image file', value: 'backup' },
                   { key: 'menu-restore', label: '📀 Restore image file to SD card', value: 'restore' },
+                  { key: 'menu-history', label: '📜 History', value: 'history' },
+                  { key: 'menu-auto', label: '⏰ Automatic backups', value: 'auto' },
                   { key: 'menu-exit', label: '❌ Exit', value: 'exit' },
                 ]}
                 onSelect={(item) => {
@@ -654,6 +1374,10 @@ function App() {
                   } else if (item.value === 'restore') {
                     setMode(MODES.RESTORE);
                     setState(STATES.SELECT_SOURCE);
+                  } else if (item.value === 'history') {
+                    setState(STATES.HISTORY);
+                  } else if (item.value === 'auto') {
+                    setState(STATES.AUTO_BACKUPS);
                   } else {
                     exit();
                   }
@@ -677,73 +1401,95 @@ function App() {
           );
         }
         // BACKUP mode - select SD card
+        if (showPiInput) {
+          return (
+            <RemoteLocationInput
+              prompt="Enter the card of the running Pi as ssh://[user@]host[:port]/device (sudo must work there without a password):"
+              initial="ssh://pi@raspberrypi.local/dev/mmcblk0"
+              onSubmit={(url) => {
+                setShowPiInput(false);
+                if (url) {
+                  setSource(url);
+                  setState(STATES.SELECT_DEST);
+                }
+              }}
+            />
+          );
+        }
         if (showManualInput) {
           return (
-            <Box flexDirection="column">
-              <Text color="cyan">Enter device path (e.g., /dev/rdisk2):</Text>
-              <Box>
-                <Text color="green">❯ </Text>
-                <TextInput
-                  value={manualSource}
-                  onChange={setManualSource}
-                  onSubmit={() => {
-                    setSource(manualSource);
-                    setState(STATES.SELECT_DEST);
-                  }}
-                />
-              </Box>
-            </Box>
+            <ManualDeviceInput
+              onSubmit={(device) => {
+                setShowManualInput(false);
+                setSource(device);
+                setState(STATES.SELECT_DEST);
+              }}
+            />
           );
         }
         return (
-          <Box flexDirection="column">
-            <Text color="cyan" bold>Select source SD card:</Text>
-            <Text dimColor>Use arrow keys to navigate, Enter to select</Text>
-            <Box marginTop={1}>
-              <SelectInput
-                items={disks}
-                onSelect={(item) => {
-                  if (item.value === 'manual') {
-                    setShowManualInput(true);
-                  } else if (item.value) {
-                    setSource(item.value);
-                    setState(STATES.SELECT_DEST);
-                  }
-                }}
-              />
-            </Box>
-          </Box>
+          <DiskPicker
+            title="Select source SD card:"
+            disks={[...disks, { key: 'remote-pi', label: '🌐 Running Raspberry Pi over SSH...', value: 'remote-pi' }]}
+            onRescan={scanDisks}
+            onSelect={(item) => {
+              if (item.value === 'manual') {
+                setShowManualInput(true);
+              } else if (item.value === 'remote-pi') {
+                setShowPiInput(true);
+              } else if (item.value) {
+                setSource(item.value);
+                setState(STATES.SELECT_DEST);
+              }
+            }}
+          />
         );
 
       case STATES.SELECT_DEST:
         // BACKUP: select directory for image, RESTORE: select SD card
+        if (mode === MODES.RESTORE && showManualInput) {
+          return (
+            <ManualDeviceInput
+              onSubmit={(device) => {
+                setShowManualInput(false);
+                setDestination(device);
+                setTargets([device]);
+                setState(STATES.CONFIRM);
+              }}
+            />
+          );
+        }
         if (mode === MODES.RESTORE) {
           return (
-            <Box flexDirection="column">
-              <Text color="cyan" bold>Select target SD card:</Text>
-              <Text dimColor>Use arrow keys to navigate, Enter to select</Text>
-              <Box marginTop={1}>
-                <SelectInput
-                  items={disks}
-                  onSelect={(item) => {
-                    if (item.value === 'manual') {
-                      setShowManualInput(true);
-                    } else if (item.value) {
-                      setDestination(item.value);
-                      setState(STATES.CONFIRM);
-                    }
-                  }}
-                />
-              </Box>
-            </Box>
+            <DiskPicker
+              title="Select target SD card(s):"
+              disks={disks}
+              onRescan={scanDisks}
+              onSelect={(item) => {
+                if (item.value === 'manual') {
+                  setShowManualInput(true);
+                } else if (item.value) {
+                  setDestination(item.value);
+                  setTargets([item.value]);
+                  setState(STATES.CONFIRM);
+                }
+              }}
+              onSelectMany={(devices) => {
+                setDestination(devices[0]);
+                setTargets(devices);
+                setState(STATES.CONFIRM);
+              }}
+            />
           );
         }
         // BACKUP mode - select destination directory
         return (
           <FileBrowser
             currentPath={homedir()}
-            onSelect={(path) => {
+            onSelect={(path, chosenCompression) => {
               setDestination(path);
+              setCompression(chosenCompression);
+              setBase(null);
               setState(STATES.CONFIRM);
             }}
           />
@@ -751,6 +1497,61 @@ function App() {
 
       case STATES.CONFIRM:
         const isRestore = mode === MODES.RESTORE;
+        const partial = partialBackup();
+        const multiple = isRestore && targets.length > 1;
+        const piSource = !isRestore && isRemote(source);  // a running Pi, read over SSH
+        const shrinkable = !isRestore && compression === 'none' && !isRemote(destination) && !base;
+        // Earlier backups next to the destination a delta backup can be made against
+        const bases = isRestore || isRemote(destination) ? [] : listBackups(dirname(destination)).filter(({ image }) => image !== destination);
+        const baseBackup = bases.find(({ image }) => image === base);
+        const devices = isRestore ? (targets.length > 0 ? targets : [destination]) : piSource ? [] : [source];
+        // Cards are confirmed by typing their names (sdb or /dev/sdb), several separated by spaces
+        const targetNames = (multiple ? targets : [destination]).map(device => device.replace(/^\/dev\//, ''));
+        const targetName = targetNames.join(' ');
+        if (isRestore && typedTarget !== null) {
+          return (
+            <Box flexDirection="column">
+              <Text color="red" bold>⚠️  ALL DATA ON {multiple ? targets.join(', ') : destination} WILL BE ERASED</Text>
+              <Box marginTop={1}>
+                <Text>
+                  Type <Text color="cyan" bold>{targetName}</Text> to write {source} to{' '}
+                  {multiple ? `all ${targets.length} cards` : 'it'}:
+                </Text>
+              </Box>
+              {multiple && <Text dimColor>(the name of every card, separated by spaces, in any order)</Text>}
+              <Box>
+                <Text color="green">❯ </Text>
+                <TextField
+                  value={typedTarget}
+                  onChange={(value) => {
+                    setTypedTarget(value);
+                    setTypedProblem('');
+                  }}
+                  onSubmit={() => {
+                    const typed = typedTarget.trim();
+                    const typedNames = typed.split(/\s+/).map(name => name.replace(/^\/dev\//, ''));
+                    if (typedNames.length === targetNames.length && targetNames.every(name => typedNames.includes(name))) {
+                      setTypedTarget(null);
+                      if (multiple) {
+                        startMultiRestore();
+                      } else {
+                        startJob(MODES.RESTORE);
+                      }
+                    } else if (typed === '') {
+                      setTypedTarget(null);
+                    } else {
+                      setTypedProblem(multiple
+                        ? `"${typed}" doesn't name each of ${targetNames.join(', ')} once - nothing was written`
+                        : `"${typed}" is not ${targetName} - nothing was written`);
+                    }
+                  }}
+                />
+              </Box>
+              {typedProblem ? <Text color="red">{typedProblem}</Text> : null}
+              <Text dimColor>Press Enter with nothing typed to go back</Text>
+            </Box>
+          );
+        }
         return (
           <Box flexDirection="column">
             <Text color={isRestore ? 'red' : 'yellow'} bold>
@@ -758,17 +1559,79 @@ function App() {
             </Text>
             <Box marginY={1} flexDirection="column">
               <Text>{isRestore ? 'Image:  ' : 'Source:      '}<Text color="cyan">{source}</Text></Text>
-              <Text>{isRestore ? 'Target: ' : 'Destination: '}<Text color="cyan">{destination}</Text></Text>
+              <Text>{isRestore ? 'Target: ' : 'Destination: '}<Text color="cyan">{multiple ? targets.join(', ') : destination}</Text></Text>
+              {!isRestore && <Text>Compression: <Text color="cyan">{compression}</Text></Text>}
+              {bases.length > 0 && (
+                <Text>Store:       <Text color="cyan">
+                  {base ? `Only the changes since ${basename(base)}${baseBackup ? ` (${describeManifest(baseBackup.manifest)})` : ''}` : 'Full image'}
+                </Text></Text>
+              )}
+              {partial && (
+                <Text>Partial:     <Text color="cyan">
+                  {formatBytes(partial.blocks.length * CHECKPOINT_BLOCK_SIZE)}
+                  {partial.header.source?.size ? ` of ${formatBytes(partial.header.source.size)}` : ''}
+                  {partial.header.source?.model ? ` from ${partial.header.source.model}` : ''}
+                  {resume ? ' - will be resumed' : ' - will be started over'}
+                </Text></Text>
+              )}
+              {piSource && <Text>Consistency: <Text color="cyan">{QUIESCE_LABELS[quiesce]}</Text></Text>}
+              {!isRestore && !piSource && (
+                <Text>Read:        <Text color="cyan">{sparse ? 'Only the blocks in use (free space becomes zeros)' : 'All of the card'}</Text></Text>
+              )}
+              {shrinkable && (
+                <Text>Shrink:      <Text color="cyan">{SHRINKER_LABELS[shrinker]}</Text></Text>
+              )}
+              {shrinkable && shrinker !== SHRINKERS.NATIVE && (
+                <Text>pishrink:    <Text color="cyan">{pishrinkArgs(config.pishrink.options).join(' ')}{config.pishrink.path ? ` (${config.pishrink.path})` : ''}</Text></Text>
+              )}
+              <Text>{isRestore ? 'Verify: ' : 'Verify:      '}<Text color="cyan">{verify ? 'Yes' : 'No'}</Text></Text>
+              {!piSource && <Text>{isRestore ? 'After:  ' : 'After:       '}<Text color="cyan">{AFTER_JOB_LABELS[afterJob]}</Text></Text>}
+              {isRestore && (
+                <Text>Setup:  <Text color="cyan">{customization ? describeCustomization(customization).join(', ') : 'None'}</Text></Text>
+              )}
+              {devices.map((device) => {
+                const listedDisk = disks.find(disk => disk.value && disk.value === device);
+                if (!listedDisk) {
+                  return <Text key={device} color="yellow">⚠️  {device} is not among the detected SD cards - make sure it is the right disk</Text>;
+                }
+                return listedDisk.warnings?.length > 0 ? (
+                  <Text key={device} color="yellow">⚠️  {device} is {listedDisk.warnings.join(' and ')} - make sure it is the SD card</Text>
+                ) : null;
+              })}
             </Box>
             <Text dimColor>
               {isRestore
-                ? 'This will ERASE ALL DATA on the target disk!'
-                : 'This will read the entire disk and may take a while.'}
+                ? `This will ERASE ALL DATA on the target ${multiple ? `disks - the image is written to all ${targets.length} at once` : 'disk'}!`
+                : `This will read ${piSource ? 'the entire card of the Pi over the network' : sparse ? 'the data on the disk' : 'the entire disk'} and may take a while.`}
             </Text>
             <Box marginTop={1}>
               <SelectInput
                 items={[
-                  { key: 'confirm-start', label: isRestore ? '✅ Start Restore' : '✅ Start Backup', value: 'start' },
+                  {
+                    key: 'confirm-start',
+                    label: isRestore ? '✅ Start Restore...' : partial && resume ? '✅ Resume Backup' : '✅ Start Backup',
+                    value: 'start',
+                  },
+                  ...(partial
+                    ? [{ key: 'confirm-resume', label: resume ? '🔁 Start over instead' : '🔁 Resume instead', value: 'resume' }]
+                    : []),
+                  { key: 'confirm-verify', label: verify ? '🔍 Don\'t verify after writing' : '🔍 Verify after writing', value: 'verify' },
+                  ...(bases.length > 0
+                    ? [{ key: 'confirm-base', label: '🧩 Change what is stored (full image, or only the changes since a backup)', value: 'base' }]
+                    : []),
+                  ...(!isRestore && !piSource
+                    ? [{ key: 'confirm-sparse', label: sparse ? '📖 Read all of the card' : '📖 Read only the blocks in use', value: 'sparse' }]
+                    : []),
+                  ...(piSource
+                    ? [{ key: 'confirm-quiesce', label: '🧊 Change how the Pi\'s card is kept consistent', value: 'quiesce' }]
+                    : [{ key: 'confirm-after', label: '⏏️  Change what happens when done', value: 'after' }]),
+                  ...(isRestore ? [{ key: 'confirm-first-boot', label: '🛠️  First-boot settings (hostname, SSH, user, Wi-Fi)...', value: 'first-boot' }] : []),
+                  ...(shrinkable
+                    ? [
+                      { key: 'confirm-shrinker', label: '🗜️  Change how the image is shrunk', value: 'shrinker' },
+                      { key: 'confirm-pishrink', label: '⚙️  pishrink settings', value: 'pishrink' },
+                    ]
+                    : []),
                   { key: 'confirm-back', label: '🔙 Go Back', value: 'back' },
                   { key: 'confirm-cancel', label: '❌ Cancel', value: 'cancel' },
                 ]}
@@ -776,11 +1639,50 @@ function App() {
                   switch (item.value) {
                     case 'start':
                       if (isRestore) {
-                        validateAndRestore();
+                        setTypedTarget('');
                       } else {
-                        validateAndBackup();
+                        startJob(MODES.BACKUP);
                       }
                       break;
+                    case 'verify':
+                      setVerify(!verify);
+                      break;
+                    case 'resume':
+                      setResume(!resume);
+                      break;
+                    case 'sparse':
+                      setSparse(!sparse);
+                      break;
+                    case 'base': {
+                      // Delta backups are saved as .delta files next to their base
+                      const choices = [null, ...bases.map(({ image }) => image)];
+                      const next = choices[(choices.indexOf(base) + 1) % choices.length];
+                      const name = next ? deltaFileName(basename(destination), compression) : withExtension(basename(destination), compression);
+                      setBase(next);
+                      setDestination(join(dirname(destination), name));
+                      break;
+                    }
+                    case 'after': {
+                      const actions = Object.values(AFTER_JOB);
+                      setAfterJob(actions[(actions.indexOf(afterJob) + 1) % actions.length]);
+                      break;
+                    }
+                    case 'quiesce': {
+                      const modes = Object.values(QUIESCE);
+                      setQuiesce(modes[(modes.indexOf(quiesce) + 1) % modes.length]);
+                      break;
+                    }
+                    case 'shrinker': {
+                      const shrinkers = Object.values(SHRINKERS);
+                      setShrinker(shrinkers[(shrinkers.indexOf(shrinker) + 1) % shrinkers.length]);
+                      break;
+                    }
+                    case 'pishrink':
+                      setState(STATES.PISHRINK_SETTINGS);
+                      break;
+                    case 'first-boot':
+                      setState(STATES.FIRST_BOOT);
+                      break;
                     case 'back':
                       setState(STATES.SELECT_SOURCE);
                       break;
@@ -794,6 +1696,68 @@ function App() {
           </Box>
         );
 
+      case STATES.PISHRINK_SETTINGS:
+        return (
+          <PishrinkSettings
+            settings={config.pishrink}
+            onChange={pishrink => updateConfig({ pishrink })}
+            onDone={() => setState(STATES.CONFIRM)}
+          />
+        );
+
+      case STATES.FIRST_BOOT:
+        return (
+          <FirstBootSettings
+            values={firstBootValues}
+            onDone={(values, next) => {
+              setFirstBootValues(values);
+              setCustomization(next);
+              setState(STATES.CONFIRM);
+            }}
+            onBack={() => setState(STATES.CONFIRM)}
+          />
+        );
+
+      case STATES.AUTO_BACKUPS:
+        return (
+          <AutoBackups
+            cards={config.cards}
+            onChange={cards => updateConfig({ cards })}
+            onBack={() => setState(STATES.MAIN_MENU)}
+          />
+        );
+
+      case STATES.HISTORY:
+        return (
+          <JobHistory
+            onRestore={(image, record) => {
+              setMode(MODES.RESTORE);
+              setSource(image);
+              setVerify(Boolean(record.description.verify));
+              setAfterJob(record.description.after || AFTER_JOB.NONE);
+              // First-boot settings aren't recorded (they hold the password hash and Wi-Fi key),
+              // so they are entered again
+              setCustomization(null);
+              setState(STATES.SELECT_DEST);
+            }}
+            onRerun={(record) => {
+              const { description } = record;
+              setMode(MODES.BACKUP);
+              setSource(description.source);
+              setDestination(description.destination);
+              setCompression(description.compression || 'none');
+              setShrinker(description.shrinker || SHRINKERS.AUTO);
+              setVerify(Boolean(description.verify));
+              setAfterJob(description.after || AFTER_JOB.NONE);
+              setQuiesce(description.quiesce || QUIESCE.SYNC);
+              setSparse(Boolean(description.sparse));
+              setBase(description.base || null);
+              setState(STATES.CONFIRM);
+            }}
+            onBack={() => setState(STATES.MAIN_MENU)}
+          />
+        );
+
       case STATES.VALIDATING:
         return (
           <Box flexDirection="column">
@@ -812,17 +1776,22 @@ function App() {
               <Text color="green"><Spinner type="dots" /></Text>
               <Text color="cyan" bold> Backing up SD card...</Text>
             </Box>
-            <Box marginY={1} flexDirection="column">
-              <Text>Written: <Text color="yellow">{bytesWritten}</Text></Text>
-              <Text>Speed:   <Text color="yellow">{speed}</Text></Text>
-            </Box>
+            <TransferProgress
+              progress={progress}
+              totalBytes={totalBytes}
+              bytesWritten={bytesWritten}
+              bytesSkipped={bytesSkipped}
+              speed={speed}
+              elapsed={elapsed}
+              eta={eta}
+            />
             <Box flexDirection="column" marginTop={1}>
               <Text dimColor>Recent activity:</Text>
               {logs.slice(-3).map((log, i) => (
                 <Text key={i} dimColor>  {log}</Text>
               ))}
             </Box>
-            <Text dimColor marginTop={1}>Press Ctrl+C to cancel (not recommended)</Text>
+            <Text dimColor marginTop={1}>Press q or Ctrl+C to cancel</Text>
           </Box>
         );
 
@@ -833,17 +1802,21 @@ function App() {
               <Text color="green"><Spinner type="dots" /></Text>
               <Text color="cyan" bold> Restoring image to SD card...</Text>
             </Box>
-            <Box marginY={1} flexDirection="column">
-              <Text>Written: <Text color="yellow">{bytesWritten}</Text></Text>
-              <Text>Speed:   <Text color="yellow">{speed}</Text></Text>
-            </Box>
+            <TransferProgress
+              progress={progress}
+              totalBytes={totalBytes}
+              bytesWritten={bytesWritten}
+              speed={speed}
+              elapsed={elapsed}
+              eta={eta}
+            />
             <Box flexDirection="column" marginTop={1}>
               <Text dimColor>Recent activity:</Text>
               {logs.slice(-3).map((log, i) => (
                 <Text key={i} dimColor>  {log}</Text>
               ))}
             </Box>
-            <Text dimColor marginTop={1}>Press Ctrl+C to cancel (not recommended)</Text>
+            <Text dimColor marginTop={1}>Press q or Ctrl+C to cancel</Text>
           </Box>
         );
 
@@ -852,8 +1825,9 @@ function App() {
           <Box flexDirection="column">
             <Box>
               <Text color="green"><Spinner type="dots" /></Text>
-              <Text color="cyan" bold> Shrinking image with pishrink...</Text>
+              <Text color="cyan" bold> Shrinking image...</Text>
             </Box>
+            {totalBytes ? <Box marginTop={1}><ProgressBar progress={progress} /></Box> : null}
             <Text marginY={1}>{shrinkProgress}</Text>
             <Box flexDirection="column">
               <Text dimColor>Recent activity:</Text>
@@ -864,13 +1838,110 @@ function App() {
           </Box>
         );
 
+      case STATES.VERIFYING:
+        return (
+          <Box flexDirection="column">
+            <Box>
+              <Text color="green"><Spinner type="dots" /></Text>
+              <Text color="cyan" bold> Verifying {mode === MODES.RESTORE ? 'SD card against image' : 'image against SD card'}...</Text>
+            </Box>
+            <TransferProgress
+              progress={progress}
+              totalBytes={totalBytes}
+              bytesWritten={bytesWritten}
+              speed={speed}
+              elapsed={elapsed}
+              eta={eta}
+            />
+          </Box>
+        );
+
+      case STATES.CUSTOMIZING:
+        return (
+          <Box flexDirection="column">
+            <Box>
+              <Text color="green"><Spinner type="dots" /></Text>
+              <Text color="cyan" bold> Writing first-boot settings to the SD card...</Text>
+            </Box>
+            <Box flexDirection="column" marginTop={1}>
+              <Text dimColor>Recent activity:</Text>
+              {logs.slice(-3).map((log, i) => (
+                <Text key={i} dimColor>  {log}</Text>
+              ))}
+            </Box>
+          </Box>
+        );
+
+      case STATES.HASHING:
+        return (
+          <Box flexDirection="column">
+            <Box>
+              <Text color="green"><Spinner type="dots" /></Text>
+              <Text color="cyan" bold> Computing image checksum (SHA-256)...</Text>
+            </Box>
+            <TransferProgress
+              progress={progress}
+              totalBytes={totalBytes}
+              bytesWritten={bytesWritten}
+              speed={speed}
+              elapsed={elapsed}
+              eta={eta}
+            />
+          </Box>
+        );
+
+      case STATES.MULTI_RESTORE:
+      case STATES.MULTI_COMPLETE: {
+        const statuses = Object.entries(cardStatus);
+        const running = state === STATES.MULTI_RESTORE;
+        const allDone = statuses.every(([, status]) => status.result === RESULTS.DONE);
+        const anyCancelled = statuses.some(([, status]) => status.result === RESULTS.CANCELLED);
+        let heading = <Text color="green" bold>✅ Restore Complete - all {statuses.length} cards written</Text>;
+        if (running) {
+          heading = (
+            <Box>
+              <Text color="green"><Spinner type="dots" /></Text>
+              <Text color="cyan" bold> Restoring image to {statuses.length} SD cards...</Text>
+            </Box>
+          );
+        } else if (!allDone) {
+          heading = <Text color="yellow" bold>⚠️  Restore {anyCancelled ? 'cancelled' : 'finished'} - not every card was written</Text>;
+        }
+        return (
+          <Box flexDirection="column">
+            {heading}
+            <Box marginY={1} flexDirection="column">
+              {statuses.map(([device, status]) => (
+                <CardProgress key={device} device={device} status={status} verify={verify} customized={Boolean(customization)} />
+              ))}
+            </Box>
+            {!running && anyCancelled && (
+              <Text dimColor>Cancelled cards hold a partly written image - restore an image to them again before using them.</Text>
+            )}
+            {!running && !allDone && <Text dimColor>Full logs: History on the main menu</Text>}
+            {running ? (
+              <Text dimColor>Press q or Ctrl+C to cancel</Text>
+            ) : allDone ? (
+              <Text dimColor>Press 'q' or Ctrl+C to exit</Text>
+            ) : (
+              renderErrorMenu()
+            )}
+          </Box>
+        );
+      }
+
       case STATES.COMPLETE:
         return (
           <Box flexDirection="column">
             <Text color="green" bold>✅ {mode === MODES.RESTORE ? 'Restore' : 'Backup'} Complete!</Text>
             <Box marginY={1} flexDirection="column">
               {mode === MODES.RESTORE ? (
-                <Text>Image restored to: <Text color="cyan">{destination}</Text></Text>
+                <>
+                  <Text>Image restored to: <Text color="cyan">{destination}</Text></Text>
+                  {customization && (
+                    <Text>First-boot settings: <Text color="cyan">{describeCustomization(customization).join(', ')}</Text></Text>
+                  )}
+                </>
               ) : (
                 <Text>Image saved to: <Text color="cyan">{destination}</Text></Text>
               )}
@@ -879,48 +1950,109 @@ function App() {
           </Box>
         );
 
+      case STATES.CANCELLED:
+        return mode === MODES.RESTORE ? (
+          <Box flexDirection="column">
+            <Text color="red" bold>⚠️  Restore Cancelled</Text>
+            <Text color="red" bold>The target card is now in an undefined state.</Text>
+            <Box marginY={1} flexDirection="column">
+              <Text>{destination} holds a partly written image - it won't boot or mount reliably.</Text>
+              <Text dimColor>Restore an image to it again (or reformat it) before using it.</Text>
+            </Box>
+            {renderErrorMenu()}
+          </Box>
+        ) : (
+          <Box flexDirection="column">
+            <Text color="yellow" bold>⚠️  Backup Cancelled</Text>
+            <Box marginY={1} flexDirection="column">
+              {removedFiles.length > 0
+                ? removedFiles.map(path => <Text key={path}>Partial image deleted: <Text color="cyan">{path}</Text></Text>)
+                : !resumableFile && <Text>No partial image was left behind.</Text>}
+              {resumableFile && (
+                <Text>Partial image kept: <Text color="cyan">{resumableFile}</Text></Text>
+              )}
+              {resumableFile && (
+                <Text dimColor>Back it up to the same file again, from the same card, to resume where it stopped.</Text>
+              )}
+              <Text dimColor>The SD card was only read and is unchanged.</Text>
+            </Box>
+            {renderErrorMenu()}
+          </Box>
+        );
+
       case STATES.ERROR:
         return (
           <Box flexDirection="column">
             <Text color="red" bold>❌ Error</Text>
             <Text color="red">{error}</Text>
-            <Box marginTop={1}>
-              <SelectInput
-                items={[
-                  { key: 'error-retry', label: '🔄 Try Again', value: 'retry' },
-                  { key: 'error-menu', label: '🏠 Main Menu', value: 'menu' },
-                  { key: 'error-exit', label: '❌ Exit', value: 'exit' },
-                ]}
-                onSelect={(item) => {
-                  if (item.value === 'retry') {
-                    setError('');
-                    setState(STATES.SELECT_SOURCE);
-                  } else if (item.value === 'menu') {
-                    setError('');
-                    setSource('');
-                    setDestination('');
-                    setMode(null);
-                    setState(STATES.MAIN_MENU);
-                  } else {
-                    exit();
-                  }
-                }}
-              />
+            {historyPath && <Text dimColor>Full log: {historyPath}</Text>}
+            {renderErrorMenu()}
+          </Box>
+        );
+
+      case STATES.VERIFY_FAILED:
+        return (
+          <Box flexDirection="column">
+            <Text color="red" bold>❌ Verification Failed</Text>
+            <Text color="red">
+              {mode === MODES.RESTORE
+                ? 'The data read back from the SD card does not match the image.'
+                : 'The image does not match the data on the SD card.'}
+            </Text>
+            <Box marginY={1} flexDirection="column">
+              {verifyOffset !== null && (
+                <Text>First differing block at offset: <Text color="yellow">{verifyOffset}</Text> ({formatBytes(verifyOffset)})</Text>
+              )}
+              <Text dimColor>{error}</Text>
+              {historyPath && <Text dimColor>Full log: {historyPath}</Text>}
             </Box>
+            <Text dimColor>
+              {mode === MODES.RESTORE
+                ? 'The card may be faulty or counterfeit - try writing it again or use another card.'
+                : 'The card or card reader may be faulty - try the backup again.'}
+            </Text>
+            {renderErrorMenu()}
           </Box>
         );
     }
   };
 
   return (
-    <Box flexDirection="column" padding={1}>
-      <Box marginBottom={1}>
-        <Text backgroundColor="blue" color="white" bold> 🥧 Pi Backup Tool </Text>
+    <TypingContext.Provider value={startTyping}>
+      <Box flexDirection="column" padding={1}>
+        <Box marginBottom={1}>
+          <Text backgroundColor="blue" color="white" bold> 🥧 Pi Backup Tool </Text>
+        </Box>
+        {renderContent()}
+        {JOB_STATES.includes(state) && (confirmCancel || cancelling) ? (
+          <Box marginTop={1} borderStyle="round" borderColor="red" flexDirection="column" paddingX={1}>
+            {cancelling ? (
+              <Text color="yellow"><Spinner type="dots" /> Cancelling - stopping all processes...</Text>
+            ) : (
+              <>
+                <Text color="red" bold>Cancel the {mode === MODES.RESTORE ? 'restore' : 'backup'}?</Text>
+                <Text>
+                  {mode === MODES.RESTORE
+                    ? `The card${targets.length > 1 ? 's' : ''} will be left partly written, in an undefined state.`
+                    : keepsPartial
+                      ? 'The partial image will be kept, so the backup can be resumed.'
+                      : 'The partial image will be deleted.'}
+                </Text>
+                <Text dimColor>Press y to cancel, n to keep going</Text>
+              </>
+            )}
+          </Box>
+        ) : null}
       </Box>
-      {renderContent()}
-    </Box>
+    </TypingContext.Provider>
   );
 }
 
-// Run the app
-render(<App />);
+// Run the CLI when arguments are given, otherwise the TUI
+const cliArgs = process.argv.slice(2);
+if (cliArgs.length > 0) {
+  runCli(cliArgs).then((code) => process.exit(code));
+} else {
+  // Ctrl+C is handled by App, so it can ask before cancelling a running job
+  render(<App />, { exitOnCtrlC: false });
+}
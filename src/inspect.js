@@ -0,0 +1,602 @@
+// Image inspection for the restore picker: the partition table (MBR or GPT), the
+// filesystem and label of each partition and the OS release from /etc/os-release on
+// the root filesystem, read straight from the image without mounting anything.
+// Compressed images (and images on another computer, through ssh) are read as a stream;
+// reading backwards starts the stream over, so inspecting them takes longer. So are delta
+// backups, rebuilt from their chain (see delta.js).
+
+import { spawn as nodeSpawn } from 'child_process';
+import { open } from 'fs/promises';
+import { resolve, basename } from 'path';
+import { compressionFromPath, getImageSize, getRemoteImageSize, openImage } from './compression.js';
+import { parseExtSuperblock } from './shrink.js';
+import { parseFatBootSector, FatError } from './fat.js';
+import { blockReader } from './verify.js';
+import { formatBytes } from './format.js';
+import { isRemote, RemoteError } from './remote.js';
+import { isDelta, readChain, openChain, DeltaError } from './delta.js';
+
+const SECTOR_SIZE = 512;
+const GPT_SIGNATURE = 'EFI PART';
+const GPT_PROTECTIVE_TYPE = 0xee;
+const EXTENDED_PARTITION_TYPES = [0x05, 0x0f, 0x85];
+const MAX_LOGICAL_PARTITIONS = 64;
+const MAX_GPT_ENTRIES_SIZE = 1024 * 1024;
+
+// Bytes read at the start of each partition to tell its filesystem
+const FILESYSTEM_PROBE_SIZE = 4096;
+// Bytes skipped at a time when a compressed image is read up to a position
+const SKIP_SIZE = 4 * 1024 * 1024;
+
+const EXT_ROOT_INODE = 2;
+const EXT_COMPAT_HAS_JOURNAL = 0x4;
+const EXT_INCOMPAT_EXTENTS = 0x40;
+const EXT_INCOMPAT_64BIT = 0x80;
+const EXT_INCOMPAT_FLEX_BG = 0x200;
+const EXT_EXTENTS_FL = 0x80000;
+const EXT_INLINE_DATA_FL = 0x10000000;
+const EXT_EXTENT_MAGIC = 0xf30a;
+const EXT_DIRECTORY = 0x4000;
+const EXT_REGULAR_FILE = 0x8000;
+const EXT_SYMLINK = 0xa000;
+// Directories and files bigger than this aren't read (os-release is a few hundred bytes)
+const EXT_MAX_DATA_SIZE = 8 * 1024 * 1024;
+const EXT_MAX_SYMLINKS = 8;
+const EXT_BLOCK_CACHE_SIZE = 256;
+
+// Names of common MBR partition types
+const MBR_TYPES = {
+  0x01: 'FAT12',
+  0x04: 'FAT16 <32M',
+  0x05: 'Extended',
+  0x06: 'FAT16',
+  0x07: 'NTFS/exFAT',
+  0x0b: 'W95 FAT32',
+  0x0c: 'W95 FAT32 (LBA)',
+  0x0e: 'W95 FAT16 (LBA)',
+  0x0f: 'W95 Extended (LBA)',
+  0x82: 'Linux swap',
+  0x83: 'Linux',
+  0x85: 'Linux extended',
+  0x8e: 'Linux LVM',
+  0xef: 'EFI (FAT)',
+};
+
+// Names of common GPT partition type GUIDs
+const GPT_TYPES = {
+  'c12a7328-f81f-11d2-ba4b-00a0c93ec93b': 'EFI System',
+  'ebd0a0a2-b9e5-4433-87c0-68b6b72699c7': 'Microsoft basic data',
+  '0fc63daf-8483-4772-8e79-3d69d8477de4': 'Linux filesystem',
+  '0657fd6d-a4ab-43c4-84e5-0933c84b4f4f': 'Linux swap',
+  'e6d6d379-f507-44c2-a23c-238f2a3df928': 'Linux LVM',
+  '21686148-6449-6e6f-744e-656564454649': 'BIOS boot',
+};
+
+// The image can't be inspected (or inspecting it was cancelled)
+export class InspectError extends Error {}
+
+// Text of a GUID stored in mixed-endian form (the first three fields little-endian)
+function formatGuid(bytes) {
+  const hex = [...bytes.subarray(0, 4)].reverse()
+    .concat([...bytes.subarray(4, 6)].reverse(), [...bytes.subarray(6, 8)].reverse(), [...bytes.subarray(8, 16)])
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+// The four primary entries of an MBR (or of an extended boot record) as
+// [{ slot, type, start, size, status }] in sectors, empty slots left out
+function mbrEntries(sector) {
+  const entries = [];
+  for (let slot = 0; slot < 4; slot++) {
+    const entry = sector.subarray(446 + slot * 16, 446 + (slot + 1) * 16);
+    const sectors = entry.readUInt32LE(12);
+    if (entry[4] === 0 || sectors === 0) continue;
+    entries.push({ slot, type: entry[4], start: entry.readUInt32LE(8), size: sectors, status: entry[0] });
+  }
+  return entries;
+}
+
+// Parse the partition table in the first sectors of an image (the MBR, and the GPT header
+// in the second sector). Returns { table: 'MBR' | 'GPT', diskId, partitions, gpt, extended }
+// with the primary MBR partitions as [{ number, start, size, type }] (bytes, `type` being a
+// name), or null when there is no partition table. For a GPT `partitions` is empty and `gpt`
+// tells where its entries are ({ entriesOffset, entries, entrySize }); for an MBR with an
+// extended partition `extended` is its { start, size } (see readLogicalPartitions).
+export function parsePartitionTable(head) {
+  if (head.length < SECTOR_SIZE || head.readUInt16LE(510) !== 0xaa55) return null;
+  // The boot sector of a filesystem ends the same way, with boot code where the entries would be
+  if (detectFilesystem(head)) return null;
+  const entries = mbrEntries(head);
+  if (entries.length === 0 || entries.some(entry => entry.start === 0 || (entry.status !== 0 && entry.status !== 0x80))) {
+    return null;
+  }
+
+  if (entries.some(entry => entry.type === GPT_PROTECTIVE_TYPE)) {
+    const header = head.subarray(SECTOR_SIZE, 2 * SECTOR_SIZE);
+    if (header.length < 92 || header.toString('latin1', 0, 8) !== GPT_SIGNATURE) {
+      throw new InspectError('Protective MBR without a GPT header');
+    }
+    return {
+      table: 'GPT',
+      diskId: formatGuid(header.subarray(56, 72)),
+      partitions: [],
+      gpt: {
+        entriesOffset: Number(header.readBigUInt64LE(72)) * SECTOR_SIZE,
+        entries: header.readUInt32LE(80),
+        entrySize: header.readUInt32LE(84),
+      },
+      extended: null,
+    };
+  }
+
+  const extended = entries.find(entry => EXTENDED_PARTITION_TYPES.includes(entry.type));
+  return {
+    table: 'MBR',
+    diskId: head.readUInt32LE(440).toString(16).padStart(8, '0'),
+    partitions: entries
+      .filter(entry => entry !== extended)
+      .map(entry => ({
+        number: entry.slot + 1,
+        start: entry.start * SECTOR_SIZE,
+        size: entry.size * SECTOR_SIZE,
+        type: MBR_TYPES[entry.type] || `type 0x${entry.type.toString(16).padStart(2, '0')}`,
+      })),
+    gpt: null,
+    extended: extended ? { start: extended.start * SECTOR_SIZE, size: extended.size * SECTOR_SIZE } : null,
+  };
+}
+
+// Parse GPT partition entries into [{ number, start, size, type, name }] (bytes)
+export function parseGptEntries(buffer, entrySize) {
+  const partitions = [];
+  for (let index = 0; (index + 1) * entrySize <= buffer.length; index++) {
+    const entry = buffer.subarray(index * entrySize, (index + 1) * entrySize);
+    const typeGuid = formatGuid(entry.subarray(0, 16));
+    if (/^[0-]+$/.test(typeGuid)) continue;
+    const first = Number(entry.readBigUInt64LE(32));
+    const last = Number(entry.readBigUInt64LE(40));
+    partitions.push({
+      number: index + 1,
+      start: first * SECTOR_SIZE,
+      size: (last - first + 1) * SECTOR_SIZE,
+      type: GPT_TYPES[typeGuid] || typeGuid,
+      name: entry.toString('utf16le', 56, Math.min(128, entrySize)).replace(/\0.*$/s, '') || null,
+    });
+  }
+  return partitions;
+}
+
+// Logical partitions in the extended partition `extended` ({ start, size }), following
+// the chain of extended boot records: [{ number, start, size, type }] (bytes, numbered from 5)
+async function readLogicalPartitions(reader, extended) {
+  const partitions = [];
+  let record = extended.start;
+  while (partitions.length < MAX_LOGICAL_PARTITIONS) {
+    const sector = await reader.read(record, SECTOR_SIZE);
+    if (sector.length < SECTOR_SIZE || sector.readUInt16LE(510) !== 0xaa55) break;
+    const entries = mbrEntries(sector);
+    const logical = entries.find(entry => !EXTENDED_PARTITION_TYPES.includes(entry.type));
+    const next = entries.find(entry => EXTENDED_PARTITION_TYPES.includes(entry.type));
+    if (logical) {
+      partitions.push({
+        number: 5 + partitions.length,
+        start: record + logical.start * SECTOR_SIZE,
+        size: logical.size * SECTOR_SIZE,
+        type: MBR_TYPES[logical.type] || `type 0x${logical.type.toString(16).padStart(2, '0')}`,
+      });
+    }
+    // The next record is relative to the start of the extended partition
+    if (!next) break;
+    const following = extended.start + next.start * SECTOR_SIZE;
+    if (following <= record) break;
+    record = following;
+  }
+  return partitions;
+}
+
+// The partition table of the image `reader` reads (see openFileReader) as
+// { head, layout, partitions }: the first sectors, the table from parsePartitionTable (null
+// without one) and its partitions, logical and GPT ones included, sorted by their start
+export async function readPartitions(reader) {
+  const head = await reader.read(0, 34 * SECTOR_SIZE);
+  const layout = parsePartitionTable(head);
+  let partitions = layout?.partitions || [];
+  if (layout?.gpt) {
+    const { entriesOffset, entries, entrySize } = layout.gpt;
+    if (entrySize < 128 || entries * entrySize > MAX_GPT_ENTRIES_SIZE) throw new InspectError('Invalid GPT header');
+    partitions = parseGptEntries(await reader.read(entriesOffset, entries * entrySize), entrySize);
+  }
+  if (layout?.extended) {
+    partitions = [...partitions, ...await readLogicalPartitions(reader, layout.extended)];
+  }
+  return { head, layout, partitions: partitions.sort((a, b) => a.start - b.start) };
+}
+
+// FAT volume label from a boot sector with the extended boot signature, null when unset
+function fatLabel(sector, bits) {
+  const signatureOffset = bits === 32 ? 66 : 38;
+  if (sector[signatureOffset] !== 0x29) return null;
+  const label = sector.toString('latin1', signatureOffset + 5, signatureOffset + 16).trim();
+  return label && label !== 'NO NAME' ? label : null;
+}
+
+// Filesystem type and label from the first bytes of a partition (see
+// FILESYSTEM_PROBE_SIZE): { type, label }, null when it isn't one that is recognized
+export function detectFilesystem(buffer) {
+  const ext = parseExtSuperblock(buffer.subarray(1024, 2048));
+  if (ext) {
+    const compat = buffer.readUInt32LE(1024 + 0x5c);
+    const incompat = buffer.readUInt32LE(1024 + 0x60);
+    let type = 'ext2';
+    if (incompat & (EXT_INCOMPAT_EXTENTS | EXT_INCOMPAT_64BIT | EXT_INCOMPAT_FLEX_BG)) {
+      type = 'ext4';
+    } else if (compat & EXT_COMPAT_HAS_JOURNAL) {
+      type = 'ext3';
+    }
+    return { type, label: ext.label || null };
+  }
+
+  let fat = null;
+  try {
+    fat = parseFatBootSector(buffer.subarray(0, SECTOR_SIZE));
+  } catch (error) {
+    if (!(error instanceof FatError)) throw error;
+    return { type: 'FAT12', label: fatLabel(buffer, 12) };
+  }
+  if (fat) return { type: `FAT${fat.bits}`, label: fatLabel(buffer, fat.bits) };
+
+  const oemName = buffer.toString('latin1', 3, 11);
+  if (oemName === 'NTFS    ') return { type: 'NTFS', label: null };
+  if (oemName === 'EXFAT   ') return { type: 'exFAT', label: null };
+  // Swap signature at the end of the first 4 KiB page, label in the header after the bootbits
+  if (buffer.length >= 4096 && /^SWAP(SPACE2|-SPACE)$/.test(buffer.toString('latin1', 4086, 4096))) {
+    return { type: 'swap', label: buffer.toString('latin1', 1052, 1068).replace(/\0.*$/s, '') || null };
+  }
+  return null;
+}
+
+// Parse os-release(5) text into { name, id, version, codename } (null for missing keys)
+export function parseOsRelease(text) {
+  const values = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*([A-Z0-9_]+)=(.*?)\s*$/);
+    if (!match) continue;
+    let value = match[2];
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) value = quoted[2].replace(/\\(["'$`\\])/g, '$1');
+    values[match[1]] = value;
+  }
+  return {
+    name: values.PRETTY_NAME || [values.NAME, values.VERSION].filter(Boolean).join(' ') || null,
+    id: values.ID || null,
+    version: values.VERSION_ID || null,
+    codename: values.VERSION_CODENAME || null,
+  };
+}
+
+// Random access reads of a raw image: { read(position, length), close() }
+async function openFileReader(path, isCancelled) {
+  const file = await open(path, 'r');
+  return {
+    read: async (position, length) => {
+      if (isCancelled()) throw new InspectError('Cancelled');
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await file.read(buffer, 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    },
+    close: () => file.close(),
+  };
+}
+
+// Reads of a compressed image, decompressed as a stream (see openFileReader). `openData()`
+// opens the stream as openImage does; reading before the current position opens it again.
+function openStreamReader(openData, isCancelled) {
+  let image = null;  // { stream, process } from openImage
+  let readNext;
+  let position = 0;  // of the next byte readNext returns
+
+  const close = () => {
+    if (!image) return;
+    image.stream.destroy();
+    image.process?.kill();
+    image = null;
+  };
+
+  const read = async (offset, length) => {
+    if (!image || offset < position) {
+      close();
+      image = openData();
+      image.process?.on('error', error => image?.stream.destroy(error));
+      readNext = blockReader(image.stream);
+      position = 0;
+    }
+    try {
+      while (position < offset) {
+        if (isCancelled()) throw new InspectError('Cancelled');
+        const skipped = await readNext(Math.min(offset - position, SKIP_SIZE));
+        if (skipped.length === 0) return Buffer.alloc(0);
+        position += skipped.length;
+      }
+      const data = await readNext(length);
+      position += data.length;
+      return data;
+    } catch (error) {
+      close();
+      if (error instanceof InspectError) throw error;
+      throw new InspectError(`Cannot decompress the image: ${error.message}`);
+    }
+  };
+  return { read, close: async () => close() };
+}
+
+// Files of the ext2/3/4 filesystem whose superblock (see parseExtSuperblock) is at
+// `start` of the image: { readFile(path) } resolving with the file's contents, or null
+// when it doesn't exist or isn't a regular file. Symbolic links are followed.
+function openExt(reader, start, superblock) {
+  const { blockSize, blocksCount, firstDataBlock, blocksPerGroup, inodesPerGroup, inodeSize, descSize, is64bit } = superblock;
+  const blocks = new Map();       // block number -> data, for metadata read again and again
+  const directories = new Map();  // inode number -> directory data
+  let descriptors = null;
+
+  const readBlocks = async (block, count) => {
+    if (block + count > blocksCount) throw new InspectError(`Block ${block} is outside the filesystem`);
+    const data = await reader.read(start + block * blockSize, count * blockSize);
+    if (data.length < count * blockSize) throw new InspectError('The image ends inside the filesystem');
+    return data;
+  };
+  const readBlock = async (block) => {
+    if (!blocks.has(block)) {
+      if (blocks.size >= EXT_BLOCK_CACHE_SIZE) blocks.delete(blocks.keys().next().value);
+      blocks.set(block, await readBlocks(block, 1));
+    }
+    return blocks.get(block);
+  };
+
+  const readInode = async (number) => {
+    if (!descriptors) {
+      if (superblock.metaBg) throw new InspectError('ext filesystems with meta_bg are not supported');
+      const groups = Math.ceil((blocksCount - firstDataBlock) / blocksPerGroup);
+      descriptors = await readBlocks(firstDataBlock + 1, Math.ceil((groups * descSize) / blockSize));
+    }
+    const group = Math.floor((number - 1) / inodesPerGroup);
+    const descriptor = descriptors.subarray(group * descSize, (group + 1) * descSize);
+    if (descriptor.length < descSize) throw new InspectError(`Inode ${number} is outside the filesystem`);
+    const inodeTable = descriptor.readUInt32LE(0x08) + (is64bit && descSize >= 64 ? descriptor.readUInt32LE(0x28) * 2 ** 32 : 0);
+    const offset = ((number - 1) % inodesPerGroup) * inodeSize;
+    const data = await readBlock(inodeTable + Math.floor(offset / blockSize));
+    const inode = data.subarray(offset % blockSize, (offset % blockSize) + inodeSize);
+    return {
+      mode: inode.readUInt16LE(0x00) & 0xf000,
+      size: inode.readUInt32LE(0x04) + inode.readUInt32LE(0x6c) * 2 ** 32,
+      flags: inode.readUInt32LE(0x20),
+      block: inode.subarray(0x28, 0x28 + 60),
+    };
+  };
+
+  // Physical block of each of the first `count` blocks of a file (0 for holes)
+  const fileBlocks = async (inode, count) => {
+    const physical = new Array(count).fill(0);
+    if (inode.flags & EXT_EXTENTS_FL) {
+      const walk = async (node, depth = 0) => {
+        if (node.readUInt16LE(0) !== EXT_EXTENT_MAGIC || depth > 5) throw new InspectError('Damaged extent tree');
+        const entries = node.readUInt16LE(2);
+        const leaf = node.readUInt16LE(6) === 0;
+        for (let index = 0; index < entries; index++) {
+          const entry = node.subarray(12 + index * 12, 24 + index * 12);
+          if (leaf) {
+            const first = entry.readUInt32LE(0);
+            const length = entry.readUInt16LE(4);
+            // Extents longer than 32768 blocks are unwritten ones, which read as zeros
+            if (length > 32768) continue;
+            const physicalStart = entry.readUInt16LE(6) * 2 ** 32 + entry.readUInt32LE(8);
+            for (let block = 0; block < length && first + block < count; block++) physical[first + block] = physicalStart + block;
+          } else {
+            await walk(await readBlock(entry.readUInt32LE(4) + entry.readUInt16LE(8) * 2 ** 32), depth + 1);
+          }
+        }
+      };
+      await walk(inode.block);
+      return physical;
+    }
+
+    // ext2/3 block map: 12 direct blocks, then single, double and triple indirect ones
+    const perBlock = blockSize / 4;
+    const map = async (pointer, level, first) => {
+      if (pointer === 0 || first >= count) return;
+      if (level === 0) {
+        physical[first] = pointer;
+        return;
+      }
+      const table = await readBlock(pointer);
+      const span = perBlock ** (level - 1);
+      for (let index = 0; index < perBlock && first + index * span < count; index++) {
+        await map(table.readUInt32LE(index * 4), level - 1, first + index * span);
+      }
+    };
+    for (let index = 0; index < 12; index++) await map(inode.block.readUInt32LE(index * 4), 0, index);
+    let first = 12;
+    for (let level = 1; level <= 3; level++) {
+      await map(inode.block.readUInt32LE((11 + level) * 4), level, first);
+      first += perBlock ** level;
+    }
+    return physical;
+  };
+
+  // Contents of a file, its blocks read in the order they are on the image
+  const readData = async (inode) => {
+    if (inode.flags & EXT_INLINE_DATA_FL) throw new InspectError('ext inline data is not supported');
+    if (inode.size > EXT_MAX_DATA_SIZE) throw new InspectError('File too big to inspect');
+    const count = Math.ceil(inode.size / blockSize);
+    const physical = await fileBlocks(inode, count);
+    const data = Buffer.alloc(count * blockSize);
+    const order = physical.map((block, index) => ({ block, index })).filter(({ block }) => block !== 0)
+      .sort((a, b) => a.block - b.block);
+    for (let run = 0; run < order.length;) {
+      let length = 1;
+      while (run + length < order.length && order[run + length].block === order[run].block + length
+        && order[run + length].index === order[run].index + length) length++;
+      (await readBlocks(order[run].block, length)).copy(data, order[run].index * blockSize);
+      run += length;
+    }
+    return data.subarray(0, inode.size);
+  };
+
+  // Inode number of `name` in the directory `number`, null when it isn't there
+  const lookup = async (number, name) => {
+    if (!directories.has(number)) {
+      const inode = await readInode(number);
+      if (inode.mode !== EXT_DIRECTORY) return null;
+      directories.set(number, await readData(inode));
+    }
+    const data = directories.get(number);
+    for (let offset = 0; offset + 8 <= data.length;) {
+      const entryInode = data.readUInt32LE(offset);
+      const recordLength = data.readUInt16LE(offset + 4);
+      const nameLength = data[offset + 6];
+      if (recordLength < 8) break;
+      if (entryInode !== 0 && data.toString('latin1', offset + 8, offset + 8 + nameLength) === name) return entryInode;
+      offset += recordLength;
+    }
+    return null;
+  };
+
+  const readFile = async (path) => {
+    const parts = path.split('/').filter(Boolean);
+    let parents = [EXT_ROOT_INODE];  // directories from the root to the current one
+    let links = 0;
+    while (parts.length > 0) {
+      const name = parts.shift();
+      if (name === '.') continue;
+      if (name === '..') {
+        if (parents.length > 1) parents.pop();
+        continue;
+      }
+      const number = await lookup(parents[parents.length - 1], name);
+      if (number === null) return null;
+      const inode = await readInode(number);
+      if (inode.mode === EXT_SYMLINK) {
+        if (++links > EXT_MAX_SYMLINKS) return null;
+        // Targets shorter than 60 bytes are kept in the inode itself
+        const target = inode.size < 60 && !(inode.flags & EXT_EXTENTS_FL)
+          ? inode.block.toString('utf8', 0, inode.size)
+          : (await readData(inode)).toString('utf8');
+        if (target.startsWith('/')) parents = [EXT_ROOT_INODE];
+        parts.unshift(...target.split('/').filter(Boolean));
+      } else if (parts.length === 0) {
+        return inode.mode === EXT_REGULAR_FILE ? readData(inode) : null;
+      } else if (inode.mode === EXT_DIRECTORY) {
+        parents.push(number);
+      } else {
+        return null;
+      }
+    }
+    return null;
+  };
+
+  return { readFile };
+}
+
+// OS release (see parseOsRelease) from /etc/os-release, or /usr/lib/os-release, of the ext
+// filesystem at `start` of the image, null when it has none
+async function readOsRelease(reader, start, superblock) {
+  const ext = openExt(reader, start, superblock);
+  const text = await ext.readFile('/etc/os-release') || await ext.readFile('/usr/lib/os-release');
+  return text ? parseOsRelease(text.toString('utf8')) : null;
+}
+
+// Inspect `image` (raw or compressed, see openImage, or a delta backup). Resolves with
+// { image, compression, size, chain, table, diskId, partitions, filesystem, release }:
+// - size: the uncompressed size, null when unknown
+// - chain: names of the files a delta backup is rebuilt from, itself last (null for images)
+// - table: 'MBR', 'GPT' or null when the image has no partition table
+// - partitions: [{ number, start, size, type, name, filesystem }] in the order they are
+//   on the image, `filesystem` being { type, label } or null when not recognized
+// - filesystem: that of the whole image when it has no partition table
+// - release: { name, id, version, codename, partition } from os-release on the first ext
+//   filesystem that has one, null when none could be read
+// Rejects with an InspectError when the image can't be read, or once `isCancelled()`
+// returns true.
+export async function inspectImage(image, { spawn = nodeSpawn, isCancelled = () => false } = {}) {
+  const remote = isRemote(image);
+  const path = remote ? image : resolve(image);
+  const compression = compressionFromPath(path);
+  let size = null;
+  let chain = null;
+  let reader;
+  try {
+    if (isDelta(path)) {
+      if (remote) throw new DeltaError(`${image} is a delta backup - those can only be read on this computer`);
+      chain = readChain(path);
+      size = chain.size;
+    } else {
+      // Asking a remote image's size also checks that it can be read
+      size = remote ? await getRemoteImageSize(path, spawn) : getImageSize(path);
+    }
+    reader = compression === 'none' && !remote && !chain
+      ? await openFileReader(path, isCancelled)
+      : openStreamReader(() => (chain ? openChain(chain, spawn) : openImage(path, spawn)), isCancelled);
+  } catch (error) {
+    throw new InspectError(error instanceof RemoteError || error instanceof DeltaError ? error.message : `Cannot read ${path}: ${error.message}`);
+  }
+
+  try {
+    const { head, layout, partitions: found } = await readPartitions(reader);
+    const partitions = found.map(partition => ({ name: null, ...partition }));
+
+    // Filesystems first, in the order they are on the image, then the release
+    const probes = [];
+    for (const partition of partitions) {
+      const probe = await reader.read(partition.start, FILESYSTEM_PROBE_SIZE);
+      probes.push(probe);
+      partition.filesystem = probe.length === FILESYSTEM_PROBE_SIZE ? detectFilesystem(probe) : null;
+    }
+    const filesystem = layout ? null : detectFilesystem(head);
+
+    let release = null;
+    const candidates = layout
+      ? partitions.map((partition, index) => ({ partition, probe: probes[index] }))
+      : [{ partition: { number: null, start: 0 }, probe: head }];
+    for (const { partition, probe } of candidates) {
+      if (!/^ext/.test(detectFilesystem(probe)?.type || '')) continue;
+      try {
+        const found = await readOsRelease(reader, partition.start, parseExtSuperblock(probe.subarray(1024, 2048)));
+        if (found) {
+          release = { ...found, partition: partition.number };
+          break;
+        }
+      } catch (error) {
+        if (!(error instanceof InspectError) || error.message === 'Cancelled') throw error;
+      }
+    }
+
+    return {
+      image: path,
+      compression,
+      size,
+      chain: chain ? chain.files.map(file => basename(file.path)) : null,
+      table: layout?.table || null,
+      diskId: layout?.diskId || null,
+      partitions,
+      filesystem,
+      release,
+    };
+  } finally {
+    await reader.close();
+  }
+}
+
+// One line about a partition of an inspected image (see inspectImage), e.g.
+// "2  ext4 \"rootfs\"  5.2 GB  Linux  at 512.0 MB"
+export function describePartition(partition) {
+  const filesystem = partition.filesystem
+    ? `${partition.filesystem.type}${partition.filesystem.label ? ` "${partition.filesystem.label}"` : ''}`
+    : 'unknown filesystem';
+  return [
+    partition.number,
+    filesystem,
+    formatBytes(partition.size),
+    partition.name ? `${partition.type} "${partition.name}"` : partition.type,
+    `at ${formatBytes(partition.start)}`,
+  ].join('  ');
+}
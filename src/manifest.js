@@ -0,0 +1,67 @@
+// Metadata manifest written next to every backup image as `<image>.json`:
+// where the image came from, when, and its checksums
+
+import { readFileSync, writeFileSync } from 'fs';
+import { hostname } from 'os';
+import { basename } from 'path';
+
+// Version of this tool, recorded in every manifest
+export const TOOL_VERSION = (() => {
+  try {
+    return JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+})();
+
+// Path of the manifest belonging to `image`
+export function manifestPath(image) {
+  return `${image}.json`;
+}
+
+// Read the manifest of `image` (null when there is none or it can't be parsed)
+export function readManifest(image) {
+  try {
+    return JSON.parse(readFileSync(manifestPath(image), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Build the manifest for a finished backup.
+// `source`: { device, model, serial, size } of the card the image was taken from
+// `sha256`: { raw, final } checksums before and after shrinking
+// `shrinker`: what shrank the image ('pishrink' or 'native', null when it wasn't shrunk)
+// `pishrink`: { version, sha256 } of the pishrink script that ran (null when it didn't)
+// `delta`: for delta backups, { base, blockSize, size, blocks, stored, chain } (see delta.js):
+//   the file it is against, the blocks it holds as [first, count] ranges and their bytes out
+//   of the card's `size`, the files it is rebuilt from as [{ file, sha256, size }], oldest first
+export function createManifest({ image, size, source, sha256, shrinker = null, pishrink = null, compression = 'none', delta = null }) {
+  return {
+    tool: { name: 'pi-backup-tool', version: TOOL_VERSION },
+    created: new Date().toISOString(),
+    host: hostname(),
+    source,
+    image: { file: basename(image), size, compression },
+    sha256,
+    shrinker,
+    pishrink,
+    ...(delta ? { delta } : {}),
+  };
+}
+
+// Write `manifest` next to `image`
+export function writeManifest(image, manifest) {
+  writeFileSync(manifestPath(image), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Short description of an image for pickers, e.g. "SD32G · 2025-02-01 · from raspberrypi"
+// (delta backups add "· changes since pi-2025-01-25.img")
+export function describeManifest(manifest) {
+  const parts = [];
+  if (manifest.source?.model) parts.push(manifest.source.model);
+  if (manifest.created) parts.push(manifest.created.substring(0, 10));
+  if (manifest.host) parts.push(`from ${manifest.host}`);
+  if (manifest.delta?.base) parts.push(`changes since ${manifest.delta.base}`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,48 @@
+// pishrink: the copy shipped in vendor/ or a script set up by the user, only ever
+// run after its SHA-256 matched the pinned one
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// Script shipped with the package
+export const BUNDLED_PISHRINK = fileURLToPath(new URL('../vendor/pishrink.sh', import.meta.url));
+
+// SHA-256 of the reviewed release in vendor/pishrink.sh. It lives in the code, not next to
+// the script, so replacing the script can't replace its pin; update both together (null
+// while no release is bundled, which fails backups that would run it).
+export const BUNDLED_PISHRINK_SHA256 = null;
+
+// pishrink options that can be passed on, by option letter
+export const PISHRINK_OPTIONS = {
+  z: 'Compress the shrunk image with gzip',
+  a: 'Compress on all CPU cores (with -z)',
+  s: 'Don\'t expand the filesystem on first boot',
+};
+
+// The script to run for `settings` ({ path, sha256 } from the config or the CLI):
+// { path, sha256, bundled } of the user's script when a path is set, the bundled one
+// otherwise. `sha256` is null when nothing is pinned.
+export function pishrinkScript(settings) {
+  if (settings?.path) {
+    return { path: settings.path, sha256: settings.sha256?.toLowerCase() || null, bundled: false };
+  }
+  return { path: BUNDLED_PISHRINK, sha256: BUNDLED_PISHRINK_SHA256, bundled: true };
+}
+
+// Read a pishrink script: { contents, sha256, version } (throws when it can't be read)
+export function readPishrink(path) {
+  const contents = readFileSync(path);
+  // The script sets version="..." near its top
+  const versionMatch = contents.toString().match(/^version="?([^"\n]+)"?/m);
+  return {
+    contents,
+    sha256: createHash('sha256').update(contents).digest('hex'),
+    version: versionMatch ? versionMatch[1] : null,
+  };
+}
+
+// Command line options for the option letters in `options` (unknown letters are dropped)
+export function pishrinkArgs(options = []) {
+  return ['-v', ...options.filter(letter => PISHRINK_OPTIONS[letter]).map(letter => `-${letter}`)];
+}
@@ -0,0 +1,60 @@
+// Minimal reader for the XML property lists macOS tools print (`diskutil ... -plist`):
+// dict, array, string, integer, real, true/false, date and data (kept as text)
+
+const unescapeXml = text => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Parse the plist XML `xml` into plain objects, arrays and values
+export function parsePlist(xml) {
+  // Tags and the text between them, without the XML declaration, doctype and <plist> wrapper
+  const tokens = (xml.match(/<[^>]*>|[^<]+/g) || [])
+    .filter(token => token.trim() && !/^<[?!]/.test(token) && !/^<\/?plist\b/.test(token));
+  let index = 0;
+
+  const next = () => {
+    if (index >= tokens.length) throw new Error('Unexpected end of plist');
+    return tokens[index++];
+  };
+
+  const parseValue = () => {
+    const tag = next();
+    const empty = tag.match(/^<(\w+)\s*\/>$/);  // <true/>, <false/>, <string/>, <dict/>, ...
+    if (empty) {
+      return { true: true, false: false, dict: {}, array: [], string: '' }[empty[1]] ?? null;
+    }
+    const open = tag.match(/^<(\w+)>$/);
+    if (!open) throw new Error(`Unexpected ${tag} in plist`);
+    const name = open[1];
+
+    if (name === 'dict') {
+      const dict = {};
+      while (tokens[index] !== '</dict>') {
+        if (next() !== '<key>') throw new Error('Expected <key> in plist dict');
+        const key = tokens[index] === '</key>' ? '' : unescapeXml(next());
+        next();  // </key>
+        dict[key] = parseValue();
+      }
+      index++;
+      return dict;
+    }
+    if (name === 'array') {
+      const array = [];
+      while (tokens[index] !== '</array>') array.push(parseValue());
+      index++;
+      return array;
+    }
+
+    const text = tokens[index] === `</${name}>` ? '' : next();
+    if (next() !== `</${name}>`) throw new Error(`Unclosed <${name}> in plist`);
+    if (name === 'integer') return parseInt(text);
+    if (name === 'real') return parseFloat(text);
+    if (name === 'data') return text.replace(/\s+/g, '');
+    return unescapeXml(text);
+  };
+
+  return parseValue();
+}
@@ -0,0 +1,219 @@
+// Images on another computer, reached over SSH: backups can be saved to and restores
+// read from ssh://[user@]host[:port]/path URLs. The image data goes through `ssh`
+// (compressed beforehand or decompressed afterwards on this computer, as for local
+// images); the host only needs a POSIX shell with cat, df, wc and tail, and sha256sum or
+// shasum for checking checksums. Logins must work without a password prompt (a key,
+// e.g. from ssh-agent), since a prompt can't be answered in the middle of a job.
+//
+// The card of a running Raspberry Pi can be backed up the same way, with the URL of its
+// block device (ssh://pi@raspberrypi.local/dev/mmcblk0): dd reads it on the Pi, which
+// needs sudo without a password there (as the default user of Raspberry Pi OS has).
+
+import { execFile } from 'child_process';
+import { posix } from 'path';
+
+// Seconds to wait for the host to answer
+const CONNECT_TIMEOUT = 15;
+
+// Longest wait for a directory listing in the pickers
+const LIST_TIMEOUT = 60 * 1000;
+
+// A path on another computer that can't be used, with a message ready to show to the user
+export class RemoteError extends Error {}
+
+// Whether `path` is an ssh:// URL rather than a local path
+export function isRemote(path) {
+  return typeof path === 'string' && path.startsWith('ssh://');
+}
+
+// Parse an ssh://[user@]host[:port]/path URL into { user, host, port, path } (user and port
+// null when not given), null when `url` isn't an ssh:// URL. A path starting with /~ is
+// relative to the user's home directory on the host (/~/images -> ~/images).
+export function parseRemote(url) {
+  if (!isRemote(url)) return null;
+  const match = url.match(/^ssh:\/\/(?:([^@/:\s]+)@)?([A-Za-z0-9._-]+|\[[0-9A-Fa-f:.]+\])(?::(\d+))?(\/[^\0]*)$/);
+  if (!match || match[2].startsWith('-')) {
+    throw new RemoteError(`${url} is not a valid ssh:// URL - use ssh://user@host/path/to/image.img`);
+  }
+  const [, user = null, host, port = null, path] = match;
+  return { user, host, port: port ? parseInt(port) : null, path: /^\/~(\/|$)/.test(path) ? path.substring(1) : path };
+}
+
+// The ssh:// URL of `remote` ({ user, host, port, path }, see parseRemote)
+export function remoteUrl({ user, host, port, path }) {
+  return `ssh://${user ? `${user}@` : ''}${host}${port ? `:${port}` : ''}${path.startsWith('~') ? '/' : ''}${path}`;
+}
+
+// The URL of the entry `name` in the remote directory `url`
+export function joinRemote(url, name) {
+  const remote = parseRemote(url);
+  return remoteUrl({ ...remote, path: posix.join(remote.path, name) });
+}
+
+// The URL of the directory holding `url`
+export function remoteDirname(url) {
+  const remote = parseRemote(url);
+  return remoteUrl({ ...remote, path: posix.dirname(remote.path) });
+}
+
+// Quote `text` as a single word for a POSIX shell
+export function shellQuote(text) {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// A remote path as a shell word, keeping a leading ~ unquoted so the shell expands it
+export function remoteShellPath(path) {
+  const home = path.match(/^~(\/|$)(.*)$/s);
+  if (!home) return shellQuote(path);
+  return home[2] ? `~/${shellQuote(home[2])}` : '~';
+}
+
+// Arguments for `ssh` running the shell command `command` on the host of `remote`.
+// BatchMode makes ssh fail instead of asking for a password.
+export function sshArgs(remote, command) {
+  return [
+    '-o', 'BatchMode=yes',
+    '-o', `ConnectTimeout=${CONNECT_TIMEOUT}`,
+    ...(remote.port ? ['-p', String(remote.port)] : []),
+    '--',
+    // IPv6 addresses are only bracketed in the URL
+    `${remote.user ? `${remote.user}@` : ''}${remote.host.replace(/^\[(.*)\]$/, '$1')}`,
+    command,
+  ];
+}
+
+// Shell commands run on the host, for the file at `path`
+export const remoteCommands = {
+  read: path => `cat -- ${remoteShellPath(path)}`,
+  // zip archives can't be read as a stream, so the host unpacks them
+  unzip: path => `unzip -p ${remoteShellPath(path)}`,
+  write: path => `cat > ${remoteShellPath(path)}`,
+  remove: path => `rm -f -- ${remoteShellPath(path)}`,
+  size: path => `wc -c < ${remoteShellPath(path)}`,
+  // The size, then the last 4 bytes in hex (the uncompressed size in a gzip trailer)
+  gzipTrailer: path => `wc -c < ${remoteShellPath(path)} && tail -c 4 < ${remoteShellPath(path)} | od -An -tx1`,
+  sha256: path => `sha256sum -- ${remoteShellPath(path)} 2>/dev/null || shasum -a 256 -- ${remoteShellPath(path)}`,
+  // Free space of the directory holding `path`, then the size of `path` when it exists
+  freeSpace: path => `df -Pk -- ${remoteShellPath(posix.dirname(path))} && (wc -c < ${remoteShellPath(path)} 2>/dev/null || echo 0)`,
+  // The absolute path of the directory, then a line "<d|f>\t<size>\t<name>" per entry
+  list: path => `cd -- ${remoteShellPath(path)} && pwd && for f in *; do ` +
+    'if [ -d "$f" ]; then printf \'d\\t0\\t%s\\n\' "$f"; ' +
+    'elif [ -f "$f" ]; then printf \'f\\t%s\\t%s\\n\' "$(wc -c < "$f" | tr -d \' \')" "$f"; fi; done',
+};
+
+// How the card of a running Pi is kept consistent while it is read
+export const QUIESCE = {
+  SYNC: 'sync',            // only flush pending writes first, the card keeps changing while it is read
+  READ_ONLY: 'read-only',  // remount the root filesystem read-only for the copy (fails while files are open for writing)
+  FREEZE: 'freeze',        // fsfreeze the root filesystem for the copy (programs writing to it wait until it is done)
+};
+
+// Shell steps run as root before dd for each QUIESCE. The EXIT trap undoes them however
+// the copy ends, also when the connection drops (dd then fails writing and the shell exits).
+const QUIESCE_STEPS = {
+  [QUIESCE.SYNC]: '',
+  [QUIESCE.READ_ONLY]: 'trap \'[ -n "$ro" ] && mount -o remount,rw /\' EXIT; ' +
+    'mount -o remount,ro / && ro=1 || { echo "Cannot remount / read-only - programs have files open for writing" >&2; exit 1; }; ',
+  [QUIESCE.FREEZE]: 'trap \'[ -n "$frozen" ] && fsfreeze -u /\' EXIT; ' +
+    'fsfreeze -f / && frozen=1 || exit 1; ',
+};
+
+// Shell commands run on a Pi whose card (the block device `device`) is backed up
+export const remoteDeviceCommands = {
+  // Checks the device and sudo, then prints "size\t<sectors>", "name\t<card name>" and
+  // "serial\t<card serial>" lines (the card's details are empty for other disks)
+  info: device => `[ -b ${shellQuote(device)} ] || { printf '%s is not a block device\\n' ${shellQuote(device)} >&2; exit 1; }; ` +
+    'sudo -n true || exit 1; ' +
+    `name=$(basename "$(readlink -f -- ${shellQuote(device)})") && ` +
+    'printf \'size\\t%s\\nname\\t%s\\nserial\\t%s\\n\' "$(cat "/sys/class/block/$name/size")" ' +
+    '"$(cat "/sys/class/block/$name/device/name" 2>/dev/null)" "$(cat "/sys/class/block/$name/device/serial" 2>/dev/null)"',
+  // Copies the card to stdout as root, after flushing and quiescing it as `quiesce` asks
+  read: (device, quiesce) => `sudo -n sh -c ${shellQuote(
+    `trap 'exit 1' HUP INT TERM; sync; ${QUIESCE_STEPS[quiesce]}dd if=${shellQuote(device)} bs=4M status=progress`
+  )}`,
+};
+
+// { size, model, serial } of a Pi's card from remoteDeviceCommands.info output (null when unknown)
+export function parseRemoteDevice(output) {
+  const fields = Object.fromEntries(output.split('\n').map(line => line.split('\t')).filter(parts => parts.length === 2));
+  const sectors = parseInt(fields.size);
+  return {
+    size: Number.isNaN(sectors) ? null : sectors * 512,
+    model: fields.name?.trim() || null,
+    serial: fields.serial?.trim() || null,
+  };
+}
+
+// Bytes available from `df -Pk` output followed by the size of the file replaced (see
+// remoteCommands.freeSpace), null when the output isn't understood
+export function parseRemoteFreeSpace(output) {
+  const lines = output.trim().split('\n');
+  const fields = (lines[lines.length - 2] || '').trim().split(/\s+/);
+  const available = parseInt(fields[3]);
+  const replaced = parseInt(lines[lines.length - 1]) || 0;
+  return Number.isNaN(available) ? null : available * 1024 + replaced;
+}
+
+// { size, trailer } from remoteCommands.gzipTrailer output: the file size and the 4
+// trailer bytes, null when the output isn't understood
+export function parseGzipTrailer(output) {
+  const [size, ...hex] = output.trim().split(/\s+/);
+  if (!/^\d+$/.test(size) || hex.length !== 4) return null;
+  return { size: parseInt(size), trailer: Buffer.from(hex.join(''), 'hex') };
+}
+
+// Parse remoteCommands.list output into { path, entries: [{ name, isDir, size }] }
+export function parseRemoteListing(output) {
+  const [path, ...lines] = output.split('\n');
+  const entries = lines
+    .map(line => line.match(/^([df])\t(\d+)\t(.+)$/))
+    .filter(Boolean)
+    .map(([, kind, size, name]) => ({ name, isDir: kind === 'd', size: parseInt(size) }));
+  return { path: path.trim(), entries };
+}
+
+// The first line ssh or the command printed on stderr, for error messages
+export function sshError(stderr, code) {
+  const line = stderr.split('\n').map(text => text.trim()).find(Boolean);
+  return line || `ssh exited with code ${code}`;
+}
+
+// Run the shell command `command` on the host of `remote` through ssh, spawned with
+// `spawn`, writing `input` to its stdin. Resolves with { code, stdout, stderr }.
+export function runSsh(spawn, remote, command, input = null) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('ssh', sshArgs(remote, command), { stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.on('error', reject);
+    if (input !== null) {
+      child.stdin.on('error', () => {});  // ssh failed, reported by its exit code
+      child.stdin.end(input);
+    }
+  });
+}
+
+// List the remote directory `url`: resolves with { url, entries } (the URL with the
+// absolute path of the directory, entries as from parseRemoteListing), rejects with a
+// RemoteError when it can't be listed
+export function listRemoteDirectory(url) {
+  const remote = parseRemote(url);
+  return new Promise((resolve, reject) => {
+    execFile('ssh', sshArgs(remote, remoteCommands.list(remote.path)), { timeout: LIST_TIMEOUT, maxBuffer: 16 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new RemoteError(`Cannot list ${url}: ${sshError(stderr, error.code ?? error.message)}`));
+          return;
+        }
+        const { path, entries } = parseRemoteListing(stdout);
+        resolve({ url: remoteUrl({ ...remote, path: path || remote.path }), entries });
+      });
+  });
+}
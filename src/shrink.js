@@ -0,0 +1,273 @@
+// Built-in image shrinker that needs no Linux-only tools (the fallback when pishrink
+// can't run, e.g. on macOS): the free blocks of every ext2/3/4 partition are zeroed,
+// everything after the last partition is cut off and the image is rewritten as a
+// sparse file, so it takes only the space of the data in use and compresses well.
+// Partitions and filesystems are left as they are - the image is not made smaller
+// than the card, so it still needs a card at least as big as the original.
+
+import { open, rename, rm } from 'fs/promises';
+import { formatBytes } from './format.js';
+
+const SECTOR_SIZE = 512;
+const EXT_MAGIC = 0xef53;
+const EXT_RO_COMPAT_SPARSE_SUPER = 0x1;  // superblock backups only in groups 0, 1 and powers of 3, 5, 7
+const EXT_COMPAT_SPARSE_SUPER2 = 0x200;  // superblock backups only in the two groups listed
+const EXT_INCOMPAT_RECOVER = 0x4;    // journal needs replaying
+const EXT_INCOMPAT_META_BG = 0x10;   // group descriptors spread over the filesystem
+const EXT_INCOMPAT_64BIT = 0x80;
+const EXT_BG_BLOCK_UNINIT = 0x2;     // block bitmap of the group not initialized
+const EXTENDED_PARTITION_TYPES = [0x05, 0x0f, 0x85];
+const GPT_PROTECTIVE_TYPE = 0xee;
+
+// The image is read in pieces of this size, holes are left for all-zero pieces of HOLE_SIZE
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const HOLE_SIZE = 4096;
+const ZEROS = Buffer.alloc(HOLE_SIZE);
+
+// Shrinking is not possible (the image is left unchanged)
+export class ShrinkError extends Error {}
+
+// Parse the MBR partition table in the first sector of an image.
+// Returns the primary partitions as [{ number, type, start, size }] (bytes).
+export function parseMbr(sector) {
+  if (sector.length < SECTOR_SIZE || sector.readUInt16LE(510) !== 0xaa55) {
+    throw new ShrinkError('No MBR partition table found');
+  }
+  const partitions = [];
+  for (let i = 0; i < 4; i++) {
+    const entry = sector.subarray(446 + i * 16, 446 + (i + 1) * 16);
+    const type = entry[4];
+    const sectors = entry.readUInt32LE(12);
+    if (type === 0 || sectors === 0) continue;
+    partitions.push({ number: i + 1, type, start: entry.readUInt32LE(8) * SECTOR_SIZE, size: sectors * SECTOR_SIZE });
+  }
+  if (partitions.some(part => part.type === GPT_PROTECTIVE_TYPE)) {
+    throw new ShrinkError('GPT partition tables are not supported');
+  }
+  return partitions;
+}
+
+// Parse an ext2/3/4 superblock (the 1024 bytes at offset 1024 of a partition), null if it isn't one
+export function parseExtSuperblock(buffer) {
+  if (buffer.length < 1024 || buffer.readUInt16LE(0x38) !== EXT_MAGIC) return null;
+  const incompat = buffer.readUInt32LE(0x60);
+  const is64bit = (incompat & EXT_INCOMPAT_64BIT) !== 0;
+  return {
+    blockSize: 1024 * 2 ** buffer.readUInt32LE(0x18),
+    blocksCount: buffer.readUInt32LE(0x04) + (is64bit ? buffer.readUInt32LE(0x150) * 2 ** 32 : 0),
+    firstDataBlock: buffer.readUInt32LE(0x14),
+    blocksPerGroup: buffer.readUInt32LE(0x20),
+    inodesPerGroup: buffer.readUInt32LE(0x28),
+    inodeSize: buffer.readUInt32LE(0x4c) >= 1 ? buffer.readUInt16LE(0x58) : 128,
+    reservedGdtBlocks: buffer.readUInt16LE(0xce),
+    descSize: is64bit ? buffer.readUInt16LE(0xfe) : 32,
+    sparseSuper: (buffer.readUInt32LE(0x64) & EXT_RO_COMPAT_SPARSE_SUPER) !== 0,
+    backupGroups: buffer.readUInt32LE(0x5c) & EXT_COMPAT_SPARSE_SUPER2
+      ? [buffer.readUInt32LE(0x24c), buffer.readUInt32LE(0x250)]
+      : null,
+    is64bit,
+    needsRecovery: (incompat & EXT_INCOMPAT_RECOVER) !== 0,
+    metaBg: (incompat & EXT_INCOMPAT_META_BG) !== 0,
+    label: buffer.toString('latin1', 0x78, 0x88).replace(/\0.*$/s, ''),
+  };
+}
+
+// Read `length` bytes at `position` of an open file
+async function readAt(file, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Whether block group `group` holds a backup of the superblock and group descriptors
+function hasSuperblockBackup(superblock, group) {
+  if (group === 0) return true;
+  if (superblock.backupGroups) return superblock.backupGroups.includes(group);
+  if (!superblock.sparseSuper || group === 1) return true;
+  for (const base of [3, 5, 7]) {
+    let power = base;
+    while (power < group) power *= base;
+    if (power === group) return true;
+  }
+  return false;
+}
+
+// Block bitmap of a group whose bitmap was never initialized: only the group's own
+// metadata is in use (what the kernel fills in when it initializes the bitmap)
+function uninitializedBitmap(superblock, group, groupStart, metadata) {
+  const { blockSize, blocksPerGroup, descSize, reservedGdtBlocks } = superblock;
+  const bitmap = Buffer.alloc(blockSize);
+  const markUsed = (block, count = 1) => {
+    for (let i = block - groupStart; i < block - groupStart + count; i++) {
+      if (i >= 0 && i < blocksPerGroup) bitmap[i >> 3] |= 1 << (i & 7);
+    }
+  };
+  if (hasSuperblockBackup(superblock, group)) {
+    const groups = Math.ceil((superblock.blocksCount - superblock.firstDataBlock) / blocksPerGroup);
+    markUsed(groupStart, 1 + Math.ceil((groups * descSize) / blockSize) + reservedGdtBlocks);
+  }
+  markUsed(metadata.blockBitmap);
+  markUsed(metadata.inodeBitmap);
+  markUsed(metadata.inodeTable, Math.ceil((superblock.inodesPerGroup * superblock.inodeSize) / blockSize));
+  return bitmap;
+}
+
+// Why the block bitmaps of the ext filesystem on `partition` can't be relied on, null when they can
+export function extBitmapProblem(partition, superblock) {
+  // Blocks of transactions still in the journal may look free in the bitmaps
+  if (superblock.needsRecovery) return 'filesystem was not cleanly unmounted';
+  if (superblock.metaBg) return 'meta_bg filesystems are not supported';
+  if (superblock.blocksCount * superblock.blockSize > partition.size) return 'filesystem is bigger than its partition';
+  return null;
+}
+
+// Byte ranges [start, end) of the image holding free blocks of the ext filesystem on
+// `partition`, sorted. `reader.read(position, length)` reads the image.
+export async function extFreeRanges(reader, partition, superblock) {
+  const { blockSize, blocksCount, firstDataBlock, blocksPerGroup, descSize, is64bit } = superblock;
+  const groups = Math.ceil((blocksCount - firstDataBlock) / blocksPerGroup);
+  const descriptors = await reader.read(partition.start + (firstDataBlock + 1) * blockSize, groups * descSize);
+  if (descriptors.length < groups * descSize) {
+    throw new ShrinkError(`Partition ${partition.number}: group descriptors are cut off`);
+  }
+
+  const ranges = [];
+  for (let group = 0; group < groups; group++) {
+    const descriptor = descriptors.subarray(group * descSize, (group + 1) * descSize);
+    const blockAt = (offset) => descriptor.readUInt32LE(offset) +
+      (is64bit && descSize >= 64 ? descriptor.readUInt32LE(offset + 0x20) * 2 ** 32 : 0);
+    const metadata = { blockBitmap: blockAt(0x00), inodeBitmap: blockAt(0x04), inodeTable: blockAt(0x08) };
+    if (metadata.blockBitmap === 0 || metadata.blockBitmap >= blocksCount) {
+      throw new ShrinkError(`Partition ${partition.number}: group ${group} has an invalid block bitmap`);
+    }
+
+    const groupStart = firstDataBlock + group * blocksPerGroup;
+    const bitmap = descriptor.readUInt16LE(0x12) & EXT_BG_BLOCK_UNINIT
+      ? uninitializedBitmap(superblock, group, groupStart, metadata)
+      : await reader.read(partition.start + metadata.blockBitmap * blockSize, blockSize);
+    const groupBlocks = Math.min(blocksPerGroup, blocksCount - groupStart, bitmap.length * 8);
+    let runStart = null;
+    for (let i = 0; i <= groupBlocks; i++) {
+      const free = i < groupBlocks && !(bitmap[i >> 3] & (1 << (i & 7)));
+      if (free && runStart === null) {
+        runStart = i;
+      } else if (!free && runStart !== null) {
+        const start = partition.start + (groupStart + runStart) * blockSize;
+        const end = partition.start + (groupStart + i) * blockSize;
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === start) {
+          last[1] = end;
+        } else {
+          ranges.push([start, end]);
+        }
+        runStart = null;
+      }
+    }
+  }
+  return ranges;
+}
+
+// Write `data` at `position` of the open file `file`, leaving holes for its all-zero
+// pieces of HOLE_SIZE. Resolves with the number of bytes written.
+export async function writeSparse(file, data, position) {
+  let written = 0;
+  let dataStart = null;
+  // One piece past the end, which ends the last run of data however long `data` is
+  for (let offset = 0; offset < data.length + HOLE_SIZE; offset += HOLE_SIZE) {
+    const piece = data.subarray(offset, offset + HOLE_SIZE);
+    const hasData = offset < data.length && !piece.equals(ZEROS.subarray(0, piece.length));
+    if (hasData && dataStart === null) {
+      dataStart = offset;
+    } else if (!hasData && dataStart !== null) {
+      const end = Math.min(offset, data.length);
+      await file.write(data, dataStart, end - dataStart, position + dataStart);
+      written += end - dataStart;
+      dataStart = null;
+    }
+  }
+  return written;
+}
+
+// Shrink `image` in place (see the top of this file).
+// `onLog(message)` reports what is done, `onProgress(bytes, total)` the rewrite, and the
+// rewrite stops with a ShrinkError once `isCancelled()` returns true.
+// Resolves with { before, after, zeroed, stored }: the image size before and after,
+// the bytes of free blocks zeroed and the bytes of data left in the sparse file.
+export async function shrinkImage(image, { onLog = () => {}, onProgress = () => {}, isCancelled = () => false } = {}) {
+  const file = await open(image, 'r');
+  let freeRanges = [];
+  let before, after;
+  try {
+    before = (await file.stat()).size;
+    const partitions = parseMbr(await readAt(file, 0, SECTOR_SIZE));
+    if (partitions.length === 0) {
+      throw new ShrinkError('The partition table is empty');
+    }
+
+    for (const partition of partitions) {
+      if (EXTENDED_PARTITION_TYPES.includes(partition.type)) {
+        onLog(`Partition ${partition.number}: logical partitions are not supported, left as is`);
+        continue;
+      }
+      const superblock = parseExtSuperblock(await readAt(file, partition.start + 1024, 1024));
+      if (!superblock) continue;
+      const name = `Partition ${partition.number}${superblock.label ? ` (${superblock.label})` : ''}`;
+      const problem = extBitmapProblem(partition, superblock);
+      if (problem) {
+        onLog(`${name}: ${problem}, left as is`);
+        continue;
+      }
+      const ranges = await extFreeRanges({ read: (position, length) => readAt(file, position, length) }, partition, superblock);
+      const free = ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+      onLog(`${name}: ${formatBytes(free)} of free blocks`);
+      freeRanges.push(...ranges);
+    }
+
+    // Nothing after the last partition belongs to the card's contents
+    const lastEnd = Math.max(...partitions.map(part => part.start + part.size));
+    after = Math.min(before, lastEnd);
+  } finally {
+    await file.close();
+  }
+  freeRanges = freeRanges.sort((a, b) => a[0] - b[0]).filter(([start]) => start < after);
+
+  // Rewrite into a new sparse file next to the image, then replace the image with it
+  const temp = `${image}.shrinking`;
+  const input = await open(image, 'r');
+  let output;
+  let stored = 0;
+  try {
+    output = await open(temp, 'w');
+    let rangeIndex = 0;
+    for (let position = 0; position < after; position += CHUNK_SIZE) {
+      if (isCancelled()) throw new ShrinkError('Cancelled');
+      const chunk = await readAt(input, position, Math.min(CHUNK_SIZE, after - position));
+      const chunkEnd = position + chunk.length;
+
+      // Zero the free blocks inside this chunk
+      while (rangeIndex < freeRanges.length && freeRanges[rangeIndex][1] <= position) rangeIndex++;
+      for (let i = rangeIndex; i < freeRanges.length && freeRanges[i][0] < chunkEnd; i++) {
+        const [start, end] = freeRanges[i];
+        chunk.fill(0, Math.max(start, position) - position, Math.min(end, chunkEnd) - position);
+      }
+
+      // Write only the pieces holding data, leaving holes for the rest
+      stored += await writeSparse(output, chunk, position);
+      onProgress(chunkEnd, after);
+    }
+    await output.truncate(after);
+    await output.sync();
+  } catch (err) {
+    await output?.close();
+    output = null;
+    await rm(temp, { force: true });
+    throw err;
+  } finally {
+    await output?.close();
+    await input.close();
+  }
+  await rename(temp, image);
+
+  const zeroed = freeRanges.reduce((sum, [start, end]) => sum + Math.min(end, after) - start, 0);
+  return { before, after, zeroed, stored };
+}
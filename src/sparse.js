@@ -0,0 +1,165 @@
+// Sparse copying of cards: a backup reads only the parts of the card that hold data. The
+// partition table and the allocation maps of the filesystems on it (the block bitmaps of
+// ext2/3/4, the FAT of FAT16/32) tell which blocks are free; those blocks, swap space and
+// everything after the last partition are left out of the copy and become zeros (holes of
+// a sparse image). Partitions with other filesystems, or whose maps can't be relied on, are
+// copied whole. Nothing is mounted, and the maps are read from the unmounted card.
+
+import { parseExtSuperblock, extFreeRanges, extBitmapProblem } from './shrink.js';
+import { readPartitions, detectFilesystem, InspectError } from './inspect.js';
+import { parseFatBootSector } from './fat.js';
+import { formatBytes } from './format.js';
+
+const SECTOR_SIZE = 512;
+// Bytes read at the start of each partition to tell its filesystem
+const FILESYSTEM_PROBE_SIZE = 4096;
+// Kept at the start of a swap partition (its header, with the signature and label)
+const SWAP_HEADER_SIZE = 1024 * 1024;
+// The backup GPT header and entries in the last sectors of the card
+const GPT_BACKUP_SIZE = 33 * SECTOR_SIZE;
+// Offset of the "needs checking" flags in FAT16 / FAT32 boot sectors; the first bit is
+// set while the filesystem is mounted
+const FAT16_STATE_OFFSET = 0x25;
+const FAT32_STATE_OFFSET = 0x41;
+const FAT_STATE_DIRTY = 0x1;
+
+// Sort `ranges` ([start, end) pairs) and join the ones that touch or overlap
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else if (end > start) {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// Total bytes of `ranges`
+function rangesSize(ranges) {
+  return ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+}
+
+// Byte ranges [start, end) of the clusters free in the FAT filesystem (see
+// parseFatBootSector for `layout`) on `partition`, sorted
+async function fatFreeRanges(reader, partition, layout) {
+  const table = await reader.read(partition.start + layout.fatOffset, layout.fatSize);
+  if (table.length < layout.fatSize) throw new Error('the FAT is cut off');
+  const ranges = [];
+  for (let cluster = 2; cluster < layout.clusters + 2; cluster++) {
+    const entry = layout.bits === 16 ? table.readUInt16LE(cluster * 2) : table.readUInt32LE(cluster * 4) & 0x0fffffff;
+    if (entry !== 0) continue;
+    const start = partition.start + layout.dataOffset + (cluster - 2) * layout.clusterSize;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === start) {
+      last[1] += layout.clusterSize;
+    } else {
+      ranges.push([start, start + layout.clusterSize]);
+    }
+  }
+  return ranges;
+}
+
+// Free byte ranges of `partition`, whose first bytes are `probe`, as { ranges, what }
+// (`what` describing the filesystem); null ranges when the partition has to be copied
+// whole, with `what` saying why
+async function partitionFreeRanges(reader, partition, probe) {
+  const filesystem = probe.length === FILESYSTEM_PROBE_SIZE ? detectFilesystem(probe) : null;
+  if (!filesystem) return { ranges: null, what: 'no filesystem that is known' };
+  const what = `${filesystem.type}${filesystem.label ? ` "${filesystem.label}"` : ''}`;
+
+  if (/^ext/.test(filesystem.type)) {
+    const superblock = parseExtSuperblock(probe.subarray(1024, 2048));
+    const problem = extBitmapProblem(partition, superblock);
+    if (problem) return { ranges: null, what: `${what}, ${problem}` };
+    return { ranges: await extFreeRanges(reader, partition, superblock), what };
+  }
+  if (filesystem.type === 'FAT16' || filesystem.type === 'FAT32') {
+    const layout = parseFatBootSector(probe.subarray(0, SECTOR_SIZE));
+    if (probe[layout.bits === 32 ? FAT32_STATE_OFFSET : FAT16_STATE_OFFSET] & FAT_STATE_DIRTY) {
+      return { ranges: null, what: `${what}, filesystem was not cleanly unmounted` };
+    }
+    if (layout.dataOffset + layout.clusters * layout.clusterSize > partition.size) {
+      return { ranges: null, what: `${what}, filesystem is bigger than its partition` };
+    }
+    return { ranges: await fatFreeRanges(reader, partition, layout), what };
+  }
+  if (filesystem.type === 'swap') {
+    return { ranges: [[partition.start + SWAP_HEADER_SIZE, partition.start + partition.size]], what };
+  }
+  return { ranges: null, what: `${what}, its allocation map isn't read` };
+}
+
+// Byte ranges [start, end) of a card of `size` bytes that hold no data worth copying,
+// sorted (see the top of this file). `reader.read(position, length)` reads the card;
+// `onLog(message)` tells what was found on each partition; an error reading a partition's
+// map only has it copied whole, unless `isCancelled()` returns true. A partition table that
+// can't be understood leaves the whole card to be copied.
+export async function unusedRanges(reader, size, { onLog = () => {}, isCancelled = () => false } = {}) {
+  let found;
+  try {
+    found = await readPartitions(reader);
+  } catch (error) {
+    if (!(error instanceof InspectError)) throw error;
+    onLog(`${error.message} - copying all of the card`);
+    return [];
+  }
+  const { head, layout, partitions } = found;
+  const unused = [];
+  if (!layout) {
+    // A filesystem on the whole card, without a partition table
+    if (!detectFilesystem(head)) {
+      onLog('No partition table - copying all of the card');
+      return [];
+    }
+    partitions.push({ number: null, start: 0, size });
+  } else if (partitions.length > 0) {
+    const lastEnd = Math.max(...partitions.map(partition => partition.start + partition.size));
+    unused.push([lastEnd, layout.table === 'GPT' ? size - GPT_BACKUP_SIZE : size]);
+  }
+
+  for (const partition of partitions) {
+    const name = partition.number ? `Partition ${partition.number}` : 'Card';
+    try {
+      const probe = await reader.read(partition.start, FILESYSTEM_PROBE_SIZE);
+      const { ranges, what } = await partitionFreeRanges(reader, partition, probe);
+      if (!ranges) {
+        onLog(`${name} (${what}): copied whole`);
+        continue;
+      }
+      onLog(`${name} (${what}): ${formatBytes(rangesSize(ranges))} of ${formatBytes(partition.size)} free`);
+      unused.push(...ranges);
+    } catch (error) {
+      if (isCancelled()) throw error;
+      onLog(`${name}: cannot read its allocation map (${error.message}), copied whole`);
+    }
+  }
+  return mergeRanges(unused.filter(([start, end]) => start < size && end > start).map(([start, end]) => [start, Math.min(end, size)]));
+}
+
+// A card of `size` bytes as runs of whole `blockSize` blocks from block `startBlock` on:
+// [{ start, length, copy }] in bytes, the blocks entirely inside the `unused` ranges (see
+// unusedRanges) having copy false. The last block may be shorter.
+export function sparseRuns(unused, size, { blockSize, startBlock = 0 }) {
+  const runs = [];
+  let index = 0;
+  for (let start = startBlock * blockSize; start < size; start += blockSize) {
+    const end = Math.min(start + blockSize, size);
+    while (index < unused.length && unused[index][1] <= start) index++;
+    const copy = !(index < unused.length && unused[index][0] <= start && unused[index][1] >= end);
+    const last = runs[runs.length - 1];
+    if (last && last.copy === copy) {
+      last.length += end - start;
+    } else {
+      runs.push({ start, length: end - start, copy });
+    }
+  }
+  return runs;
+}
+
+// Bytes of `runs` (see sparseRuns) that are copied
+export function copiedSize(runs) {
+  return runs.reduce((sum, run) => sum + (run.copy ? run.length : 0), 0);
+}
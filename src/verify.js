@@ -0,0 +1,124 @@
+// Stream comparison and checksums used to verify a written card or image
+
+import { createHash } from 'crypto';
+import { PassThrough } from 'stream';
+
+// Size of the blocks streams are compared in (and mismatches reported at)
+export const VERIFY_BLOCK_SIZE = 4 * 1024 * 1024;
+
+// Read a stream in exact-size pieces: `await read(n)` resolves with the next n bytes
+// (fewer only at the end of the stream, an empty buffer once it's exhausted)
+export function blockReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+  let ended = false;
+
+  return async (size) => {
+    const chunks = [pending];
+    let length = pending.length;
+    while (length < size && !ended) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        ended = true;
+      } else {
+        chunks.push(value);
+        length += value.length;
+      }
+    }
+    const all = Buffer.concat(chunks, length);
+    pending = all.subarray(size);
+    return all.subarray(0, size);
+  };
+}
+
+// Compare `actual` against `expected` until `expected` ends; `actual` may be longer
+// (a card is usually bigger than the image written to it).
+// Resolves with { matched, bytes, mismatchOffset, sha256 } where mismatchOffset is
+// the offset of the first differing block and sha256 the checksum of the verified
+// data (both null when they don't apply).
+export async function compareStreams(expected, actual, { blockSize = VERIFY_BLOCK_SIZE, onProgress } = {}) {
+  const readExpected = blockReader(expected);
+  const readActual = blockReader(actual);
+  const hash = createHash('sha256');
+  let bytes = 0;
+
+  for (;;) {
+    const want = await readExpected(blockSize);
+    if (want.length === 0) break;
+    const got = await readActual(want.length);
+
+    if (!want.equals(got)) {
+      return { matched: false, bytes, mismatchOffset: bytes, sha256: null };
+    }
+    hash.update(want);
+    bytes += want.length;
+    onProgress?.(bytes);
+  }
+
+  return { matched: true, bytes, mismatchOffset: null, sha256: hash.digest('hex') };
+}
+
+// SHA-256 of a readable stream (of its first `length` bytes when given, like the part of a
+// card an image was written to), reporting the bytes hashed so far. With `blocks` it
+// resolves with { sha256, bytes, blocks } instead (see createBlockHasher).
+export async function hashStream(stream, { onProgress, length = Infinity, blocks = false } = {}) {
+  const hash = blocks ? createBlockHasher() : createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of stream) {
+    const part = bytes + chunk.length > length ? chunk.subarray(0, length - bytes) : chunk;
+    hash.update(part);
+    bytes += part.length;
+    onProgress?.(bytes);
+    if (bytes >= length) break;
+  }
+  return blocks ? hash.digest() : hash.digest('hex');
+}
+
+// SHA-256 of data given in chunks with update(chunk), of all of it and of each `blockSize`
+// block: digest() gives { sha256, bytes, blocks } once all of it was given, `blocks` the
+// checksums of the blocks in order (the last one may be shorter), so two copies that
+// differ can be told apart at their first differing block
+export function createBlockHasher(blockSize = VERIFY_BLOCK_SIZE) {
+  const hash = createHash('sha256');
+  const blocks = [];
+  let block = createHash('sha256');
+  let inBlock = 0;
+  let bytes = 0;
+
+  const update = (chunk) => {
+    hash.update(chunk);
+    bytes += chunk.length;
+    for (let offset = 0; offset < chunk.length;) {
+      const part = chunk.subarray(offset, offset + blockSize - inBlock);
+      block.update(part);
+      inBlock += part.length;
+      offset += part.length;
+      if (inBlock === blockSize) {
+        blocks.push(block.digest('hex'));
+        block = createHash('sha256');
+        inBlock = 0;
+      }
+    }
+  };
+  const digest = () => {
+    if (inBlock > 0) blocks.push(block.digest('hex'));
+    return { sha256: hash.digest('hex'), bytes, blocks };
+  };
+  return { update, digest };
+}
+
+// Offset of the first block whose checksum in `actual` differs from the one in `expected`
+// (block checksums, see createBlockHasher), null when none does
+export function firstDifferingBlock(expected, actual, blockSize = VERIFY_BLOCK_SIZE) {
+  const index = expected.findIndex((sha256, block) => actual[block] !== sha256);
+  return index === -1 ? null : index * blockSize;
+}
+
+// Pass-through stream hashing everything flowing through it.
+// Returns { stream, digest } where digest() gives the SHA-256 once the stream has ended.
+export function createHashTap() {
+  const hash = createHash('sha256');
+  const stream = new PassThrough();
+  stream.on('data', chunk => hash.update(chunk));
+  return { stream, digest: () => hash.digest('hex') };
+}
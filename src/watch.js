@@ -0,0 +1,238 @@
+// Automatic backups of registered cards: `pi-backup watch` polls the disks and backs up
+// a registered card whenever it is inserted, then deletes its oldest images beyond the
+// number to keep.
+//
+//   const watcher = createWatcher(config.cards, { pishrink: config.pishrink });
+//   watcher.on('inserted', ({ card, disk }) => ...);
+//   watcher.on('removed', ({ card }) => ...);
+//   watcher.on('job', ({ card, job, description }) => ...);  // a backup started (see engine.js)
+//   watcher.on('finished', ({ card, result, image, error }) => ...);  // result is one of RESULTS
+//   watcher.on('rotated', ({ card, removed }) => ...);  // old images (and manifests) deleted
+//   watcher.start();
+//   await watcher.stop();  // cancels a running backup
+
+import { EventEmitter } from 'events';
+import { existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createJob, AFTER_JOB, SHRINKERS } from './engine.js';
+import { listCards, sameDisk } from './disks.js';
+import { COMPRESSIONS, withExtension } from './compression.js';
+import { readManifest, manifestPath } from './manifest.js';
+import { RESULTS } from './history.js';
+import { readJournal } from './checkpoint.js';
+import { chainFiles, blocksPath } from './delta.js';
+
+// Image name used when a card is registered without a template (the extension is
+// added from the card's compression)
+export const DEFAULT_NAME_TEMPLATE = '{name}-{date}-{time}';
+
+// Images of a card kept when it is registered without a number
+export const DEFAULT_KEEP = 5;
+
+// Seconds between two looks at the connected disks
+export const DEFAULT_INTERVAL = 10;
+
+// A card that can't be registered, with a message ready to show to the user
+export class CardError extends Error {}
+
+// Registration of `disk` ({ model, serial, size } from listCards) as a card backed up
+// automatically into `directory`, keeping its last `keep` images (0 keeps all of them)
+export function createCard(disk, cards, {
+  name, directory, template = DEFAULT_NAME_TEMPLATE, keep = DEFAULT_KEEP, compression = 'none', shrink = true,
+  verify = false, after = AFTER_JOB.NONE,
+}) {
+  if (!name || !/^[A-Za-z0-9._-]+$/.test(name)) {
+    throw new CardError('The name may only contain letters, digits, ".", "_" and "-"');
+  }
+  if (cards.some(card => card.name === name)) {
+    throw new CardError(`A card named ${name} is already registered`);
+  }
+  if (!disk.model && !disk.serial) {
+    throw new CardError(`${disk.device} reports no model or serial number to recognize it by`);
+  }
+  const registered = cards.find(card => sameDisk(card, disk));
+  if (registered) {
+    throw new CardError(`This card is already registered as ${registered.name}`);
+  }
+  if (!COMPRESSIONS[compression]) {
+    throw new CardError(`Unknown compression: ${compression}`);
+  }
+  if (!Number.isInteger(keep) || keep < 0) {
+    throw new CardError('The number of images to keep must be 0 (all) or more');
+  }
+  return {
+    name, model: disk.model, serial: disk.serial, size: disk.size, directory, template, keep, compression,
+    shrink, verify, after,
+  };
+}
+
+// File name of a new image of `card` taken at `date`: its template with {name}, {model},
+// {serial}, {date} (2026-10-19) and {time} (143000) filled in
+export function imageName(card, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const values = {
+    name: card.name,
+    model: card.model || 'unknown',
+    serial: card.serial || 'unknown',
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+  };
+  const name = card.template.replace(/\{(\w+)\}/g, (placeholder, key) => (
+    key in values ? values[key].replace(/[^A-Za-z0-9._-]+/g, '-') : placeholder
+  ));
+  return withExtension(name, card.compression);
+}
+
+// Images of `card` in its directory, newest first: [{ image, created }].
+// Only images whose manifest names this card as their source count.
+export function cardImages(card) {
+  let files;
+  try {
+    files = readdirSync(card.directory);
+  } catch {
+    return [];
+  }
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => join(card.directory, file.slice(0, -'.json'.length)))
+    .flatMap((image) => {
+      const manifest = readManifest(image);
+      if (!manifest?.source || !existsSync(image) || !sameDisk(manifest.source, card)) return [];
+      return [{ image, created: manifest.created }];
+    })
+    .sort((a, b) => (a.created < b.created ? 1 : -1));
+}
+
+// Partial raw image of an interrupted backup of `card` in its directory (null when there is none)
+export function partialImage(card) {
+  let files;
+  try {
+    files = readdirSync(card.directory);
+  } catch {
+    return null;
+  }
+  const image = files
+    .filter(file => file.endsWith('.journal'))
+    .map(file => join(card.directory, file.slice(0, -'.journal'.length)))
+    .find((path) => {
+      const journal = readJournal(path);
+      return journal?.header.source && existsSync(path) && sameDisk(journal.header.source, card);
+    });
+  return image || null;
+}
+
+// Delete the images of `card` (and their manifests) beyond the newest `card.keep`,
+// returning the paths deleted. Images that delta backups kept are rebuilt from stay.
+export function rotateImages(card) {
+  if (!card.keep) return [];
+  const images = cardImages(card);
+  const needed = new Set(images.slice(0, card.keep).flatMap(({ image }) => chainFiles(image)));
+  const removed = [];
+  for (const { image } of images.slice(card.keep)) {
+    if (needed.has(image)) continue;
+    const blocks = existsSync(blocksPath(image)) ? [blocksPath(image)] : [];
+    for (const path of [image, manifestPath(image), ...blocks]) {
+      try {
+        rmSync(path, { force: true });
+        removed.push(path);
+      } catch {}
+    }
+  }
+  return removed;
+}
+
+// Create a watcher backing up the registered `cards` when they are inserted, one at a time.
+// A card is backed up once per insertion (also when it was inserted before watching began),
+// whatever the result. `pishrink` are the pishrink settings for createJob, `listDisks`
+// lists the connected disks (listCards by default).
+export function createWatcher(cards, { pishrink = null, interval = DEFAULT_INTERVAL, listDisks = listCards } = {}) {
+  const watcher = new EventEmitter();
+  const inserted = new Set();  // names of the registered cards connected right now
+  let running = null;          // the backup job running
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+  let loop = null;
+
+  const sleep = (seconds) => new Promise((resolve) => {
+    wake = resolve;
+    timer = setTimeout(resolve, seconds * 1000);
+  });
+
+  // Back up `card` from `disk` (resuming an interrupted raw backup of it), then delete
+  // its images beyond the ones to keep
+  const backUp = async (card, disk) => {
+    mkdirSync(card.directory, { recursive: true });
+    const partial = card.compression === 'none' ? partialImage(card) : null;
+    const description = {
+      type: 'backup',
+      source: disk.device,
+      destination: partial || join(card.directory, imageName(card)),
+      resume: Boolean(partial),
+      compression: card.compression,
+      shrink: card.shrink,
+      shrinker: SHRINKERS.AUTO,
+      pishrink,
+      verify: card.verify,
+      after: card.after,
+    };
+    const job = createJob(description);
+    const finished = new Promise((resolve) => {
+      job.on('done', (result) => resolve({ result: RESULTS.DONE, image: result.image }));
+      job.on('error', (error) => resolve({ result: RESULTS.FAILED, error }));
+      job.on('cancelled', () => resolve({ result: RESULTS.CANCELLED }));
+    });
+    running = job;
+    watcher.emit('job', { card, job, description });
+    job.start();
+    const outcome = await finished;
+    running = null;
+    watcher.emit('finished', { card, ...outcome });
+
+    if (outcome.result === RESULTS.DONE) {
+      const removed = rotateImages(card);
+      if (removed.length > 0) watcher.emit('rotated', { card, removed });
+    }
+  };
+
+  const poll = async () => {
+    const disks = listDisks();
+    for (const card of cards) {
+      if (stopped) return;
+      const disk = disks.find(candidate => sameDisk(candidate, card));
+      if (!disk) {
+        if (inserted.delete(card.name)) watcher.emit('removed', { card });
+        continue;
+      }
+      if (inserted.has(card.name)) continue;
+      inserted.add(card.name);
+      watcher.emit('inserted', { card, disk });
+      try {
+        await backUp(card, disk);
+      } catch (error) {
+        watcher.emit('finished', { card, result: RESULTS.FAILED, error });
+      }
+    }
+  };
+
+  watcher.start = () => {
+    loop = (async () => {
+      while (!stopped) {
+        await poll();
+        if (!stopped) await sleep(interval);
+      }
+    })();
+    return watcher;
+  };
+
+  // Stop watching, cancelling the backup running; resolves once it has stopped
+  watcher.stop = async () => {
+    stopped = true;
+    clearTimeout(timer);
+    wake?.();
+    await running?.cancel();
+    await loop;
+  };
+
+  return watcher;
+}
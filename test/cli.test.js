@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { chmodSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseCliArgs, runCli } from '../src/cli.js';
+
+// File names a shell would split, expand or take for options
+const NAMES = [
+  'my image.img',
+  'it\'s "quoted".img',
+  '-rf.img',
+  '--help',
+  'two\nlines.img',
+  '$(touch pwned).img',
+];
+
+describe('parseCliArgs', () => {
+  it('takes the value after a flag as it is', () => {
+    for (const name of NAMES) {
+      assert.deepEqual(parseCliArgs(['backup', '--source', `/dev/disk/by-id/${name}`, '--out', name, '-y']), {
+        command: 'backup',
+        options: { source: `/dev/disk/by-id/${name}`, out: name, yes: true },
+      });
+    }
+  });
+
+  it('takes everything after = as the value', () => {
+    assert.deepEqual(parseCliArgs(['restore', '--image=--verify', '--target=a=b c', '--verify']), {
+      command: 'restore',
+      options: { image: '--verify', target: ['a=b c'], verify: true },
+    });
+    assert.deepEqual(parseCliArgs(['inspect', '--image=two\nlines.img']).options, { image: 'two\nlines.img' });
+  });
+
+  it('collects repeated targets in order', () => {
+    const { options } = parseCliArgs(['restore', '--image', 'pi.img', ...NAMES.flatMap(name => ['--target', name])]);
+    assert.deepEqual(options.target, NAMES);
+  });
+
+  it('refuses an empty or missing value', () => {
+    assert.throws(() => parseCliArgs(['restore', '--image=', '--target', 'x']), /--image needs a value/);
+    assert.throws(() => parseCliArgs(['restore', '--target', 'x', '--image']), /--image needs a value/);
+  });
+
+  it('refuses arguments that are not flags', () => {
+    assert.throws(() => parseCliArgs(['backup', '--source', 'a', 'b']), /Unexpected argument: b/);
+    assert.throws(() => parseCliArgs(['backup', '--source', 'a', '--out', 'b', '--no-out']), /Unknown option for backup: --no-out/);
+    assert.throws(() => parseCliArgs(['restore', '--image', 'a', '--target', 'b', '--verify=yes']), /Unknown option/);
+  });
+
+  it('refuses passwords on the command line', () => {
+    assert.throws(
+      () => parseCliArgs(['restore', '--image', 'a', '--target', 'b', '--password', 'secret']),
+      /--password isn't taken on the command line .* use --password-file/
+    );
+    assert.throws(
+      () => parseCliArgs(['customize', '--image', 'a', '--wifi-password=secret']),
+      /use --wifi-password-file/
+    );
+  });
+
+  it('checks pishrink options and checksums', () => {
+    assert.throws(() => parseCliArgs(['backup', '--source', 'a', '--out', 'b', '--pishrink-options', 'z;rm']), /--pishrink-options must only contain/);
+    assert.throws(() => parseCliArgs(['backup', '--source', 'a', '--out', 'b', '--pishrink-sha256', 'ab']), /pins the script given with --pishrink/);
+    assert.throws(
+      () => parseCliArgs(['backup', '--source', 'a', '--out', 'b', '--pishrink', 'p.sh', '--pishrink-sha256', '$(id)']),
+      /must be a SHA-256 checksum/
+    );
+  });
+});
+
+describe('runCli exit codes', () => {
+  it('is 2 for invalid arguments', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    assert.equal(await runCli(['backup', '--source', '/dev/sdz']), 2);
+    assert.match(error.mock.calls[0].arguments[0], /^Missing required option --out/);
+    assert.equal(await runCli(['format']), 2);
+    assert.equal(await runCli(['restore', '--image', 'a.img', '--target', 'b', '--password', 'x']), 2);
+  });
+
+  it('is 2 for an ssh:// URL that can\'t be used', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    assert.equal(await runCli(['backup', '--source', '/dev/sdz', '--out', 'ssh://-oProxyCommand=x/pi.img', '--yes']), 2);
+    assert.match(error.mock.calls[0].arguments[0], /is not a valid ssh:\/\/ URL/);
+  });
+
+  it('is 0 for help', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    assert.equal(await runCli(['--help']), 0);
+    assert.equal(await runCli(['backup', '-h']), 0);
+  });
+});
+
+describe('runCli exit codes of jobs', () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+    mkdirSync(join(dir, 'bin'));
+  });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  // Run the CLI with `args` in a process of its own (jobs run programs and catch Ctrl+C),
+  // with `sudo` replaced by the script `sudo` and an lsblk telling of a 64 MiB card and a
+  // system disk, resolving with its exit code and what it printed
+  const cli = (args, sudo) => {
+    const script = (name, body) => {
+      writeFileSync(join(dir, 'bin', name), `#!/bin/sh\n${body}\n`);
+      chmodSync(join(dir, 'bin', name), 0o755);
+    };
+    script('sudo', sudo);
+    script('lsblk', `case "$*" in
+  *FSTYPE*) echo '{"blockdevices":[{"name":"card"}]}';;
+  *MOUNTPOINT*) echo '{"blockdevices":[{"name":"vda","path":"/dev/vda","mountpoint":"/"}]}';;
+  *) echo '{"blockdevices":[{"name":"card","model":"FakeCard","serial":"F1","size":67108864}]}';;
+esac`);
+    const run = `import('${new URL('../src/cli.js', import.meta.url)}')` +
+      '.then(({ runCli }) => runCli(process.argv.slice(1))).then(code => process.exit(code))';
+    return new Promise((resolve) => {
+      execFile(process.execPath, ['--input-type=module', '-e', run, ...args], {
+        env: { ...process.env, PATH: `${join(dir, 'bin')}:${process.env.PATH}`, XDG_STATE_HOME: dir, XDG_CONFIG_HOME: dir },
+        timeout: 60000,
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  };
+
+  // An image and a card for restoring it
+  const restore = (...flags) => {
+    const image = join(dir, 'pi.img');
+    writeFileSync(image, Buffer.alloc(1024 * 1024, 0x5a));
+    const card = join(dir, 'card');
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    return { image, card, args: ['restore', '--image', image, '--target', card, '--yes', ...flags] };
+  };
+
+  // The start of a sudo that lets the user in, followed by running the command
+  const SUDO = '[ "$1" = -v ] && exit 0\n[ "$1" = -n ] && shift';
+
+  it('is 0 for a job that succeeds', async () => {
+    const { image, card, args } = restore('--verify');
+    const { code, stderr } = await cli(args, `${SUDO}\nexec "$@"`);
+    assert.equal(code, 0, stderr);
+    assert.deepEqual(readFileSync(card), readFileSync(image));
+  });
+
+  it('is 1 for a job that fails', async () => {
+    const { card, args } = restore();
+    const { code, stderr } = await cli(args, 'exit 1');
+    assert.equal(code, 1);
+    assert.match(stderr, /sudo authentication failed/);
+    assert.deepEqual(readFileSync(card), Buffer.alloc(1024 * 1024));
+  });
+
+  it('is 4 when the card differs from the image', async () => {
+    // A byte of the card changed after dd wrote it
+    const { args } = restore('--verify');
+    const { code, stderr } = await cli(args, `${SUDO}
+"$@" || exit
+for arg; do case "$arg" in of=*) printf x | dd of="\${arg#of=}" bs=1 seek=1000 conv=notrunc 2>/dev/null;; esac; done`);
+    assert.equal(code, 4, stderr);
+    assert.match(stderr, /Verification failed/);
+  });
+
+  it('is 130 for a job cancelled with Ctrl+C', async () => {
+    // dd presses Ctrl+C, then waits to be stopped
+    const { args } = restore();
+    const { code, stderr } = await cli(args, `${SUDO}
+[ "$1" = dd ] && { kill -INT $PPID; exec sleep 30; }
+exec "$@"`);
+    assert.equal(code, 130, stderr);
+    assert.match(stderr, /Cancelling\.\.\./);
+  });
+});
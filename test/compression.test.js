@@ -0,0 +1,62 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, truncateSync, writeFileSync, openSync, writeSync, closeSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gzipSync } from 'zlib';
+import { compressionFromPath, withExtension, getImageSize } from '../src/compression.js';
+import { mbr } from './images.js';
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('compressionFromPath', () => {
+  it('tells the compression from the extension', () => {
+    assert.equal(compressionFromPath('pi.img'), 'none');
+    assert.equal(compressionFromPath('pi.IMG.GZ'), 'gzip');
+    assert.equal(compressionFromPath('ssh://nas/backups/pi.img.xz'), 'xz');
+    assert.equal(compressionFromPath('pi.img.zst'), 'zstd');
+  });
+
+  it('swaps the extension for the compression\'s', () => {
+    assert.equal(withExtension('pi.img', 'gzip'), 'pi.img.gz');
+    assert.equal(withExtension('pi.img.xz', 'none'), 'pi.img');
+  });
+});
+
+describe('getImageSize', () => {
+  it('gives the size of raw images and of small gzip images from their trailer', () => {
+    const raw = join(dir, 'pi.img');
+    writeFileSync(raw, Buffer.alloc(123456));
+    assert.equal(getImageSize(raw), 123456);
+    const gzip = join(dir, 'pi.img.gz');
+    writeFileSync(gzip, gzipSync(Buffer.alloc(3 * 1024 * 1024, 0x5a)));
+    assert.equal(getImageSize(gzip), 3 * 1024 * 1024);
+  });
+
+  it('works out gzip sizes of 4 GiB and more from the compressed size and the partitions', () => {
+    // Only the start and the trailer of these files hold gzip data, the rest is a hole
+    const gzipImage = (name, start, size, stored) => {
+      const path = join(dir, name);
+      writeFileSync(path, gzipSync(start));
+      truncateSync(path, size);
+      const trailer = Buffer.alloc(4);
+      trailer.writeUInt32LE(stored);
+      const fd = openSync(path, 'r+');
+      writeSync(fd, trailer, 0, 4, size - 4);
+      closeSync(fd);
+      return path;
+    };
+    const GIB = 1024 ** 3;
+    // 5 MB of gzip hold more than 1000 bytes, so the size stored as 1000 is 4 GiB + 1000
+    assert.equal(getImageSize(gzipImage('big.img.gz', Buffer.alloc(1024), 5 * 1024 * 1024, 1000)), 2 ** 32 + 1000);
+    // A 6 GiB image compressed to 10 MB is stored as 2 GiB; its partitions end at 5 GiB
+    const sector = mbr([{ type: 0x83, start: 2048, size: (5 * GIB - 1024 * 1024) / 512 }]);
+    assert.equal(getImageSize(gzipImage('pi.img.gz', sector, 10 * 1024 * 1024, 2 * GIB)), 6 * GIB);
+    // 4 GiB + 1000 is more than 1 MB of gzip can stand for
+    assert.equal(getImageSize(gzipImage('small.img.gz', Buffer.alloc(1024), 1024 * 1024, 1000)), null);
+  });
+});
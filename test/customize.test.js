@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { open } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  sha512Crypt, hashPassword, wifiPsk, bootPartition, createCustomization, customizeImage, CustomizeError,
+} from '../src/customize.js';
+import { openFat } from '../src/fat.js';
+import { mbr, fatFilesystem } from './images.js';
+
+describe('sha512Crypt', () => {
+  // The test vectors of the SHA-crypt specification (https://www.akkadia.org/drepper/SHA-crypt.txt)
+  it('gives the hashes of the specification', () => {
+    assert.equal(
+      sha512Crypt('Hello world!', 'saltstring'),
+      '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1'
+    );
+    assert.equal(
+      sha512Crypt('Hello world!', 'saltstringsaltstring', 10000),
+      '$6$rounds=10000$saltstringsaltst$OW1/O6BYHV6BcXZu8QVeXbDWra3Oeqh0sbHbbMCVNSnCM/UrjmM0Dp8vOuZeHBy/YTBmSK6H9qs/y3RnOaw5v.'
+    );
+    assert.equal(
+      sha512Crypt('This is just a test', 'toolongsaltstring'),
+      '$6$toolongsaltstrin$lQ8jolhgVRVhY4b5pZKaysCLi0QBxGoNeKQzQ3glMhwllF7oGDZxUhx1yxdYcz/e1JSbq3y6JMxxl8audkUEm0'
+    );
+    assert.equal(
+      sha512Crypt('a very much longer text to encrypt.  This one even stretches over morethan one line.', 'anotherlongsaltstring', 1400),
+      '$6$rounds=1400$anotherlongsalts$POfYwTEok97VWcjxIiSOjiykti.o/pQs.wPvMxQ6Fm7I6IoYN3CmLs66x9t0oSwbtEW7o7UmJEiDwGqd8p4ur1'
+    );
+    assert.equal(
+      sha512Crypt('we have a short salt string but not a short password', 'short', 77777),
+      '$6$rounds=77777$short$WuQyW2YR.hBNpjjRhpYD/ifIw05xdfeEyQoMxIXbkvr0gge1a1x3yRULJ5CCaUeOxFmtlcGZelFl5CxtgfiAc0'
+    );
+  });
+
+  it('hashes empty and non-ASCII passwords', () => {
+    assert.equal(
+      sha512Crypt('', 'saltstring'),
+      '$6$saltstring$kyGrqt6gmjAdtFLPrflEFifSYLCWWq1pyx95SvqinLDy2UHmj0sTF0MSLMwxPFZc3tu5kQckI8fks0zOPda3n1'
+    );
+    assert.match(sha512Crypt('pässwörd', 'saltstring'), /^\$6\$saltstring\$[./0-9A-Za-z]{86}$/);
+  });
+});
+
+describe('hashPassword', () => {
+  it('uses a new 16-character salt every time', () => {
+    const first = hashPassword('raspberry');
+    const second = hashPassword('raspberry');
+    assert.match(first, /^\$6\$[./0-9A-Za-z]{16}\$[./0-9A-Za-z]{86}$/);
+    assert.notEqual(first, second);
+    assert.equal(sha512Crypt('raspberry', first.split('$')[2]), first);
+  });
+});
+
+describe('wifiPsk', () => {
+  // The test vectors of IEEE 802.11i-2004, annex H.4
+  it('gives the pre-shared keys of the standard', () => {
+    assert.equal(wifiPsk('IEEE', 'password'), 'f42c6fc52df0ebef9ebb4b90b38a5f902e83fe1b135a70e23aed762e9710a12e');
+    assert.equal(wifiPsk('ThisIsASSID', 'ThisIsAPassword'), '0dc0d6eb90555ed6419756b9a15ec3e3209b63df707dd508d14581f8982721af');
+  });
+
+  it('keeps a passphrase that already is a key', () => {
+    const key = 'F42C6FC52DF0EBEF9EBB4B90B38A5F902E83FE1B135A70E23AED762E9710A12E';
+    assert.equal(wifiPsk('IEEE', key), key.toLowerCase());
+  });
+});
+
+describe('bootPartition', () => {
+  it('finds the first FAT partition', () => {
+    const sector = mbr([{ type: 0x83, start: 2048, size: 1000 }, { type: 0x0c, start: 8192, size: 1048576 }, { type: 0x0b, start: 2000000, size: 100 }]);
+    assert.deepEqual(bootPartition(sector), { start: 8192 * 512, size: 1048576 * 512 });
+  });
+
+  it('takes a lone FAT filesystem as a whole', () => {
+    assert.deepEqual(bootPartition(fatFilesystem(32).subarray(0, 512)), { start: 0, size: null });
+  });
+
+  it('is null without a FAT partition', () => {
+    assert.equal(bootPartition(mbr([{ type: 0x83, start: 2048, size: 1000 }])), null);
+    assert.equal(bootPartition(mbr([{ type: 0xee, start: 1, size: 0xffffffff }])), null);
+    assert.equal(bootPartition(Buffer.alloc(512)), null);
+  });
+});
+
+describe('customizeImage', () => {
+  // An image with a FAT16 boot partition at sector 1 holding `cmdline`
+  const image = async (dir, cmdline) => {
+    const path = join(dir, 'pi.img');
+    const fs = fatFilesystem(16);
+    writeFileSync(path, Buffer.concat([mbr([{ type: 0x0e, start: 1, size: fs.length / 512 }]), fs]));
+    const handle = await open(path, 'r+');
+    try {
+      if (cmdline) await (await openFat(handle, 512)).writeFile('cmdline.txt', Buffer.from(cmdline));
+    } finally {
+      await handle.close();
+    }
+    return path;
+  };
+  // The files in the boot partition of `path`
+  const readBoot = async (path, ...names) => {
+    const handle = await open(path, 'r');
+    try {
+      const fat = await openFat(handle, 512);
+      const files = [];
+      for (const name of names) files.push((await fat.readFile(name))?.toString() ?? null);
+      return files;
+    } finally {
+      await handle.close();
+    }
+  };
+
+  it('writes the settings to the boot partition and runs them at the next boot', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+    try {
+      const path = await image(dir, 'console=tty1 root=PARTUUID=1234-02 rootwait\n');
+      const customization = createCustomization({ hostname: 'kitchen', user: 'pi', password: 'raspberry' });
+      assert.deepEqual(await customizeImage(path, customization), ['userconf.txt', 'firstrun.sh', 'cmdline.txt']);
+
+      const [userconf, script, cmdline] = await readBoot(path, 'userconf.txt', 'firstrun.sh', 'cmdline.txt');
+      assert.equal(userconf, `pi:${customization.passwordHash}\n`);
+      assert.match(script, /kitchen/);
+      assert.match(cmdline, /^console=tty1 root=PARTUUID=1234-02 rootwait systemd\.run=\S*firstrun\.sh/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses an image without cmdline.txt or a boot partition', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+    try {
+      const customization = createCustomization({ hostname: 'kitchen' });
+      await assert.rejects(customizeImage(await image(dir, null), customization, { name: 'pi.img' }), /No cmdline\.txt in the boot partition of pi\.img/);
+      const path = join(dir, 'other.img');
+      writeFileSync(path, mbr([{ type: 0x83, start: 1, size: 100 }]));
+      await assert.rejects(customizeImage(path, customization), CustomizeError);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
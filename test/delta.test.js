@@ -0,0 +1,242 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { buffer } from 'stream/consumers';
+import { gzipSync } from 'zlib';
+import {
+  isDelta, deltaFileName, blocksPath, readBlockList, writeBlockList, hashBlocks, createDeltaFilter, readChain,
+  chainFiles, openChain, listBackups, DeltaError,
+} from '../src/delta.js';
+import { CHECKPOINT_BLOCK_SIZE, zeroBlockSha256 } from '../src/checkpoint.js';
+import { createManifest, writeManifest } from '../src/manifest.js';
+
+const BLOCK = CHECKPOINT_BLOCK_SIZE;
+
+// Data of `size` bytes, different in every 4-byte word and for every `seed`
+function cardData(size, seed = 0) {
+  const data = Buffer.alloc(size);
+  for (let offset = 0; offset + 4 <= size; offset += 4) data.writeUInt32LE((offset / 4 + seed * 0x9e3779b9) >>> 0, offset);
+  return data;
+}
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+// The checksums of the blocks of `data`
+const blockHashes = data => Array.from({ length: Math.ceil(data.length / BLOCK) }, (_, i) => sha256(data.subarray(i * BLOCK, (i + 1) * BLOCK)));
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('delta file names', () => {
+  it('tells deltas from images', () => {
+    for (const name of ['pi.delta', 'pi.delta.gz', 'pi.delta.xz', 'PI.DELTA.ZST']) assert.equal(isDelta(name), true, name);
+    for (const name of ['pi.img', 'pi.delta.zip', 'pi.delta.json', 'pi.deltas']) assert.equal(isDelta(name), false, name);
+  });
+
+  it('names a delta after the image, compressed like it', () => {
+    assert.equal(deltaFileName('pi.img', 'none'), 'pi.delta');
+    assert.equal(deltaFileName('pi.img.gz', 'xz'), 'pi.delta.xz');
+    assert.equal(deltaFileName('pi.img', 'zstd'), 'pi.delta.zst');
+    assert.equal(deltaFileName('pi.delta.gz', 'gzip'), 'pi.delta.gz');
+  });
+});
+
+describe('block lists', () => {
+  it('reads back the checksums written', () => {
+    const image = join(dir, 'pi.img');
+    const header = { blockSize: BLOCK, size: 2 * BLOCK + 1, sha256: 'ab'.repeat(32) };
+    const hashes = ['11', '22', '33'].map(digits => digits.repeat(32));
+    writeBlockList(image, header, hashes);
+    assert.equal(blocksPath(image), `${image}.blocks`);
+    assert.equal(readFileSync(blocksPath(image), 'utf8').split('\n')[1], `0 ${'11'.repeat(32)}`);
+    assert.deepEqual(readBlockList(image), { header, hashes });
+  });
+
+  it('is null for checksums that are missing, cut short or out of order', () => {
+    const image = join(dir, 'pi.img');
+    assert.equal(readBlockList(image), null);
+    const header = { blockSize: BLOCK, size: 3 * BLOCK, sha256: null };
+    const hashes = ['11', '22', '33'].map(digits => digits.repeat(32));
+
+    writeBlockList(image, header, hashes.slice(0, 2));
+    assert.equal(readBlockList(image), null);
+    // A line torn by a crash
+    writeFileSync(blocksPath(image), readFileSync(blocksPath(image), 'utf8') + `2 ${'33'.repeat(20)}`);
+    assert.equal(readBlockList(image), null);
+    writeFileSync(blocksPath(image), `${JSON.stringify(header)}\n0 ${hashes[0]}\n2 ${hashes[2]}\n1 ${hashes[1]}\n`);
+    assert.equal(readBlockList(image), null);
+    writeFileSync(blocksPath(image), `{"blockSize":\n0 ${hashes[0]}\n`);
+    assert.equal(readBlockList(image), null);
+  });
+});
+
+describe('hashBlocks', () => {
+  it('hashes every block, the last one as long as it is', async () => {
+    const data = Buffer.concat([cardData(BLOCK), Buffer.alloc(BLOCK), cardData(1000, 1)]);
+    const progress = [];
+    const result = await hashBlocks(Readable.from([data.subarray(0, 1000), data.subarray(1000)]), { onProgress: bytes => progress.push(bytes) });
+    assert.deepEqual(result, { size: data.length, hashes: blockHashes(data) });
+    assert.equal(result.hashes[1], zeroBlockSha256());
+    assert.deepEqual(progress, [BLOCK, 2 * BLOCK, data.length]);
+  });
+
+  it('gives no blocks for no data', async () => {
+    assert.deepEqual(await hashBlocks(Readable.from([])), { size: 0, hashes: [] });
+  });
+});
+
+describe('createDeltaFilter', () => {
+  it('passes on only the blocks that changed', async () => {
+    const base = cardData(3 * BLOCK + 100);
+    const card = Buffer.from(base);
+    card[BLOCK + 5] ^= 1;
+    card[2 * BLOCK] ^= 1;
+    card[card.length - 1] ^= 1;
+
+    const filter = createDeltaFilter(blockHashes(base));
+    // In pieces that don't line up with the blocks
+    const pieces = [];
+    for (let offset = 0; offset < card.length; offset += 1000003) pieces.push(card.subarray(offset, offset + 1000003));
+    const stored = await buffer(Readable.from(pieces).pipe(filter.stream));
+    assert.deepEqual(stored, card.subarray(BLOCK));
+    assert.deepEqual(filter.result(), { hashes: blockHashes(card), blocks: [[1, 3]], stored: card.length - BLOCK });
+  });
+
+  it('stores blocks the base doesn\'t have', async () => {
+    const base = cardData(BLOCK);
+    const card = Buffer.concat([base, cardData(BLOCK, 1), base]);
+    const filter = createDeltaFilter(blockHashes(base));
+    const stored = await buffer(Readable.from([card]).pipe(filter.stream));
+    assert.deepEqual(stored, card.subarray(BLOCK));
+    assert.deepEqual(filter.result().blocks, [[1, 2]]);
+  });
+
+  it('passes nothing on for an unchanged card', async () => {
+    const card = cardData(2 * BLOCK);
+    const filter = createDeltaFilter(blockHashes(card));
+    assert.equal((await buffer(Readable.from([card]).pipe(filter.stream))).length, 0);
+    assert.deepEqual(filter.result(), { hashes: blockHashes(card), blocks: [], stored: 0 });
+  });
+});
+
+describe('delta chains', () => {
+  // Three states of a card of 2.5 blocks: a full image of the first, a delta of the
+  // second (block 1 changed, gzipped) and one of the third (blocks 0 and 2 changed)
+  const cards = () => {
+    const first = cardData(2 * BLOCK + BLOCK / 2);
+    const second = Buffer.from(first);
+    cardData(BLOCK, 2).copy(second, BLOCK);
+    const third = Buffer.from(second);
+    cardData(BLOCK, 3).copy(third, 0);
+    cardData(BLOCK / 2, 4).copy(third, 2 * BLOCK);
+    return [first, second, third];
+  };
+
+  // Write the backups of `cards()` with their manifests, returning their paths
+  const writeChain = ([first, second, third]) => {
+    const source = { device: '/dev/sdb', model: 'SD32G', serial: 'S1', size: first.length };
+    const base = join(dir, 'pi-1.img');
+    writeFileSync(base, first);
+    writeManifest(base, createManifest({ image: base, size: first.length, source, sha256: { raw: sha256(first), final: sha256(first) } }));
+
+    const middle = join(dir, 'pi-2.delta.gz');
+    const middleData = gzipSync(second.subarray(BLOCK, 2 * BLOCK));
+    const chain = [{ file: 'pi-1.img', sha256: sha256(first), size: first.length }];
+    writeFileSync(middle, middleData);
+    writeManifest(middle, createManifest({
+      image: middle,
+      size: middleData.length,
+      source,
+      sha256: { raw: sha256(second), final: sha256(middleData) },
+      compression: 'gzip',
+      delta: { base: 'pi-1.img', blockSize: BLOCK, size: second.length, blocks: [[1, 1]], stored: BLOCK, chain },
+    }));
+
+    const last = join(dir, 'pi-3.delta');
+    const lastData = Buffer.concat([third.subarray(0, BLOCK), third.subarray(2 * BLOCK)]);
+    writeFileSync(last, lastData);
+    writeManifest(last, createManifest({
+      image: last,
+      size: lastData.length,
+      source,
+      sha256: { raw: sha256(third), final: sha256(lastData) },
+      delta: {
+        base: 'pi-2.delta.gz',
+        blockSize: BLOCK,
+        size: third.length,
+        blocks: [[0, 1], [2, 1]],
+        stored: lastData.length,
+        chain: [...chain, { file: 'pi-2.delta.gz', sha256: sha256(middleData), size: second.length }],
+      },
+    }));
+    return { base, middle, last };
+  };
+
+  it('reads the chain of a delta from the manifests', () => {
+    const data = cards();
+    const { base, middle, last } = writeChain(data);
+    const chain = readChain(last);
+    assert.deepEqual(chain, {
+      size: data[2].length,
+      blockSize: BLOCK,
+      files: [
+        { path: base, sha256: sha256(data[0]), size: data[0].length, blocks: null },
+        { path: middle, sha256: sha256(readFileSync(middle)), size: data[1].length, blocks: [[1, 1]] },
+        { path: last, sha256: sha256(readFileSync(last)), size: data[2].length, blocks: [[0, 1], [2, 1]] },
+      ],
+    });
+    assert.deepEqual(chainFiles(last), [base, middle]);
+    assert.deepEqual(chainFiles(base), []);
+  });
+
+  it('rebuilds every state of the card', async () => {
+    const data = cards();
+    const { middle, last } = writeChain(data);
+    assert.deepEqual(await buffer(openChain(readChain(last)).stream), data[2]);
+    assert.deepEqual(await buffer(openChain(readChain(middle)).stream), data[1]);
+  });
+
+  it('lists the backups newest first', () => {
+    const { base, middle, last } = writeChain(cards());
+    writeFileSync(join(dir, 'other.img'), 'no manifest');
+    const created = ['2025-01-01T00:00:00.000Z', '2025-01-03T00:00:00.000Z', '2025-01-02T00:00:00.000Z'];
+    for (const [index, path] of [base, middle, last].entries()) {
+      const manifest = JSON.parse(readFileSync(`${path}.json`, 'utf8'));
+      writeFileSync(`${path}.json`, JSON.stringify({ ...manifest, created: created[index] }));
+    }
+    assert.deepEqual(listBackups(dir).map(({ image }) => image), [middle, last, base]);
+    assert.deepEqual(listBackups(join(dir, 'missing')), []);
+  });
+
+  it('refuses chains that can\'t be rebuilt', () => {
+    const { base, middle, last } = writeChain(cards());
+    writeFileSync(join(dir, 'lone.delta'), 'x');
+    assert.throws(() => readChain(join(dir, 'lone.delta')), /lone\.delta has no manifest describing what it is rebuilt from/);
+
+    const manifest = JSON.parse(readFileSync(`${last}.json`, 'utf8'));
+    assert.throws(
+      () => readChain(last, { ...manifest, delta: { ...manifest.delta, blockSize: 1024 } }),
+      /pi-3\.delta has blocks of 1024 bytes, this version only reads 4194304/
+    );
+
+    const baseManifest = JSON.parse(readFileSync(`${base}.json`, 'utf8'));
+    writeFileSync(`${base}.json`, JSON.stringify({ ...baseManifest, sha256: { raw: 'a', final: 'b' } }));
+    assert.throws(() => readChain(last), /pi-1\.img was replaced after pi-3\.delta was made/);
+    rmSync(base);
+    assert.throws(() => readChain(last), DeltaError);
+    assert.throws(() => readChain(middle), /pi-1\.img is missing from .* - pi-2\.delta\.gz is rebuilt from it/);
+  });
+
+  it('ends the stream with an error when a file of the chain is cut short', async () => {
+    const { last } = writeChain(cards());
+    writeFileSync(last, readFileSync(last).subarray(0, BLOCK + 10));
+    await assert.rejects(buffer(openChain(readChain(last)).stream), /pi-3\.delta ended early/);
+  });
+});
@@ -0,0 +1,668 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { gunzipSync } from 'zlib';
+import { createJob, createMultiRestore, SHRINKERS, AFTER_JOB, VerifyError } from '../src/engine.js';
+import { RESULTS } from '../src/history.js';
+import { fakeSpawn, fakeLinux, fakeDd } from './fake-spawn.js';
+import { mbr, extFilesystem, EXT_LAYOUT } from './images.js';
+
+// File names a shell would split, expand or take for options
+const NAMES = [
+  'my card.img',
+  'it\'s "quoted".img',
+  '-rf.img',
+  'two\nlines.img',
+  '$(touch pwned).img',
+];
+
+// Bytes of a card or image, different in every 512-byte sector
+function cardData(size) {
+  const data = Buffer.alloc(size);
+  for (let offset = 0; offset < size; offset += 4) data.writeUInt32LE(offset / 4, offset);
+  return data;
+}
+
+// Start `job`, resolving with { event, value, logs } once it is over
+function runJob(job) {
+  const logs = [];
+  job.on('log', message => logs.push(message));
+  return new Promise((resolve) => {
+    for (const event of ['done', 'error', 'cancelled']) job.on(event, value => resolve({ event, value, logs }));
+    job.start();
+  });
+}
+
+// The calls of `spawn` running `program` (also through sudo), as [command, ...args]
+function ran(spawn, program) {
+  return spawn.commandLines().filter(([command, ...args]) => command === program || (command === 'sudo' && args[0] === program));
+}
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('command lines of jobs', () => {
+  it('passes card and image names to dd as single arguments', async () => {
+    for (const name of NAMES) {
+      const card = join(dir, `card ${name}`);
+      const image = join(dir, name);
+      const data = cardData(1024 * 1024 + 512);
+      writeFileSync(card, data);
+      const spawn = fakeSpawn(fakeLinux());
+
+      const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false }, { spawn, platform: 'linux' }));
+      assert.equal(event, 'done', value?.message);
+      assert.deepEqual(ran(spawn, 'test'), [['sudo', 'test', '-e', card]]);
+      assert.deepEqual(ran(spawn, 'lsblk').at(-1), ['lsblk', '-J', '-b', '-d', '-o', 'NAME,MODEL,SERIAL,SIZE', card]);
+      assert.deepEqual(ran(spawn, 'dd'), [['sudo', 'dd', `if=${card}`, 'bs=4M', 'status=progress']]);
+      assert.deepEqual(readFileSync(image), data);
+    }
+  });
+
+  it('restores, verifies and powers off cards with any name', async () => {
+    for (const name of NAMES) {
+      const image = join(dir, name);
+      const card = join(dir, `card ${name}`);
+      const data = cardData(1024 * 1024 + 512);
+      writeFileSync(image, data);
+      writeFileSync(card, Buffer.alloc(2 * 1024 * 1024));
+      const spawn = fakeSpawn(fakeLinux());
+
+      const job = createJob({ type: 'restore', source: image, destination: card, verify: true, after: AFTER_JOB.POWER_OFF }, {
+        spawn, platform: 'linux',
+      });
+      const { event, value } = await runJob(job);
+      assert.equal(event, 'done', value?.message);
+      assert.deepEqual(ran(spawn, 'dd'), [
+        ['sudo', 'dd', `if=${image}`, `of=${card}`, 'bs=4M', 'status=progress', 'conv=fsync'],
+        ['sudo', 'dd', `if=${card}`, 'bs=4M'],
+      ]);
+      assert.deepEqual(ran(spawn, 'blockdev'), [['sudo', 'blockdev', '--flushbufs', card]]);
+      assert.deepEqual(ran(spawn, 'udisksctl'), [['udisksctl', 'power-off', '-b', card]]);
+      assert.deepEqual(readFileSync(card).subarray(0, data.length), data);
+    }
+  });
+
+  it('ends the decompressor\'s options before the image name', async () => {
+    const raw = join(dir, 'raw.img');
+    const data = cardData(64 * 1024);
+    writeFileSync(raw, data);
+    for (const name of NAMES) {
+      const image = join(dir, `${name}.xz`);
+      const card = join(dir, `card ${name}`);
+      writeFileSync(image, 'not really xz');
+      writeFileSync(card, Buffer.alloc(1024 * 1024));
+      // "xz" gives the raw image
+      const spawn = fakeSpawn(fakeLinux({ commands: { xz: (args, child) => fakeDd([`if=${raw}`], child) } }));
+
+      const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+      assert.equal(event, 'done', value?.message);
+      assert.ok(ran(spawn, 'xz').length > 0);
+      for (const call of ran(spawn, 'xz')) assert.deepEqual(call, ['xz', '-dc', '--', image]);
+      assert.deepEqual(ran(spawn, 'dd'), [['sudo', 'dd', `of=${card}`, 'bs=4M', 'status=progress', 'conv=fsync']]);
+      assert.deepEqual(readFileSync(card).subarray(0, data.length), data);
+    }
+  });
+
+  it('ends pishrink\'s options before the image name', async () => {
+    const script = join(dir, 'pishrink.sh');
+    writeFileSync(script, '#!/bin/bash\nversion="v0.1.4"\n');
+    const sha256 = createHash('sha256').update(readFileSync(script)).digest('hex');
+    for (const name of NAMES) {
+      const card = join(dir, `card ${name}`);
+      const image = join(dir, name);
+      writeFileSync(card, cardData(64 * 1024));
+      const spawn = fakeSpawn(fakeLinux());
+
+      const job = createJob({
+        type: 'backup', source: card, destination: image, pishrink: { path: script, sha256, options: ['s'] },
+      }, { spawn, platform: 'linux' });
+      const { event, value } = await runJob(job);
+      assert.equal(event, 'done', value?.message);
+      const [pishrink, ...others] = ran(spawn, 'bash');
+      assert.deepEqual(others, []);
+      assert.deepEqual(pishrink.slice(0, 2), ['sudo', 'bash']);
+      assert.match(pishrink[2], /pishrink\.sh$/);
+      assert.notEqual(pishrink[2], script);  // a private copy of the checked script
+      assert.deepEqual(pishrink.slice(3), ['-v', '-s', '--', image]);
+      assert.ok(!existsSync(pishrink[2]));
+    }
+  });
+
+  it('refuses a pishrink that doesn\'t match its pinned checksum before reading the card', async () => {
+    const script = join(dir, 'pishrink.sh');
+    writeFileSync(script, '#!/bin/bash\nversion="v0.1.4"\n');
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    writeFileSync(card, cardData(64 * 1024));
+    const spawn = fakeSpawn(fakeLinux());
+
+    const job = createJob({
+      type: 'backup', source: card, destination: image, pishrink: { path: script, sha256: 'ab'.repeat(32), options: [] },
+    }, { spawn, platform: 'linux' });
+    const { event, value } = await runJob(job);
+    assert.equal(event, 'error');
+    assert.match(value.message, /pishrink\.sh does not match its pinned SHA-256 \(expected abababababababab\.\.\., got [0-9a-f]{16}\.\.\.\) - refusing to run it as root/);
+    // before the card was read
+    assert.deepEqual(ran(spawn, 'dd'), []);
+    assert.ok(!existsSync(image));
+  });
+
+  it('shrinks with the built-in shrinker while no pishrink is bundled, unless pishrink is asked for', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    const data = Buffer.alloc(1024 * 1024 + EXT_LAYOUT.size, 0x5a);
+    mbr([{ type: 0x83, start: 2048, size: EXT_LAYOUT.size / 512 }]).copy(data, 0);
+    extFilesystem().copy(data, 1024 * 1024);
+    writeFileSync(card, data);
+    const spawn = fakeSpawn(fakeLinux());
+
+    const { event, value, logs } = await runJob(createJob({ type: 'backup', source: card, destination: image }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'done', value?.message);
+    assert.ok(logs.includes('No pinned pishrink is bundled - the image will be shrunk with the built-in shrinker'), logs.join('\n'));
+    assert.deepEqual(ran(spawn, 'bash'), []);
+    assert.equal(JSON.parse(readFileSync(`${image}.json`, 'utf8')).shrinker, SHRINKERS.NATIVE);
+
+    const refused = await runJob(createJob({
+      type: 'backup', source: card, destination: join(dir, 'other.img'), shrinker: SHRINKERS.PISHRINK,
+    }, { spawn, platform: 'linux' }));
+    assert.equal(refused.event, 'error');
+    assert.match(refused.value.message, /^The bundled pishrink is missing/);
+    assert.equal(ran(spawn, 'dd').length, 1);
+  });
+});
+
+describe('jobs', () => {
+  it('backs up a card with its manifest', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    const data = cardData(3 * 1024 * 1024);
+    writeFileSync(card, data);
+
+    const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false }, {
+      spawn: fakeSpawn(fakeLinux()), platform: 'linux',
+    }));
+    assert.equal(event, 'done', value?.message);
+    assert.deepEqual(readFileSync(image), data);
+    const manifest = JSON.parse(readFileSync(`${image}.json`, 'utf8'));
+    const sha256 = createHash('sha256').update(data).digest('hex');
+    assert.deepEqual(manifest.sha256, { raw: sha256, final: sha256 });
+    assert.deepEqual(manifest.source, { device: card, model: 'FakeCard', serial: 'F1', size: data.length });
+    assert.ok(!existsSync(`${image}.journal`));
+  });
+
+  it('backs up a card compressed, hashing the raw data on the way', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img.gz');
+    const data = cardData(3 * 1024 * 1024);
+    writeFileSync(card, data);
+
+    const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, compression: 'gzip', shrink: false }, {
+      spawn: fakeSpawn(fakeLinux()), platform: 'linux',
+    }));
+    assert.equal(event, 'done', value?.message);
+    const stored = readFileSync(image);
+    assert.deepEqual(gunzipSync(stored), data);
+    const manifest = JSON.parse(readFileSync(`${image}.json`, 'utf8'));
+    assert.deepEqual(manifest.sha256, {
+      raw: createHash('sha256').update(data).digest('hex'),
+      final: createHash('sha256').update(stored).digest('hex'),
+    });
+    assert.equal(manifest.image.compression, 'gzip');
+  });
+
+  it('shrinks a backup with the built-in shrinker', async () => {
+    // An ext2 partition at 1 MiB, followed by 1 MiB that belongs to no partition
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    const data = Buffer.alloc(2 * 1024 * 1024 + EXT_LAYOUT.size, 0x5a);
+    mbr([{ type: 0x83, start: 2048, size: EXT_LAYOUT.size / 512 }]).copy(data, 0);
+    extFilesystem().copy(data, 1024 * 1024);
+    writeFileSync(card, data);
+
+    const { event, value, logs } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrinker: SHRINKERS.NATIVE }, {
+      spawn: fakeSpawn(fakeLinux()), platform: 'linux',
+    }));
+    assert.equal(event, 'done', value?.message);
+    assert.ok(logs.includes('Partition 1 (rootfs): 15.9 MB of free blocks'), logs.join('\n'));
+    const shrunk = readFileSync(image);
+    assert.equal(shrunk.length, 1024 * 1024 + EXT_LAYOUT.size);
+    const manifest = JSON.parse(readFileSync(`${image}.json`, 'utf8'));
+    assert.equal(manifest.sha256.raw, createHash('sha256').update(data).digest('hex'));
+    assert.equal(manifest.sha256.final, createHash('sha256').update(shrunk).digest('hex'));
+  });
+
+  it('backs up only the 4 MiB blocks a filesystem uses', async () => {
+    // An ext2 partition at 1 MiB, followed by 1 MiB that belongs to no partition
+    const MIB = 1024 * 1024;
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    const data = Buffer.alloc(2 * MIB + EXT_LAYOUT.size, 0x5a);
+    mbr([{ type: 0x83, start: 2048, size: EXT_LAYOUT.size / 512 }]).copy(data, 0);
+    extFilesystem().copy(data, MIB);
+    writeFileSync(card, data);
+
+    const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false, sparse: true }, {
+      spawn: fakeSpawn(fakeLinux()), platform: 'linux',
+    }));
+    assert.equal(event, 'done', value?.message);
+    // Blocks 1 and 3 hold only free blocks, block 4 free blocks and no partition
+    const expected = Buffer.from(data);
+    expected.fill(0, 4 * MIB, 8 * MIB);
+    expected.fill(0, 12 * MIB);
+    assert.deepEqual(readFileSync(image), expected);
+  });
+
+  it('restores an image to a card', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    const data = cardData(3 * 1024 * 1024);
+    writeFileSync(image, data);
+    writeFileSync(card, Buffer.alloc(4 * 1024 * 1024, 0xff));
+    const spawn = fakeSpawn(fakeLinux());
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card, verify: true }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'done', value?.message);
+    assert.deepEqual(readFileSync(card).subarray(0, data.length), data);
+    assert.deepEqual(ran(spawn, 'sudo').filter(([, arg]) => arg === '-v'), [['sudo', '-v']]);
+  });
+
+  it('refuses an image that doesn\'t match its manifest', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, cardData(64 * 1024));
+    writeFileSync(`${image}.json`, JSON.stringify({ sha256: { raw: 'ab'.repeat(32), final: 'ab'.repeat(32) } }));
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    const spawn = fakeSpawn(fakeLinux());
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.match(value.message, /^Image checksum does not match its manifest \(expected abababababababab\.\.\., got [0-9a-f]{16}\.\.\.\)/);
+    assert.deepEqual(ran(spawn, 'dd'), []);
+  });
+
+  it('unmounts the card first and powers it off afterwards', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, cardData(64 * 1024));
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    // Its boot partition is mounted until it is unmounted
+    const part = `${card}1`;
+    let mounted = true;
+    const lsblk = (args, child) => {
+      if (!args.some(arg => arg.includes('FSTYPE'))) return fakeLinux()({ command: 'lsblk', args }, child);
+      const disk = { name: 'card', path: card, children: [{ name: 'card1', path: part, fstype: 'vfat', mountpoint: mounted ? '/media/bootfs' : null }] };
+      return child.finish(0, { stdout: JSON.stringify({ blockdevices: [disk] }) });
+    };
+    const umount = (args, child) => {
+      mounted = false;
+      child.finish(0);
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { lsblk, umount } }));
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card, after: AFTER_JOB.POWER_OFF }, {
+      spawn, platform: 'linux',
+    }));
+    assert.equal(event, 'done', value?.message);
+    const commands = spawn.commandLines().map(([command, ...args]) => (command === 'sudo' ? args[0] : command));
+    assert.ok(commands.indexOf('umount') < commands.indexOf('dd'));
+    assert.deepEqual(ran(spawn, 'umount'), [['sudo', 'umount', part]]);
+    assert.deepEqual(ran(spawn, 'udisksctl'), [['udisksctl', 'power-off', '-b', card]]);
+  });
+
+  it('refuses to go on while a partition stays mounted', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, cardData(64 * 1024));
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    const lsblk = (args, child) => {
+      if (!args.some(arg => arg.includes('FSTYPE'))) return fakeLinux()({ command: 'lsblk', args }, child);
+      const disk = { name: 'card', path: card, children: [{ name: 'card2', path: `${card}2`, fstype: 'ext4', mountpoint: '/media/rootfs' }] };
+      return child.finish(0, { stdout: JSON.stringify({ blockdevices: [disk] }) });
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { lsblk } }));
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.equal(value.message, `Could not unmount ${card}2 on /media/rootfs - close any programs using the card and try again`);
+    assert.deepEqual(ran(spawn, 'dd'), []);
+  });
+
+  it('stops at sudo refusing access, before touching the card', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, cardData(64 * 1024));
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    const spawn = fakeSpawn(fakeLinux({ sudo: false }));
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.equal(value.message, 'sudo authentication failed. Please run with sudo access.');
+    assert.deepEqual(ran(spawn, 'dd'), []);
+    assert.deepEqual(readFileSync(card), Buffer.alloc(1024 * 1024));
+  });
+
+  it('reports dd failing, keeping the partial raw image', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    writeFileSync(card, cardData(1024 * 1024));
+    const dd = (args, child) => {
+      child.stdout.write(Buffer.alloc(4096));
+      child.finish(1, { stderr: `dd: error reading '${card}': Input/output error\n` });
+    };
+
+    const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false }, {
+      spawn: fakeSpawn(fakeLinux({ commands: { dd } })), platform: 'linux',
+    }));
+    assert.equal(event, 'error');
+    assert.equal(
+      value.message,
+      `dd failed: dd: error reading '${card}': Input/output error - the partial image is kept, resume the backup to continue`
+    );
+    assert.ok(existsSync(image));
+    assert.ok(!existsSync(`${image}.json`));
+  });
+
+  it('refuses to overwrite the disk holding the system', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, cardData(64 * 1024));
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    // The card is a partition of the disk / is on
+    const lsblk = (args, child) => {
+      if (args.includes('-d')) return fakeLinux()({ command: 'lsblk', args }, child);
+      const disk = { name: 'vda', path: '/dev/vda', mountpoint: null, children: [{ name: 'card', path: card, mountpoint: '/' }] };
+      return child.finish(0, { stdout: JSON.stringify({ blockdevices: [disk] }) });
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { lsblk } }));
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.equal(value.message, `${card} is on /dev/vda, the disk holding this computer's system or your home directory - refusing to overwrite it`);
+    assert.deepEqual(ran(spawn, 'dd'), []);
+  });
+
+  it('looks up only the system paths that exist on macOS', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    const data = cardData(64 * 1024);
+    writeFileSync(image, data);
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    // / is on an APFS volume of disk3, backed by disk0; diskutil fails for paths that don't exist
+    const diskutil = ([, target], child) => {
+      if (target === 'disk3') return child.finish(0, { stdout: 'Part of Whole: disk3\nAPFS Physical Store: disk0s2\n' });
+      if (!existsSync(target)) return child.finish(1, { stderr: `Could not find disk: ${target}\n` });
+      return child.finish(0, { stdout: 'Part of Whole: disk3\n' });
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { diskutil } }));
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'darwin' }));
+    assert.equal(event, 'done', value?.message);
+    const looked = ran(spawn, 'diskutil').map(([, , target]) => target).filter(target => target.startsWith('/') && target !== card);
+    assert.ok(looked.includes('/'));
+    assert.ok(looked.every(target => existsSync(target)), looked.join(', '));
+    assert.deepEqual(readFileSync(card).subarray(0, data.length), data);
+  });
+
+  it('refuses a restore, but not a backup, when the disk holding the system can\'t be found', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(card, cardData(1024 * 1024));
+    const lsblk = (args, child) => {
+      if (args.includes('-d')) return fakeLinux()({ command: 'lsblk', args }, child);
+      return child.finish(1, { stderr: 'lsblk: failed to access sysfs directory: /sys/dev/block\n' });
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { lsblk } }));
+
+    const backup = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false }, { spawn, platform: 'linux' }));
+    assert.equal(backup.event, 'done', backup.value?.message);
+    assert.ok(backup.logs.includes('Cannot check which disk holds the system: lsblk: failed to access sysfs directory: /sys/dev/block'));
+    const ddRuns = ran(spawn, 'dd').length;
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.equal(
+      value.message,
+      `Cannot check which disk holds this computer's system (lsblk: failed to access sysfs directory: /sys/dev/block) - refusing to overwrite ${card}`
+    );
+    assert.equal(ran(spawn, 'dd').length, ddRuns);
+  });
+
+  it('refuses a backup the destination has no room for', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    writeFileSync(card, cardData(1024 * 1024));
+    const spawn = fakeSpawn(fakeLinux({ sizes: { [card]: 2 ** 60 } }));
+
+    const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.match(value.message, /^Not enough free space in .*: the backup needs 1073741824\.0 GB, only .* is free$/);
+    assert.deepEqual(ran(spawn, 'dd'), []);
+  });
+
+  it('refuses a card too small for the partitions in the image', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, Buffer.concat([mbr([{ type: 0x83, start: 2048, size: 4096 }]), Buffer.alloc(1024 * 1024 - 512)]));
+    writeFileSync(card, Buffer.alloc(2 * 1024 * 1024));
+    const spawn = fakeSpawn(fakeLinux());
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, { spawn, platform: 'linux' }));
+    assert.equal(event, 'error');
+    assert.equal(value.message, `The partitions in ${image} end at 3.0 MB, beyond the end of ${card} (2.0 MB) - use a bigger card`);
+    assert.deepEqual(ran(spawn, 'dd'), []);
+  });
+
+  it('resumes a failed raw backup after its last checkpointed block', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    const data = cardData(9 * 1024 * 1024);
+    writeFileSync(card, data);
+    // dd reads a block and a half, then fails
+    const dd = (args, child) => {
+      child.stdout.write(data.subarray(0, 6 * 1024 * 1024));
+      child.finish(1, { stderr: `dd: error reading '${card}': Input/output error\n` });
+    };
+    const failed = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false }, {
+      spawn: fakeSpawn(fakeLinux({ commands: { dd } })), platform: 'linux',
+    }));
+    assert.equal(failed.event, 'error');
+    assert.ok(existsSync(`${image}.journal`));
+
+    const spawn = fakeSpawn(fakeLinux());
+    const { event, value } = await runJob(createJob({ type: 'backup', source: card, destination: image, shrink: false, resume: true }, {
+      spawn, platform: 'linux',
+    }));
+    assert.equal(event, 'done', value?.message);
+    assert.deepEqual(ran(spawn, 'dd'), [['sudo', 'dd', `if=${card}`, 'bs=4M', 'status=progress', 'skip=1']]);
+    assert.deepEqual(readFileSync(image), data);
+    assert.ok(!existsSync(`${image}.journal`));
+  });
+
+  it('reports a card pulled out while dd writes it', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    writeFileSync(image, cardData(64 * 1024));
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    const dd = (args, child) => {
+      rmSync(card);
+      child.finish(1, { stderr: `dd: error writing '${card}': No such device\n` });
+    };
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, {
+      spawn: fakeSpawn(fakeLinux({ commands: { dd } })), platform: 'linux',
+    }));
+    assert.equal(event, 'error');
+    assert.equal(value.message, `${card} was removed during the restore - the card is incomplete`);
+  });
+
+  it('reports the decompressor failing, as the card is incomplete', async () => {
+    const image = join(dir, 'pi.img.xz');
+    const card = join(dir, 'card');
+    writeFileSync(image, 'not really xz');
+    writeFileSync(card, Buffer.alloc(1024 * 1024));
+    const xz = (args, child) => {
+      child.stdout.write(cardData(4096));
+      child.finish(1, { stderr: 'xz: (stdin): Compressed data is corrupt\n' });
+    };
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card }, {
+      spawn: fakeSpawn(fakeLinux({ commands: { xz } })), platform: 'linux',
+    }));
+    assert.equal(event, 'error');
+    assert.match(value.message, /^Decompressing .*pi\.img\.xz failed \(exit code 1\) - the card is incomplete$/);
+  });
+
+  it('fails verification when the card reads back differently', async () => {
+    const image = join(dir, 'pi.img');
+    const card = join(dir, 'card');
+    const data = cardData(5 * 1024 * 1024);
+    writeFileSync(image, data);
+    writeFileSync(card, Buffer.alloc(6 * 1024 * 1024));
+    // Reading the card back gives a byte in its second block changed
+    const dd = (args, child) => {
+      if (args.some(arg => arg.startsWith('of='))) return fakeDd(args, child);
+      const read = Buffer.from(data);
+      read[4 * 1024 * 1024 + 300000] ^= 1;
+      child.stdout.write(read);
+      child.finish(0);
+    };
+
+    const { event, value } = await runJob(createJob({ type: 'restore', source: image, destination: card, verify: true }, {
+      spawn: fakeSpawn(fakeLinux({ commands: { dd } })), platform: 'linux',
+    }));
+    assert.equal(event, 'error');
+    assert.ok(value instanceof VerifyError, value.message);
+    assert.equal(value.message, 'Verification failed: card and image differ at offset 4194304 (block 1 of 4 MiB)');
+    assert.equal(value.offset, 4 * 1024 * 1024);
+  });
+
+  it('is cancelled while dd runs, keeping a raw image for resuming', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img');
+    writeFileSync(card, cardData(1024 * 1024));
+    let reading;
+    const started = new Promise((resolve) => {
+      reading = resolve;
+    });
+    // dd reads a little, then hangs until it is killed
+    const dd = (args, child) => {
+      child.stdout.write(Buffer.alloc(4096));
+      reading(child);
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { dd } }));
+    const job = createJob({ type: 'backup', source: card, destination: image, shrink: false }, { spawn, platform: 'linux' });
+
+    const result = runJob(job);
+    const child = await started;
+    await job.cancel();
+    const { event, value } = await result;
+    assert.equal(event, 'cancelled');
+    assert.deepEqual(value, { removed: [], resumable: image });
+    assert.equal(child.killed, true);
+    assert.deepEqual(ran(spawn, 'ps'), [['ps', '-A', '-o', 'pid=,ppid=']]);
+  });
+
+  it('is cancelled while dd runs, deleting a compressed image', async () => {
+    const card = join(dir, 'card');
+    const image = join(dir, 'pi.img.gz');
+    writeFileSync(card, cardData(1024 * 1024));
+    let reading;
+    const started = new Promise((resolve) => {
+      reading = resolve;
+    });
+    const dd = (args, child) => {
+      child.stdout.write(Buffer.alloc(4096));
+      reading(child);
+    };
+    const job = createJob({ type: 'backup', source: card, destination: image, compression: 'gzip', shrink: false }, {
+      spawn: fakeSpawn(fakeLinux({ commands: { dd } })), platform: 'linux',
+    });
+
+    const result = runJob(job);
+    await started;
+    await job.cancel();
+    const { event, value } = await result;
+    assert.equal(event, 'cancelled');
+    assert.deepEqual(value, { removed: [image], resumable: null });
+    assert.ok(!existsSync(image));
+  });
+
+  it('restores one image to several cards, reading it and asking for sudo once', async () => {
+    const image = join(dir, 'pi.img.xz');
+    const raw = join(dir, 'raw.img');
+    const data = cardData(3 * 1024 * 1024);
+    writeFileSync(raw, data);
+    writeFileSync(image, 'not really xz');
+    const cards = ['card a', 'card b'].map(name => join(dir, name));
+    for (const card of cards) writeFileSync(card, Buffer.alloc(4 * 1024 * 1024));
+    // "xz" gives the raw image, also when asked for its size, which is then unknown
+    const spawn = fakeSpawn(fakeLinux({ commands: { xz: (args, child) => fakeDd([`if=${raw}`], child) } }));
+
+    const restore = createMultiRestore({ source: image, destinations: cards, verify: true }, { spawn, platform: 'linux' });
+    const results = await new Promise((resolve) => {
+      restore.on('done', resolve);
+      restore.on('error', resolve);
+      restore.start();
+    });
+    assert.deepEqual(results, cards.map(destination => ({ destination, result: RESULTS.DONE, error: null })));
+    for (const card of cards) assert.deepEqual(readFileSync(card).subarray(0, data.length), data);
+    assert.deepEqual(ran(spawn, 'sudo').filter(([, arg]) => arg === '-v'), [['sudo', '-v']]);
+    // One read of the whole image; the others only look at its partition table
+    assert.equal(ran(spawn, 'xz').length, cards.length + 1);
+  });
+
+  it('leaves out a card that fails verification at the block that differs, the others go on', async () => {
+    const MIB = 1024 * 1024;
+    const image = join(dir, 'pi.img');
+    const data = cardData(9 * MIB);
+    writeFileSync(image, data);
+    const cards = ['card a', 'card b'].map(name => join(dir, name));
+    for (const card of cards) writeFileSync(card, Buffer.alloc(12 * MIB));
+    // Card b reads back with a byte changed in its second 4 MiB block
+    const dd = (args, child) => {
+      if (args.includes(`if=${cards[1]}`)) {
+        const read = Buffer.from(data);
+        read[5 * MIB + 12345] ^= 1;
+        child.stdout.write(read);
+        return child.finish(0);
+      }
+      return fakeDd(args, child);
+    };
+    const spawn = fakeSpawn(fakeLinux({ commands: { dd } }));
+
+    const restore = createMultiRestore({ source: image, destinations: cards, verify: true }, { spawn, platform: 'linux' });
+    const results = await new Promise((resolve) => {
+      restore.on('done', resolve);
+      restore.on('error', resolve);
+      restore.start();
+    });
+    assert.deepEqual(results.map(({ destination, result }) => [destination, result]), [[cards[0], RESULTS.DONE], [cards[1], RESULTS.FAILED]]);
+    assert.ok(results[1].error instanceof VerifyError);
+    assert.equal(results[1].error.message, `Verification failed: card and image differ at offset ${4 * MIB} (block 1 of 4 MiB)`);
+    assert.equal(results[1].error.offset, 4 * MIB);
+  });
+
+  it('touches no card when sudo refuses access', async () => {
+    const image = join(dir, 'pi.img');
+    writeFileSync(image, cardData(64 * 1024));
+    const cards = ['card a', 'card b'].map(name => join(dir, name));
+    for (const card of cards) writeFileSync(card, Buffer.alloc(1024 * 1024));
+    const spawn = fakeSpawn(fakeLinux({ sudo: false }));
+
+    const restore = createMultiRestore({ source: image, destinations: cards }, { spawn, platform: 'linux' });
+    const error = await new Promise((resolve) => {
+      restore.on('error', resolve);
+      restore.on('done', resolve);
+      restore.start();
+    });
+    assert.equal(error.message, 'sudo authentication failed. Please run with sudo access.');
+    assert.deepEqual(ran(spawn, 'dd'), []);
+  });
+});
@@ -0,0 +1,155 @@
+// A stand-in for child_process.spawn that runs no programs: every call is recorded in
+// `spawn.calls` ({ command, args, options }) and answered by `respond(call, child)`, which
+// writes the child's output and ends it with child.finish() (or leaves it running until
+// it is killed).
+//
+// fakeLinux() answers the programs a job runs on Linux for cards that are plain files.
+
+import { EventEmitter, once } from 'events';
+import { createReadStream, createWriteStream, existsSync, statSync } from 'fs';
+import { PassThrough } from 'stream';
+import { finished } from 'stream/promises';
+
+export function fakeSpawn(respond) {
+  const calls = [];
+
+  const spawn = (command, args = [], options = {}) => {
+    const call = { command, args, options };
+    calls.push(call);
+
+    // A stream for each stdio the caller asked to pipe
+    const piped = (index) => {
+      const stdio = Array.isArray(options.stdio) ? options.stdio[index] : options.stdio;
+      return stdio === undefined || stdio === 'pipe' ? new PassThrough() : null;
+    };
+    const child = new EventEmitter();
+    child.pid = 40000 + calls.length;
+    child.stdin = piped(0);
+    child.stdout = piped(1);
+    child.stderr = piped(2);
+    child.killed = false;
+    child.exitCode = null;
+
+    let exited = false;
+    // End the child with `code` (or `signal`); 'close' follows once its output was read
+    child.exit = (code, signal = null) => {
+      if (exited) return;
+      exited = true;
+      child.exitCode = code;
+      child.stdin?.destroy();
+      const outputs = [child.stdout, child.stderr].filter(Boolean);
+      for (const output of outputs) output.end();
+      Promise.all(outputs.map(output => finished(output).catch(() => {})))
+        .then(() => child.emit('close', code, signal));
+    };
+    // Write `stdout` and `stderr`, then exit with `code`
+    child.finish = (code = 0, { stdout = '', stderr = '' } = {}) => {
+      if (exited) return;
+      if (stdout) child.stdout?.write(stdout);
+      if (stderr) child.stderr?.write(stderr);
+      child.exit(code);
+    };
+    child.kill = (signal = 'SIGTERM') => {
+      child.killed = true;
+      child.emit('killed');
+      child.exit(null, signal);
+      return true;
+    };
+
+    setImmediate(() => {
+      Promise.resolve(respond(call, child)).catch((err) => child.finish(1, { stderr: `${err.message}\n` }));
+    });
+    return child;
+  };
+
+  spawn.calls = calls;
+  // The command lines run, as [command, ...args]
+  spawn.commandLines = () => calls.map(({ command, args }) => [command, ...args]);
+  return spawn;
+}
+
+// Resolve once `output` takes more data, is gone or `child` was killed
+function writable(output, child) {
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      child.off('killed', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+    child.on('killed', done);
+  });
+}
+
+// Bytes in a dd block size (4M, 4m, 512)
+function ddSize(text) {
+  const [, number, unit] = text.match(/^(\d+)([kKmM]?)$/);
+  return parseInt(number) * { '': 1, k: 1024, K: 1024, m: 1024 ** 2, M: 1024 ** 2 }[unit];
+}
+
+// dd copying files (or its stdin and stdout) the way the job asks for in `args`. A file
+// written to is never truncated, as a card wouldn't be.
+export async function fakeDd(args, child) {
+  const operands = Object.fromEntries(args.map(arg => arg.split(/=(.*)/s).slice(0, 2)));
+  const blockSize = ddSize(operands.bs || '512');
+  const skip = parseInt(operands.skip || '0') * blockSize;
+  const seek = parseInt(operands.seek || '0') * blockSize;
+  const count = operands.count === undefined ? null : parseInt(operands.count) * blockSize;
+
+  const input = operands.if
+    ? createReadStream(operands.if, { start: skip, ...(count !== null ? { end: skip + count - 1 } : {}) })
+    : child.stdin;
+  const output = operands.of
+    ? createWriteStream(operands.of, { flags: existsSync(operands.of) ? 'r+' : 'w', start: seek })
+    : child.stdout;
+
+  let bytes = 0;
+  for await (const chunk of input) {
+    if (child.killed || output.destroyed) break;
+    bytes += chunk.length;
+    if (!output.write(chunk)) await writable(output, child);
+  }
+  if (child.killed) return;
+  if (operands.of) {
+    output.end();
+    await once(output, 'close');
+  }
+  child.finish(0, { stderr: `${bytes} bytes (${bytes} B) copied, 0.01 s, 100 MB/s\n` });
+}
+
+// Answer the programs a job runs on Linux, for cards that are plain files: lsblk reports
+// each card's size (`sizes[path]`, else the file's) and / on /dev/vda, sudo runs what
+// follows it (`sudo -v` fails unless `sudo` is true), dd copies files, everything else
+// succeeds without output. `commands[name](args, child)` answer `name` first (also when
+// run through sudo).
+export function fakeLinux({ sizes = {}, sudo = true, commands = {} } = {}) {
+  const answer = ({ command, args }, child) => {
+    if (commands[command]) return commands[command](args, child);
+    switch (command) {
+      case 'sudo': {
+        if (args[0] === '-v') return child.finish(sudo ? 0 : 1, { stderr: sudo ? '' : 'Sorry, try again.\n' });
+        const rest = args[0] === '-n' ? args.slice(1) : args;
+        return answer({ command: rest[0], args: rest.slice(1) }, child);
+      }
+      case 'lsblk': {
+        const device = args[args.length - 1];
+        if (args.includes('-d')) {
+          const size = sizes[device] ?? statSync(device).size;
+          const disk = { name: 'card', model: 'FakeCard', serial: 'F1', size };
+          return child.finish(0, { stdout: JSON.stringify({ blockdevices: [disk] }) });
+        }
+        if (args.some(arg => arg.includes('FSTYPE'))) return child.finish(0, { stdout: JSON.stringify({ blockdevices: [] }) });
+        return child.finish(0, { stdout: JSON.stringify({ blockdevices: [{ name: 'vda', path: '/dev/vda', mountpoint: '/' }] }) });
+      }
+      case 'test':
+        return child.finish(existsSync(args[1]) ? 0 : 1);
+      case 'dd':
+        return fakeDd(args, child);
+      default:
+        return child.finish(0);
+    }
+  };
+  return answer;
+}
@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { open } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseFatBootSector, shortName, openFat, FatError } from '../src/fat.js';
+import { fatFilesystem, FAT_LAYOUTS } from './images.js';
+
+// Bytes of a file, different in every position
+function fileData(size, seed = 1) {
+  return Buffer.from(Array.from({ length: size }, (_, i) => (i * 7 + seed) & 0xff));
+}
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+// Write `fs` `offset` bytes into a file and run `use(fat, path)` with it opened by openFat
+async function withFat(fs, use, offset = 0) {
+  const path = join(dir, 'boot.img');
+  writeFileSync(path, Buffer.concat([Buffer.alloc(offset), fs]));
+  const handle = await open(path, 'r+');
+  try {
+    await use(await openFat(handle, offset), path);
+  } finally {
+    await handle.close();
+  }
+}
+
+describe('parseFatBootSector', () => {
+  it('reads the layout of FAT16 and FAT32 filesystems', () => {
+    assert.deepEqual(parseFatBootSector(fatFilesystem(16).subarray(0, 512)), FAT_LAYOUTS[16]);
+    assert.deepEqual(parseFatBootSector(fatFilesystem(32).subarray(0, 512)), FAT_LAYOUTS[32]);
+  });
+
+  it('refuses FAT12', () => {
+    const sector = fatFilesystem(16).subarray(0, 512);
+    sector.writeUInt16LE(8000, 19);
+    assert.throws(() => parseFatBootSector(sector), FatError);
+  });
+
+  it('is null for other sectors', () => {
+    assert.equal(parseFatBootSector(Buffer.alloc(512)), null);
+    const sector = fatFilesystem(16).subarray(0, 512);
+    assert.equal(parseFatBootSector(sector.subarray(0, 511)), null);
+    sector.writeUInt16LE(300, 11);
+    assert.equal(parseFatBootSector(sector), null);
+    // A FAT too small for its clusters
+    const small = fatFilesystem(16).subarray(0, 512);
+    small.writeUInt16LE(10, 22);
+    assert.equal(parseFatBootSector(small), null);
+    // A root directory area on FAT32
+    const fat32 = fatFilesystem(32).subarray(0, 512);
+    fat32.writeUInt16LE(512, 17);
+    assert.equal(parseFatBootSector(fat32), null);
+  });
+});
+
+describe('shortName', () => {
+  it('gives the directory entry name and case flags', () => {
+    assert.deepEqual(shortName('cmdline.txt'), { raw: Buffer.from('CMDLINE TXT', 'latin1'), flags: 0x18 });
+    assert.deepEqual(shortName('SSH'), { raw: Buffer.from('SSH        ', 'latin1'), flags: 0 });
+    assert.deepEqual(shortName('config.TXT'), { raw: Buffer.from('CONFIG  TXT', 'latin1'), flags: 0x08 });
+    assert.deepEqual(shortName('FIRSTRUN.sh'), { raw: Buffer.from('FIRSTRUNSH ', 'latin1'), flags: 0x10 });
+  });
+
+  it('refuses names that aren\'t 8.3 in one case', () => {
+    for (const name of ['Config.txt', 'firstrun9.sh', 'a.b.c', 'user conf.txt', 'x.text', '', '.txt', 'a/b']) {
+      assert.throws(() => shortName(name), FatError, name);
+    }
+  });
+});
+
+describe('openFat', () => {
+  for (const bits of [16, 32]) {
+    it(`writes, reads and replaces files on FAT${bits}`, async () => {
+      await withFat(fatFilesystem(bits), async (fat) => {
+        const data = fileData(3000);
+        await fat.writeFile('cmdline.txt', data);
+        await fat.writeFile('ssh', Buffer.alloc(0));
+        assert.deepEqual(await fat.readFile('cmdline.txt'), data);
+        assert.deepEqual(await fat.readFile('CMDLINE.TXT'), data);
+        assert.deepEqual(await fat.readFile('ssh'), Buffer.alloc(0));
+        assert.equal(await fat.readFile('config.txt'), null);
+
+        await fat.writeFile('cmdline.txt', Buffer.from('console=tty1\n'));
+        assert.deepEqual(await fat.readFile('cmdline.txt'), Buffer.from('console=tty1\n'));
+      });
+    });
+  }
+
+  it('finds the files again after the filesystem is opened anew', async () => {
+    const data = fileData(5000);
+    await withFat(fatFilesystem(16), async (fat, path) => {
+      await fat.writeFile('cmdline.txt', data);
+      const handle = await open(path, 'r');
+      try {
+        assert.deepEqual(await (await openFat(handle)).readFile('cmdline.txt'), data);
+      } finally {
+        await handle.close();
+      }
+    });
+  });
+
+  it('writes the directory entry with its name, case flags, cluster and size', async () => {
+    const layout = FAT_LAYOUTS[16];
+    await withFat(fatFilesystem(16), async (fat, path) => {
+      await fat.writeFile('cmdline.txt', fileData(3000));
+      const image = readFileSync(path);
+      const entry = image.subarray(layout.rootOffset, layout.rootOffset + 32);
+      assert.equal(entry.toString('latin1', 0, 11), 'CMDLINE TXT');
+      assert.equal(entry[11], 0x20);
+      assert.equal(entry[12], 0x18);
+      assert.equal(entry.readUInt16LE(26), 2);
+      assert.equal(entry.readUInt32LE(28), 3000);
+      // Two clusters, chained, in both copies of the FAT
+      const table = image.subarray(layout.fatOffset, layout.fatOffset + layout.fatSize);
+      assert.equal(table.readUInt16LE(2 * 2), 3);
+      assert.equal(table.readUInt16LE(3 * 2), 0xffff);
+      assert.deepEqual(image.subarray(layout.fatOffset + layout.fatSize, layout.fatOffset + 2 * layout.fatSize), table);
+    });
+  });
+
+  it('keeps the case of the entry it finds with a name in the other case', async () => {
+    const layout = FAT_LAYOUTS[16];
+    await withFat(fatFilesystem(16), async (fat, path) => {
+      await fat.writeFile('CONFIG.TXT', Buffer.from('a'));
+      await fat.writeFile('config.txt', Buffer.from('b'));
+      const image = readFileSync(path);
+      assert.equal(image[layout.rootOffset + 12], 0);
+      assert.equal(image[layout.rootOffset + 32], 0);  // no second entry
+      assert.deepEqual(await fat.readFile('CONFIG.TXT'), Buffer.from('b'));
+    });
+  });
+
+  it('frees the clusters of a replaced file and keeps the FSInfo free count', async () => {
+    const layout = FAT_LAYOUTS[32];
+    const freeCount = path => readFileSync(path).readUInt32LE(layout.fsInfoOffset + 488);
+    await withFat(fatFilesystem(32), async (fat, path) => {
+      await fat.writeFile('big.bin', fileData(10 * 512));
+      assert.equal(freeCount(path), layout.clusters - 1 - 10);
+      await fat.writeFile('big.bin', fileData(512));
+      assert.equal(freeCount(path), layout.clusters - 1 - 1);
+    });
+  });
+
+  it('adds clusters to a full FAT32 root directory', async () => {
+    await withFat(fatFilesystem(32), async (fat) => {
+      // A cluster of 512 bytes holds 16 entries
+      const names = Array.from({ length: 40 }, (_, i) => `file${i}.txt`);
+      for (const [index, name] of names.entries()) await fat.writeFile(name, fileData(100, index));
+      for (const [index, name] of names.entries()) assert.deepEqual(await fat.readFile(name), fileData(100, index));
+    });
+  });
+
+  it('refuses to fill a FAT16 root directory past its entries', async () => {
+    const layout = FAT_LAYOUTS[16];
+    const fs = fatFilesystem(16);
+    // All but one of the entries taken by empty files
+    for (let i = 0; i < layout.rootEntries - 1; i++) {
+      fs.write(`F${i}`.padEnd(11), layout.rootOffset + i * 32, 'latin1');
+      fs[layout.rootOffset + i * 32 + 11] = 0x20;
+    }
+    await withFat(fs, async (fat) => {
+      await fat.writeFile('last', Buffer.alloc(0));
+      await assert.rejects(fat.writeFile('more', Buffer.alloc(0)), /The root directory is full/);
+      assert.deepEqual(await fat.readFile('f510'), Buffer.alloc(0));
+    });
+  });
+
+  it('leaves the filesystem as it was when a file doesn\'t fit', async () => {
+    const layout = FAT_LAYOUTS[16];
+    await withFat(fatFilesystem(16), async (fat, path) => {
+      await fat.writeFile('cmdline.txt', fileData(3000));
+      const before = readFileSync(path);
+      await assert.rejects(fat.writeFile('huge.bin', Buffer.alloc(layout.clusters * layout.clusterSize)), /Not enough free space/);
+      assert.deepEqual(readFileSync(path), before);
+      // The clusters looked at aren't taken
+      await fat.writeFile('small.bin', fileData(100));
+      assert.deepEqual(await fat.readFile('small.bin'), fileData(100));
+      assert.equal(readFileSync(path).readUInt16LE(layout.fatOffset + 4 * 2), 0xffff);
+    });
+  });
+
+  it('opens a filesystem inside an image at an offset', async () => {
+    await withFat(fatFilesystem(16), async (fat, path) => {
+      await fat.writeFile('ssh', Buffer.from('x'));
+      assert.equal(readFileSync(path).toString('latin1', 4 * 1024 * 1024 + FAT_LAYOUTS[16].rootOffset, 4 * 1024 * 1024 + FAT_LAYOUTS[16].rootOffset + 3), 'SSH');
+    }, 4 * 1024 * 1024);
+  });
+
+  it('refuses what it can\'t read', async () => {
+    await assert.rejects(withFat(Buffer.alloc(4096), () => {}), /Not a FAT filesystem/);
+    await assert.rejects(withFat(fatFilesystem(16).subarray(0, 4096), () => {}), /The filesystem is cut off/);
+    const damaged = fatFilesystem(16);
+    damaged.write('LOOP    TXT', FAT_LAYOUTS[16].rootOffset, 'latin1');
+    damaged.writeUInt16LE(2, FAT_LAYOUTS[16].rootOffset + 26);
+    damaged.writeUInt32LE(10000, FAT_LAYOUTS[16].rootOffset + 28);
+    damaged.writeUInt16LE(2, FAT_LAYOUTS[16].fatOffset + 2 * 2);  // cluster 2 points at itself
+    await withFat(damaged, async (fat) => {
+      await assert.rejects(fat.readFile('loop.txt'), /The FAT is damaged/);
+    });
+  });
+});
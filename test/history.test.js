@@ -0,0 +1,95 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { mkdtempSync, readFileSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The history directory is fixed when history.js loads, so it goes to a directory of the test's own
+const state = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+process.env.XDG_STATE_HOME = state;
+const { recordJob, readHistory, appendOutput, phaseDurations, RESULTS, HISTORY_DIR } = await import('../src/history.js');
+const { createCustomization } = await import('../src/customize.js');
+after(() => rmSync(state, { recursive: true, force: true }));
+
+describe('appendOutput', () => {
+  it('keeps the last version of a line rewritten with \\r', () => {
+    let text = appendOutput('', 'copying\n1 MB copied\r');
+    text = appendOutput(text, '2 MB copied\r');
+    assert.equal(text, 'copying\n2 MB copied\r');
+    assert.equal(appendOutput(text, '3 MB copied\ndone\n'), 'copying\n3 MB copied\ndone\n');
+  });
+});
+
+describe('recordJob', () => {
+  it('records a job from its start to its end', () => {
+    const job = new EventEmitter();
+    const description = { type: 'backup', source: '/dev/sdb', destination: 'pi.img' };
+    const path = recordJob(job, description);
+    assert.equal(path.startsWith(join(state, 'pi-backup', 'jobs')), true);
+    assert.equal(JSON.parse(readFileSync(path, 'utf8')).result, RESULTS.RUNNING);
+
+    job.emit('phase', 'backing-up');
+    job.emit('log', 'Starting backup');
+    job.emit('output', { command: 'dd', text: '4194304 bytes copied\r' });
+    job.emit('done', { image: 'pi.img' });
+
+    const record = JSON.parse(readFileSync(path, 'utf8'));
+    assert.deepEqual(record.description, description);
+    assert.equal(record.result, RESULTS.DONE);
+    assert.equal(record.image, 'pi.img');
+    assert.deepEqual(record.phases.map(({ phase }) => phase), ['backing-up']);
+    assert.deepEqual(record.log.map(({ message }) => message), ['Starting backup']);
+    assert.equal(record.output, '4194304 bytes copied');
+    assert.deepEqual(phaseDurations(record).map(({ phase }) => phase), ['backing-up']);
+    assert.equal(typeof phaseDurations(record)[0].seconds, 'number');
+  });
+
+  it('records where verification failed and what a cancelled job left', () => {
+    const failed = new EventEmitter();
+    const failedPath = recordJob(failed, { type: 'restore', source: 'pi.img', destination: '/dev/sdb' });
+    failed.emit('error', Object.assign(new Error('Verification failed'), { offset: 4096 }));
+    const cancelled = new EventEmitter();
+    const cancelledPath = recordJob(cancelled, { type: 'backup', source: '/dev/sdb', destination: 'pi.img' });
+    cancelled.emit('cancelled', { removed: [], resumable: 'pi.img' });
+
+    const failedRecord = JSON.parse(readFileSync(failedPath, 'utf8'));
+    assert.equal(failedRecord.result, RESULTS.FAILED);
+    assert.equal(failedRecord.error, 'Verification failed');
+    assert.equal(failedRecord.verifyOffset, 4096);
+    const cancelledRecord = JSON.parse(readFileSync(cancelledPath, 'utf8'));
+    assert.equal(cancelledRecord.result, RESULTS.CANCELLED);
+    assert.equal(cancelledRecord.resumable, 'pi.img');
+  });
+
+  it('keeps a record for each card of a multi-card restore', () => {
+    const destinations = ['/dev/sdb', '/dev/sdc'];
+    const paths = destinations.map(destination => recordJob(new EventEmitter(), { type: 'restore', source: 'pi.img', destination }));
+
+    assert.notEqual(paths[0], paths[1]);
+    assert.deepEqual(paths.map(path => JSON.parse(readFileSync(path, 'utf8')).description.destination), destinations);
+  });
+
+  it('keeps the password hash and Wi-Fi key out of the record, which only the user can read', () => {
+    const customize = createCustomization({
+      hostname: 'kitchen', user: 'pi', password: 'raspberry', wifiSsid: 'Home', wifiPassword: 'correct horse', wifiCountry: 'gb',
+    });
+    const path = recordJob(new EventEmitter(), { type: 'restore', source: 'pi.img', destination: '/dev/sdb', customize });
+
+    const text = readFileSync(path, 'utf8');
+    assert.ok(!text.includes(customize.passwordHash) && !text.includes(customize.wifiPsk));
+    const { description } = JSON.parse(text);
+    assert.equal(description.customize, undefined);
+    assert.ok(description.setup.includes('hostname kitchen'));
+    assert.equal(statSync(path).mode & 0o777, 0o600);
+  });
+});
+
+describe('readHistory', () => {
+  it('reads the recorded jobs newest first', () => {
+    const records = readHistory();
+    assert.ok(records.length > 0);
+    assert.deepEqual(records.map(({ started }) => started), records.map(({ started }) => started).sort().reverse());
+    assert.ok(records.every(({ path }) => path.startsWith(HISTORY_DIR)));
+  });
+});
@@ -0,0 +1,193 @@
+// Builders for the binary structures on cards and images, for feeding the parsers: an MBR
+// sector, small ext2, FAT16 and FAT32 filesystems, GPT headers and entries. Sizes and
+// offsets are in sectors of 512 bytes unless said otherwise.
+
+const SECTOR_SIZE = 512;
+const KIB = 1024;
+
+// A reader (as the parsers take it) of the bytes in `buffer`
+export function bufferReader(buffer) {
+  return { read: async (position, length) => buffer.subarray(position, position + length) };
+}
+
+// An MBR or extended boot record with `entries` ([{ type, start, size, status }], a null
+// entry leaving its slot empty) and the disk id `diskId`
+export function mbr(entries, { diskId = 0 } = {}) {
+  const sector = Buffer.alloc(SECTOR_SIZE);
+  sector.writeUInt32LE(diskId, 440);
+  entries.forEach((entry, slot) => {
+    if (!entry) return;
+    const offset = 446 + slot * 16;
+    sector[offset] = entry.status ?? 0;
+    sector[offset + 4] = entry.type;
+    sector.writeUInt32LE(entry.start, offset + 8);
+    sector.writeUInt32LE(entry.size, offset + 12);
+  });
+  sector.writeUInt16LE(0xaa55, 510);
+  return sector;
+}
+
+// The 16 bytes of the GUID `text`, its first three fields little-endian
+export function guidBytes(text) {
+  const hex = text.replace(/-/g, '');
+  const bytes = Buffer.from(hex, 'hex');
+  bytes.subarray(0, 4).reverse();
+  bytes.subarray(4, 6).reverse();
+  bytes.subarray(6, 8).reverse();
+  return bytes;
+}
+
+// The first 34 sectors of a GPT disk: protective MBR, header and `partitions`
+// ([{ type, first, last, name }], `type` a GUID, null for an empty entry) in 128 entries
+export function gptHead(partitions, { diskGuid = '01234567-89ab-cdef-0123-456789abcdef' } = {}) {
+  const head = Buffer.alloc(34 * SECTOR_SIZE);
+  mbr([{ type: 0xee, start: 1, size: 0xffffffff }]).copy(head, 0);
+  const header = head.subarray(SECTOR_SIZE, 2 * SECTOR_SIZE);
+  header.write('EFI PART', 0, 'latin1');
+  guidBytes(diskGuid).copy(header, 56);
+  header.writeBigUInt64LE(2n, 72);
+  header.writeUInt32LE(128, 80);
+  header.writeUInt32LE(128, 84);
+  partitions.forEach((partition, index) => {
+    if (!partition) return;
+    const entry = head.subarray(2 * SECTOR_SIZE + index * 128, 2 * SECTOR_SIZE + (index + 1) * 128);
+    guidBytes(partition.type).copy(entry, 0);
+    entry.writeBigUInt64LE(BigInt(partition.first), 32);
+    entry.writeBigUInt64LE(BigInt(partition.last), 40);
+    entry.write(partition.name || '', 56, 'utf16le');
+  });
+  return head;
+}
+
+// Layout of the ext2 filesystem extFilesystem() builds: 1 KiB blocks in two groups,
+// the first with blocks 1-100 in use, the second never initialized (only its superblock
+// backup, descriptors, bitmaps and 16 inode table blocks at 8193-8212 are in use)
+export const EXT_LAYOUT = {
+  size: 16384 * KIB,
+  // Byte ranges [start, end) of the filesystem holding free blocks
+  free: [[101 * KIB, 8193 * KIB], [8213 * KIB, 16384 * KIB]],
+};
+
+// An ext2 filesystem (see EXT_LAYOUT) whose blocks all hold 0xa5 bytes but its metadata.
+// `incompat` and `compat` set feature flags.
+export function extFilesystem({ label = 'rootfs', incompat = 0, compat = 0 } = {}) {
+  const blockSize = KIB;
+  const fs = Buffer.alloc(EXT_LAYOUT.size, 0xa5);
+  const block = number => fs.subarray(number * blockSize, (number + 1) * blockSize);
+
+  const superblock = block(1).fill(0);
+  superblock.writeUInt32LE(256, 0x00);      // inodes
+  superblock.writeUInt32LE(16384, 0x04);    // blocks
+  superblock.writeUInt32LE(1, 0x14);        // first data block
+  superblock.writeUInt32LE(0, 0x18);        // log2(block size) - 10
+  superblock.writeUInt32LE(8192, 0x20);     // blocks per group
+  superblock.writeUInt32LE(128, 0x28);      // inodes per group
+  superblock.writeUInt16LE(0xef53, 0x38);
+  superblock.writeUInt32LE(1, 0x4c);        // revision
+  superblock.writeUInt16LE(128, 0x58);      // inode size
+  superblock.writeUInt32LE(compat, 0x5c);
+  superblock.writeUInt32LE(incompat, 0x60);
+  superblock.writeUInt32LE(0x1, 0x64);      // sparse superblock backups
+  superblock.write(label, 0x78, 'latin1');
+
+  const descriptors = block(2).fill(0);
+  // Group 0: bitmaps at 3 and 4, inode table from 5
+  descriptors.writeUInt32LE(3, 0x00);
+  descriptors.writeUInt32LE(4, 0x04);
+  descriptors.writeUInt32LE(5, 0x08);
+  // Group 1: bitmaps at 8195 and 8196, inode table from 8197, block bitmap never initialized
+  descriptors.writeUInt32LE(8195, 0x20);
+  descriptors.writeUInt32LE(8196, 0x24);
+  descriptors.writeUInt32LE(8197, 0x28);
+  descriptors.writeUInt16LE(0x2, 0x20 + 0x12);
+
+  const bitmap = block(3).fill(0);
+  for (let i = 0; i < 100; i++) bitmap[i >> 3] |= 1 << (i & 7);
+  return fs;
+}
+
+// Layouts of the FAT filesystems fatFilesystem() builds, as parseFatBootSector gives them
+export const FAT_LAYOUTS = {
+  16: {
+    bits: 16,
+    clusters: 5101,
+    clusterSize: 2048,
+    fats: 2,
+    fatOffset: 2048,
+    fatSize: 10240,
+    rootOffset: 22528,
+    rootEntries: 512,
+    rootCluster: null,
+    fsInfoOffset: null,
+    dataOffset: 38912,
+  },
+  32: {
+    bits: 32,
+    clusters: 68874,
+    clusterSize: 512,
+    fats: 2,
+    fatOffset: 16384,
+    fatSize: 280064,
+    rootOffset: 576512,
+    rootEntries: 0,
+    rootCluster: 2,
+    fsInfoOffset: 512,
+    dataOffset: 576512,
+  },
+};
+
+// An empty FAT16 (10 MiB, clusters of 4 sectors) or FAT32 (70000 sectors, clusters of one
+// sector) filesystem, as mkfs.fat would make it
+export function fatFilesystem(bits, { label = 'bootfs' } = {}) {
+  const fat32 = bits === 32;
+  const totalSectors = fat32 ? 70000 : 20480;
+  const reservedSectors = fat32 ? 32 : 4;
+  const fatSectors = fat32 ? 547 : 20;
+  const fs = Buffer.alloc(totalSectors * SECTOR_SIZE);
+
+  const boot = fs.subarray(0, SECTOR_SIZE);
+  boot.set([0xeb, 0x58, 0x90]);
+  boot.write('mkfs.fat', 3, 'latin1');
+  boot.writeUInt16LE(SECTOR_SIZE, 11);
+  boot[13] = fat32 ? 1 : 4;
+  boot.writeUInt16LE(reservedSectors, 14);
+  boot[16] = 2;
+  boot.writeUInt16LE(fat32 ? 0 : 512, 17);
+  boot.writeUInt16LE(fat32 ? 0 : totalSectors, 19);
+  boot[21] = 0xf8;
+  boot.writeUInt32LE(fat32 ? totalSectors : 0, 32);
+  const signature = fat32 ? 66 : 38;
+  if (fat32) {
+    boot.writeUInt32LE(fatSectors, 36);
+    boot.writeUInt32LE(2, 44);   // root directory cluster
+    boot.writeUInt16LE(1, 48);   // FSInfo sector
+  } else {
+    boot.writeUInt16LE(fatSectors, 22);
+  }
+  boot[signature] = 0x29;
+  boot.write(label.toUpperCase().padEnd(11), signature + 5, 'latin1');
+  boot.write(fat32 ? 'FAT32   ' : 'FAT16   ', signature + 16, 'latin1');
+  boot.writeUInt16LE(0xaa55, 510);
+
+  for (let copy = 0; copy < 2; copy++) {
+    const table = fs.subarray((reservedSectors + copy * fatSectors) * SECTOR_SIZE);
+    if (fat32) {
+      table.writeUInt32LE(0x0ffffff8, 0);
+      table.writeUInt32LE(0x0fffffff, 4);
+      table.writeUInt32LE(0x0fffffff, 8);  // the root directory
+    } else {
+      table.writeUInt16LE(0xfff8, 0);
+      table.writeUInt16LE(0xffff, 2);
+    }
+  }
+
+  if (fat32) {
+    const info = fs.subarray(SECTOR_SIZE, 2 * SECTOR_SIZE);
+    info.writeUInt32LE(0x41615252, 0);
+    info.writeUInt32LE(0x61417272, 484);
+    info.writeUInt32LE(FAT_LAYOUTS[32].clusters - 1, 488);
+    info.writeUInt32LE(3, 492);
+    info.writeUInt32LE(0xaa550000, 508);
+  }
+  return fs;
+}
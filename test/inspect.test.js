@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePartitionTable, parseGptEntries, readPartitions, detectFilesystem, parseOsRelease, InspectError } from '../src/inspect.js';
+import { bufferReader, mbr, gptHead, extFilesystem, fatFilesystem } from './images.js';
+
+const LINUX = '0fc63daf-8483-4772-8e79-3d69d8477de4';
+const EFI = 'c12a7328-f81f-11d2-ba4b-00a0c93ec93b';
+
+// `sectors` ({ [sector]: Buffer }) placed in a card of `size` sectors
+function sectorsOf(size, sectors) {
+  const data = Buffer.alloc(size * 512);
+  for (const [sector, buffer] of Object.entries(sectors)) buffer.copy(data, Number(sector) * 512);
+  return data;
+}
+
+describe('parsePartitionTable', () => {
+  it('reads the primary partitions of an MBR', () => {
+    const head = mbr([
+      { type: 0x0c, start: 8192, size: 1048576, status: 0x80 },
+      { type: 0x83, start: 1056768, size: 7000000 },
+      null,
+      { type: 0x42, start: 8056768, size: 2048 },
+    ], { diskId: 0x3a90e54f });
+    assert.deepEqual(parsePartitionTable(head), {
+      table: 'MBR',
+      diskId: '3a90e54f',
+      partitions: [
+        { number: 1, start: 8192 * 512, size: 1048576 * 512, type: 'W95 FAT32 (LBA)' },
+        { number: 2, start: 1056768 * 512, size: 7000000 * 512, type: 'Linux' },
+        { number: 4, start: 8056768 * 512, size: 2048 * 512, type: 'type 0x42' },
+      ],
+      gpt: null,
+      extended: null,
+    });
+  });
+
+  it('tells where the extended partition is', () => {
+    const head = mbr([{ type: 0x0c, start: 8192, size: 8192 }, { type: 0x0f, start: 16384, size: 65536 }]);
+    const layout = parsePartitionTable(head);
+    assert.deepEqual(layout.partitions.map(partition => partition.number), [1]);
+    assert.deepEqual(layout.extended, { start: 16384 * 512, size: 65536 * 512 });
+  });
+
+  it('tells where the entries of a GPT are', () => {
+    assert.deepEqual(parsePartitionTable(gptHead([])), {
+      table: 'GPT',
+      diskId: '01234567-89ab-cdef-0123-456789abcdef',
+      partitions: [],
+      gpt: { entriesOffset: 1024, entries: 128, entrySize: 128 },
+      extended: null,
+    });
+  });
+
+  it('refuses a protective MBR without a GPT header', () => {
+    assert.throws(() => parsePartitionTable(gptHead([]).subarray(0, 512)), InspectError);
+    const head = gptHead([]);
+    head.write('NOT PART', 512, 'latin1');
+    assert.throws(() => parsePartitionTable(head), /Protective MBR without a GPT header/);
+  });
+
+  it('is null for sectors that hold no partition table', () => {
+    assert.equal(parsePartitionTable(Buffer.alloc(512)), null);
+    assert.equal(parsePartitionTable(mbr([])), null);
+    // A filesystem on the whole card, whose boot sector ends the same way
+    assert.equal(parsePartitionTable(fatFilesystem(16).subarray(0, 4096)), null);
+    // Entries that can't be, as boot code would give them
+    assert.equal(parsePartitionTable(mbr([{ type: 0x83, start: 0, size: 100 }])), null);
+    assert.equal(parsePartitionTable(mbr([{ type: 0x83, start: 2048, size: 100, status: 0x12 }])), null);
+  });
+});
+
+describe('parseGptEntries', () => {
+  it('reads the used entries with their names, keeping their numbers', () => {
+    const head = gptHead([
+      { type: EFI, first: 2048, last: 526335, name: 'boot' },
+      null,
+      { type: LINUX, first: 526336, last: 15523806, name: 'root filesystem' },
+      { type: '01234567-0000-0000-0000-000000000001', first: 15523807, last: 15523807 },
+    ]);
+    assert.deepEqual(parseGptEntries(head.subarray(1024, 1024 + 4 * 128), 128), [
+      { number: 1, start: 2048 * 512, size: 524288 * 512, type: 'EFI System', name: 'boot' },
+      { number: 3, start: 526336 * 512, size: 14997471 * 512, type: 'Linux filesystem', name: 'root filesystem' },
+      { number: 4, start: 15523807 * 512, size: 512, type: '01234567-0000-0000-0000-000000000001', name: null },
+    ]);
+  });
+
+  it('ignores a cut-off entry', () => {
+    const head = gptHead([{ type: LINUX, first: 34, last: 99 }]);
+    assert.deepEqual(parseGptEntries(head.subarray(1024, 1024 + 127), 128), []);
+  });
+});
+
+describe('readPartitions', () => {
+  it('follows the chain of extended boot records', async () => {
+    const card = sectorsOf(40000, {
+      0: mbr([{ type: 0x0c, start: 8192, size: 8192 }, { type: 0x05, start: 16384, size: 20000 }]),
+      // Logical partitions start relative to their record, the next record relative to the extended partition
+      16384: mbr([{ type: 0x83, start: 2048, size: 8192 }, { type: 0x05, start: 16384, size: 3000 }]),
+      32768: mbr([{ type: 0x82, start: 1024, size: 1000 }]),
+    });
+    const { layout, partitions } = await readPartitions(bufferReader(card));
+    assert.equal(layout.table, 'MBR');
+    assert.deepEqual(partitions, [
+      { number: 1, start: 8192 * 512, size: 8192 * 512, type: 'W95 FAT32 (LBA)' },
+      { number: 5, start: (16384 + 2048) * 512, size: 8192 * 512, type: 'Linux' },
+      { number: 6, start: (32768 + 1024) * 512, size: 1000 * 512, type: 'Linux swap' },
+    ]);
+  });
+
+  it('stops at a record pointing back', async () => {
+    const card = sectorsOf(20000, {
+      0: mbr([{ type: 0x05, start: 8192, size: 8192 }]),
+      8192: mbr([{ type: 0x83, start: 2048, size: 100 }, { type: 0x05, start: 0, size: 8192 }]),
+    });
+    const { partitions } = await readPartitions(bufferReader(card));
+    assert.deepEqual(partitions.map(partition => partition.number), [5]);
+  });
+
+  it('stops at a record without the signature', async () => {
+    const card = sectorsOf(20000, { 0: mbr([{ type: 0x0c, start: 2048, size: 100 }, { type: 0x85, start: 8192, size: 8192 }]) });
+    const { partitions } = await readPartitions(bufferReader(card));
+    assert.deepEqual(partitions.map(partition => partition.number), [1]);
+  });
+
+  it('reads the entries of a GPT, sorted by their start', async () => {
+    const head = gptHead([
+      { type: LINUX, first: 600000, last: 699999, name: 'root' },
+      { type: EFI, first: 2048, last: 4095, name: 'boot' },
+    ]);
+    const { layout, partitions } = await readPartitions(bufferReader(head));
+    assert.equal(layout.table, 'GPT');
+    assert.deepEqual(partitions.map(({ number, name }) => [number, name]), [[2, 'boot'], [1, 'root']]);
+  });
+
+  it('refuses a GPT header with entries it can\'t read', async () => {
+    const head = gptHead([]);
+    head.writeUInt32LE(64, 512 + 84);
+    await assert.rejects(readPartitions(bufferReader(head)), /Invalid GPT header/);
+    head.writeUInt32LE(128, 512 + 84);
+    head.writeUInt32LE(100000, 512 + 80);
+    await assert.rejects(readPartitions(bufferReader(head)), /Invalid GPT header/);
+  });
+
+  it('gives no partitions without a table', async () => {
+    const { layout, partitions } = await readPartitions(bufferReader(Buffer.alloc(34 * 512)));
+    assert.equal(layout, null);
+    assert.deepEqual(partitions, []);
+  });
+});
+
+describe('detectFilesystem', () => {
+  it('tells ext2, ext3 and ext4 apart, with their label', () => {
+    assert.deepEqual(detectFilesystem(extFilesystem().subarray(0, 4096)), { type: 'ext2', label: 'rootfs' });
+    assert.deepEqual(detectFilesystem(extFilesystem({ compat: 0x4 }).subarray(0, 4096)), { type: 'ext3', label: 'rootfs' });
+    assert.deepEqual(detectFilesystem(extFilesystem({ incompat: 0x40, label: '' }).subarray(0, 4096)), { type: 'ext4', label: null });
+  });
+
+  it('recognizes FAT, swap, NTFS and exFAT', () => {
+    assert.deepEqual(detectFilesystem(fatFilesystem(16).subarray(0, 4096)), { type: 'FAT16', label: 'BOOTFS' });
+    assert.deepEqual(detectFilesystem(fatFilesystem(32, { label: 'NO NAME' }).subarray(0, 4096)), { type: 'FAT32', label: null });
+    const fat12 = fatFilesystem(16).subarray(0, 4096);
+    fat12.writeUInt16LE(8000, 19);
+    assert.deepEqual(detectFilesystem(fat12), { type: 'FAT12', label: 'BOOTFS' });
+
+    const swap = Buffer.alloc(4096);
+    swap.write('SWAPSPACE2', 4086, 'latin1');
+    swap.write('swap', 1052, 'latin1');
+    assert.deepEqual(detectFilesystem(swap), { type: 'swap', label: 'swap' });
+    const ntfs = Buffer.alloc(4096);
+    ntfs.write('NTFS    ', 3, 'latin1');
+    assert.deepEqual(detectFilesystem(ntfs), { type: 'NTFS', label: null });
+    const exfat = Buffer.alloc(4096);
+    exfat.write('EXFAT   ', 3, 'latin1');
+    assert.deepEqual(detectFilesystem(exfat), { type: 'exFAT', label: null });
+  });
+
+  it('is null for anything else', () => {
+    assert.equal(detectFilesystem(Buffer.alloc(4096)), null);
+    assert.equal(detectFilesystem(mbr([{ type: 0x83, start: 2048, size: 100 }])), null);
+  });
+});
+
+describe('parseOsRelease', () => {
+  it('reads the name, id, version and codename, unquoting values', () => {
+    const text = [
+      'PRETTY_NAME="Debian GNU/Linux 12 (bookworm)"',
+      'NAME="Debian GNU/Linux"',
+      'VERSION_ID="12"',
+      'ID=debian',
+      'VERSION_CODENAME=bookworm',
+      '# a comment',
+      'HOME_URL=\'https://www.debian.org/\'',
+    ].join('\n');
+    assert.deepEqual(parseOsRelease(text), { name: 'Debian GNU/Linux 12 (bookworm)', id: 'debian', version: '12', codename: 'bookworm' });
+  });
+
+  it('makes up a name without PRETTY_NAME and leaves out what is missing', () => {
+    assert.deepEqual(parseOsRelease('NAME="Raspbian GNU/Linux"\nVERSION="10 (buster)"\n'), {
+      name: 'Raspbian GNU/Linux 10 (buster)', id: null, version: null, codename: null,
+    });
+    assert.deepEqual(parseOsRelease(''), { name: null, id: null, version: null, codename: null });
+  });
+});
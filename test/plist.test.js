@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlist } from '../src/plist.js';
+
+describe('parsePlist', () => {
+  it('reads what diskutil prints', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+\t<key>AllDisksAndPartitions</key>
+\t<array>
+\t\t<dict>
+\t\t\t<key>Content</key>
+\t\t\t<string>FDisk_partition_scheme</string>
+\t\t\t<key>DeviceIdentifier</key>
+\t\t\t<string>disk4</string>
+\t\t\t<key>Partitions</key>
+\t\t\t<array>
+\t\t\t\t<dict>
+\t\t\t\t\t<key>VolumeName</key>
+\t\t\t\t\t<string>bootfs</string>
+\t\t\t\t\t<key>Size</key>
+\t\t\t\t\t<integer>536870912</integer>
+\t\t\t\t</dict>
+\t\t\t</array>
+\t\t\t<key>Size</key>
+\t\t\t<integer>31914983424</integer>
+\t\t</dict>
+\t</array>
+\t<key>Removable</key>
+\t<true/>
+\t<key>Internal</key>
+\t<false/>
+</dict>
+</plist>
+`;
+    assert.deepEqual(parsePlist(xml), {
+      AllDisksAndPartitions: [
+        {
+          Content: 'FDisk_partition_scheme',
+          DeviceIdentifier: 'disk4',
+          Partitions: [{ VolumeName: 'bootfs', Size: 536870912 }],
+          Size: 31914983424,
+        },
+      ],
+      Removable: true,
+      Internal: false,
+    });
+  });
+
+  it('reads every kind of value', () => {
+    const xml = '<plist><dict>' +
+      '<key>real</key><real>1.5</real>' +
+      '<key>date</key><date>2025-02-01T10:00:00Z</date>' +
+      '<key>data</key><data>\n\tAAEC\n\tAw==\n</data>' +
+      '<key>empty</key><string></string>' +
+      '<key>selfClosing</key><string/>' +
+      '<key>emptyDict</key><dict/>' +
+      '<key>emptyArray</key><array/>' +
+      '<key></key><string>no key</string>' +
+      '</dict></plist>';
+    assert.deepEqual(parsePlist(xml), {
+      real: 1.5,
+      date: '2025-02-01T10:00:00Z',
+      data: 'AAECAw==',
+      empty: '',
+      selfClosing: '',
+      emptyDict: {},
+      emptyArray: [],
+      '': 'no key',
+    });
+  });
+
+  it('unescapes text and keys', () => {
+    const xml = '<dict><key>a &amp; b</key><string>&lt;Tom&apos;s &quot;card&quot;&gt; &amp;amp;</string></dict>';
+    assert.deepEqual(parsePlist(xml), { 'a & b': '<Tom\'s "card"> &amp;' });
+  });
+
+  it('refuses plists it can\'t read', () => {
+    assert.throws(() => parsePlist(''), /Unexpected end of plist/);
+    assert.throws(() => parsePlist('<dict><key>a</key><string>b</string>'), /Unexpected end of plist/);
+    assert.throws(() => parsePlist('<dict><string>b</string></dict>'), /Expected <key> in plist dict/);
+    assert.throws(() => parsePlist('<string>a</integer>'), /Unclosed <string> in plist/);
+    assert.throws(() => parsePlist('text'), /Unexpected text in plist/);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  shellQuote, remoteShellPath, sshArgs, parseRemote, remoteCommands, remoteDeviceCommands, RemoteError, QUIESCE,
+} from '../src/remote.js';
+
+// File names a shell would split, expand or take for options
+const NAMES = [
+  'my image.img',
+  'it\'s "quoted".img',
+  '-rf.img',
+  '--help',
+  'two\nlines.img',
+  '$(touch pwned).img',
+  '`touch pwned`; $HOME | * ?.img',
+];
+
+// Run the shell command `command` in `cwd`, with each of `programs` replaced by a
+// function printing its name and arguments (NUL-separated); resolves with the words printed
+function wordsSeen(command, { programs = [], cwd, env } = {}) {
+  const stubs = programs.map(program => `${program}() { printf '%s\\0' ${program} "$@"; }; `).join('');
+  const { stdout, status, stderr } = spawnSync('sh', ['-c', stubs + command], { cwd, env: { ...process.env, ...env } });
+  assert.equal(status, 0, stderr.toString());
+  return stdout.toString().split('\0').slice(0, -1);
+}
+
+describe('shellQuote', () => {
+  it('quotes a word in single quotes', () => {
+    assert.equal(shellQuote('my image.img'), '\'my image.img\'');
+    assert.equal(shellQuote('$(touch pwned).img'), '\'$(touch pwned).img\'');
+    assert.equal(shellQuote('two\nlines.img'), '\'two\nlines.img\'');
+    assert.equal(shellQuote(''), '\'\'');
+  });
+
+  it('closes the quotes around a single quote', () => {
+    assert.equal(shellQuote('it\'s'), '\'it\'\\\'\'s\'');
+  });
+
+  it('gives the shell back each name as one word', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+    try {
+      for (const name of NAMES) {
+        assert.deepEqual(wordsSeen(`echo ${shellQuote(name)}`, { programs: ['echo'], cwd: dir }), ['echo', name]);
+      }
+      assert.deepEqual(readdirSync(dir), []);  // nothing was run
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('remoteShellPath', () => {
+  it('leaves a leading ~ unquoted and quotes the rest', () => {
+    assert.equal(remoteShellPath('~'), '~');
+    assert.equal(remoteShellPath('~/my image.img'), '~/\'my image.img\'');
+    assert.equal(remoteShellPath('~/$(touch pwned)'), '~/\'$(touch pwned)\'');
+  });
+
+  it('quotes other paths whole', () => {
+    assert.equal(remoteShellPath('/srv/-rf.img'), '\'/srv/-rf.img\'');
+    assert.equal(remoteShellPath('~user/pi.img'), '\'~user/pi.img\'');
+    assert.equal(remoteShellPath('relative/~/pi.img'), '\'relative/~/pi.img\'');
+  });
+});
+
+describe('parseRemote', () => {
+  it('keeps any characters of the path', () => {
+    for (const name of NAMES) {
+      assert.deepEqual(parseRemote(`ssh://pi@nas:2222/srv/${name}`), { user: 'pi', host: 'nas', port: 2222, path: `/srv/${name}` });
+    }
+    assert.deepEqual(parseRemote('ssh://nas/~/my image.img'), { user: null, host: 'nas', port: null, path: '~/my image.img' });
+  });
+
+  it('refuses hosts that ssh would take for options', () => {
+    assert.throws(() => parseRemote('ssh://-oProxyCommand=touch_pwned/pi.img'), RemoteError);
+    assert.throws(() => parseRemote('ssh://-nas/pi.img'), RemoteError);
+    assert.throws(() => parseRemote('ssh://nas$(id)/pi.img'), RemoteError);
+  });
+});
+
+describe('sshArgs', () => {
+  it('ends the options before the destination and passes the command as one argument', () => {
+    const remote = parseRemote('ssh://-oProxyCommand=x@nas:2222/srv/pi.img');
+    assert.deepEqual(sshArgs(remote, 'cat -- \'/srv/pi.img\''), [
+      '-o', 'BatchMode=yes', '-o', 'ConnectTimeout=15', '-p', '2222', '--', '-oProxyCommand=x@nas', 'cat -- \'/srv/pi.img\'',
+    ]);
+  });
+
+  it('unbrackets IPv6 addresses', () => {
+    assert.deepEqual(sshArgs(parseRemote('ssh://[::1]/pi.img'), 'true').slice(-2), ['::1', 'true']);
+  });
+});
+
+describe('remoteCommands', () => {
+  let dir;
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('builds the exact command strings', () => {
+    const path = '/srv/$(touch pwned) it\'s.img';
+    const quoted = '\'/srv/$(touch pwned) it\'\\\'\'s.img\'';
+    assert.equal(remoteCommands.read(path), `cat -- ${quoted}`);
+    assert.equal(remoteCommands.unzip(path), `unzip -p ${quoted}`);
+    assert.equal(remoteCommands.write(path), `cat > ${quoted}`);
+    assert.equal(remoteCommands.remove(path), `rm -f -- ${quoted}`);
+    assert.equal(remoteCommands.size(path), `wc -c < ${quoted}`);
+    assert.equal(remoteCommands.sha256(path), `sha256sum -- ${quoted} 2>/dev/null || shasum -a 256 -- ${quoted}`);
+    assert.equal(remoteCommands.read('~/pi.img'), 'cat -- ~/\'pi.img\'');
+  });
+
+  it('passes each path to the programs as one argument', () => {
+    for (const name of NAMES) {
+      const path = join(dir, name);
+      assert.deepEqual(wordsSeen(remoteCommands.read(path), { programs: ['cat'], cwd: dir }), ['cat', '--', path]);
+      assert.deepEqual(wordsSeen(remoteCommands.unzip(path), { programs: ['unzip'], cwd: dir }), ['unzip', '-p', path]);
+      assert.deepEqual(wordsSeen(remoteCommands.remove(path), { programs: ['rm'], cwd: dir }), ['rm', '-f', '--', path]);
+      assert.deepEqual(wordsSeen(remoteCommands.sha256(path), { programs: ['sha256sum'], cwd: dir }), ['sha256sum', '--', path]);
+      assert.deepEqual(wordsSeen(remoteCommands.list(path), { programs: ['cd', 'pwd'], cwd: dir }), ['cd', '--', path, 'pwd']);
+    }
+    assert.deepEqual(readdirSync(dir), []);
+  });
+
+  it('writes and reads files with those names', () => {
+    for (const name of NAMES) {
+      wordsSeen(`echo data | ${remoteCommands.write(`~/${name}`)}`, { cwd: dir, env: { HOME: dir } });
+      const { stdout } = spawnSync('sh', ['-c', remoteCommands.size(`~/${name}`)], { env: { ...process.env, HOME: dir } });
+      assert.equal(stdout.toString().trim(), '5');
+    }
+    assert.deepEqual(readdirSync(dir).sort(), [...NAMES].sort());
+  });
+});
+
+describe('remoteDeviceCommands', () => {
+  it('names the device in its error as one word', () => {
+    for (const name of NAMES) {
+      const { status, stderr } = spawnSync('sh', ['-c', remoteDeviceCommands.info(`/nonexistent/${name}`)]);
+      assert.equal(status, 1);
+      assert.equal(stderr.toString(), `/nonexistent/${name} is not a block device\n`);
+    }
+  });
+
+  it('reads the device through sudo sh -c with its path quoted twice', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+    try {
+      for (const name of NAMES) {
+        const device = join(dir, name);
+        writeFileSync(device, `card ${name}`);
+        // sudo -n runs the rest itself
+        const { stdout, status, stderr } = spawnSync('sh', ['-c', `sudo() { shift; "$@"; }; ${remoteDeviceCommands.read(device, QUIESCE.SYNC)}`], {
+          cwd: dir,
+        });
+        assert.equal(status, 0, stderr.toString());
+        assert.equal(stdout.toString(), `card ${name}`);
+      }
+      assert.deepEqual(readdirSync(dir).sort(), [...NAMES].sort());
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { open } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseMbr, parseExtSuperblock, extBitmapProblem, extFreeRanges, writeSparse, shrinkImage, ShrinkError } from '../src/shrink.js';
+import { bufferReader, mbr, extFilesystem, EXT_LAYOUT } from './images.js';
+
+const MIB = 1024 * 1024;
+
+// An image with the ext2 filesystem of extFilesystem() as partition 1 at 1 MiB, followed
+// by 1 MiB that belongs to no partition
+function extImage(options) {
+  const image = Buffer.alloc(2 * MIB + EXT_LAYOUT.size, 0x5a);
+  mbr([{ type: 0x83, start: 2048, size: EXT_LAYOUT.size / 512 }]).copy(image, 0);
+  extFilesystem(options).copy(image, MIB);
+  return image;
+}
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('parseMbr', () => {
+  it('gives the primary partitions in bytes', () => {
+    const sector = mbr([{ type: 0x0c, start: 8192, size: 1048576, status: 0x80 }, null, { type: 0x83, start: 1056768, size: 7000000 }]);
+    assert.deepEqual(parseMbr(sector), [
+      { number: 1, type: 0x0c, start: 8192 * 512, size: 1048576 * 512 },
+      { number: 3, type: 0x83, start: 1056768 * 512, size: 7000000 * 512 },
+    ]);
+  });
+
+  it('refuses sectors without the signature, and GPT disks', () => {
+    assert.throws(() => parseMbr(Buffer.alloc(512)), ShrinkError);
+    assert.throws(() => parseMbr(mbr([]).subarray(0, 511)), /No MBR partition table found/);
+    assert.throws(() => parseMbr(mbr([{ type: 0xee, start: 1, size: 0xffffffff }])), /GPT partition tables are not supported/);
+  });
+});
+
+describe('parseExtSuperblock', () => {
+  it('reads the layout of the filesystem', () => {
+    const superblock = parseExtSuperblock(extFilesystem().subarray(1024, 2048));
+    assert.deepEqual(superblock, {
+      blockSize: 1024,
+      blocksCount: 16384,
+      firstDataBlock: 1,
+      blocksPerGroup: 8192,
+      inodesPerGroup: 128,
+      inodeSize: 128,
+      reservedGdtBlocks: 0,
+      descSize: 32,
+      sparseSuper: true,
+      backupGroups: null,
+      is64bit: false,
+      needsRecovery: false,
+      metaBg: false,
+      label: 'rootfs',
+    });
+  });
+
+  it('reads the high half of the block count of 64-bit filesystems', () => {
+    const buffer = extFilesystem({ incompat: 0x80 }).subarray(1024, 2048);
+    buffer.writeUInt32LE(1, 0x150);
+    buffer.writeUInt16LE(64, 0xfe);
+    const superblock = parseExtSuperblock(buffer);
+    assert.equal(superblock.blocksCount, 2 ** 32 + 16384);
+    assert.equal(superblock.descSize, 64);
+    assert.equal(superblock.is64bit, true);
+  });
+
+  it('is null without the magic number', () => {
+    assert.equal(parseExtSuperblock(Buffer.alloc(1024)), null);
+    assert.equal(parseExtSuperblock(extFilesystem().subarray(1024, 2000)), null);
+  });
+});
+
+describe('extBitmapProblem', () => {
+  const partition = { number: 2, start: MIB, size: EXT_LAYOUT.size };
+  const superblock = options => parseExtSuperblock(extFilesystem(options).subarray(1024, 2048));
+
+  it('is null for a clean filesystem that fits its partition', () => {
+    assert.equal(extBitmapProblem(partition, superblock()), null);
+  });
+
+  it('tells why the bitmaps can\'t be relied on', () => {
+    assert.equal(extBitmapProblem(partition, superblock({ incompat: 0x4 })), 'filesystem was not cleanly unmounted');
+    assert.equal(extBitmapProblem(partition, superblock({ incompat: 0x10 })), 'meta_bg filesystems are not supported');
+    assert.equal(extBitmapProblem({ ...partition, size: EXT_LAYOUT.size - 512 }, superblock()), 'filesystem is bigger than its partition');
+  });
+});
+
+describe('extFreeRanges', () => {
+  it('reads the free blocks from the bitmaps, filling in uninitialized ones', async () => {
+    const image = extImage();
+    const partition = { number: 1, start: MIB, size: EXT_LAYOUT.size };
+    const superblock = parseExtSuperblock(image.subarray(MIB + 1024, MIB + 2048));
+    const ranges = await extFreeRanges(bufferReader(image), partition, superblock);
+    assert.deepEqual(ranges, EXT_LAYOUT.free.map(([start, end]) => [MIB + start, MIB + end]));
+  });
+
+  it('refuses a bitmap outside the filesystem', async () => {
+    const fs = extFilesystem();
+    fs.writeUInt32LE(20000, 2048 + 0x20);
+    const superblock = parseExtSuperblock(fs.subarray(1024, 2048));
+    await assert.rejects(
+      extFreeRanges(bufferReader(fs), { number: 2, start: 0, size: fs.length }, superblock),
+      /Partition 2: group 1 has an invalid block bitmap/
+    );
+  });
+
+  it('refuses group descriptors that are cut off', async () => {
+    const fs = extFilesystem();
+    const superblock = parseExtSuperblock(fs.subarray(1024, 2048));
+    await assert.rejects(
+      extFreeRanges(bufferReader(fs.subarray(0, 2048 + 40)), { number: 1, start: 0, size: fs.length }, superblock),
+      /group descriptors are cut off/
+    );
+  });
+});
+
+describe('writeSparse', () => {
+  it('writes the pieces holding data, including a short one at the end', async () => {
+    const data = Buffer.alloc(3 * 4096 + 100);
+    data.fill(1, 0, 10);
+    data.fill(2, 2 * 4096, 2 * 4096 + 5);
+    data.fill(3, 3 * 4096 + 99);
+    const path = join(dir, 'sparse.img');
+    const file = await open(path, 'w');
+    try {
+      assert.equal(await writeSparse(file, data, 512), 4096 + 4096 + 100);
+      await file.truncate(512 + data.length);
+    } finally {
+      await file.close();
+    }
+    assert.deepEqual(readFileSync(path), Buffer.concat([Buffer.alloc(512), data]));
+  });
+
+  it('writes nothing for zeros', async () => {
+    const file = await open(join(dir, 'zeros.img'), 'w');
+    try {
+      assert.equal(await writeSparse(file, Buffer.alloc(10000), 0), 0);
+    } finally {
+      await file.close();
+    }
+  });
+});
+
+describe('shrinkImage', () => {
+  it('zeroes the free blocks and cuts off what follows the last partition', async () => {
+    const image = extImage();
+    const path = join(dir, 'pi.img');
+    writeFileSync(path, image);
+    const logs = [];
+
+    const result = await shrinkImage(path, { onLog: message => logs.push(message) });
+    const zeroed = EXT_LAYOUT.free.reduce((sum, [start, end]) => sum + end - start, 0);
+    assert.equal(result.before, image.length);
+    assert.equal(result.after, MIB + EXT_LAYOUT.size);
+    assert.equal(result.zeroed, zeroed);
+    assert.deepEqual(logs, ['Partition 1 (rootfs): 15.9 MB of free blocks']);
+
+    const expected = Buffer.from(image.subarray(0, MIB + EXT_LAYOUT.size));
+    for (const [start, end] of EXT_LAYOUT.free) expected.fill(0, MIB + start, MIB + end);
+    assert.deepEqual(readFileSync(path), expected);
+  });
+
+  it('leaves filesystems whose bitmaps can\'t be relied on as they are', async () => {
+    const image = extImage({ incompat: 0x4 });
+    const path = join(dir, 'pi.img');
+    writeFileSync(path, image);
+    const logs = [];
+
+    const result = await shrinkImage(path, { onLog: message => logs.push(message) });
+    assert.equal(result.zeroed, 0);
+    assert.deepEqual(logs, ['Partition 1 (rootfs): filesystem was not cleanly unmounted, left as is']);
+    assert.deepEqual(readFileSync(path), image.subarray(0, MIB + EXT_LAYOUT.size));
+  });
+
+  it('leaves an image without partitions unchanged', async () => {
+    const path = join(dir, 'empty.img');
+    writeFileSync(path, mbr([]));
+    await assert.rejects(shrinkImage(path), /The partition table is empty/);
+    assert.deepEqual(readFileSync(path), mbr([]));
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { unusedRanges, sparseRuns, copiedSize } from '../src/sparse.js';
+import { bufferReader, mbr, gptHead, extFilesystem, fatFilesystem, EXT_LAYOUT, FAT_LAYOUTS } from './images.js';
+
+const MIB = 1024 * 1024;
+const FAT16 = FAT_LAYOUTS[16];
+
+// A card with a FAT16 filesystem (clusters 2 and 3 in use) as partition 1 at 1 MiB, the
+// ext2 filesystem of extFilesystem() as partition 2 right after it and 1 MiB after them.
+// `fat` and `ext` change the filesystems in place.
+function card({ fat = () => {}, ext = () => {} } = {}) {
+  const fatSize = 20480 * 512;
+  const data = Buffer.alloc(2 * MIB + fatSize + EXT_LAYOUT.size);
+  mbr([
+    { type: 0x0c, start: 2048, size: fatSize / 512 },
+    { type: 0x83, start: 2048 + fatSize / 512, size: EXT_LAYOUT.size / 512 },
+  ]).copy(data, 0);
+
+  const boot = fatFilesystem(16);
+  for (let copy = 0; copy < 2; copy++) {
+    boot.writeUInt16LE(3, FAT16.fatOffset + copy * FAT16.fatSize + 2 * 2);
+    boot.writeUInt16LE(0xffff, FAT16.fatOffset + copy * FAT16.fatSize + 3 * 2);
+  }
+  fat(boot);
+  boot.copy(data, MIB);
+
+  const root = extFilesystem();
+  ext(root);
+  root.copy(data, MIB + fatSize);
+  return { data, fatSize };
+}
+
+// Run unusedRanges on `data`, resolving with { ranges, logs }
+async function unused(data, size = data.length) {
+  const logs = [];
+  const ranges = await unusedRanges(bufferReader(data), size, { onLog: message => logs.push(message) });
+  return { ranges, logs };
+}
+
+describe('unusedRanges', () => {
+  it('leaves out free clusters and blocks, and what follows the last partition', async () => {
+    const { data, fatSize } = card();
+    const extStart = MIB + fatSize;
+    const { ranges, logs } = await unused(data);
+    assert.deepEqual(ranges, [
+      [MIB + FAT16.dataOffset + 2 * FAT16.clusterSize, extStart],
+      [extStart + EXT_LAYOUT.free[0][0], extStart + EXT_LAYOUT.free[0][1]],
+      [extStart + EXT_LAYOUT.free[1][0], data.length],
+    ]);
+    assert.deepEqual(logs, [
+      'Partition 1 (FAT16 "BOOTFS"): 10.0 MB of 10.0 MB free',
+      'Partition 2 (ext2 "rootfs"): 15.9 MB of 16.0 MB free',
+    ]);
+  });
+
+  it('copies filesystems that weren\'t cleanly unmounted whole', async () => {
+    const { data, fatSize } = card({
+      fat: (boot) => {
+        boot[0x25] |= 0x1;
+      },
+      ext: (root) => {
+        root.writeUInt32LE(0x4, 1024 + 0x60);
+      },
+    });
+    const { ranges, logs } = await unused(data);
+    assert.deepEqual(ranges, [[MIB + fatSize + EXT_LAYOUT.size, data.length]]);
+    assert.deepEqual(logs, [
+      'Partition 1 (FAT16 "BOOTFS", filesystem was not cleanly unmounted): copied whole',
+      'Partition 2 (ext2 "rootfs", filesystem was not cleanly unmounted): copied whole',
+    ]);
+  });
+
+  it('copies partitions without a known filesystem whole', async () => {
+    const { data } = card({ ext: root => root.fill(0) });
+    const { ranges, logs } = await unused(data);
+    assert.equal(ranges.length, 2);
+    assert.equal(logs[1], 'Partition 2 (no filesystem that is known): copied whole');
+  });
+
+  it('copies a partition whose map can\'t be read whole', async () => {
+    const { data, fatSize } = card();
+    // The card can't be read where partition 1 has its FAT
+    const reader = {
+      read: async (position, length) => {
+        if (position === MIB + FAT16.fatOffset) throw new Error('Input/output error');
+        return data.subarray(position, position + length);
+      },
+    };
+    const logs = [];
+    const ranges = await unusedRanges(reader, data.length, { onLog: message => logs.push(message) });
+    assert.deepEqual(ranges, [
+      [MIB + fatSize + EXT_LAYOUT.free[0][0], MIB + fatSize + EXT_LAYOUT.free[0][1]],
+      [MIB + fatSize + EXT_LAYOUT.free[1][0], data.length],
+    ]);
+    assert.equal(logs[0], 'Partition 1: cannot read its allocation map (Input/output error), copied whole');
+  });
+
+  it('stops when cancelled while reading a map', async () => {
+    const { data } = card();
+    const reader = {
+      read: async (position, length) => {
+        if (position === MIB + FAT16.fatOffset) throw new Error('Cancelled');
+        return data.subarray(position, position + length);
+      },
+    };
+    await assert.rejects(unusedRanges(reader, data.length, { isCancelled: () => true }), /Cancelled/);
+  });
+
+  it('leaves out all of a swap partition but its header', async () => {
+    const data = Buffer.alloc(8 * MIB);
+    mbr([{ type: 0x82, start: 2048, size: 4 * 2048 }]).copy(data, 0);
+    data.write('SWAPSPACE2', MIB + 4086, 'latin1');
+    const { ranges } = await unused(data);
+    assert.deepEqual(ranges, [[2 * MIB, 8 * MIB]]);
+  });
+
+  it('keeps the backup GPT at the end of the card', async () => {
+    const data = Buffer.alloc(8 * MIB);
+    gptHead([{ type: '0fc63daf-8483-4772-8e79-3d69d8477de4', first: 2048, last: 4095 }]).copy(data, 0);
+    const { ranges } = await unused(data);
+    assert.deepEqual(ranges, [[2 * MIB, 8 * MIB - 33 * 512]]);
+  });
+
+  it('copies all of a card without a partition table', async () => {
+    const { ranges, logs } = await unused(Buffer.alloc(MIB));
+    assert.deepEqual(ranges, []);
+    assert.deepEqual(logs, ['No partition table - copying all of the card']);
+  });
+});
+
+describe('sparseRuns', () => {
+  const unusedBytes = [[0, 10], [25, 40]];
+
+  it('skips only the blocks that are entirely unused', () => {
+    const runs = sparseRuns(unusedBytes, 45, { blockSize: 10 });
+    assert.deepEqual(runs, [
+      { start: 0, length: 10, copy: false },
+      { start: 10, length: 20, copy: true },
+      { start: 30, length: 10, copy: false },
+      { start: 40, length: 5, copy: true },
+    ]);
+    assert.equal(copiedSize(runs), 25);
+  });
+
+  it('starts at `startBlock`', () => {
+    assert.deepEqual(sparseRuns(unusedBytes, 45, { blockSize: 10, startBlock: 2 }), [
+      { start: 20, length: 10, copy: true },
+      { start: 30, length: 10, copy: false },
+      { start: 40, length: 5, copy: true },
+    ]);
+  });
+
+  it('copies everything when nothing is unused', () => {
+    const runs = sparseRuns([], 45, { blockSize: 10 });
+    assert.deepEqual(runs, [{ start: 0, length: 45, copy: true }]);
+    assert.equal(copiedSize(runs), 45);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createCard, imageName, cardImages, rotateImages, CardError, DEFAULT_KEEP } from '../src/watch.js';
+import { writeManifest, manifestPath } from '../src/manifest.js';
+
+const DISK = { device: '/dev/sdb', model: 'SD32G', serial: '0x1234', size: 31914983424 };
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'pi-backup-test-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+// Write an image of `source` in `dir` with a manifest saying it was created at `created`
+function image(name, source, created) {
+  const path = join(dir, name);
+  writeFileSync(path, 'image');
+  writeManifest(path, { created, source: { device: '/dev/sdb', ...source } });
+  return path;
+}
+
+describe('createCard', () => {
+  it('registers a disk by its model, serial and size', () => {
+    const card = createCard(DISK, [], { name: 'kitchen-pi', directory: dir });
+    assert.deepEqual(card, {
+      name: 'kitchen-pi', model: 'SD32G', serial: '0x1234', size: 31914983424, directory: dir,
+      template: '{name}-{date}-{time}', keep: DEFAULT_KEEP, compression: 'none', shrink: true, verify: false, after: 'none',
+    });
+  });
+
+  it('refuses bad names, taken names, disks registered already and disks it can\'t recognize', () => {
+    const cards = [createCard(DISK, [], { name: 'kitchen-pi', directory: dir })];
+    const other = { ...DISK, serial: '0x5678' };
+    assert.throws(() => createCard(other, cards, { name: 'my pi', directory: dir }), CardError);
+    assert.throws(() => createCard(other, cards, { name: 'kitchen-pi', directory: dir }), /already registered/);
+    assert.throws(() => createCard(DISK, cards, { name: 'garage-pi', directory: dir }), /registered as kitchen-pi/);
+    assert.throws(() => createCard({ ...other, model: '', serial: '' }, cards, { name: 'garage-pi', directory: dir }), /no model or serial/);
+    assert.throws(() => createCard(other, cards, { name: 'garage-pi', directory: dir, keep: -1 }), CardError);
+  });
+});
+
+describe('imageName', () => {
+  it('fills in the template and adds the compression\'s extension', () => {
+    const card = createCard(DISK, [], { name: 'kitchen-pi', directory: dir, compression: 'gzip', template: '{name}-{model}-{date}-{time}-{other}' });
+    assert.equal(imageName(card, new Date(2026, 9, 19, 14, 30, 5)), 'kitchen-pi-SD32G-2026-10-19-143005-{other}.img.gz');
+  });
+});
+
+describe('rotateImages', () => {
+  it('deletes the oldest images of the card beyond the ones to keep', () => {
+    const card = createCard(DISK, [], { name: 'kitchen-pi', directory: dir, keep: 2 });
+    const oldest = image('a.img', DISK, '2026-10-01T00:00:00.000Z');
+    const newer = image('b.img', DISK, '2026-10-02T00:00:00.000Z');
+    const newest = image('c.img', DISK, '2026-10-03T00:00:00.000Z');
+    const otherCard = image('d.img', { ...DISK, serial: '0x5678' }, '2026-09-01T00:00:00.000Z');
+
+    assert.deepEqual(cardImages(card).map(({ image }) => image), [newest, newer, oldest]);
+    assert.deepEqual(rotateImages(card), [oldest, manifestPath(oldest)]);
+    assert.ok(!existsSync(oldest));
+    assert.ok(existsSync(newer) && existsSync(otherCard));
+    assert.deepEqual(rotateImages({ ...card, keep: 0 }), []);
+  });
+});